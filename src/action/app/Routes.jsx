@@ -12,8 +12,10 @@ import { useRouter } from '../../shared/context/RouterContext'
 import { useToast } from '../../shared/context/ToastContext'
 import { useActiveTabSecureProtocol } from '../../shared/hooks/useActiveTabSecureProtocol'
 import { useAllowHttpEnabled } from '../../shared/hooks/useAllowHttpEnabled'
+import { useSiteRules } from '../../shared/hooks/useSiteRules'
 import { LockIcon } from '../../shared/icons/LockIcon'
 import { CreateOrEditCategory } from '../../shared/pages/CreateOrEditCategory/CreateOrEditCategory'
+import { normalizeSiteOrigin } from '../../shared/utils/siteRules'
 import { AddDevice } from '../pages/AddDevice'
 import { AuthenticatorView } from '../pages/AuthenticatorView'
 import { CreatePasskey } from '../pages/CreatePasskey/CreatePasskey'
@@ -30,8 +32,13 @@ export const Routes = () => {
   const { setToast } = useToast()
   const { closeAllModals } = useModal()
 
-  const { isSecure } = useActiveTabSecureProtocol()
+  const { isSecure, currentUrl } = useActiveTabSecureProtocol()
   const [isAllowHttpEnabled] = useAllowHttpEnabled()
+  const { siteRules } = useSiteRules()
+
+  // A site rule can allow one non-secure site, e.g. a router at 192.168.1.1
+  const isHttpAllowedForSite =
+    !!siteRules[normalizeSiteOrigin(currentUrl)]?.allowHttp
 
   useDesktopLogout({
     onLogout: async () => {
@@ -124,7 +131,7 @@ export const Routes = () => {
     <OtpRefreshProvider>
       {renderPage()}
 
-      {!isSecure && !isAllowHttpEnabled && (
+      {!isSecure && !isAllowHttpEnabled && !isHttpAllowedForSite && (
         <FadeInWrapper key="nonSecureWarning">
           <NonSecureWarning />
         </FadeInWrapper>
@@ -1,4 +1,4 @@
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
 
 import { t } from '@lingui/core/macro'
 import { useForm } from '@tetherto/pear-apps-lib-ui-react-hooks'
@@ -7,12 +7,15 @@ import { AUTHENTICATOR_ENABLED } from '@tetherto/pearpass-lib-constants'
 import {
   Button,
   Dialog,
+  Dropdown,
   Form,
   InputField,
   MultiSlotInput,
+  NavbarListItem,
   PasswordField,
   type PasswordIndicatorVariant,
   Text,
+  ToggleSwitch,
   rawTokens,
   useTheme
 } from '@tetherto/pearpass-lib-ui-kit'
@@ -21,6 +24,7 @@ import {
   Add,
   ArrowBackOutined,
   Close,
+  KeyboardArrowBottom,
   SyncLock,
   TrashOutlined
 } from '@tetherto/pearpass-lib-ui-kit/icons'
@@ -31,15 +35,21 @@ import {
 } from '@tetherto/pearpass-lib-vault'
 
 import { FolderDropdown } from '../../../FolderDropdown'
+import {
+  DEFAULT_WEBSITE_MATCH_MODE,
+  WEBSITE_MATCH_MODES
+} from '../../../../../shared/constants/websiteMatch'
 import { useGlobalLoading } from '../../../../../shared/context/LoadingContext'
 import { useModal } from '../../../../../shared/context/ModalContext'
 import { useToast } from '../../../../../shared/context/ToastContext'
+import { getWebsiteMatchMode } from '../../../../../shared/utils/doesWebsiteMatchUrl'
 import { formatPasskeyDate } from '../../../../../shared/utils/formatPasskeyDate'
 import { normalizeUrl } from '../../../../../shared/utils/normalizeUrl'
 import { useCreateOrEditRecord } from '../../../../hooks/useCreateOrEditRecord'
 
-type Website = { website?: string; name?: string }
+type Website = { website?: string; name?: string; matchMode?: string }
 type CustomField = { type: string; name: string; note?: string }
+type WebsiteMatchMode = { website: string; mode: string } | null
 
 const STRENGTH_MAP: Record<string, PasswordIndicatorVariant> = {
   error: 'vulnerable',
@@ -59,6 +69,8 @@ export type CreateOrEditLoginModalContentProps = {
       password?: string
       note?: string
       websites?: string[]
+      websiteMatchModes?: WebsiteMatchMode[]
+      websitePatterns?: string[]
       customFields?: CustomField[]
       otpInput?: string
       otp?: { secret?: string }
@@ -66,6 +78,7 @@ export type CreateOrEditLoginModalContentProps = {
       passkeyCreatedAt?: number
       passwordUpdatedAt?: number
       attachments?: { id: string; name: string }[]
+      autoSubmit?: boolean
     }
   }
   selectedFolder?: string
@@ -118,6 +131,31 @@ export const CreateOrEditLoginModalContent = ({
 
   const isLoading = isCreateLoading || isUpdateLoading
 
+  const [matchModeMenuIndex, setMatchModeMenuIndex] = useState<number | null>(
+    null
+  )
+
+  const matchModeOptions = [
+    { value: WEBSITE_MATCH_MODES.BASE_DOMAIN, label: t`Base domain` },
+    { value: WEBSITE_MATCH_MODES.HOST, label: t`Exact host` },
+    { value: WEBSITE_MATCH_MODES.STARTS_WITH, label: t`Starts with` },
+    { value: WEBSITE_MATCH_MODES.EXACT, label: t`Exact URL` },
+    { value: WEBSITE_MATCH_MODES.REGEX, label: t`Regular expression` },
+    { value: WEBSITE_MATCH_MODES.NEVER, label: t`Never` }
+  ]
+
+  // Regular expressions are listed apart from the websites, after them
+  const initialWebsites: Website[] = [
+    ...(initialRecord?.data?.websites ?? []).map((website, index) => ({
+      website,
+      matchMode: getWebsiteMatchMode(initialRecord, index)
+    })),
+    ...(initialRecord?.data?.websitePatterns ?? []).map((website) => ({
+      website,
+      matchMode: WEBSITE_MATCH_MODES.REGEX
+    }))
+  ]
+
   useGlobalLoading({ isLoading })
 
   const schema = Validator.object({
@@ -147,18 +185,27 @@ export const CreateOrEditLoginModalContent = ({
       otpSecret:
         initialRecord?.data?.otpInput ?? initialRecord?.data?.otp?.secret ?? '',
       note: initialRecord?.data?.note ?? '',
-      websites: initialRecord?.data?.websites?.length
-        ? initialRecord.data.websites.map((website: string) => ({ website }))
-        : [{ website: '' }],
+      websites: initialWebsites.length
+        ? initialWebsites
+        : [{ website: '', matchMode: DEFAULT_WEBSITE_MATCH_MODE }],
       customFields: initialRecord?.data?.customFields?.length
         ? initialRecord.data.customFields
         : [{ type: 'note', name: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder ?? '',
+      autoSubmit: initialRecord?.data?.autoSubmit ?? false,
       credential: initialRecord?.data?.credential?.id ?? '',
       passkeyCreatedAt: initialRecord?.data?.passkeyCreatedAt
     },
+    // Regular expressions are not URLs, so only the other websites are checked
     validate: (formValues: Record<string, unknown>) =>
-      schema.validate(formValues)
+      schema.validate({
+        ...formValues,
+        websites: ((formValues.websites as Website[]) ?? []).map((website) =>
+          website.matchMode === WEBSITE_MATCH_MODES.REGEX
+            ? { ...website, website: '' }
+            : website
+        )
+      })
   })
 
   const {
@@ -197,6 +244,31 @@ export const CreateOrEditLoginModalContent = ({
       | string
       | undefined
 
+    const filledWebsites = (formValues.websites as Website[]).filter(
+      (website) => !!website?.website?.trim().length
+    )
+
+    // `websites` stays a list of URLs; regular expressions go to
+    // `websitePatterns` and the other modes to the aligned `websiteMatchModes`
+    const websitePatterns = filledWebsites
+      .filter(({ matchMode }) => matchMode === WEBSITE_MATCH_MODES.REGEX)
+      .map(({ website }) => (website as string).trim())
+
+    const urlWebsites = filledWebsites
+      .filter(({ matchMode }) => matchMode !== WEBSITE_MATCH_MODES.REGEX)
+      .map(({ website, matchMode }) => ({
+        website: normalizeUrl(website as string) as string,
+        mode: matchMode ?? DEFAULT_WEBSITE_MATCH_MODE
+      }))
+
+    const websiteMatchModes: WebsiteMatchMode[] = urlWebsites.some(
+      ({ mode }) => mode !== DEFAULT_WEBSITE_MATCH_MODE
+    )
+      ? urlWebsites.map((entry) =>
+          entry.mode === DEFAULT_WEBSITE_MATCH_MODE ? null : entry
+        )
+      : []
+
     const data = {
       type: RECORD_TYPES.LOGIN,
       folder: formValues.folder,
@@ -207,14 +279,15 @@ export const CreateOrEditLoginModalContent = ({
         username: formValues.username,
         password: formValues.password,
         note: formValues.note,
-        websites: (formValues.websites as Website[])
-          .filter((website) => !!website?.website?.trim().length)
-          .map((website) => normalizeUrl(website.website as string)),
+        websites: urlWebsites.map(({ website }) => website),
+        websiteMatchModes,
+        websitePatterns,
         customFields: ((formValues.customFields as CustomField[]) ?? []).filter(
           (f) => f.note?.trim().length
         ),
         passwordUpdatedAt: initialRecord?.data?.passwordUpdatedAt,
         attachments: initialRecord?.data?.attachments ?? [],
+        autoSubmit: !!formValues.autoSubmit,
         otpInput
       }
     }
@@ -382,7 +455,12 @@ export const CreateOrEditLoginModalContent = ({
                   size="small"
                   type="button"
                   iconBefore={<Add width={16} height={16} />}
-                  onClick={() => addWebsite({ name: 'website' })}
+                  onClick={() =>
+                    addWebsite({
+                      name: 'website',
+                      matchMode: DEFAULT_WEBSITE_MATCH_MODE
+                    })
+                  }
                   data-testid="createoredit-login-v2-add-website"
                 >
                   {t`Add Another Website`}
@@ -391,33 +469,76 @@ export const CreateOrEditLoginModalContent = ({
             >
               {(websitesList as Array<{ id: string }>).map((website, index) => {
                 const websiteField = registerWebsiteItem('website', index)
+                const matchModeField = registerWebsiteItem('matchMode', index)
+                const matchMode =
+                  (matchModeField.value as string) || DEFAULT_WEBSITE_MATCH_MODE
+                const matchModeLabel = matchModeOptions.find(
+                  (option) => option.value === matchMode
+                )?.label
                 return (
                   <InputField
                     key={website.id}
                     label={t`Website`}
-                    placeholder={t`Enter Website`}
+                    placeholder={
+                      matchMode === WEBSITE_MATCH_MODES.REGEX
+                        ? t`Enter Regular Expression`
+                        : t`Enter Website`
+                    }
                     value={websiteField.value as string}
                     onChange={(e) => websiteField.onChange(e.target.value)}
                     error={websiteField.error || undefined}
                     testID={`createoredit-login-v2-website-${index}`}
                     rightSlot={
-                      index > 0 ? (
-                        <Button
-                          variant="tertiaryAccent"
-                          size="small"
-                          type="button"
-                          aria-label={t`Remove website`}
-                          iconBefore={
-                            <TrashOutlined
-                              width={16}
-                              height={16}
-                              color={theme.colors.colorTextPrimary}
-                            />
+                      <div className="flex items-center gap-[var(--spacing4)]">
+                        <Dropdown
+                          open={matchModeMenuIndex === index}
+                          onOpenChange={(isOpen: boolean) =>
+                            setMatchModeMenuIndex(isOpen ? index : null)
+                          }
+                          trigger={
+                            <Button
+                              variant="tertiaryAccent"
+                              size="small"
+                              type="button"
+                              aria-label={t`Match detection`}
+                              iconAfter={<KeyboardArrowBottom />}
+                              data-testid={`createoredit-login-v2-website-match-${index}`}
+                            >
+                              {matchModeLabel}
+                            </Button>
                           }
-                          onClick={() => removeWebsite(index)}
-                          data-testid={`createoredit-login-v2-remove-website-${index}`}
-                        />
-                      ) : undefined
+                        >
+                          {matchModeOptions.map((option) => (
+                            <NavbarListItem
+                              key={option.value}
+                              testID={`createoredit-login-v2-website-match-${index}-${option.value}`}
+                              label={option.label}
+                              selected={option.value === matchMode}
+                              onClick={() => {
+                                matchModeField.onChange(option.value)
+                                setMatchModeMenuIndex(null)
+                              }}
+                            />
+                          ))}
+                        </Dropdown>
+                        {index > 0 ? (
+                          <Button
+                            variant="tertiaryAccent"
+                            size="small"
+                            type="button"
+                            aria-label={t`Remove website`}
+                            iconBefore={
+                              <TrashOutlined
+                                width={16}
+                                height={16}
+                                color={theme.colors.colorTextPrimary}
+                              />
+                            }
+                            onClick={() => removeWebsite(index)}
+                            data-testid={`createoredit-login-v2-remove-website-${index}`}
+                          />
+                        ) : null}
+                      </div>
                     }
                   />
                 )
@@ -431,6 +552,14 @@ export const CreateOrEditLoginModalContent = ({
               }
               testIDPrefix="createoredit-login-v2-folder"
             />
+
+            <ToggleSwitch
+              data-testid="createoredit-login-v2-auto-submit"
+              checked={!!values?.autoSubmit}
+              onChange={(isOn: boolean) => setValue('autoSubmit', isOn)}
+              label={t`Sign in after autofill`}
+              description={t`Submit the login form right after PearPass fills this item`}
+            />
           </>
         ) : null}
 
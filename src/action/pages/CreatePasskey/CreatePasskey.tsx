@@ -12,23 +12,27 @@ import { Add } from '@tetherto/pearpass-lib-ui-kit/icons'
 import { RECORD_TYPES, useRecords } from '@tetherto/pearpass-lib-vault'
 
 import { CONTENT_MESSAGE_TYPES } from '../../../shared/constants/nativeMessaging'
+import { WEBAUTHN_ERRORS } from '../../../shared/constants/passkey'
 import { RecordItemIcon } from '../../../shared/containers/RecordItemIcon'
 import { ReplacePasskeyModalContent } from '../../../shared/containers/ReplacePasskeyModalContent/ReplacePasskeyModalContent'
 import { useModal } from '../../../shared/context/ModalContext'
 import { useRouter } from '../../../shared/context/RouterContext'
 import { MESSAGE_TYPES } from '../../../shared/services/messageBridge'
+import { findExcludedPasskeyRecord } from '../../../shared/utils/findExcludedPasskeyRecord'
 import { getHostname } from '../../../shared/utils/getHostname'
 import { getRecordSubtitle } from '../../../shared/utils/getRecordSubtitle'
 import { logger } from '../../../shared/utils/logger'
 import { normalizeUrl } from '../../../shared/utils/normalizeUrl'
+import { sendPasskeyResponse } from '../../../shared/utils/sendPasskeyResponse'
 import { PasskeyContainer } from '../../containers/PasskeyContainer/PasskeyContainer'
 
 type RecordEntry = {
   id: string
+  type: string
   data?: {
     title?: string
     username?: string
-    credential?: unknown
+    credential?: { id?: string; rpId?: string }
     websites?: string[]
   }
 }
@@ -135,18 +139,52 @@ export const CreatePasskey = () => {
     await saveToExistingRecord(record)
   }
 
+  // The account already has one of the passkeys the site excludes: replacing
+  // it is the only way to store a new one
+  const handleReplaceExcluded = (record: RecordEntry) => {
+    setModal(
+      <ReplacePasskeyModalContent
+        onConfirm={() => saveToExistingRecord(record)}
+      />
+    )
+  }
+
+  // With the user's consent the site learns the passkey exists, as the spec requires
+  const handleKeepExcluded = () => {
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
+      requestId,
+      recordId: null,
+      error: WEBAUTHN_ERRORS.INVALID_STATE
+    }).finally(() => {
+      window.close()
+    })
+  }
+
   const handleCancel = () => {
-    chrome.tabs
-      .sendMessage(parseInt(tabId), {
-        type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
-        requestId,
-        recordId: null
-      })
-      .finally(() => {
-        window.close()
-      })
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
+      requestId,
+      recordId: null
+    }).finally(() => {
+      window.close()
+    })
   }
 
+  const excludedRecord = useMemo(() => {
+    if (!serializedPublicKey) return null
+
+    try {
+      return findExcludedPasskeyRecord(
+        records,
+        JSON.parse(serializedPublicKey),
+        requestOrigin
+      ) as RecordEntry | null
+    } catch {
+      return null
+    }
+  }, [records, serializedPublicKey, requestOrigin])
+
   const recordsFiltered = useMemo(() => {
     const loginRecords = (records as RecordEntry[]).filter(
       (record) => (record as { type?: string })?.type === RECORD_TYPES.LOGIN
@@ -194,13 +232,54 @@ export const CreatePasskey = () => {
 
   const hasRecords = recordsFiltered.length > 0
 
+  const renderExcludedRecord = (record: RecordEntry) => (
+    <div className="flex flex-1 flex-col items-center justify-between gap-[var(--spacing24)]">
+      <div className="flex w-full flex-1 flex-col items-center justify-center gap-[var(--spacing6)] text-center">
+        <Title as="h2">{t`Passkey Already Saved`}</Title>
+        <Text color={theme.colors.colorTextSecondary}>
+          {t`This account already has a passkey in PearPass. Replace it or keep the existing one.`}
+        </Text>
+        <div className="border-border-primary w-full rounded-[var(--radius16)] border p-[var(--spacing4)] text-left">
+          <ListItem
+            icon={<RecordItemIcon record={record} />}
+            iconSize={32}
+            title={record.data?.title ?? ''}
+            subtitle={getRecordSubtitle(record) || undefined}
+            testID={`record-list-item-${record.id}`}
+          />
+        </div>
+      </div>
+
+      <div className="flex w-full flex-col gap-[var(--spacing12)]">
+        <Button
+          variant="primary"
+          size="small"
+          data-testid="passkey-replace-existing-btn"
+          onClick={() => handleReplaceExcluded(record)}
+        >
+          {t`Replace Passkey`}
+        </Button>
+        <Button
+          variant="secondary"
+          size="small"
+          data-testid="passkey-keep-existing-btn"
+          onClick={handleKeepExcluded}
+        >
+          {t`Keep Existing`}
+        </Button>
+      </div>
+    </div>
+  )
+
   return (
     <PasskeyContainer
       title={t`Save Passkey`}
       onClose={handleCancel}
       onVaultChange={() => setSelectedRecord(null)}
     >
-      {hasRecords ? (
+      {excludedRecord ? (
+        renderExcludedRecord(excludedRecord)
+      ) : hasRecords ? (
         <div className="flex flex-1 flex-col">
           <div className="flex flex-1 flex-col overflow-auto">
             <div className="border-border-primary flex flex-col rounded-[var(--radius16)] border">
@@ -17,6 +17,7 @@ import { RecordItemIcon } from '../../../shared/containers/RecordItemIcon'
 import { sanitizeCredentialForPage } from '../../../shared/utils/sanitizeCredentialForPage'
 import { formatPasskeyDate } from '../../../shared/utils/formatPasskeyDate'
 import { normalizeUrl } from '../../../shared/utils/normalizeUrl'
+import { sendPasskeyResponse } from '../../../shared/utils/sendPasskeyResponse'
 import { PasskeyContainer } from '../../containers/PasskeyContainer/PasskeyContainer'
 
 export const PasskeyLoginCreate = () => {
@@ -27,15 +28,13 @@ export const PasskeyLoginCreate = () => {
   const { title = '', username = '', websites = [] } = initialData ?? {}
 
   const handleDiscard = () => {
-    chrome.tabs
-      .sendMessage(parseInt(tabId), {
-        type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
-        requestId,
-        recordId: null
-      })
-      .finally(() => {
-        window.close()
-      })
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
+      requestId,
+      recordId: null
+    }).finally(() => {
+      window.close()
+    })
   }
 
   const schema = Validator.object({
@@ -58,16 +57,14 @@ export const PasskeyLoginCreate = () => {
     onCompleted: (payload) => {
       const recordId =
         (payload as { record?: { id?: string } })?.record?.id ?? null
-      chrome.tabs
-        .sendMessage(parseInt(tabId), {
-          type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
-          requestId,
-          recordId,
-          credential: sanitizeCredentialForPage(passkeyCredential)
-        })
-        .finally(() => {
-          window.close()
-        })
+      sendPasskeyResponse(tabId, {
+        type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
+        requestId,
+        recordId,
+        credential: sanitizeCredentialForPage(passkeyCredential)
+      }).finally(() => {
+        window.close()
+      })
     }
   })
 
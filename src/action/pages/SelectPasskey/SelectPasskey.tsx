@@ -13,9 +13,11 @@ import { Add } from '@tetherto/pearpass-lib-ui-kit/icons'
 
 import { CONTENT_MESSAGE_TYPES } from '../../../shared/constants/nativeMessaging'
 import { useRouter } from '../../../shared/context/RouterContext'
+import { useSavePasskeyAssertion } from '../../../shared/hooks/useSavePasskeyAssertion'
 import { MESSAGE_TYPES } from '../../../shared/services/messageBridge'
-import { getHostname } from '../../../shared/utils/getHostname'
+import { isPasskeyRecordAllowed } from '../../../shared/utils/isPasskeyRecordAllowed'
 import { logger } from '../../../shared/utils/logger'
+import { sendPasskeyResponse } from '../../../shared/utils/sendPasskeyResponse'
 import { PasskeyContainer } from '../../containers/PasskeyContainer/PasskeyContainer'
 import { RecordItemIcon } from '../../../shared/containers/RecordItemIcon'
 import { getRecordSubtitle } from '../../../shared/utils/getRecordSubtitle'
@@ -26,14 +28,22 @@ type PasskeyRecord = {
   data?: {
     title?: string
     username?: string
-    credential?: unknown
+    credential?: { id?: string; rpId?: string; signCount?: number }
     websites?: string[]
+    websiteMatchModes?: ({ website: string; mode: string } | null)[]
+    websitePatterns?: string[]
   }
 }
 
 export const SelectPasskey = () => {
   const { state: routerState, navigate } = useRouter()
   const { data: records } = useRecords()
+  const { savePasskeyAssertion } = useSavePasskeyAssertion() as {
+    savePasskeyAssertion: (
+      record: PasskeyRecord,
+      assertion: { signCount?: number; largeBlob?: string }
+    ) => Promise<void>
+  }
   const { theme } = useTheme()
 
   const { serializedPublicKey, requestId, requestOrigin, tabId } = routerState
@@ -46,19 +56,27 @@ export const SelectPasskey = () => {
         credential: record.data?.credential,
         requestOrigin
       })
-      .then((response) => {
-        chrome.tabs.sendMessage(parseInt(tabId), {
+      .then(async (response) => {
+        await sendPasskeyResponse(tabId, {
           type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
           requestId,
           credential: response.assertionCredential
         })
+
+        // Closing the window would drop the pending vault write
+        await savePasskeyAssertion(record, response).catch((error) => {
+          logger.error(
+            'Failed to save passkey assertion:',
+            (error as Error)?.message || error
+          )
+        })
       })
       .catch((error) => {
         logger.error(
           'Failed to get assertion credential:',
           (error as Error)?.message || error
         )
-        chrome.tabs.sendMessage(parseInt(tabId), {
+        return sendPasskeyResponse(tabId, {
           type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
           requestId,
           credential: null
@@ -70,67 +88,62 @@ export const SelectPasskey = () => {
   }
 
   const handleCancel = () => {
-    chrome.tabs
-      .sendMessage(parseInt(tabId), {
-        type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
-        requestId,
-        credential: null
-      })
-      .finally(() => {
-        window.close()
-      })
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
+      requestId,
+      credential: null
+    }).finally(() => {
+      window.close()
+    })
+  }
+
+  // The page retries the request with the browser's own authenticators
+  const handleUseDeviceKey = () => {
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.GET_THIRD_PARTY_KEY,
+      requestId
+    }).finally(() => {
+      window.close()
+    })
   }
 
   const handleAddNewLogin = () => {
-    chrome.tabs
-      .sendMessage(parseInt(tabId), {
-        type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
-        requestId,
-        credential: null
-      })
-      .catch(() => {})
+    sendPasskeyResponse(tabId, {
+      type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
+      requestId,
+      credential: null
+    }).catch(() => {})
     navigate('createPasskey', { state: routerState })
   }
 
-  const targetHostname = useMemo(() => {
-    let rpId: string | undefined
-    if (serializedPublicKey) {
-      try {
-        const parsed = JSON.parse(serializedPublicKey) as {
-          rpId?: string
-          rp?: { id?: string }
-        }
-        rpId = parsed?.rpId ?? parsed?.rp?.id
-      } catch {
-        rpId = undefined
+  const publicKey = useMemo(() => {
+    if (!serializedPublicKey) return null
+    try {
+      return JSON.parse(serializedPublicKey) as {
+        rpId?: string
+        allowCredentials?: { id: string }[]
       }
+    } catch {
+      return null
     }
-    return getHostname(rpId) || getHostname(requestOrigin)
-  }, [serializedPublicKey, requestOrigin])
+  }, [serializedPublicKey])
 
+  // Only passkeys of the relying party that the site allows can answer; a
+  // passkey saved on an equivalent domain cannot sign for this one
   const recordsFiltered = useMemo(() => {
-    if (!targetHostname) return [] as PasskeyRecord[]
-    const stripWww = (h: string) => h.replace(/^www\./i, '')
-    const target = stripWww(targetHostname)
-
-    return (records as PasskeyRecord[]).filter((record) => {
-      if (record.type !== RECORD_TYPES.LOGIN) return false
-      if (!record.data?.credential) return false
-      const websites = record.data?.websites ?? []
-      return websites.some((w) => {
-        const recordHost = getHostname(w)
-        if (!recordHost) return false
-        const candidate = stripWww(recordHost)
-        return (
-          candidate === target ||
-          candidate.endsWith(`.${target}`) ||
-          target.endsWith(`.${candidate}`)
-        )
-      })
-    })
-  }, [records, targetHostname])
+    if (!publicKey) return [] as PasskeyRecord[]
+
+    return (records as PasskeyRecord[]).filter(
+      (record) =>
+        record.type === RECORD_TYPES.LOGIN &&
+        !!record.data?.credential &&
+        isPasskeyRecordAllowed(record, publicKey, requestOrigin)
+    )
+  }, [records, publicKey, requestOrigin])
 
   const hasRecords = recordsFiltered.length > 0
+  // A lone match is only focused: signing always takes a click from the user
+  const hasSingleRecord = recordsFiltered.length === 1
 
   return (
     <PasskeyContainer title={t`Use Passkey`} onClose={handleCancel}>
@@ -150,6 +163,7 @@ export const SelectPasskey = () => {
                     variant="tertiary"
                     size="small"
                     data-testid={`passkey-use-btn-${record.id}`}
+                    autoFocus={hasSingleRecord}
                     onClick={(e) => {
                       e?.stopPropagation?.()
                       handleRecordSelect(record)
@@ -181,6 +195,14 @@ export const SelectPasskey = () => {
             >
               {t`Add New Login`}
             </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              data-testid="passkey-use-device-key-btn"
+              onClick={handleUseDeviceKey}
+            >
+              {t`Use Device or Security Key`}
+            </Button>
             <Button
               variant="secondary"
               size="medium"
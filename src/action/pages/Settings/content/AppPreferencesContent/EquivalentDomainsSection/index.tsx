@@ -0,0 +1,114 @@
+import { type ChangeEvent, useCallback, useState } from 'react'
+
+import { t } from '@lingui/core/macro'
+import {
+  Button,
+  InputField,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { TrashOutlined } from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { useEquivalentDomainGroups } from '../../../../../../shared/hooks/useEquivalentDomainGroups'
+import { parseEquivalentDomainGroup } from '../../../../../../shared/utils/equivalentDomains'
+
+const TEST_IDS = {
+  root: 'settings-equivalent-domains',
+  domainsInput: 'settings-equivalent-domains-input',
+  addButton: 'settings-equivalent-domains-add',
+  group: 'settings-equivalent-domains-group',
+  removeButton: 'settings-equivalent-domains-remove'
+} as const
+
+export const EquivalentDomainsSection = () => {
+  const { theme } = useTheme()
+  const { colors } = theme
+
+  const { customGroups, addGroup, removeGroup } =
+    useEquivalentDomainGroups() as {
+      customGroups: string[][]
+      addGroup: (group: string[]) => void
+      removeGroup: (index: number) => void
+    }
+
+  const [domainsInput, setDomainsInput] = useState('')
+  const [domainsError, setDomainsError] = useState<string | undefined>()
+
+  const handleAdd = useCallback(() => {
+    const group = parseEquivalentDomainGroup(domainsInput)
+
+    if (!group) {
+      setDomainsError(
+        t`Enter at least two websites, e.g. example.com, example.org`
+      )
+      return
+    }
+
+    addGroup(group)
+    setDomainsInput('')
+    setDomainsError(undefined)
+  }, [domainsInput, addGroup])
+
+  return (
+    <section data-testid={TEST_IDS.root} className="flex flex-col gap-[12px]">
+      <Text variant="caption" color={colors.colorTextSecondary}>
+        {t`Equivalent Domains`}
+      </Text>
+      <div className="bg-surface-primary border-border-primary flex flex-col rounded-[8px] border">
+        <div className="flex flex-col gap-[8px] p-[12px]">
+          <Text variant="caption" color={colors.colorTextSecondary}>
+            {t`Logins saved on one of these websites are also suggested on the others`}
+          </Text>
+          <div className="flex items-end gap-[8px]">
+            <div className="min-w-0 flex-1">
+              <InputField
+                label={t`Websites`}
+                placeholder="example.com, example.org"
+                value={domainsInput}
+                onChange={(e: ChangeEvent<HTMLInputElement>) =>
+                  setDomainsInput(e.target.value)
+                }
+                error={domainsError}
+                testID={TEST_IDS.domainsInput}
+              />
+            </div>
+            <Button
+              variant="secondary"
+              size="small"
+              type="button"
+              onClick={handleAdd}
+              data-testid={TEST_IDS.addButton}
+            >
+              {t`Add group`}
+            </Button>
+          </div>
+        </div>
+
+        {customGroups.map((group, index) => (
+          <div
+            key={group.join(',')}
+            data-testid={`${TEST_IDS.group}-${index}`}
+            className="border-border-primary flex items-center justify-between gap-[12px] border-t p-[12px]"
+          >
+            <Text variant="labelEmphasized">{group.join(', ')}</Text>
+            <Button
+              variant="tertiary"
+              size="small"
+              type="button"
+              aria-label={t`Remove`}
+              iconBefore={
+                <TrashOutlined
+                  width={16}
+                  height={16}
+                  color={colors.colorTextPrimary}
+                />
+              }
+              onClick={() => removeGroup(index)}
+              data-testid={`${TEST_IDS.removeButton}-${index}`}
+            />
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,194 @@
+import { type ChangeEvent, useCallback, useMemo, useState } from 'react'
+
+import { t } from '@lingui/core/macro'
+import {
+  Button,
+  InputField,
+  Text,
+  ToggleSwitch,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { TrashOutlined } from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { useSiteRules } from '../../../../../../shared/hooks/useSiteRules'
+import {
+  DEFAULT_SITE_RULE,
+  normalizeSiteOrigin
+} from '../../../../../../shared/utils/siteRules'
+
+const TEST_IDS = {
+  root: 'settings-site-rules',
+  originInput: 'settings-site-rules-origin',
+  addButton: 'settings-site-rules-add',
+  rule: 'settings-site-rule',
+  removeButton: 'settings-site-rule-remove',
+  resetUsernamesButton: 'settings-site-rule-reset-usernames'
+} as const
+
+type SiteRule = typeof DEFAULT_SITE_RULE
+
+type SiteRuleFlag = Exclude<keyof SiteRule, 'ignoredUsernames'>
+
+export const SiteRulesSection = () => {
+  const { theme } = useTheme()
+  const { colors } = theme
+
+  const { siteRules, updateSiteRule, removeSiteRule } = useSiteRules() as {
+    siteRules: Record<string, Partial<SiteRule>>
+    updateSiteRule: (origin: string, changes: Partial<SiteRule>) => void
+    removeSiteRule: (origin: string) => void
+  }
+
+  const [originInput, setOriginInput] = useState('')
+  const [originError, setOriginError] = useState<string | undefined>()
+  // Sites added here have no stored rule until one of their switches changes
+  const [addedOrigins, setAddedOrigins] = useState<string[]>([])
+
+  const origins = useMemo(
+    () =>
+      Array.from(new Set([...Object.keys(siteRules), ...addedOrigins])).sort(),
+    [siteRules, addedOrigins]
+  )
+
+  // Every switch reads as "on" for the default behaviour
+  const ruleToggles = useMemo(
+    () =>
+      [
+        { flag: 'disableAutofill', label: t`Suggest logins`, inverted: true },
+        { flag: 'disableLogo', label: t`Show PearPass icon`, inverted: true },
+        {
+          flag: 'disablePasswordSuggestion',
+          label: t`Suggest strong passwords`,
+          inverted: true
+        },
+        {
+          flag: 'disableStrengthPill',
+          label: t`Show password strength`,
+          inverted: true
+        },
+        { flag: 'neverSave', label: t`Offer to save logins`, inverted: true },
+        {
+          flag: 'allowHttp',
+          label: t`Allow on non-secure connection`,
+          inverted: false
+        }
+      ] as { flag: SiteRuleFlag; label: string; inverted: boolean }[],
+    []
+  )
+
+  const handleAdd = useCallback(() => {
+    const origin = normalizeSiteOrigin(originInput)
+
+    if (!origin) {
+      setOriginError(t`Enter a website address, e.g. http://192.168.1.1`)
+      return
+    }
+
+    setAddedOrigins((prev) => [...prev, origin])
+    setOriginInput('')
+    setOriginError(undefined)
+  }, [originInput])
+
+  const handleRemove = useCallback(
+    (origin: string) => {
+      setAddedOrigins((prev) => prev.filter((item) => item !== origin))
+      removeSiteRule(origin)
+    },
+    [removeSiteRule]
+  )
+
+  return (
+    <section data-testid={TEST_IDS.root} className="flex flex-col gap-[12px]">
+      <Text variant="caption" color={colors.colorTextSecondary}>
+        {t`Site Exceptions`}
+      </Text>
+      <div className="bg-surface-primary border-border-primary flex flex-col rounded-[8px] border">
+        <div className="flex items-end gap-[8px] p-[12px]">
+          <div className="min-w-0 flex-1">
+            <InputField
+              label={t`Website`}
+              placeholder="https://example.com"
+              value={originInput}
+              onChange={(e: ChangeEvent<HTMLInputElement>) =>
+                setOriginInput(e.target.value)
+              }
+              error={originError}
+              testID={TEST_IDS.originInput}
+            />
+          </div>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={handleAdd}
+            data-testid={TEST_IDS.addButton}
+          >
+            {t`Add site`}
+          </Button>
+        </div>
+
+        {origins.map((origin) => {
+          const rule = { ...DEFAULT_SITE_RULE, ...siteRules[origin] }
+
+          return (
+            <div
+              key={origin}
+              data-testid={`${TEST_IDS.rule}-${origin}`}
+              className="border-border-primary flex flex-col gap-[8px] border-t p-[12px]"
+            >
+              <div className="flex items-center justify-between gap-[12px]">
+                <Text variant="labelEmphasized">{origin}</Text>
+                <Button
+                  variant="tertiary"
+                  size="small"
+                  type="button"
+                  aria-label={t`Remove`}
+                  iconBefore={
+                    <TrashOutlined
+                      width={16}
+                      height={16}
+                      color={colors.colorTextPrimary}
+                    />
+                  }
+                  onClick={() => handleRemove(origin)}
+                  data-testid={`${TEST_IDS.removeButton}-${origin}`}
+                />
+              </div>
+
+              {ruleToggles.map(({ flag, label, inverted }) => (
+                <ToggleSwitch
+                  key={flag}
+                  data-testid={`${TEST_IDS.rule}-${origin}-${flag}`}
+                  checked={inverted ? !rule[flag] : rule[flag]}
+                  onChange={(isOn: boolean) =>
+                    updateSiteRule(origin, { [flag]: inverted ? !isOn : isOn })
+                  }
+                  label={label}
+                />
+              ))}
+
+              {rule.ignoredUsernames.length > 0 && (
+                <div className="flex items-center justify-between gap-[12px]">
+                  <Text variant="caption" color={colors.colorTextSecondary}>
+                    {t`Not offering to save: ${rule.ignoredUsernames.join(', ')}`}
+                  </Text>
+                  <Button
+                    variant="tertiary"
+                    size="small"
+                    type="button"
+                    onClick={() =>
+                      updateSiteRule(origin, { ignoredUsernames: [] })
+                    }
+                    data-testid={`${TEST_IDS.resetUsernamesButton}-${origin}`}
+                  >
+                    {t`Ask again`}
+                  </Button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </section>
+  )
+}
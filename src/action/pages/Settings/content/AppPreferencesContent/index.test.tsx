@@ -45,11 +45,30 @@ jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
   Text: ({ children }: { children: React.ReactNode }) => (
     <span>{children}</span>
   ),
+  InputField: ({
+    value,
+    onChange,
+    error,
+    testID
+  }: {
+    value?: string
+    onChange?: React.ChangeEventHandler<HTMLInputElement>
+    error?: string
+    testID?: string
+  }) => (
+    <div>
+      <input data-testid={testID} value={value} onChange={onChange} />
+      {error ? <small>{error}</small> : null}
+    </div>
+  ),
   Button: ({
     children,
     onClick,
+    iconBefore: _iconBefore,
     ...rest
-  }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+  }: React.ButtonHTMLAttributes<HTMLButtonElement> & {
+    iconBefore?: React.ReactNode
+  }) => (
     <button onClick={onClick} {...rest}>
       {children}
     </button>
@@ -109,7 +128,8 @@ jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
 
 jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
   __esModule: true,
-  KeyboardArrowBottom: () => <span data-testid="icon-arrow-down" />
+  KeyboardArrowBottom: () => <span data-testid="icon-arrow-down" />,
+  TrashOutlined: () => <span data-testid="icon-trash" />
 }))
 
 jest.mock('@tetherto/pearpass-lib-constants', () => ({
@@ -131,6 +151,24 @@ jest.mock('../../../../../shared/utils/autofillSetting', () => ({
   setAutofillEnabled: (v: boolean) => mockSetAutofill(v)
 }))
 
+const mockSetOtpAutofill = jest.fn(async (_isEnabled: boolean) => undefined)
+const mockGetOtpAutofill = jest.fn(async () => false)
+
+jest.mock('../../../../../shared/utils/otpAutofillSetting', () => ({
+  __esModule: true,
+  getOtpAutofillEnabled: () => mockGetOtpAutofill(),
+  setOtpAutofillEnabled: (v: boolean) => mockSetOtpAutofill(v)
+}))
+
+const mockSetAutoSubmit = jest.fn(async (_isEnabled: boolean) => undefined)
+const mockGetAutoSubmit = jest.fn(async () => false)
+
+jest.mock('../../../../../shared/utils/autoSubmitSetting', () => ({
+  __esModule: true,
+  getAutoSubmitEnabled: () => mockGetAutoSubmit(),
+  setAutoSubmitEnabled: (v: boolean) => mockSetAutoSubmit(v)
+}))
+
 jest.mock('../../../../../shared/utils/passkeyVerificationPreference', () => ({
   __esModule: true,
   getPasskeyVerificationPreference: () => 'requested'
@@ -170,6 +208,34 @@ jest.mock('../../../../../shared/hooks/useCopyToClipboard', () => ({
   })
 }))
 
+const mockUpdateSiteRule = jest.fn()
+const mockRemoveSiteRule = jest.fn()
+
+let mockSiteRules: Record<string, Record<string, unknown>> = {}
+
+jest.mock('../../../../../shared/hooks/useSiteRules', () => ({
+  __esModule: true,
+  useSiteRules: () => ({
+    siteRules: mockSiteRules,
+    updateSiteRule: mockUpdateSiteRule,
+    removeSiteRule: mockRemoveSiteRule
+  })
+}))
+
+const mockAddEquivalentDomainGroup = jest.fn()
+const mockRemoveEquivalentDomainGroup = jest.fn()
+
+let mockEquivalentDomainGroups: string[][] = []
+
+jest.mock('../../../../../shared/hooks/useEquivalentDomainGroups', () => ({
+  __esModule: true,
+  useEquivalentDomainGroups: () => ({
+    customGroups: mockEquivalentDomainGroups,
+    addGroup: mockAddEquivalentDomainGroup,
+    removeGroup: mockRemoveEquivalentDomainGroup
+  })
+}))
+
 jest.mock(
   '../../../../../shared/utils/isPasswordChangeReminderDisabled',
   () => ({
@@ -188,9 +254,19 @@ describe('AppPreferencesContent', () => {
     mockSetAutofill.mockClear()
     mockGetAutofill.mockClear()
     mockGetAutofill.mockResolvedValue(true)
+    mockSetOtpAutofill.mockClear()
+    mockGetOtpAutofill.mockResolvedValue(false)
+    mockSetAutoSubmit.mockClear()
+    mockGetAutoSubmit.mockResolvedValue(false)
     mockTimeoutMs = 30_000
     mockIsAllowHttpEnabled = false
     mockIsCopyEnabled = true
+    mockSiteRules = {}
+    mockUpdateSiteRule.mockClear()
+    mockRemoveSiteRule.mockClear()
+    mockEquivalentDomainGroups = []
+    mockAddEquivalentDomainGroup.mockClear()
+    mockRemoveEquivalentDomainGroup.mockClear()
     localStorage.clear()
   })
 
@@ -239,6 +315,26 @@ describe('AppPreferencesContent', () => {
     expect(mockSetAutofill).toHaveBeenCalledWith(false)
   })
 
+  it('toggles verification code autofill through setOtpAutofillEnabled', async () => {
+    render(<AppPreferencesContent />)
+
+    await screen.findByTestId('settings-otp-autofill-toggle')
+
+    fireEvent.click(screen.getByTestId('settings-otp-autofill-toggle'))
+
+    expect(mockSetOtpAutofill).toHaveBeenCalledWith(true)
+  })
+
+  it('toggles sign in after autofill through setAutoSubmitEnabled', async () => {
+    render(<AppPreferencesContent />)
+
+    await screen.findByTestId('settings-auto-submit-toggle')
+
+    fireEvent.click(screen.getByTestId('settings-auto-submit-toggle'))
+
+    expect(mockSetAutoSubmit).toHaveBeenCalledWith(true)
+  })
+
   it('writes passkey validation preference to localStorage on change', () => {
     render(<AppPreferencesContent />)
 
@@ -286,4 +382,105 @@ describe('AppPreferencesContent', () => {
 
     expect(mockSetTimeoutMs).toHaveBeenCalledWith(60_000)
   })
+  it('lists stored site rules and updates them', () => {
+    mockSiteRules = {
+      'https://example.com': { neverSave: true, ignoredUsernames: ['joe'] }
+    }
+    render(<AppPreferencesContent />)
+
+    const saveToggle = screen.getByTestId(
+      'settings-site-rule-https://example.com-neverSave'
+    )
+    expect(saveToggle).not.toBeChecked()
+
+    fireEvent.click(saveToggle)
+    expect(mockUpdateSiteRule).toHaveBeenCalledWith('https://example.com', {
+      neverSave: false
+    })
+
+    fireEvent.click(
+      screen.getByTestId(
+        'settings-site-rule-reset-usernames-https://example.com'
+      )
+    )
+    expect(mockUpdateSiteRule).toHaveBeenCalledWith('https://example.com', {
+      ignoredUsernames: []
+    })
+
+    fireEvent.click(
+      screen.getByTestId('settings-site-rule-remove-https://example.com')
+    )
+    expect(mockRemoveSiteRule).toHaveBeenCalledWith('https://example.com')
+  })
+
+  it('adds a site and allows HTTP for it', () => {
+    render(<AppPreferencesContent />)
+
+    fireEvent.change(screen.getByTestId('settings-site-rules-origin'), {
+      target: { value: 'http://192.168.1.1/admin' }
+    })
+    fireEvent.click(screen.getByTestId('settings-site-rules-add'))
+
+    fireEvent.click(
+      screen.getByTestId('settings-site-rule-http://192.168.1.1-allowHttp')
+    )
+    expect(mockUpdateSiteRule).toHaveBeenCalledWith('http://192.168.1.1', {
+      allowHttp: true
+    })
+  })
+
+  it('rejects an invalid site address', () => {
+    render(<AppPreferencesContent />)
+
+    fireEvent.change(screen.getByTestId('settings-site-rules-origin'), {
+      target: { value: 'ftp://example.com' }
+    })
+    fireEvent.click(screen.getByTestId('settings-site-rules-add'))
+
+    expect(
+      screen.getByText('Enter a website address, e.g. http://192.168.1.1')
+    ).toBeInTheDocument()
+  })
+
+  it('lists equivalent domain groups and removes them', () => {
+    mockEquivalentDomainGroups = [['example.com', 'example.org']]
+    render(<AppPreferencesContent />)
+
+    expect(
+      screen.getByTestId('settings-equivalent-domains-group-0')
+    ).toHaveTextContent('example.com, example.org')
+
+    fireEvent.click(screen.getByTestId('settings-equivalent-domains-remove-0'))
+    expect(mockRemoveEquivalentDomainGroup).toHaveBeenCalledWith(0)
+  })
+
+  it('adds an equivalent domain group by registrable domain', () => {
+    render(<AppPreferencesContent />)
+
+    fireEvent.change(screen.getByTestId('settings-equivalent-domains-input'), {
+      target: { value: 'https://login.example.co.uk, example.com' }
+    })
+    fireEvent.click(screen.getByTestId('settings-equivalent-domains-add'))
+
+    expect(mockAddEquivalentDomainGroup).toHaveBeenCalledWith([
+      'example.co.uk',
+      'example.com'
+    ])
+  })
+
+  it('rejects an equivalent domain group with a single website', () => {
+    render(<AppPreferencesContent />)
+
+    fireEvent.change(screen.getByTestId('settings-equivalent-domains-input'), {
+      target: { value: 'example.com' }
+    })
+    fireEvent.click(screen.getByTestId('settings-equivalent-domains-add'))
+
+    expect(mockAddEquivalentDomainGroup).not.toHaveBeenCalled()
+    expect(
+      screen.getByText(
+        'Enter at least two websites, e.g. example.com, example.org'
+      )
+    ).toBeInTheDocument()
+  })
 })
@@ -29,12 +29,24 @@ import {
   getAutofillEnabled,
   setAutofillEnabled
 } from '../../../../../shared/utils/autofillSetting'
+import {
+  getAutoSubmitEnabled,
+  setAutoSubmitEnabled
+} from '../../../../../shared/utils/autoSubmitSetting'
 import { isPasswordChangeReminderDisabled } from '../../../../../shared/utils/isPasswordChangeReminderDisabled'
+import {
+  getOtpAutofillEnabled,
+  setOtpAutofillEnabled
+} from '../../../../../shared/utils/otpAutofillSetting'
 import { getPasskeyVerificationPreference } from '../../../../../shared/utils/passkeyVerificationPreference'
+import { EquivalentDomainsSection } from './EquivalentDomainsSection'
+import { SiteRulesSection } from './SiteRulesSection'
 
 const TEST_IDS = {
   root: 'settings-app-preferences',
   autofillToggle: 'settings-autofill-toggle',
+  otpAutofillToggle: 'settings-otp-autofill-toggle',
+  autoSubmitToggle: 'settings-auto-submit-toggle',
   allowHttpToggle: 'settings-allow-http-toggle',
   autoLockSelect: 'settings-auto-lock-select',
   autoLockOption: 'settings-auto-lock-option',
@@ -77,6 +89,8 @@ export const AppPreferencesContent = () => {
     isPasswordChangeReminderDisabled()
   )
   const [isAutofillEnabled, setIsAutofillEnabledState] = useState(true)
+  const [isOtpAutofillEnabled, setIsOtpAutofillEnabledState] = useState(false)
+  const [isAutoSubmitEnabled, setIsAutoSubmitEnabledState] = useState(false)
   const [passkeyVerification, setPasskeyVerification] = useState(() =>
     getPasskeyVerificationPreference()
   )
@@ -86,6 +100,12 @@ export const AppPreferencesContent = () => {
     getAutofillEnabled().then((enabled) => {
       if (alive) setIsAutofillEnabledState(enabled)
     })
+    getOtpAutofillEnabled().then((enabled) => {
+      if (alive) setIsOtpAutofillEnabledState(enabled)
+    })
+    getAutoSubmitEnabled().then((enabled) => {
+      if (alive) setIsAutoSubmitEnabledState(enabled)
+    })
     return () => {
       alive = false
     }
@@ -128,6 +148,32 @@ export const AppPreferencesContent = () => {
     [isAutofillEnabled]
   )
 
+  const handleOtpAutofillToggle = useCallback(
+    async (isOn: boolean) => {
+      const prev = isOtpAutofillEnabled
+      setIsOtpAutofillEnabledState(isOn)
+      try {
+        await setOtpAutofillEnabled(isOn)
+      } catch {
+        setIsOtpAutofillEnabledState(prev)
+      }
+    },
+    [isOtpAutofillEnabled]
+  )
+
+  const handleAutoSubmitToggle = useCallback(
+    async (isOn: boolean) => {
+      const prev = isAutoSubmitEnabled
+      setIsAutoSubmitEnabledState(isOn)
+      try {
+        await setAutoSubmitEnabled(isOn)
+      } catch {
+        setIsAutoSubmitEnabledState(prev)
+      }
+    },
+    [isAutoSubmitEnabled]
+  )
+
   const handlePasskeyVerificationChange = useCallback((value: string) => {
     try {
       localStorage.setItem(
@@ -204,6 +250,24 @@ export const AppPreferencesContent = () => {
               description={t`Automatically fill usernames, passwords, and codes when you sign in`}
             />
           </div>
+          <div className="border-border-primary border-t p-[12px]">
+            <ToggleSwitch
+              data-testid={TEST_IDS.otpAutofillToggle}
+              checked={isOtpAutofillEnabled}
+              onChange={handleOtpAutofillToggle}
+              label={t`Fill verification codes after sign in`}
+              description={t`Fill the authenticator code of the login you just used when the site asks for it`}
+            />
+          </div>
+          <div className="border-border-primary border-t p-[12px]">
+            <ToggleSwitch
+              data-testid={TEST_IDS.autoSubmitToggle}
+              checked={isAutoSubmitEnabled}
+              onChange={handleAutoSubmitToggle}
+              label={t`Sign in after autofill`}
+              description={t`Submit login forms right after filling them, unless the site shows a CAPTCHA or asks for a code`}
+            />
+          </div>
           <div className="border-border-primary border-t p-[12px]">
             <ToggleSwitch
               data-testid={TEST_IDS.allowHttpToggle}
@@ -216,6 +280,10 @@ export const AppPreferencesContent = () => {
         </div>
       </section>
 
+      <SiteRulesSection />
+
+      <EquivalentDomainsSection />
+
       <section className="flex flex-col gap-[12px]">
         <Text variant="caption" color={colors.colorTextSecondary}>
           {t`Passkey Preferences`}
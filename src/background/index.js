@@ -7,9 +7,10 @@ import {
 import { MESSAGES, ALARMS } from './constants'
 import { secureChannel } from './secureChannel'
 import * as CredentialGenerator from './utils/credentialGenerator'
+import { createPasskeyWindowTracker } from './utils/createPasskeyWindowTracker'
 import { validateSender } from './utils/validateSender'
 import { AUTH_ERROR_PATTERNS } from '../shared/constants/auth'
-import { CRYPTO_ALGORITHMS, ELLIPTIC_CURVES } from '../shared/constants/crypto'
+import { COSE_ALGORITHMS } from '../shared/constants/crypto'
 import {
   ERROR_CODES,
   CONTENT_MESSAGE_TYPES,
@@ -21,15 +22,51 @@ import {
   SECURE_MESSAGE_TYPES
 } from '../shared/services/messageBridge'
 import { arrayBufferToBase64Url } from '../shared/utils/arrayBufferToBase64Url'
-import { base64UrlToArrayBuffer } from '../shared/utils/base64UrlToArrayBuffer'
+import {
+  getRequestRpId,
+  isCredentialInAllowList
+} from '../shared/utils/isPasskeyRecordAllowed'
+import { isValidRpId } from '../shared/utils/isValidRpId'
 import { logger } from '../shared/utils/logger'
+import { getNextSignCount } from '../shared/utils/passkeySignCount'
 import { runtime } from '../shared/utils/runtime'
 
 const { SCHEDULE_CLIPBOARD_CLEAR, CLEAR_CLIPBOARD_NOW } = MESSAGES
 const { CLEAR_CLIPBOARD } = ALARMS
 
 const pending = new Map()
+// Expiry timer of each tab's pending login, restarted whenever the login is updated
+const pendingTimers = new Map()
+// Login record whose one-time code should be filled on the tab's next code field
+const pendingOtps = new Map()
+// Card and address submitted at checkout, kept until the next page offers to save them
+const pendingCheckouts = new Map()
+// Expiry timer of each tab's pending checkout, restarted whenever a frame adds to it
+const pendingCheckoutTimers = new Map()
 const conditionalPasskeyRequests = new Map()
+// Passkey popup window of each request, closed when the page cancels it. Closing
+// the window without answering cancels the request, so the page can reject it
+// instead of waiting for its timeout
+const passkeyRequestWindows = createPasskeyWindowTracker({
+  createWindow: (createData) => chrome.windows.create(createData),
+  removeWindow: (windowId) => {
+    chrome.windows.remove(windowId).catch(() => {})
+  },
+  onUnanswered: (requestId, { tabId, page }) => {
+    chrome.tabs
+      .sendMessage(tabId, {
+        type:
+          page === MESSAGE_TYPES.CREATE_PASSKEY
+            ? CONTENT_MESSAGE_TYPES.SAVED_PASSKEY
+            : CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
+        requestId,
+        credential: null
+      })
+      .catch(() => {})
+  }
+})
+// Frame that most recently focused an autofillable field, per tab
+const focusedFrames = new Map()
 
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -132,7 +169,9 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
   const sensitiveTypes = [
     ...Object.values(SECURE_MESSAGE_TYPES),
     MESSAGE_TYPES.READY_FOR_PASSKEY_PAYLOAD,
-    MESSAGE_TYPES.GET_ASSERTION_CREDENTIAL
+    MESSAGE_TYPES.GET_ASSERTION_CREDENTIAL,
+    MESSAGE_TYPES.AUTOFILL_ACTIVE_TAB,
+    MESSAGE_TYPES.PASSKEY_RESPONSE
   ]
 
   if (sensitiveTypes.includes(msg.type)) {
@@ -147,8 +186,15 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
     MESSAGE_TYPES.GET_PENDING_LOGIN,
     MESSAGE_TYPES.CREATE_PASSKEY,
     MESSAGE_TYPES.GET_PASSKEY,
+    MESSAGE_TYPES.CANCEL_PASSKEY,
     MESSAGE_TYPES.GET_CONDITIONAL_PASSKEY_REQUEST,
-    MESSAGE_TYPES.AUTHENTICATE_WITH_PASSKEY
+    MESSAGE_TYPES.AUTHENTICATE_WITH_PASSKEY,
+    MESSAGE_TYPES.FIELD_FOCUSED,
+    MESSAGE_TYPES.SET_PENDING_OTP,
+    MESSAGE_TYPES.GET_PENDING_OTP,
+    MESSAGE_TYPES.FILL_PAYMENT_FRAMES,
+    MESSAGE_TYPES.SET_PENDING_CHECKOUT,
+    MESSAGE_TYPES.GET_PENDING_CHECKOUT
   ]
 
   if (contentScriptTypes.includes(msg.type)) {
@@ -169,13 +215,48 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
       return
     }
 
+    case MESSAGE_TYPES.FIELD_FOCUSED: {
+      focusedFrames.set(sender.tab.id, sender.frameId ?? 0)
+      return
+    }
+
+    case MESSAGE_TYPES.SET_PENDING_OTP: {
+      handleSetPendingOtp({ msg, sender, sendResponse })
+      return
+    }
+
+    case MESSAGE_TYPES.GET_PENDING_OTP: {
+      handleGetPendingOtp({ msg, sender, sendResponse })
+      return
+    }
+
+    case MESSAGE_TYPES.SET_PENDING_CHECKOUT: {
+      handleSetPendingCheckout({ msg, sender })
+      return
+    }
+
+    case MESSAGE_TYPES.GET_PENDING_CHECKOUT: {
+      handleGetPendingCheckout({ sender, sendResponse })
+      return
+    }
+
+    case MESSAGE_TYPES.AUTOFILL_ACTIVE_TAB: {
+      handleAutofillActiveTab({ msg })
+      return
+    }
+
+    case MESSAGE_TYPES.FILL_PAYMENT_FRAMES: {
+      handleFillPaymentFrames({ msg, sender })
+      return
+    }
+
     case MESSAGE_TYPES.CREATE_PASSKEY: {
       const queryParams = new URLSearchParams({
         requestId: msg.requestId,
         tabId: sender.tab.id,
         page: msg.type,
         serializedPublicKey: JSON.stringify(msg.publicKey),
-        requestOrigin: msg.requestOrigin
+        requestOrigin: getSenderOrigin(sender)
       })
 
       openPasskeyWindow(queryParams)
@@ -261,7 +342,7 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
         conditionalPasskeyRequests.set(sender.tab.id, {
           requestId: msg.requestId,
           publicKey: msg.publicKey,
-          requestOrigin: msg.requestOrigin,
+          requestOrigin: getSenderOrigin(sender),
           timestamp: Date.now()
         })
         logger.log('Stored conditional UI passkey request for autofill')
@@ -274,13 +355,23 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
         tabId: sender.tab.id,
         page: msg.type,
         serializedPublicKey: JSON.stringify(msg.publicKey),
-        requestOrigin: msg.requestOrigin
+        requestOrigin: getSenderOrigin(sender)
       })
 
       openPasskeyWindow(queryParams)
       return true
     }
 
+    case MESSAGE_TYPES.CANCEL_PASSKEY: {
+      handleCancelPasskey({ msg, sender })
+      return
+    }
+
+    case MESSAGE_TYPES.PASSKEY_RESPONSE: {
+      handlePasskeyResponse({ msg, sendResponse })
+      return true
+    }
+
     case MESSAGE_TYPES.GET_CONDITIONAL_PASSKEY_REQUEST: {
       const request = conditionalPasskeyRequests.get(sender.tab.id) || null
       sendResponse({ request, tabId: sender.tab.id })
@@ -302,7 +393,7 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
         JSON.stringify(request.publicKey),
         credential
       )
-        .then((assertionCredential) => {
+        .then(({ assertionCredential, signCount, largeBlob }) => {
           chrome.tabs.sendMessage(parseInt(tabId), {
             type: CONTENT_MESSAGE_TYPES.GOT_PASSKEY,
             requestId: request.requestId,
@@ -311,7 +402,12 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
           conditionalPasskeyRequests.delete(tabId)
 
-          sendResponse({ success: true, credential: assertionCredential })
+          sendResponse({
+            success: true,
+            credential: assertionCredential,
+            signCount,
+            largeBlob
+          })
         })
         .catch((error) => {
           logger.error('Failed to get assertion credential:', error)
@@ -344,10 +440,12 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
         serializedPublicKey,
         savedCredential
       )
-        .then((assertionCredential) => {
+        .then(({ assertionCredential, signCount, largeBlob }) => {
           sendResponse({
             success: true,
-            assertionCredential
+            assertionCredential,
+            signCount,
+            largeBlob
           })
         })
         .catch((error) => {
@@ -532,8 +630,19 @@ runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 const createRegistrationCredential = async (options, requestOrigin) => {
   try {
-    const { rp, challenge: challengeB64Url } = options
-    const rpId = rp.id
+    const {
+      rp,
+      challenge: challengeB64Url,
+      pubKeyCredParams,
+      extensions
+    } = options
+    const { hostname } = new URL(requestOrigin)
+    // An omitted rp.id defaults to the host of the requesting page
+    const rpId = rp?.id || hostname
+
+    if (!isValidRpId(rpId, hostname)) {
+      throw new Error('The relying party ID is not valid for this origin')
+    }
 
     // Reconstruct clientDataJSON
     const clientDataJSON = CredentialGenerator.rebuildClientDataJSON(
@@ -542,8 +651,10 @@ const createRegistrationCredential = async (options, requestOrigin) => {
       'webauthn.create'
     )
 
-    // Generate keypair + credentialId
-    const keyPair = await CredentialGenerator.generateKeyPair()
+    // Generate keypair + credentialId, with the first algorithm the RP accepts
+    const algorithm =
+      CredentialGenerator.selectPublicKeyAlgorithm(pubKeyCredParams)
+    const keyPair = await CredentialGenerator.generateKeyPair(algorithm)
     const credentialId = CredentialGenerator.uuidv4()
     const credentialIdBytes = CredentialGenerator.uuidToBytes(credentialId)
     const credentialIdB64 = arrayBufferToBase64Url(credentialIdBytes.buffer)
@@ -552,7 +663,11 @@ const createRegistrationCredential = async (options, requestOrigin) => {
     const authData = await CredentialGenerator.buildAuthenticatorData(
       rpId,
       credentialIdBytes,
-      keyPair.publicKey
+      keyPair.publicKey,
+      false,
+      'preferred',
+      0,
+      algorithm
     )
 
     // Create attestationObjectBuffer
@@ -565,20 +680,25 @@ const createRegistrationCredential = async (options, requestOrigin) => {
       attestationObject: arrayBufferToBase64Url(attestationObjectBuffer),
       authenticatorData: arrayBufferToBase64Url(authData.buffer),
       publicKey: await CredentialGenerator.exportPublicKeyAsPem(
-        keyPair.publicKey
+        keyPair.publicKey,
+        algorithm
       ),
-      publicKeyAlgorithm: -7,
+      publicKeyAlgorithm: algorithm,
       transports: ['internal']
     }
 
-    // Export private key as raw binary PKCS#8 buffer and encode as Base64URL
-    const privateKeyBuffer = await crypto.subtle.exportKey(
-      'pkcs8',
-      keyPair.privateKey
+    // Export private key as PKCS#8 for every algorithm, encoded as Base64URL
+    const privateKeyBufferB64 = await CredentialGenerator.exportPrivateKeyAsPem(
+      keyPair.privateKey,
+      algorithm
     )
-    const privateKeyBufferB64 = arrayBufferToBase64Url(privateKeyBuffer)
     // Save user ID buffer as Base64URL string
     const userIdBase64 = options.user.id
+    // Secret behind the prf extension, kept for every passkey so sites can
+    // start using it after registration
+    const prfSeedB64 = arrayBufferToBase64Url(
+      crypto.getRandomValues(new Uint8Array(32)).buffer
+    )
 
     return {
       id: credentialIdB64,
@@ -587,13 +707,16 @@ const createRegistrationCredential = async (options, requestOrigin) => {
       response,
       authenticatorAttachment:
         options.authenticatorSelection?.authenticatorAttachment || 'platform',
-      clientExtensionResults: {
-        credProps: {
-          rk: options.authenticatorSelection?.residentKey === 'required'
-        }
-      },
+      clientExtensionResults:
+        await CredentialGenerator.buildRegistrationExtensionResults(
+          extensions,
+          prfSeedB64
+        ),
+      // Kept to match the passkey against later requests of the same relying party
+      rpId,
       _privateKeyBuffer: privateKeyBufferB64,
-      _userId: userIdBase64
+      _userId: userIdBase64,
+      _prfSeed: prfSeedB64
     }
   } catch (error) {
     throw new Error(`Could not create credential from public key: ${error}`)
@@ -627,18 +750,26 @@ const sendPasskeyPayload = async (
 }
 
 const handleLoginMessage = ({ msg, sender }) => {
+  const tabId = sender.tab.id
+
   if (!msg.data.username && msg.data.password) {
-    pending.set(sender.tab.id, {
-      ...pending.get(sender.tab.id),
-      password: msg.data.password
+    pending.set(tabId, {
+      ...pending.get(tabId),
+      password: msg.data.password,
+      previousPassword: msg.data.previousPassword
     })
   } else {
-    pending.set(sender.tab.id, msg.data)
+    pending.set(tabId, msg.data)
   }
 
-  setTimeout(() => {
-    clearPending(sender.tab.id)
-  }, 1000 * 30)
+  // Every update restarts the expiry, so an earlier step cannot drop a later one
+  clearTimeout(pendingTimers.get(tabId))
+  pendingTimers.set(
+    tabId,
+    setTimeout(() => {
+      clearPending(tabId)
+    }, 1000 * 30)
+  )
 }
 
 const handleGetPendingLogin = ({ msg, sender, sendResponse }) => {
@@ -654,25 +785,211 @@ const handleGetPendingLogin = ({ msg, sender, sendResponse }) => {
 }
 
 const clearPending = (tabId) => {
+  clearTimeout(pendingTimers.get(tabId))
+  pendingTimers.delete(tabId)
+
   if (pending.has(tabId)) {
     pending.delete(tabId)
   }
 }
 
+const handleSetPendingOtp = ({ msg, sender, sendResponse }) => {
+  const tabId = sender.tab.id
+  const pendingOtp = {
+    recordId: msg.recordId,
+    expiresAt: Date.now() + 1000 * 120
+  }
+
+  pendingOtps.set(tabId, pendingOtp)
+
+  setTimeout(() => {
+    // A later fill on the same tab keeps its own code pending
+    if (pendingOtps.get(tabId) === pendingOtp) {
+      pendingOtps.delete(tabId)
+    }
+  }, 1000 * 120)
+
+  sendResponse({
+    type: 'pendingOtp',
+    data: { expiresAt: pendingOtp.expiresAt }
+  })
+}
+
+// With `keep`, a page only asks whether to look for a code field
+const handleGetPendingOtp = ({ msg, sender, sendResponse }) => {
+  const data = pendingOtps.get(sender.tab.id) || null
+
+  sendResponse({ type: 'pendingOtp', data })
+
+  if (!msg.keep) {
+    pendingOtps.delete(sender.tab.id)
+  }
+}
+
+// Frames of one checkout report separately, so a card from a subframe joins the address
+const handleSetPendingCheckout = ({ msg, sender }) => {
+  const tabId = sender.tab.id
+  const previous = pendingCheckouts.get(tabId)
+
+  pendingCheckouts.set(tabId, {
+    creditCard: msg.data.creditCard ?? previous?.creditCard ?? null,
+    identity: msg.data.identity ?? previous?.identity ?? null,
+    url: msg.data.url ?? previous?.url ?? null
+  })
+
+  // Every report restarts the expiry, so the first frame's cannot drop the rest
+  clearTimeout(pendingCheckoutTimers.get(tabId))
+  pendingCheckoutTimers.set(
+    tabId,
+    setTimeout(() => {
+      clearPendingCheckout(tabId)
+    }, 1000 * 30)
+  )
+}
+
+const handleGetPendingCheckout = ({ sender, sendResponse }) => {
+  const data = pendingCheckouts.get(sender.tab.id) || null
+
+  sendResponse({ type: 'pendingCheckout', data })
+  clearPendingCheckout(sender.tab.id)
+}
+
+const clearPendingCheckout = (tabId) => {
+  clearTimeout(pendingCheckoutTimers.get(tabId))
+  pendingCheckoutTimers.delete(tabId)
+  pendingCheckouts.delete(tabId)
+}
+
+const handleAutofillActiveTab = ({ msg }) => {
+  const {
+    tabId,
+    tabUrl,
+    recordType,
+    data,
+    websites,
+    websiteMatchModes,
+    websitePatterns
+  } = msg
+  const frameId = focusedFrames.get(tabId) ?? 0
+
+  const message = {
+    type: CONTENT_MESSAGE_TYPES.AUTOFILL_FROM_ACTION,
+    recordType,
+    data,
+    websites,
+    websiteMatchModes,
+    websitePatterns,
+    approvedTopOrigin: getOrigin(tabUrl)
+  }
+
+  chrome.tabs.sendMessage(tabId, message, { frameId }).catch((error) => {
+    logger.error('Failed to autofill focused frame:', error)
+
+    // The frame may have navigated away since it reported focus
+    if (frameId !== 0) {
+      focusedFrames.delete(tabId)
+      void chrome.tabs.sendMessage(tabId, message, { frameId: 0 })
+    }
+  })
+}
+
+/**
+ * Hands a filled card to every frame of the tab, so that the hosted fields of
+ * payment providers (one cross-origin frame per field) can fill themselves.
+ * Each frame checks that it belongs to a provider and sits in the approved page.
+ */
+const handleFillPaymentFrames = ({ msg, sender }) => {
+  // The tab URL comes from the browser, so a frame cannot claim another page
+  const approvedTopOrigin = getOrigin(sender.tab.url)
+
+  if (!approvedTopOrigin) {
+    return
+  }
+
+  chrome.tabs
+    .sendMessage(sender.tab.id, {
+      type: CONTENT_MESSAGE_TYPES.AUTOFILL_PAYMENT_FRAMES,
+      data: msg.data,
+      approvedTopOrigin
+    })
+    .catch((error) => {
+      logger.error('Failed to autofill payment frames:', error)
+    })
+}
+
+/**
+ * @param {string | undefined} url
+ * @returns {string | null}
+ */
+const getOrigin = (url) => {
+  try {
+    return new URL(url).origin
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Origin of the frame that sent a message, as the browser reports it. Passkey
+ * requests take their origin from here rather than from the page.
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {string | null}
+ */
+const getSenderOrigin = (sender) =>
+  sender.origin ?? getOrigin(sender.url ?? sender.tab?.url)
+
 const openPasskeyWindow = (queryParams = new URLSearchParams()) => {
   // Get the page type from queryParams to determine the route
   const page = queryParams.get('page')
 
-  chrome.windows.create({
-    focused: true,
-    height:
-      passkeyWindowSize.height ??
-      passkeyWindowSize.initialHeight ??
-      passkeyWindowSize.minHeight,
-    width: passkeyWindowSize.width,
-    url: runtime.getURL(`index.html#/${page}?${queryParams.toString()}`),
-    type: 'popup'
-  })
+  passkeyRequestWindows
+    .open(
+      {
+        requestId: queryParams.get('requestId'),
+        tabId: Number(queryParams.get('tabId')),
+        page
+      },
+      {
+        focused: true,
+        height:
+          passkeyWindowSize.height ??
+          passkeyWindowSize.initialHeight ??
+          passkeyWindowSize.minHeight,
+        width: passkeyWindowSize.width,
+        url: runtime.getURL(`index.html#/${page}?${queryParams.toString()}`),
+        type: 'popup'
+      }
+    )
+    .catch((error) => {
+      logger.error('Failed to open passkey window:', error)
+    })
+}
+
+const handleCancelPasskey = ({ msg, sender }) => {
+  const tabId = sender.tab.id
+
+  passkeyRequestWindows.cancel(msg.requestId, tabId)
+
+  if (conditionalPasskeyRequests.get(tabId)?.requestId === msg.requestId) {
+    conditionalPasskeyRequests.delete(tabId)
+  }
+}
+
+// Popups answer passkey requests through here, so the request's window is no
+// longer tracked by the time it closes
+const handlePasskeyResponse = ({ msg, sendResponse }) => {
+  const { tabId, response } = msg
+
+  passkeyRequestWindows.answer(response.requestId, tabId)
+
+  chrome.tabs
+    .sendMessage(tabId, response)
+    .catch((error) => {
+      logger.error('Failed to send passkey response:', error)
+    })
+    .finally(() => {
+      sendResponse({ success: true })
+    })
 }
 
 const handlePasskeyCreated = ({ msg }) => {
@@ -691,7 +1008,22 @@ const getAssertionCredential = async (
   savedCredential
 ) => {
   const publicKey = JSON.parse(serializedPublicKey)
-  const { challenge: challengeB64, rpId, userVerification } = publicKey
+  const {
+    challenge: challengeB64,
+    userVerification,
+    extensions,
+    allowCredentials
+  } = publicKey
+  const rpId = getRequestRpId(publicKey, requestOrigin)
+
+  // The popup filters the choices too, but never sign for another relying party
+  if (
+    !isValidRpId(rpId, new URL(requestOrigin).hostname) ||
+    (savedCredential.rpId && savedCredential.rpId !== rpId) ||
+    !isCredentialInAllowList(savedCredential, publicKey)
+  ) {
+    throw new Error('The passkey is not allowed for this request')
+  }
 
   // Rebuild the clientDataJSON for "webauthn.get"
   const clientDataJSON = CredentialGenerator.rebuildClientDataJSON(
@@ -700,37 +1032,43 @@ const getAssertionCredential = async (
     'webauthn.get'
   )
 
+  // The popup stores the counter and any written blob on the record once the
+  // assertion is sent
+  const signCount = getNextSignCount(savedCredential)
+
   // Build the authenticator data blob for assertion (simple 37-byte format)
   const authData = await CredentialGenerator.buildAuthenticatorData(
     rpId,
     null,
     null,
     true,
-    userVerification || 'preferred'
+    userVerification || 'preferred',
+    signCount
   )
 
   // Sign the assertion over authenticatorData and clientDataJSON
-  // Decode the binary buffer private key and import it
-  const privateKeyBuffer = base64UrlToArrayBuffer(
-    savedCredential._privateKeyBuffer
-  )
-  const privateKeyFromBuffer = await crypto.subtle.importKey(
-    'pkcs8',
-    privateKeyBuffer,
-    {
-      name: CRYPTO_ALGORITHMS.ECDSA,
-      namedCurve: ELLIPTIC_CURVES.P_256
-    },
-    false,
-    ['sign']
+  // Passkeys saved before other algorithms were supported are all ES256
+  const algorithm =
+    savedCredential.response?.publicKeyAlgorithm ?? COSE_ALGORITHMS.ES256
+  const privateKey = await CredentialGenerator.importPrivateKeyFromPem(
+    savedCredential._privateKeyBuffer,
+    algorithm
   )
 
   const signature = await CredentialGenerator.signAssertion(
-    privateKeyFromBuffer,
+    privateKey,
     authData.buffer,
-    clientDataJSON
+    clientDataJSON,
+    algorithm
   )
 
+  const { clientExtensionResults, largeBlob } =
+    await CredentialGenerator.buildAssertionExtensionResults(
+      extensions,
+      savedCredential,
+      allowCredentials
+    )
+
   // Build the final credential response
   const response = {
     clientDataJSON: arrayBufferToBase64Url(clientDataJSON),
@@ -741,17 +1079,29 @@ const getAssertionCredential = async (
   }
 
   return {
-    id: savedCredential.id,
-    rawId: savedCredential.rawId,
-    type: 'public-key',
-    response,
-    // Match the authenticatorAttachment & transports with the saved credential
-    authenticatorAttachment: savedCredential.authenticatorAttachment,
-    clientExtensionResults: savedCredential.clientExtensionResults
+    assertionCredential: {
+      id: savedCredential.id,
+      rawId: savedCredential.rawId,
+      type: 'public-key',
+      response,
+      // Match the authenticatorAttachment & transports with the saved credential
+      authenticatorAttachment: savedCredential.authenticatorAttachment,
+      clientExtensionResults
+    },
+    signCount,
+    largeBlob
   }
 }
 
+chrome.windows.onRemoved.addListener((windowId) => {
+  passkeyRequestWindows.handleWindowRemoved(windowId)
+})
+
 chrome.tabs.onRemoved.addListener((tabId) => {
+  focusedFrames.delete(tabId)
+  pendingOtps.delete(tabId)
+  clearPendingCheckout(tabId)
+
   if (conditionalPasskeyRequests.has(tabId)) {
     conditionalPasskeyRequests.delete(tabId)
     logger.log(`Cleaned up conditional passkey request for closed tab ${tabId}`)
@@ -759,6 +1109,10 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 })
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    focusedFrames.delete(tabId)
+  }
+
   if (changeInfo.url && conditionalPasskeyRequests.has(tabId)) {
     conditionalPasskeyRequests.delete(tabId)
     logger.log(
@@ -0,0 +1,99 @@
+/**
+ * Tracks the popup window of each passkey request. Cancelling a request closes
+ * its window, and closing a window before the request was answered reports it
+ * as unanswered, so the page can reject it instead of waiting for its timeout.
+ *
+ * @param {Object} options
+ * @param {(createData: Object) => Promise<{ id: number }>} options.createWindow
+ * @param {(windowId: number) => void} options.removeWindow
+ * @param {(requestId: string, request: { tabId: number, page: string }) => void} options.onUnanswered
+ */
+export const createPasskeyWindowTracker = ({
+  createWindow,
+  removeWindow,
+  onUnanswered
+}) => {
+  /**
+   * @type {Map<string, { tabId: number, page: string, windowId: number | null }>}
+   */
+  const requests = new Map()
+
+  /**
+   * Opens the window of a request. The request is tracked before the window
+   * exists, so a cancel or answer that arrives meanwhile is not lost.
+   *
+   * @param {{ requestId: string, tabId: number, page: string }} request
+   * @param {Object} createData - Passed to `createWindow`
+   * @returns {Promise<void>}
+   */
+  const open = async ({ requestId, tabId, page }, createData) => {
+    const request = { tabId, page, windowId: null }
+
+    requests.set(requestId, request)
+
+    let passkeyWindow
+    try {
+      passkeyWindow = await createWindow(createData)
+    } catch (error) {
+      if (requests.get(requestId) === request) {
+        requests.delete(requestId)
+      }
+      throw error
+    }
+
+    if (requests.get(requestId) === request) {
+      request.windowId = passkeyWindow.id
+      return
+    }
+
+    // Settled while the window was opening
+    removeWindow(passkeyWindow.id)
+  }
+
+  /**
+   * Stops tracking a request its page cancelled and closes its window.
+   *
+   * @param {string} requestId
+   * @param {number} tabId - Tab that sent the cancel
+   */
+  const cancel = (requestId, tabId) => {
+    const request = requests.get(requestId)
+
+    if (request?.tabId !== tabId) {
+      return
+    }
+
+    requests.delete(requestId)
+
+    if (request.windowId !== null) {
+      removeWindow(request.windowId)
+    }
+  }
+
+  /**
+   * Stops tracking a request once its window answered it, so that closing the
+   * window afterwards does not answer it again.
+   *
+   * @param {string} requestId
+   * @param {number} tabId - Tab the answer is sent to
+   */
+  const answer = (requestId, tabId) => {
+    if (requests.get(requestId)?.tabId === tabId) {
+      requests.delete(requestId)
+    }
+  }
+
+  /**
+   * @param {number} windowId - Window the browser reports as closed
+   */
+  const handleWindowRemoved = (windowId) => {
+    for (const [requestId, request] of requests) {
+      if (request.windowId !== windowId) continue
+
+      requests.delete(requestId)
+      onUnanswered(requestId, { tabId: request.tabId, page: request.page })
+    }
+  }
+
+  return { open, cancel, answer, handleWindowRemoved }
+}
@@ -0,0 +1,100 @@
+import { createPasskeyWindowTracker } from './createPasskeyWindowTracker'
+
+describe('createPasskeyWindowTracker', () => {
+  const request = { requestId: 'request-1', tabId: 7, page: 'createPasskey' }
+
+  const setup = () => {
+    let resolveWindow
+    const createWindow = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          resolveWindow = resolve
+        })
+    )
+    const removeWindow = jest.fn()
+    const onUnanswered = jest.fn()
+    const tracker = createPasskeyWindowTracker({
+      createWindow,
+      removeWindow,
+      onUnanswered
+    })
+
+    return {
+      tracker,
+      createWindow,
+      removeWindow,
+      onUnanswered,
+      resolveWindow: (id) => resolveWindow({ id })
+    }
+  }
+
+  it('should report a window closed without an answer', async () => {
+    const { tracker, onUnanswered, resolveWindow } = setup()
+
+    const opening = tracker.open(request, { url: 'popup.html' })
+    resolveWindow(42)
+    await opening
+    tracker.handleWindowRemoved(42)
+
+    expect(onUnanswered).toHaveBeenCalledWith('request-1', {
+      tabId: 7,
+      page: 'createPasskey'
+    })
+  })
+
+  it('should close the window of a cancelled request', async () => {
+    const { tracker, removeWindow, onUnanswered, resolveWindow } = setup()
+
+    const opening = tracker.open(request, {})
+    resolveWindow(42)
+    await opening
+    tracker.cancel('request-1', 7)
+    tracker.handleWindowRemoved(42)
+
+    expect(removeWindow).toHaveBeenCalledWith(42)
+    expect(onUnanswered).not.toHaveBeenCalled()
+  })
+
+  it('should close the window of a request cancelled while it opened', async () => {
+    const { tracker, removeWindow, onUnanswered, resolveWindow } = setup()
+
+    const opening = tracker.open(request, {})
+    tracker.cancel('request-1', 7)
+
+    expect(removeWindow).not.toHaveBeenCalled()
+
+    resolveWindow(42)
+    await opening
+    tracker.handleWindowRemoved(42)
+
+    expect(removeWindow).toHaveBeenCalledWith(42)
+    expect(onUnanswered).not.toHaveBeenCalled()
+  })
+
+  it('should not answer again when the window closes after answering', async () => {
+    const { tracker, removeWindow, onUnanswered, resolveWindow } = setup()
+
+    const opening = tracker.open(request, {})
+    resolveWindow(42)
+    await opening
+    tracker.answer('request-1', 7)
+    tracker.handleWindowRemoved(42)
+
+    expect(removeWindow).not.toHaveBeenCalled()
+    expect(onUnanswered).not.toHaveBeenCalled()
+  })
+
+  it('should ignore a cancel or answer from another tab', async () => {
+    const { tracker, removeWindow, onUnanswered, resolveWindow } = setup()
+
+    const opening = tracker.open(request, {})
+    resolveWindow(42)
+    await opening
+    tracker.cancel('request-1', 8)
+    tracker.answer('request-1', 8)
+    tracker.handleWindowRemoved(42)
+
+    expect(removeWindow).not.toHaveBeenCalled()
+    expect(onUnanswered).toHaveBeenCalledTimes(1)
+  })
+})
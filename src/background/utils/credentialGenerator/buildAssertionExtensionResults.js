@@ -0,0 +1,47 @@
+import { evaluatePrf } from './evaluatePrf'
+
+/**
+ * Build the client extension results of an assertion.
+ * @param {Object} [extensions] `publicKey.extensions` of the request, with Base64URL buffers
+ * @param {Object} savedCredential Credential stored on the login record
+ * @param {Object[]} [allowCredentials] Credentials allowed by the request
+ * @returns {Promise<{clientExtensionResults: Object, largeBlob?: string}>}
+ * The results, and the blob to store on the credential when the request writes one
+ */
+export const buildAssertionExtensionResults = async (
+  extensions = {},
+  savedCredential,
+  allowCredentials
+) => {
+  const clientExtensionResults = {}
+  let largeBlob
+
+  const prfValues =
+    extensions.prf?.evalByCredential?.[savedCredential.id] ??
+    extensions.prf?.eval
+
+  if (prfValues?.first && savedCredential._prfSeed) {
+    clientExtensionResults.prf = {
+      results: await evaluatePrf(savedCredential._prfSeed, prfValues)
+    }
+  }
+
+  if (extensions.largeBlob?.read) {
+    clientExtensionResults.largeBlob = savedCredential._largeBlob
+      ? { blob: savedCredential._largeBlob }
+      : {}
+  } else if (extensions.largeBlob?.write) {
+    // A blob can only be written to a credential the request names alone
+    const isSingleCredential =
+      allowCredentials?.length === 1 &&
+      allowCredentials[0].id === savedCredential.id
+
+    clientExtensionResults.largeBlob = { written: isSingleCredential }
+
+    if (isSingleCredential) {
+      largeBlob = extensions.largeBlob.write
+    }
+  }
+
+  return { clientExtensionResults, largeBlob }
+}
@@ -0,0 +1,110 @@
+import { buildAssertionExtensionResults } from './buildAssertionExtensionResults'
+import { evaluatePrf } from './evaluatePrf'
+
+jest.mock('./evaluatePrf', () => ({
+  evaluatePrf: jest.fn()
+}))
+
+describe('buildAssertionExtensionResults', () => {
+  const savedCredential = {
+    id: 'credential-1',
+    _prfSeed: 'seed',
+    _largeBlob: 'c3RvcmVk'
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    evaluatePrf.mockResolvedValue({ first: 'output' })
+  })
+
+  it('should return no results when no extension is requested', async () => {
+    expect(
+      await buildAssertionExtensionResults(undefined, savedCredential)
+    ).toEqual({ clientExtensionResults: {}, largeBlob: undefined })
+  })
+
+  it('should evaluate prf inputs', async () => {
+    const { clientExtensionResults } = await buildAssertionExtensionResults(
+      { prf: { eval: { first: 'input' } } },
+      savedCredential
+    )
+
+    expect(evaluatePrf).toHaveBeenCalledWith('seed', { first: 'input' })
+    expect(clientExtensionResults).toEqual({
+      prf: { results: { first: 'output' } }
+    })
+  })
+
+  it('should prefer the inputs given for the credential', async () => {
+    await buildAssertionExtensionResults(
+      {
+        prf: {
+          eval: { first: 'input' },
+          evalByCredential: { 'credential-1': { first: 'credential-input' } }
+        }
+      },
+      savedCredential
+    )
+
+    expect(evaluatePrf).toHaveBeenCalledWith('seed', {
+      first: 'credential-input'
+    })
+  })
+
+  it('should skip prf for credentials without a seed', async () => {
+    const { clientExtensionResults } = await buildAssertionExtensionResults(
+      { prf: { eval: { first: 'input' } } },
+      { id: 'credential-1' }
+    )
+
+    expect(evaluatePrf).not.toHaveBeenCalled()
+    expect(clientExtensionResults).toEqual({})
+  })
+
+  it('should read the stored blob', async () => {
+    expect(
+      await buildAssertionExtensionResults(
+        { largeBlob: { read: true } },
+        savedCredential
+      )
+    ).toEqual({
+      clientExtensionResults: { largeBlob: { blob: 'c3RvcmVk' } },
+      largeBlob: undefined
+    })
+
+    expect(
+      await buildAssertionExtensionResults(
+        { largeBlob: { read: true } },
+        { id: 'credential-1' }
+      )
+    ).toEqual({
+      clientExtensionResults: { largeBlob: {} },
+      largeBlob: undefined
+    })
+  })
+
+  it('should write a blob to the only allowed credential', async () => {
+    expect(
+      await buildAssertionExtensionResults(
+        { largeBlob: { write: 'bmV3' } },
+        savedCredential,
+        [{ type: 'public-key', id: 'credential-1' }]
+      )
+    ).toEqual({
+      clientExtensionResults: { largeBlob: { written: true } },
+      largeBlob: 'bmV3'
+    })
+  })
+
+  it('should not write a blob without a single allowed credential', async () => {
+    expect(
+      await buildAssertionExtensionResults(
+        { largeBlob: { write: 'bmV3' } },
+        savedCredential
+      )
+    ).toEqual({
+      clientExtensionResults: { largeBlob: { written: false } },
+      largeBlob: undefined
+    })
+  })
+})
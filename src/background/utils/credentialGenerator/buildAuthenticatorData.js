@@ -1,15 +1,18 @@
-import { encodeBytes } from './encodeBytes'
-import { encodeUInt } from './encodeUInt'
-import { startMap } from './startMap'
-import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
+import { encodeCosePublicKey } from './encodeCosePublicKey'
+import {
+  COSE_ALGORITHMS,
+  CRYPTO_ALGORITHMS
+} from '../../../shared/constants/crypto'
 
 /**
  * Construct authenticatorData for "none" attestation or for assertions.
  * @param {string} rpId Relying party ID
  * @param {ArrayBuffer} credentialId Credential identifier (only needed for attestation)
- * @param {CryptoKey} publicKey ECDSA P-256 public key (only needed for attestation)
+ * @param {CryptoKey|Uint8Array} publicKey Credential public key, raw bytes for EdDSA (only needed for attestation)
  * @param {boolean} isAssertion Whether this is for assertion (auth) vs attestation (registration)
  * @param {string} userVerification 'discouraged', 'preferred', or 'required' (only for assertions)
+ * @param {number} signCount Signature counter, an unsigned 32-bit integer
+ * @param {number} algorithm COSE algorithm of the public key (only needed for attestation)
  * @returns {Promise<Uint8Array>} Authenticator data bytes
  */
 export const buildAuthenticatorData = async (
@@ -17,7 +20,9 @@ export const buildAuthenticatorData = async (
   credentialId,
   publicKey,
   isAssertion = false,
-  userVerification = 'preferred'
+  userVerification = 'preferred',
+  signCount = 0,
+  algorithm = COSE_ALGORITHMS.ES256
 ) => {
   // 1) rpIdHash = SHA256(rpId)
   const rpIdUtf8 = new TextEncoder().encode(rpId)
@@ -62,14 +67,15 @@ export const buildAuthenticatorData = async (
   }
 
   // 3) signCount: 4 bytes, big‐endian
-  const signCount = new Uint8Array([0x00, 0x00, 0x00, 0x00])
+  const signCountBytes = new Uint8Array(4)
+  new DataView(signCountBytes.buffer).setUint32(0, signCount >>> 0)
 
   // For assertions, we only need rpIdHash + flags + signCount (37 bytes)
   if (isAssertion) {
     const authData = new Uint8Array(37)
     authData.set(rpIdHash, 0)
     authData.set(flags, 32)
-    authData.set(signCount, 33)
+    authData.set(signCountBytes, 33)
     return authData
   }
 
@@ -86,30 +92,7 @@ export const buildAuthenticatorData = async (
   //   c) credId: the random ID in Uint8Array we already passed in
 
   //   d) cosePublicKey: CBOR‐encoded COSE Key for our publicKey
-  const rawPubKey = new Uint8Array(
-    await crypto.subtle.exportKey('raw', publicKey)
-  )
-  // rawPubKey[0] is 0x04, next 32 bytes is X, next 32 bytes is Y.
-  const xCoord = rawPubKey.slice(1, 33)
-  const yCoord = rawPubKey.slice(33, 65)
-
-  // CBOR‐encoded COSE key as a map of 5 elements
-  //   header (map of 5 pairs): 0xa5
-  //   keys: integers 1, 3, -1, -2, -3
-  //   values: integers 2, -7, 1, X, Y
-  const coseKey = new Uint8Array([
-    ...startMap(5),
-    0x01,
-    ...encodeUInt(2), // kty=EC2
-    0x03,
-    0x26, // alg=-7
-    0x20,
-    ...encodeUInt(1), // crv=P-256
-    0x21,
-    ...encodeBytes(xCoord),
-    0x22,
-    ...encodeBytes(yCoord)
-  ])
+  const coseKey = await encodeCosePublicKey(publicKey, algorithm)
 
   // Assemble authData:
   //   authData = [
@@ -124,7 +107,7 @@ export const buildAuthenticatorData = async (
   const parts = [
     rpIdHash,
     flags,
-    signCount,
+    signCountBytes,
     aaguid,
     credIdLen,
     new Uint8Array(credentialId),
@@ -69,4 +69,18 @@ describe('buildAuthenticatorData', () => {
 
     expect(authData[60]).toBe(0x01)
   })
+
+  test('encodes the signature counter of assertions big-endian', async () => {
+    const authData = await buildAuthenticatorData(
+      rpId,
+      null,
+      null,
+      true,
+      'preferred',
+      0x01020304
+    )
+
+    expect(authData.byteLength).toBe(37)
+    expect(Array.from(authData.slice(33, 37))).toEqual([1, 2, 3, 4])
+  })
 })
@@ -0,0 +1,33 @@
+import { evaluatePrf } from './evaluatePrf'
+
+/**
+ * Build the client extension results of a new passkey.
+ * @param {Object} [extensions] `publicKey.extensions` of the request, with Base64URL buffers
+ * @param {string} prfSeed Per-credential PRF secret (Base64URL)
+ * @returns {Promise<Object>} Client extension results, with Base64URL buffers
+ */
+export const buildRegistrationExtensionResults = async (
+  extensions = {},
+  prfSeed
+) => {
+  const results = {}
+
+  if (extensions.credProps) {
+    // Every passkey is stored in the vault and can be chosen without an allow list
+    results.credProps = { rk: true }
+  }
+
+  if (extensions.prf) {
+    results.prf = { enabled: true }
+
+    if (extensions.prf.eval?.first) {
+      results.prf.results = await evaluatePrf(prfSeed, extensions.prf.eval)
+    }
+  }
+
+  if (extensions.largeBlob) {
+    results.largeBlob = { supported: true }
+  }
+
+  return results
+}
@@ -0,0 +1,55 @@
+import { buildRegistrationExtensionResults } from './buildRegistrationExtensionResults'
+import { evaluatePrf } from './evaluatePrf'
+
+jest.mock('./evaluatePrf', () => ({
+  evaluatePrf: jest.fn()
+}))
+
+describe('buildRegistrationExtensionResults', () => {
+  const prfSeed = 'seed'
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    evaluatePrf.mockResolvedValue({ first: 'output' })
+  })
+
+  it('should return no results when no extension is requested', async () => {
+    expect(await buildRegistrationExtensionResults(undefined, prfSeed)).toEqual(
+      {}
+    )
+  })
+
+  it('should report passkeys as discoverable', async () => {
+    expect(
+      await buildRegistrationExtensionResults({ credProps: true }, prfSeed)
+    ).toEqual({ credProps: { rk: true } })
+  })
+
+  it('should enable prf without evaluating when no input is given', async () => {
+    expect(
+      await buildRegistrationExtensionResults({ prf: {} }, prfSeed)
+    ).toEqual({ prf: { enabled: true } })
+    expect(evaluatePrf).not.toHaveBeenCalled()
+  })
+
+  it('should evaluate prf inputs given at creation', async () => {
+    const results = await buildRegistrationExtensionResults(
+      { prf: { eval: { first: 'input' } } },
+      prfSeed
+    )
+
+    expect(evaluatePrf).toHaveBeenCalledWith(prfSeed, { first: 'input' })
+    expect(results).toEqual({
+      prf: { enabled: true, results: { first: 'output' } }
+    })
+  })
+
+  it('should report largeBlob support', async () => {
+    expect(
+      await buildRegistrationExtensionResults(
+        { largeBlob: { support: 'required' } },
+        prfSeed
+      )
+    ).toEqual({ largeBlob: { supported: true } })
+  })
+})
@@ -0,0 +1,58 @@
+// Fixed DER headers of Ed25519 keys (RFC 8410), followed by the 32 raw bytes
+const SPKI_PREFIX = Uint8Array.from([
+  0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00
+])
+const PKCS8_PREFIX = Uint8Array.from([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04,
+  0x22, 0x04, 0x20
+])
+const KEY_LENGTH = 32
+
+const wrapKey = (prefix, key) => {
+  const der = new Uint8Array(prefix.length + KEY_LENGTH)
+  der.set(prefix, 0)
+  der.set(key, prefix.length)
+  return der
+}
+
+const unwrapKey = (prefix, der) => {
+  const bytes = new Uint8Array(der)
+  const hasPrefix = prefix.every((byte, index) => bytes[index] === byte)
+
+  if (!hasPrefix || bytes.length !== prefix.length + KEY_LENGTH) {
+    throw new Error('Invalid Ed25519 key encoding')
+  }
+
+  return bytes.slice(prefix.length)
+}
+
+/**
+ * Wrap a raw Ed25519 public key in an SPKI structure.
+ * @param {Uint8Array} publicKey 32-byte public key
+ * @returns {Uint8Array} DER-encoded SPKI
+ */
+export const encodeEd25519Spki = (publicKey) => wrapKey(SPKI_PREFIX, publicKey)
+
+/**
+ * Read the raw Ed25519 public key from an SPKI structure.
+ * @param {ArrayBuffer|Uint8Array} spki DER-encoded SPKI
+ * @returns {Uint8Array} 32-byte public key
+ * @throws {Error} If the bytes are not an Ed25519 SPKI
+ */
+export const decodeEd25519Spki = (spki) => unwrapKey(SPKI_PREFIX, spki)
+
+/**
+ * Wrap a raw Ed25519 private key in a PKCS#8 structure.
+ * @param {Uint8Array} privateKey 32-byte private key
+ * @returns {Uint8Array} DER-encoded PKCS#8
+ */
+export const encodeEd25519Pkcs8 = (privateKey) =>
+  wrapKey(PKCS8_PREFIX, privateKey)
+
+/**
+ * Read the raw Ed25519 private key from a PKCS#8 structure.
+ * @param {ArrayBuffer|Uint8Array} pkcs8 DER-encoded PKCS#8
+ * @returns {Uint8Array} 32-byte private key
+ * @throws {Error} If the bytes are not an Ed25519 PKCS#8
+ */
+export const decodeEd25519Pkcs8 = (pkcs8) => unwrapKey(PKCS8_PREFIX, pkcs8)
@@ -0,0 +1,53 @@
+import {
+  decodeEd25519Pkcs8,
+  decodeEd25519Spki,
+  encodeEd25519Pkcs8,
+  encodeEd25519Spki
+} from './ed25519KeyEncoding'
+
+const hexToBytes = (hex) =>
+  Uint8Array.from(hex.match(/../g).map((byte) => parseInt(byte, 16)))
+
+// RFC 8032, section 7.1, test 1
+const PRIVATE_KEY = hexToBytes(
+  '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60'
+)
+const PUBLIC_KEY = hexToBytes(
+  'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+)
+
+describe('ed25519KeyEncoding', () => {
+  it('should wrap a public key in an SPKI structure', () => {
+    expect(encodeEd25519Spki(PUBLIC_KEY)).toEqual(
+      hexToBytes(
+        '302a300506032b6570032100d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+      )
+    )
+  })
+
+  it('should wrap a private key in a PKCS#8 structure', () => {
+    expect(encodeEd25519Pkcs8(PRIVATE_KEY)).toEqual(
+      hexToBytes(
+        '302e020100300506032b6570042204209d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60'
+      )
+    )
+  })
+
+  it('should read back the raw keys', () => {
+    expect(decodeEd25519Spki(encodeEd25519Spki(PUBLIC_KEY).buffer)).toEqual(
+      PUBLIC_KEY
+    )
+    expect(decodeEd25519Pkcs8(encodeEd25519Pkcs8(PRIVATE_KEY))).toEqual(
+      PRIVATE_KEY
+    )
+  })
+
+  it('should reject keys of another type', () => {
+    expect(() => decodeEd25519Spki(new Uint8Array(91))).toThrow(
+      'Invalid Ed25519 key encoding'
+    )
+    expect(() => decodeEd25519Pkcs8(encodeEd25519Spki(PUBLIC_KEY))).toThrow(
+      'Invalid Ed25519 key encoding'
+    )
+  })
+})
@@ -0,0 +1,75 @@
+import { encodeBytes } from './encodeBytes'
+import { encodeInt } from './encodeInt'
+import { startMap } from './startMap'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
+import { base64UrlToArrayBuffer } from '../../../shared/utils/base64UrlToArrayBuffer'
+
+// COSE key parameters (RFC 9053)
+const COSE_KEY_TYPES = { OKP: 1, EC2: 2, RSA: 3 }
+const COSE_CURVES = { P_256: 1, ED25519: 6 }
+
+/**
+ * Encode a public key as a CBOR COSE_Key for the attested credential data.
+ * @param {CryptoKey|Uint8Array} publicKey WebCrypto key, or the raw key for EdDSA
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {Promise<Uint8Array>} CBOR encoding of the COSE_Key
+ * @throws {Error} If the algorithm is not supported
+ */
+export const encodeCosePublicKey = async (
+  publicKey,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
+  switch (algorithm) {
+    case COSE_ALGORITHMS.ES256: {
+      const rawPubKey = new Uint8Array(
+        await crypto.subtle.exportKey('raw', publicKey)
+      )
+      // rawPubKey[0] is 0x04, next 32 bytes is X, next 32 bytes is Y.
+      return new Uint8Array([
+        ...startMap(5),
+        ...encodeInt(1),
+        ...encodeInt(COSE_KEY_TYPES.EC2),
+        ...encodeInt(3),
+        ...encodeInt(algorithm),
+        ...encodeInt(-1),
+        ...encodeInt(COSE_CURVES.P_256),
+        ...encodeInt(-2),
+        ...encodeBytes(rawPubKey.slice(1, 33)),
+        ...encodeInt(-3),
+        ...encodeBytes(rawPubKey.slice(33, 65))
+      ])
+    }
+
+    case COSE_ALGORITHMS.EDDSA:
+      return new Uint8Array([
+        ...startMap(4),
+        ...encodeInt(1),
+        ...encodeInt(COSE_KEY_TYPES.OKP),
+        ...encodeInt(3),
+        ...encodeInt(algorithm),
+        ...encodeInt(-1),
+        ...encodeInt(COSE_CURVES.ED25519),
+        ...encodeInt(-2),
+        ...encodeBytes(publicKey)
+      ])
+
+    case COSE_ALGORITHMS.RS256: {
+      const { n, e } = await crypto.subtle.exportKey('jwk', publicKey)
+
+      return new Uint8Array([
+        ...startMap(4),
+        ...encodeInt(1),
+        ...encodeInt(COSE_KEY_TYPES.RSA),
+        ...encodeInt(3),
+        ...encodeInt(algorithm),
+        ...encodeInt(-1),
+        ...encodeBytes(new Uint8Array(base64UrlToArrayBuffer(n))),
+        ...encodeInt(-2),
+        ...encodeBytes(new Uint8Array(base64UrlToArrayBuffer(e)))
+      ])
+    }
+
+    default:
+      throw new Error(`Unsupported public key algorithm: ${algorithm}`)
+  }
+}
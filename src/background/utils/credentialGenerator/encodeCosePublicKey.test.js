@@ -0,0 +1,107 @@
+Object.defineProperty(global.self, 'crypto', {
+  value: {
+    subtle: {
+      exportKey: jest.fn()
+    }
+  }
+})
+
+import { encodeCosePublicKey } from './encodeCosePublicKey'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
+import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
+
+const hexToBytes = (hex) =>
+  Uint8Array.from(hex.match(/../g).map((byte) => parseInt(byte, 16)))
+
+describe('encodeCosePublicKey', () => {
+  const publicKey = { type: 'public' }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should encode an ES256 key as an EC2 COSE_Key', async () => {
+    const x = new Uint8Array(32).fill(0x11)
+    const y = new Uint8Array(32).fill(0x22)
+    crypto.subtle.exportKey.mockResolvedValue(
+      Uint8Array.from([0x04, ...x, ...y]).buffer
+    )
+
+    const coseKey = await encodeCosePublicKey(publicKey, COSE_ALGORITHMS.ES256)
+
+    expect(crypto.subtle.exportKey).toHaveBeenCalledWith('raw', publicKey)
+    expect(coseKey).toEqual(
+      Uint8Array.from([
+        0xa5,
+        0x01,
+        0x02,
+        0x03,
+        0x26,
+        0x20,
+        0x01,
+        0x21,
+        0x58,
+        0x20,
+        ...x,
+        0x22,
+        0x58,
+        0x20,
+        ...y
+      ])
+    )
+  })
+
+  it('should encode an EdDSA key as an OKP COSE_Key', async () => {
+    // RFC 8032, section 7.1, test 1
+    const rawKey = hexToBytes(
+      'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+    )
+
+    const coseKey = await encodeCosePublicKey(rawKey, COSE_ALGORITHMS.EDDSA)
+
+    expect(coseKey).toEqual(
+      hexToBytes(
+        'a4010103272006215820d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+      )
+    )
+  })
+
+  it('should encode an RS256 key as an RSA COSE_Key', async () => {
+    const modulus = new Uint8Array(256).fill(0xc3)
+    crypto.subtle.exportKey.mockResolvedValue({
+      n: arrayBufferToBase64Url(modulus.buffer),
+      e: 'AQAB'
+    })
+
+    const coseKey = await encodeCosePublicKey(publicKey, COSE_ALGORITHMS.RS256)
+
+    expect(crypto.subtle.exportKey).toHaveBeenCalledWith('jwk', publicKey)
+    expect(coseKey).toEqual(
+      Uint8Array.from([
+        0xa4,
+        0x01,
+        0x03,
+        0x03,
+        0x39,
+        0x01,
+        0x00,
+        0x20,
+        0x59,
+        0x01,
+        0x00,
+        ...modulus,
+        0x21,
+        0x43,
+        0x01,
+        0x00,
+        0x01
+      ])
+    )
+  })
+
+  it('should reject unsupported algorithms', async () => {
+    await expect(encodeCosePublicKey(publicKey, -35)).rejects.toThrow(
+      'Unsupported public key algorithm: -35'
+    )
+  })
+})
@@ -0,0 +1,17 @@
+import { encodeUInt } from './encodeUInt'
+
+/**
+ * Encode an integer in (-2^32, 2^32) as a CBOR unsigned or negative integer.
+ * @param {number} value Integer to encode
+ * @returns {Uint8Array} CBOR encoding of the integer
+ * @throws {RangeError} If the value is out of range
+ */
+export const encodeInt = (value) => {
+  if (value >= 0) return encodeUInt(value)
+
+  // Major type 1 carries -1 - value with the same length rules
+  const encoded = encodeUInt(-1 - value)
+  encoded[0] |= 0x20
+
+  return encoded
+}
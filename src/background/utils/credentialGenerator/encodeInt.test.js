@@ -0,0 +1,19 @@
+import { encodeInt } from './encodeInt'
+
+describe('encodeInt', () => {
+  it('should encode non-negative integers as unsigned integers', () => {
+    expect(encodeInt(0)).toEqual(Uint8Array.from([0x00]))
+    expect(encodeInt(3)).toEqual(Uint8Array.from([0x03]))
+  })
+
+  it('should encode small negative integers in one byte', () => {
+    expect(encodeInt(-1)).toEqual(Uint8Array.from([0x20]))
+    expect(encodeInt(-7)).toEqual(Uint8Array.from([0x26]))
+    expect(encodeInt(-8)).toEqual(Uint8Array.from([0x27]))
+  })
+
+  it('should encode larger negative integers with a length prefix', () => {
+    expect(encodeInt(-25)).toEqual(Uint8Array.from([0x38, 0x18]))
+    expect(encodeInt(-257)).toEqual(Uint8Array.from([0x39, 0x01, 0x00]))
+  })
+})
@@ -0,0 +1,51 @@
+import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
+import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
+import { base64UrlToArrayBuffer } from '../../../shared/utils/base64UrlToArrayBuffer'
+
+const PRF_CONTEXT = 'WebAuthn PRF'
+
+/**
+ * Evaluate one PRF input the way CTAP2 hmac-secret does: the input is first
+ * hashed into a salt, then signed with the credential's secret.
+ * @param {CryptoKey} key HMAC key of the credential
+ * @param {string} input PRF input (Base64URL)
+ * @returns {Promise<string>} 32-byte PRF output (Base64URL)
+ */
+const evaluateInput = async (key, input) => {
+  const context = new TextEncoder().encode(PRF_CONTEXT)
+  const inputBytes = new Uint8Array(base64UrlToArrayBuffer(input))
+
+  // salt = SHA-256("WebAuthn PRF" || 0x00 || input)
+  const saltInput = new Uint8Array(context.length + 1 + inputBytes.length)
+  saltInput.set(context, 0)
+  saltInput.set(inputBytes, context.length + 1)
+
+  const salt = await crypto.subtle.digest(CRYPTO_ALGORITHMS.SHA_256, saltInput)
+  const output = await crypto.subtle.sign(CRYPTO_ALGORITHMS.HMAC, key, salt)
+
+  return arrayBufferToBase64Url(output)
+}
+
+/**
+ * Evaluate the WebAuthn PRF extension for a credential.
+ * @param {string} prfSeed Per-credential secret (Base64URL)
+ * @param {{first: string, second?: string}} values PRF inputs (Base64URL)
+ * @returns {Promise<{first: string, second?: string}>} PRF outputs (Base64URL)
+ */
+export const evaluatePrf = async (prfSeed, values) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base64UrlToArrayBuffer(prfSeed),
+    { name: CRYPTO_ALGORITHMS.HMAC, hash: CRYPTO_ALGORITHMS.SHA_256 },
+    false,
+    ['sign']
+  )
+
+  const results = { first: await evaluateInput(key, values.first) }
+
+  if (values.second) {
+    results.second = await evaluateInput(key, values.second)
+  }
+
+  return results
+}
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+// Runs against Node's WebCrypto to check real outputs
+
+import { evaluatePrf } from './evaluatePrf'
+
+describe('evaluatePrf', () => {
+  const prfSeed = 'AQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQE'
+
+  it('should derive the output from the hashed input and the seed', async () => {
+    const results = await evaluatePrf(prfSeed, { first: 'Zmlyc3Q' })
+
+    expect(results).toEqual({
+      first: 'eGLKYCeIiJTUinSC8fWZKbmTuovTqqIjjFxkDw1TpoI'
+    })
+  })
+
+  it('should evaluate the second input when given', async () => {
+    const results = await evaluatePrf(prfSeed, {
+      first: 'Zmlyc3Q',
+      second: 'c2Vjb25k'
+    })
+
+    expect(results).toEqual({
+      first: 'eGLKYCeIiJTUinSC8fWZKbmTuovTqqIjjFxkDw1TpoI',
+      second: 'lOf7Vqaq5V6wmp_wymou2jsrf9byAHeQPqLAeA0175I'
+    })
+  })
+
+  it('should give different outputs for different seeds', async () => {
+    const results = await evaluatePrf(
+      'AgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgI',
+      { first: 'Zmlyc3Q' }
+    )
+
+    expect(results.first).not.toBe(
+      'eGLKYCeIiJTUinSC8fWZKbmTuovTqqIjjFxkDw1TpoI'
+    )
+  })
+})
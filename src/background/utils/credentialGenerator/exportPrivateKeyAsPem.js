@@ -1,11 +1,20 @@
+import { encodeEd25519Pkcs8 } from './ed25519KeyEncoding'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
 
 /**
  * Export a private key as PEM (Base64URL).
- * @param {CryptoKey} privateKey ECDSA P-256 private key
+ * @param {CryptoKey|Uint8Array} privateKey WebCrypto key, or the raw key for EdDSA
+ * @param {number} algorithm COSE algorithm identifier
  * @returns {Promise<string>} PEM string (Base64URL)
  */
-export const exportPrivateKeyAsPem = async (privateKey) => {
-  const pkcs8 = await crypto.subtle.exportKey('pkcs8', privateKey)
+export const exportPrivateKeyAsPem = async (
+  privateKey,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
+  const pkcs8 =
+    algorithm === COSE_ALGORITHMS.EDDSA
+      ? encodeEd25519Pkcs8(privateKey).buffer
+      : await crypto.subtle.exportKey('pkcs8', privateKey)
   return arrayBufferToBase64Url(pkcs8)
 }
@@ -9,6 +9,7 @@ Object.defineProperty(global.self, 'crypto', {
 })
 
 import { exportPrivateKeyAsPem } from './exportPrivateKeyAsPem'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
 
 jest.mock('../../../shared/utils/arrayBufferToBase64Url', () => ({
@@ -63,4 +64,15 @@ describe('exportPrivateKeyAsPem', () => {
       mockPrivateKey
     )
   })
+
+  it('should wrap a raw EdDSA private key in PKCS#8 without WebCrypto', async () => {
+    const rawKey = new Uint8Array(32).fill(9)
+
+    await exportPrivateKeyAsPem(rawKey, COSE_ALGORITHMS.EDDSA)
+
+    expect(crypto.subtle.exportKey).not.toHaveBeenCalled()
+    const pkcs8 = new Uint8Array(arrayBufferToBase64Url.mock.calls[0][0])
+    expect(pkcs8.length).toBe(48)
+    expect(pkcs8.slice(16)).toEqual(rawKey)
+  })
 })
@@ -1,12 +1,21 @@
+import { encodeEd25519Spki } from './ed25519KeyEncoding'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
 
 /**
- * Export a CryptoKey public key as PEM (Base64URL).
- * @param {CryptoKey} publicKey ECDSA P-256 public key
+ * Export a public key as PEM (Base64URL).
+ * @param {CryptoKey|Uint8Array} publicKey WebCrypto key, or the raw key for EdDSA
+ * @param {number} algorithm COSE algorithm identifier
  * @returns {Promise<string>} PEM string (Base64URL)
  */
-export const exportPublicKeyAsPem = async (publicKey) => {
-  const spki = await crypto.subtle.exportKey('spki', publicKey)
+export const exportPublicKeyAsPem = async (
+  publicKey,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
+  const spki =
+    algorithm === COSE_ALGORITHMS.EDDSA
+      ? encodeEd25519Spki(publicKey).buffer
+      : await crypto.subtle.exportKey('spki', publicKey)
 
   return arrayBufferToBase64Url(spki)
 }
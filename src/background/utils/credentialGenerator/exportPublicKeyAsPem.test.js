@@ -7,6 +7,7 @@ Object.defineProperty(global.self, 'crypto', {
 })
 
 import { exportPublicKeyAsPem } from './exportPublicKeyAsPem'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { arrayBufferToBase64Url } from '../../../shared/utils/arrayBufferToBase64Url'
 
 jest.mock('../../../shared/utils/arrayBufferToBase64Url')
@@ -53,4 +54,17 @@ describe('exportPublicKeyAsPem', () => {
     await expect(exportPublicKeyAsPem(mockPublicKey)).rejects.toThrow(error)
     expect(arrayBufferToBase64Url).not.toHaveBeenCalled()
   })
+
+  it('should wrap a raw EdDSA public key in SPKI without WebCrypto', async () => {
+    const rawKey = new Uint8Array(32).fill(7)
+
+    await exportPublicKeyAsPem(rawKey, COSE_ALGORITHMS.EDDSA)
+
+    expect(crypto.subtle.exportKey).not.toHaveBeenCalled()
+    const spki = new Uint8Array(arrayBufferToBase64Url.mock.calls[0][0])
+    expect(Array.from(spki.slice(0, 12))).toEqual([
+      0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00
+    ])
+    expect(spki.slice(12)).toEqual(rawKey)
+  })
 })
@@ -1,13 +1,46 @@
-import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
-import { ELLIPTIC_CURVES } from '../../../shared/constants/crypto'
+import { ed25519 } from '@noble/curves/ed25519'
+
+import {
+  COSE_ALGORITHMS,
+  CRYPTO_ALGORITHMS,
+  ELLIPTIC_CURVES
+} from '../../../shared/constants/crypto'
 
 /**
- * Generate an ECDSA P-256 key pair.
- * @returns {Promise<CryptoKeyPair>} Key pair for sign/verify
+ * Generate a key pair for a passkey.
+ * ES256 and RS256 keys are WebCrypto keys; EdDSA keys are raw Ed25519 bytes,
+ * as signing goes through @noble/curves.
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {Promise<CryptoKeyPair|{publicKey: Uint8Array, privateKey: Uint8Array}>} Key pair for sign/verify
+ * @throws {Error} If the algorithm is not supported
  */
-export const generateKeyPair = async () =>
-  await crypto.subtle.generateKey(
-    { name: CRYPTO_ALGORITHMS.ECDSA, namedCurve: ELLIPTIC_CURVES.P_256 },
-    true,
-    ['sign', 'verify']
-  )
+export const generateKeyPair = async (algorithm = COSE_ALGORITHMS.ES256) => {
+  switch (algorithm) {
+    case COSE_ALGORITHMS.ES256:
+      return await crypto.subtle.generateKey(
+        { name: CRYPTO_ALGORITHMS.ECDSA, namedCurve: ELLIPTIC_CURVES.P_256 },
+        true,
+        ['sign', 'verify']
+      )
+
+    case COSE_ALGORITHMS.RS256:
+      return await crypto.subtle.generateKey(
+        {
+          name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5,
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+          hash: CRYPTO_ALGORITHMS.SHA_256
+        },
+        true,
+        ['sign', 'verify']
+      )
+
+    case COSE_ALGORITHMS.EDDSA: {
+      const privateKey = ed25519.utils.randomPrivateKey()
+      return { publicKey: ed25519.getPublicKey(privateKey), privateKey }
+    }
+
+    default:
+      throw new Error(`Unsupported public key algorithm: ${algorithm}`)
+  }
+}
@@ -6,10 +6,20 @@ Object.defineProperty(global.self, 'crypto', {
   }
 })
 
+import { ed25519 } from '@noble/curves/ed25519'
+
 import { generateKeyPair } from './generateKeyPair'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
 import { ELLIPTIC_CURVES } from '../../../shared/constants/crypto'
 
+jest.mock('@noble/curves/ed25519', () => ({
+  ed25519: {
+    utils: { randomPrivateKey: jest.fn(() => new Uint8Array(32).fill(1)) },
+    getPublicKey: jest.fn(() => new Uint8Array(32).fill(2))
+  }
+}))
+
 describe('generateKeyPair', () => {
   const mockKeyPair = {
     publicKey: 'mockPublicKey',
@@ -48,4 +58,37 @@ describe('generateKeyPair', () => {
     crypto.subtle.generateKey.mockRejectedValue(error)
     await expect(generateKeyPair()).rejects.toThrow('Key generation failed')
   })
+
+  it('should generate an RSA key pair for RS256', async () => {
+    await generateKeyPair(COSE_ALGORITHMS.RS256)
+    expect(crypto.subtle.generateKey).toHaveBeenCalledWith(
+      {
+        name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5,
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+        hash: CRYPTO_ALGORITHMS.SHA_256
+      },
+      true,
+      ['sign', 'verify']
+    )
+  })
+
+  it('should generate raw Ed25519 keys for EdDSA', async () => {
+    const keyPair = await generateKeyPair(COSE_ALGORITHMS.EDDSA)
+
+    expect(crypto.subtle.generateKey).not.toHaveBeenCalled()
+    expect(ed25519.getPublicKey).toHaveBeenCalledWith(
+      new Uint8Array(32).fill(1)
+    )
+    expect(keyPair).toEqual({
+      publicKey: new Uint8Array(32).fill(2),
+      privateKey: new Uint8Array(32).fill(1)
+    })
+  })
+
+  it('should reject unsupported algorithms', async () => {
+    await expect(generateKeyPair(-35)).rejects.toThrow(
+      'Unsupported public key algorithm: -35'
+    )
+  })
 })
@@ -0,0 +1,31 @@
+import {
+  COSE_ALGORITHMS,
+  CRYPTO_ALGORITHMS,
+  ELLIPTIC_CURVES
+} from '../../../shared/constants/crypto'
+
+/**
+ * WebCrypto parameters to import a key of a COSE algorithm.
+ * EdDSA keys are not imported into WebCrypto, so they have none.
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {EcKeyImportParams|RsaHashedImportParams} Import parameters
+ * @throws {Error} If the algorithm has no WebCrypto key
+ */
+export const getKeyImportParams = (algorithm) => {
+  switch (algorithm) {
+    case COSE_ALGORITHMS.ES256:
+      return {
+        name: CRYPTO_ALGORITHMS.ECDSA,
+        namedCurve: ELLIPTIC_CURVES.P_256
+      }
+
+    case COSE_ALGORITHMS.RS256:
+      return {
+        name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5,
+        hash: CRYPTO_ALGORITHMS.SHA_256
+      }
+
+    default:
+      throw new Error(`Unsupported public key algorithm: ${algorithm}`)
+  }
+}
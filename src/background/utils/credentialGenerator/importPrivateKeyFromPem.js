@@ -1,24 +1,29 @@
-import {
-  CRYPTO_ALGORITHMS,
-  ELLIPTIC_CURVES
-} from '../../../shared/constants/crypto'
+import { decodeEd25519Pkcs8 } from './ed25519KeyEncoding'
+import { getKeyImportParams } from './getKeyImportParams'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { base64UrlToArrayBuffer } from '../../../shared/utils/base64UrlToArrayBuffer'
 
 /**
- * Import a PEM-encoded EC private key (PKCS#8) into WebCrypto.
+ * Import a PEM-encoded private key (PKCS#8) into WebCrypto.
  * @param {string} pemPrivateKey PEM string
- * @returns {Promise<CryptoKey>} ECDSA P-256 private key
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {Promise<CryptoKey|Uint8Array>} Private key, raw bytes for EdDSA
  * @throws {Error} If import fails
  */
-export const importPrivateKeyFromPem = async (pemPrivateKey) => {
+export const importPrivateKeyFromPem = async (
+  pemPrivateKey,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
   const bytesInDerFormat = base64UrlToArrayBuffer(pemPrivateKey)
+
+  if (algorithm === COSE_ALGORITHMS.EDDSA) {
+    return decodeEd25519Pkcs8(bytesInDerFormat)
+  }
+
   return crypto.subtle.importKey(
     'pkcs8',
     bytesInDerFormat,
-    {
-      name: CRYPTO_ALGORITHMS.ECDSA,
-      namedCurve: ELLIPTIC_CURVES.P_256
-    },
+    getKeyImportParams(algorithm),
     false, // non‑extractable for extra safety
     ['sign']
   )
@@ -1,5 +1,6 @@
 import { importPrivateKeyFromPem } from './importPrivateKeyFromPem'
 import {
+  COSE_ALGORITHMS,
   CRYPTO_ALGORITHMS,
   ELLIPTIC_CURVES
 } from '../../../shared/constants/crypto'
@@ -73,4 +74,56 @@ describe('importPrivateKeyFromPem', () => {
       ['sign']
     )
   })
+
+  it('should import an RS256 key with RSASSA-PKCS1-v1_5', async () => {
+    const mockArrayBuffer = new ArrayBuffer(8)
+    base64UrlToArrayBuffer.mockReturnValue(mockArrayBuffer)
+    mockImportKey.mockResolvedValue(mockCryptoKey)
+
+    await importPrivateKeyFromPem('rsa-key', COSE_ALGORITHMS.RS256)
+
+    expect(mockImportKey).toHaveBeenCalledWith(
+      'pkcs8',
+      mockArrayBuffer,
+      {
+        name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5,
+        hash: CRYPTO_ALGORITHMS.SHA_256
+      },
+      false,
+      ['sign']
+    )
+  })
+
+  it('should return the raw key of an EdDSA PKCS8', async () => {
+    const rawKey = new Uint8Array(32).fill(3)
+    base64UrlToArrayBuffer.mockReturnValue(
+      Uint8Array.from([
+        0x30,
+        0x2e,
+        0x02,
+        0x01,
+        0x00,
+        0x30,
+        0x05,
+        0x06,
+        0x03,
+        0x2b,
+        0x65,
+        0x70,
+        0x04,
+        0x22,
+        0x04,
+        0x20,
+        ...rawKey
+      ]).buffer
+    )
+
+    const result = await importPrivateKeyFromPem(
+      'ed25519-key',
+      COSE_ALGORITHMS.EDDSA
+    )
+
+    expect(mockImportKey).not.toHaveBeenCalled()
+    expect(result).toEqual(rawKey)
+  })
 })
@@ -1,24 +1,29 @@
-import {
-  CRYPTO_ALGORITHMS,
-  ELLIPTIC_CURVES
-} from '../../../shared/constants/crypto'
+import { decodeEd25519Spki } from './ed25519KeyEncoding'
+import { getKeyImportParams } from './getKeyImportParams'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
 import { base64UrlToArrayBuffer } from '../../../shared/utils/base64UrlToArrayBuffer'
 
 /**
- * Import a PEM-encoded EC public key (SPKI) into WebCrypto.
+ * Import a PEM-encoded public key (SPKI) into WebCrypto.
  * @param {string} pemPublicKey PEM string
- * @returns {Promise<CryptoKey>} ECDSA P-256 public key
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {Promise<CryptoKey|Uint8Array>} Public key, raw bytes for EdDSA
  * @throws {Error} If import fails
  */
-export const importPublicKeyFromPem = async (pemPublicKey) => {
+export const importPublicKeyFromPem = async (
+  pemPublicKey,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
   const bytesInDerFormat = base64UrlToArrayBuffer(pemPublicKey)
+
+  if (algorithm === COSE_ALGORITHMS.EDDSA) {
+    return decodeEd25519Spki(bytesInDerFormat)
+  }
+
   return crypto.subtle.importKey(
     'spki',
     bytesInDerFormat,
-    {
-      name: CRYPTO_ALGORITHMS.ECDSA,
-      namedCurve: ELLIPTIC_CURVES.P_256
-    },
+    getKeyImportParams(algorithm),
     true,
     ['verify']
   )
@@ -13,6 +13,7 @@ Object.defineProperty(global.self, 'crypto', {
 
 import { importPublicKeyFromPem } from './importPublicKeyFromPem'
 import {
+  COSE_ALGORITHMS,
   CRYPTO_ALGORITHMS,
   ELLIPTIC_CURVES
 } from '../../../shared/constants/crypto'
@@ -73,4 +74,51 @@ describe('importPublicKeyFromPem', () => {
       ['verify']
     )
   })
+
+  it('should import an RS256 key with RSASSA-PKCS1-v1_5', async () => {
+    const mockArrayBuffer = new ArrayBuffer(8)
+    base64UrlToArrayBuffer.mockReturnValue(mockArrayBuffer)
+
+    await importPublicKeyFromPem('rsa-key', COSE_ALGORITHMS.RS256)
+
+    expect(global.crypto.subtle.importKey).toHaveBeenCalledWith(
+      'spki',
+      mockArrayBuffer,
+      {
+        name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5,
+        hash: CRYPTO_ALGORITHMS.SHA_256
+      },
+      true,
+      ['verify']
+    )
+  })
+
+  it('should return the raw key of an EdDSA SPKI', async () => {
+    const rawKey = new Uint8Array(32).fill(3)
+    base64UrlToArrayBuffer.mockReturnValue(
+      Uint8Array.from([
+        0x30,
+        0x2a,
+        0x30,
+        0x05,
+        0x06,
+        0x03,
+        0x2b,
+        0x65,
+        0x70,
+        0x03,
+        0x21,
+        0x00,
+        ...rawKey
+      ]).buffer
+    )
+
+    const result = await importPublicKeyFromPem(
+      'ed25519-key',
+      COSE_ALGORITHMS.EDDSA
+    )
+
+    expect(global.crypto.subtle.importKey).not.toHaveBeenCalled()
+    expect(result).toEqual(rawKey)
+  })
 })
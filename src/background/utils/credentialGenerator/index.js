@@ -1,13 +1,21 @@
+export * from './buildAssertionExtensionResults'
 export * from './buildAuthenticatorData'
+export * from './buildRegistrationExtensionResults'
+export * from './ed25519KeyEncoding'
 export * from './encodeAttestationObject'
 export * from './encodeBytes'
+export * from './encodeCosePublicKey'
+export * from './encodeInt'
 export * from './encodeText'
+export * from './evaluatePrf'
 export * from './exportPrivateKeyAsPem'
 export * from './exportPublicKeyAsPem'
 export * from './generateKeyPair'
+export * from './getKeyImportParams'
 export * from './importPrivateKeyFromPem'
 export * from './importPublicKeyFromPem'
 export * from './rebuildClientDataJSON'
+export * from './selectPublicKeyAlgorithm'
 export * from './signAssertion'
 export * from './startMap'
 export * from './uuidToBytes'
@@ -0,0 +1,28 @@
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
+
+const SUPPORTED_ALGORITHMS = Object.values(COSE_ALGORITHMS)
+
+/**
+ * Pick the key algorithm for a new passkey from the relying party's
+ * `pubKeyCredParams`, which lists them from most to least preferred.
+ * @param {Array<{type: string, alg: number}>} [pubKeyCredParams] Requested parameters
+ * @returns {number} COSE algorithm identifier
+ * @throws {Error} If none of the requested algorithms is supported
+ */
+export const selectPublicKeyAlgorithm = (pubKeyCredParams) => {
+  // An empty list means ES256 and RS256 are both acceptable
+  if (!pubKeyCredParams?.length) {
+    return COSE_ALGORITHMS.ES256
+  }
+
+  const param = pubKeyCredParams.find(
+    ({ type, alg }) =>
+      type === 'public-key' && SUPPORTED_ALGORITHMS.includes(alg)
+  )
+
+  if (!param) {
+    throw new Error('None of the requested public key algorithms is supported')
+  }
+
+  return param.alg
+}
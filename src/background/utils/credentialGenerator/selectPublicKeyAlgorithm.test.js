@@ -0,0 +1,40 @@
+import { selectPublicKeyAlgorithm } from './selectPublicKeyAlgorithm'
+import { COSE_ALGORITHMS } from '../../../shared/constants/crypto'
+
+describe('selectPublicKeyAlgorithm', () => {
+  it('should default to ES256 when no parameters are given', () => {
+    expect(selectPublicKeyAlgorithm()).toBe(COSE_ALGORITHMS.ES256)
+    expect(selectPublicKeyAlgorithm([])).toBe(COSE_ALGORITHMS.ES256)
+  })
+
+  it('should follow the order of the relying party', () => {
+    expect(
+      selectPublicKeyAlgorithm([
+        { type: 'public-key', alg: -8 },
+        { type: 'public-key', alg: -7 }
+      ])
+    ).toBe(COSE_ALGORITHMS.EDDSA)
+
+    expect(
+      selectPublicKeyAlgorithm([
+        { type: 'public-key', alg: -257 },
+        { type: 'public-key', alg: -7 }
+      ])
+    ).toBe(COSE_ALGORITHMS.RS256)
+  })
+
+  it('should skip unsupported algorithms', () => {
+    expect(
+      selectPublicKeyAlgorithm([
+        { type: 'public-key', alg: -35 },
+        { type: 'public-key', alg: -7 }
+      ])
+    ).toBe(COSE_ALGORITHMS.ES256)
+  })
+
+  it('should throw when no requested algorithm is supported', () => {
+    expect(() =>
+      selectPublicKeyAlgorithm([{ type: 'public-key', alg: -35 }])
+    ).toThrow('None of the requested public key algorithms is supported')
+  })
+})
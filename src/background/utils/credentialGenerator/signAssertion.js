@@ -1,14 +1,25 @@
-import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
+import { ed25519 } from '@noble/curves/ed25519'
+
+import {
+  COSE_ALGORITHMS,
+  CRYPTO_ALGORITHMS
+} from '../../../shared/constants/crypto'
 
 /**
  * Sign a WebAuthn assertion with a private key.
- * @param {CryptoKey} privateKey ECDSA P-256 private key
+ * @param {CryptoKey|Uint8Array} privateKey WebCrypto key, or the raw key for EdDSA
  * @param {ArrayBuffer} authData Authenticator data
  * @param {ArrayBuffer} clientDataJSON Client data JSON
- * @returns {Promise<ArrayBuffer>} DER-encoded ECDSA signature
+ * @param {number} algorithm COSE algorithm identifier
+ * @returns {Promise<ArrayBuffer>} DER-encoded ECDSA signature, or the raw RS256/EdDSA signature
  * @throws {Error} If signing fails
  */
-export const signAssertion = async (privateKey, authData, clientDataJSON) => {
+export const signAssertion = async (
+  privateKey,
+  authData,
+  clientDataJSON,
+  algorithm = COSE_ALGORITHMS.ES256
+) => {
   // SHA-256 hash of clientDataJSON
   const clientDataHash = await crypto.subtle.digest(
     CRYPTO_ALGORITHMS.SHA_256,
@@ -22,6 +33,18 @@ export const signAssertion = async (privateKey, authData, clientDataJSON) => {
   dataToSign.set(authBuf, 0)
   dataToSign.set(hashBuf, authBuf.length)
 
+  if (algorithm === COSE_ALGORITHMS.EDDSA) {
+    return ed25519.sign(dataToSign, privateKey).slice().buffer
+  }
+
+  if (algorithm === COSE_ALGORITHMS.RS256) {
+    return crypto.subtle.sign(
+      { name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5 },
+      privateKey,
+      dataToSign.buffer
+    )
+  }
+
   // Sign with ECDSA‑P256 / SHA‑256 (returns raw signature: r || s, 64 bytes)
   const rawSignature = await crypto.subtle.sign(
     {
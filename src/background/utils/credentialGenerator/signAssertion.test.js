@@ -7,8 +7,16 @@ Object.defineProperty(global.self, 'crypto', {
   }
 })
 
+import { ed25519 } from '@noble/curves/ed25519'
+
 import { signAssertion } from './signAssertion'
-import { CRYPTO_ALGORITHMS } from '../../../shared/constants/crypto'
+import {
+  COSE_ALGORITHMS,
+  CRYPTO_ALGORITHMS
+} from '../../../shared/constants/crypto'
+
+const hexToBytes = (hex) =>
+  Uint8Array.from(hex.match(/../g).map((byte) => parseInt(byte, 16)))
 
 describe('signAssertion', () => {
   const privateKey = { type: 'private' } // Mock CryptoKey
@@ -73,4 +81,54 @@ describe('signAssertion', () => {
       signAssertion(privateKey, authData, clientDataJSON)
     ).rejects.toThrow(error)
   })
+
+  it('should sign RS256 assertions with RSASSA-PKCS1-v1_5', async () => {
+    const rsaSignature = new Uint8Array(256).fill(0x5a).buffer
+    crypto.subtle.sign.mockResolvedValue(rsaSignature)
+
+    const result = await signAssertion(
+      privateKey,
+      authData,
+      clientDataJSON,
+      COSE_ALGORITHMS.RS256
+    )
+
+    expect(crypto.subtle.sign).toHaveBeenCalledWith(
+      { name: CRYPTO_ALGORITHMS.RSASSA_PKCS1_V1_5 },
+      privateKey,
+      expect.any(ArrayBuffer)
+    )
+    expect(result).toBe(rsaSignature)
+  })
+
+  it('should sign EdDSA assertions with Ed25519', async () => {
+    // RFC 8032, section 7.1, test 1
+    const edPrivateKey = hexToBytes(
+      '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60'
+    )
+    const edPublicKey = hexToBytes(
+      'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+    )
+
+    const result = await signAssertion(
+      edPrivateKey,
+      authData,
+      clientDataJSON,
+      COSE_ALGORITHMS.EDDSA
+    )
+
+    const dataToSign = new Uint8Array(36)
+    dataToSign.set(new Uint8Array(authData), 0)
+
+    expect(crypto.subtle.sign).not.toHaveBeenCalled()
+    expect(new Uint8Array(result)).toEqual(
+      hexToBytes(
+        'c99fdbdb0cccd9d0308e83d8ae72ec39c45dcf7cc6ce1bf7e273ab8b9e4f0e4d' +
+          '9d0a49ffe24fd3901d6488c977fd940a70f27832c010443540eb7e6285b1e009'
+      )
+    )
+    expect(
+      ed25519.verify(new Uint8Array(result), dataToSign, edPublicKey)
+    ).toBe(true)
+  })
 })
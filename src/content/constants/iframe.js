@@ -1,5 +1,6 @@
 export const IFRAME_TYPES = {
   login: 'login',
+  checkout: 'checkout',
   logo: 'logo',
   autofill: 'autofill',
   passwordSuggestion: 'passwordSuggestion'
@@ -0,0 +1,12 @@
+/**
+ * Hosts serving the hosted card fields of payment providers. Each field (card
+ * number, expiry, CVC) is rendered in its own cross-origin iframe on these hosts.
+ */
+export const PAYMENT_PROVIDER_FRAME_HOSTS = [
+  // Stripe Elements
+  /^js\.stripe\.com$/,
+  // Adyen Web secured fields
+  /^checkoutshopper-[a-z0-9-]+\.adyen\.com$/,
+  // Braintree hosted fields
+  /^assets\.braintreegateway\.com$/
+]
@@ -7,29 +7,88 @@ import { RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
 import { IFRAME_TYPES } from './constants/iframe'
 import { LOGO_PADDING, LOGO_SIZE } from './constants/styles'
 import { createIframe } from './utils/createIframe'
+import { createCheckoutSubmissionDetector } from './utils/createCheckoutSubmissionDetector'
+import { createLoginSubmissionDetector } from './utils/createLoginSubmissionDetector'
+import { fillOneTimeCode } from './utils/fillOneTimeCode'
 import { findLoginForms } from './utils/findLoginForms'
 import { findSelectOptionValue } from './utils/findSelectOptionValue'
-import { getField, PASSWORD_MATCHERS } from './utils/getField'
+import {
+  formatCardExpiry,
+  formatCardExpiryYear
+} from './utils/formatCardExpiry'
+import { getChangePasswordFields } from './utils/getChangePasswordFields'
+import { getCheckoutData, getCheckoutFields } from './utils/getCheckoutData'
+import { getComposedTarget } from './utils/getComposedTarget'
+import { getCountryOptionCandidates } from './utils/getCountryOptionCandidates'
+import { getDeepActiveElement } from './utils/getDeepActiveElement'
+import {
+  classifyField,
+  classifyFields,
+  CREDIT_CARD_FIELD_TYPES,
+  FIELD_TYPES,
+  IDENTITY_FIELD_TYPES,
+  LOGIN_FIELD_TYPES,
+  OTP_FIELD_TYPES
+} from './utils/fieldClassifier'
+import { getFieldScope } from './utils/getFieldScope'
+import { getLoginFields } from './utils/getLoginFields'
+import { getNewPasswordFields } from './utils/getNewPasswordFields'
+import { getRegionOptionCandidates } from './utils/getRegionOptionCandidates'
 import { isContentScriptEnabled } from './utils/isContentScriptEnabled'
-import { isCreditCardField } from './utils/isCreditCardField'
-import { isIdentityField } from './utils/isIdentityField'
+import { isElementVisible } from './utils/isElementVisible'
+import { isFormErrorShown } from './utils/isFormErrorShown'
+import { isFrameAllowedToAutofill } from './utils/isFrameAllowedToAutofill'
+import { isLoginErrorShown } from './utils/isLoginErrorShown'
 import { isPasswordField } from './utils/isPasswordField'
-import { isUsernameField } from './utils/isUsernameField'
+import { isPaymentFrameAllowedToAutofill } from './utils/isPaymentFrameAllowedToAutofill'
+import {
+  getOpenShadowRoots,
+  querySelectorAllDeep
+} from './utils/querySelectorAllDeep'
 import { showPasswordStrengthNearField } from './utils/showPasswordStrengthNearField'
+import { splitFullName } from './utils/splitFullName'
+import { splitStreetAddress } from './utils/splitStreetAddress'
+import { submitLoginForm } from './utils/submitLoginForm'
 import { triggerInputEvents } from './utils/triggerInputEvents'
 import { CONTENT_MESSAGE_TYPES } from '../shared/constants/nativeMessaging'
+import { WEBAUTHN_ERRORS } from '../shared/constants/passkey'
 import { MESSAGE_TYPES } from '../shared/services/messageBridge'
 import {
   getAutofillEnabled,
   onAutofillEnabledChanged
 } from '../shared/utils/autofillSetting'
+import { getAutoSubmitEnabled } from '../shared/utils/autoSubmitSetting'
+import { isValidRpId } from '../shared/utils/isValidRpId'
 import { logger } from '../shared/utils/logger'
+import { getOtpAutofillEnabled } from '../shared/utils/otpAutofillSetting'
 import { runtime } from '../shared/utils/runtime'
+import {
+  DEFAULT_SITE_RULE,
+  getSiteRule,
+  isSavePromptAllowed,
+  subscribeToSiteRules
+} from '../shared/utils/siteRules'
 
 const activeIframes = new Set()
 
+// Last autofillable field the user focused in this frame; fills are scoped to its form
+let lastFocusedField = null
+
 let isAutoFillEnabled = true
 
+// Keys the autofill menu handles while focus stays in the page field
+const AUTOFILL_MENU_KEYS = ['ArrowDown', 'ArrowUp', 'Enter', 'Escape', 'Tab']
+
+// Enter only picks from the menu once a record is highlighted, otherwise it submits the form
+let isAutofillMenuNavigated = false
+
+// Gives the page's own input handlers time to run before a filled login is sent
+const AUTO_SUBMIT_DELAY_MS = 300
+
+// A one-time code is only pending for a while after a password fill. Until then
+// each DOM change looks for a code field; the rest of the time nothing is done
+let pendingOtpExpiresAt = 0
+
 getAutofillEnabled().then((isEnabled) => {
   isAutoFillEnabled = isEnabled
 })
@@ -38,6 +97,17 @@ onAutofillEnabledChanged((isEnabled) => {
   isAutoFillEnabled = isEnabled
 })
 
+// Per-origin overrides from App Preferences, kept in sync with storage
+let siteRule = DEFAULT_SITE_RULE
+
+getSiteRule(window.location.origin).then((rule) => {
+  siteRule = rule
+})
+
+subscribeToSiteRules((rules) => {
+  siteRule = { ...DEFAULT_SITE_RULE, ...rules[window.location.origin] }
+})
+
 window.addEventListener('scroll', removeIframesOnScrollOrResize)
 window.addEventListener('resize', removeIframesOnScrollOrResize)
 
@@ -47,6 +117,7 @@ window.addEventListener('focusin', async (event) => {
   }
 
   if (isAutoFillEnabled) {
+    reportFocusedField(event)
     toggleLogoOnFocus(event)
     handlePasswordSuggestionPopup(event)
     handlePasswordSuggestionOutsideClick(event)
@@ -66,7 +137,57 @@ window.addEventListener('click', async (event) => {
   detectSubmitClick(event)
 })
 
+window.addEventListener('keydown', async (event) => {
+  if (!(await isContentScriptEnabled())) {
+    return
+  }
+
+  detectSubmitKeydown(event)
+})
+
+// Handled synchronously in the capture phase so the page never sees the menu keys
+window.addEventListener('keydown', handleAutofillMenuKeydown, true)
+
+window.addEventListener(
+  'submit',
+  async (event) => {
+    if (!(await isContentScriptEnabled())) {
+      return
+    }
+
+    detectCheckoutSubmission(getComposedTarget(event))
+  },
+  true
+)
+
+window.addEventListener(
+  'input',
+  async (event) => {
+    if (!(await isContentScriptEnabled())) {
+      return
+    }
+
+    loginSubmissionDetector.observeInput(getComposedTarget(event))
+  },
+  true
+)
+
+// Single-page apps sign in without reloading, so route changes are checked too
+window.addEventListener('popstate', checkSubmissions)
+window.addEventListener('hashchange', checkSubmissions)
+window.navigation?.addEventListener('navigatesuccess', checkSubmissions)
+
 window.addEventListener('message', async (event) => {
+  // Answered where PearPass is off too, so the shim can leave passkeys to the browser
+  if (
+    event.source === window &&
+    event.data?.source === 'pearpass' &&
+    event.data.type === CONTENT_MESSAGE_TYPES.GET_PASSKEY_SUPPORT
+  ) {
+    postPasskeySupport()
+    return
+  }
+
   if (!(await isContentScriptEnabled())) {
     return
   }
@@ -90,7 +211,8 @@ runtime.onMessage.addListener(async (msg) => {
         type: msg.type,
         requestId: msg.requestId,
         recordId: msg.recordId,
-        credential: msg.credential
+        credential: msg.credential,
+        error: msg.error
       },
       '*'
     )
@@ -131,17 +253,43 @@ runtime.onMessage.addListener(async (msg) => {
     if (!isAutoFillEnabled) {
       return
     }
-    const { recordType, data: recordData } = msg
+    const {
+      recordType,
+      data: recordData,
+      websites,
+      websiteMatchModes,
+      websitePatterns,
+      approvedTopOrigin
+    } = msg
+
+    // Hosted card fields never match a record website, they are tied to the page instead
+    const isPaymentFrame =
+      recordType === RECORD_TYPES.CREDIT_CARD &&
+      isPaymentFrameAllowedToAutofill(approvedTopOrigin)
+
+    if (
+      !isPaymentFrame &&
+      !isFrameAllowedToAutofill({
+        websites,
+        websiteMatchModes,
+        websitePatterns
+      })
+    ) {
+      logger.warn('Autofill blocked: frame origin does not match the record')
+      return
+    }
 
     switch (recordType) {
       case RECORD_TYPES.LOGIN:
         handleAutofillLogin({
           username: recordData.username,
-          password: recordData.password
+          password: recordData.password,
+          field: lastFocusedField
         })
         break
       case RECORD_TYPES.IDENTITY:
         handleAutofillIdentity({
+          field: lastFocusedField,
           name: recordData.name,
           email: recordData.email,
           phoneNumber: recordData.phoneNumber,
@@ -149,11 +297,15 @@ runtime.onMessage.addListener(async (msg) => {
           zip: recordData.zip,
           city: recordData.city,
           region: recordData.region,
-          country: recordData.country
+          country: recordData.country,
+          passportNumber: recordData.passportNumber,
+          idCardNumber: recordData.idCardNumber,
+          drivingLicenseNumber: recordData.drivingLicenseNumber
         })
         break
       case RECORD_TYPES.CREDIT_CARD:
         handleAutofillCreditCard({
+          field: lastFocusedField,
           cardNumber: recordData.cardNumber,
           cardholderName: recordData.cardholderName,
           expireDate: recordData.expireDate,
@@ -162,13 +314,28 @@ runtime.onMessage.addListener(async (msg) => {
         break
     }
   }
+
+  if (msg.type === CONTENT_MESSAGE_TYPES.AUTOFILL_PAYMENT_FRAMES) {
+    if (
+      !isAutoFillEnabled ||
+      !isPaymentFrameAllowedToAutofill(msg.approvedTopOrigin)
+    ) {
+      return
+    }
+
+    fillCreditCardFields(document, msg.data)
+  }
 })
 
 // Password generator
 function handlePasswordSuggestionPopup(event) {
-  const element = event.target
+  const element = getComposedTarget(event)
 
-  if (!isPasswordField(element)) {
+  if (
+    siteRule.disablePasswordSuggestion ||
+    !element ||
+    !isPasswordField(element)
+  ) {
     return
   }
 
@@ -191,7 +358,7 @@ function handlePasswordSuggestionPopup(event) {
 }
 
 function handlePasswordSuggestionOutsideClick(event) {
-  const element = event.target
+  const element = getComposedTarget(event)
 
   const passwordSuggestionIframeData = getIframeData(
     IFRAME_TYPES.passwordSuggestion
@@ -199,6 +366,7 @@ function handlePasswordSuggestionOutsideClick(event) {
 
   if (
     !passwordSuggestionIframeData ||
+    !element ||
     element.isSameNode(passwordSuggestionIframeData?.iframe) ||
     element.isSameNode(passwordSuggestionIframeData?.element)
   ) {
@@ -210,9 +378,14 @@ function handlePasswordSuggestionOutsideClick(event) {
 
 function handleInsertPassword({ password, iframeData }) {
   if (iframeData.element) {
-    iframeData.element.value = password
-    triggerInputEvents(iframeData.element, ['input', 'change', 'blur'])
-    showPasswordStrengthNearField(iframeData.element, password)
+    getNewPasswordFields(iframeData.element).forEach((field) => {
+      field.value = password
+      triggerInputEvents(field, ['input', 'change', 'blur'])
+    })
+    if (!siteRule.disableStrengthPill) {
+      showPasswordStrengthNearField(iframeData.element, password)
+    }
+    stashGeneratedPassword(iframeData.element, password)
   }
 
   removeIframe(iframeData)
@@ -224,17 +397,55 @@ function handleInsertPassword({ password, iframeData }) {
   }
 }
 
+/**
+ * Hands the generated password and the username typed so far to the background,
+ * so the new account can still be saved after the page navigates away.
+ */
+function stashGeneratedPassword(element, password) {
+  if (!SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED) {
+    return
+  }
+
+  const credentials = getSubmittedCredentials(getFieldScope(element))
+
+  if (!isSavePromptAllowed(siteRule, credentials.username)) {
+    return
+  }
+
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.LOGIN,
+      data: { url: window.location.href, ...credentials, password }
+    })
+    .catch((err) => {
+      logger.error('Error stashing generated password:', err)
+    })
+}
+
 // AutoFill
-function showAutofillPopup({ positions, recordType }) {
-  if (!isAutoFillEnabled) {
+function showAutofillPopup({
+  positions,
+  recordType,
+  element,
+  isOneTimeCode,
+  autofillRecordId,
+  isOpenedFromKeyboard = false
+}) {
+  if (!isAutoFillEnabled || siteRule.disableAutofill) {
     return
   }
   const { top, left } = positions
 
+  isAutofillMenuNavigated = isOpenedFromKeyboard
+
   showIframe(IFRAME_TYPES.autofill, {
+    element: element,
     data: {
       url: window.location.href,
-      recordType: recordType
+      recordType: recordType,
+      isOneTimeCode: !!isOneTimeCode,
+      autofillRecordId,
+      isOpenedFromKeyboard
     },
     styles: {
       top: `${top}px`,
@@ -246,13 +457,72 @@ function showAutofillPopup({ positions, recordType }) {
   })
 }
 
-function handleAutofillLogin({ username, password }) {
+/**
+ * Opens the autofill menu with Down-arrow and forwards the navigation keys to
+ * it. `lastFocusedField` is only set for fields PearPass fills, so other inputs
+ * keep their keys.
+ */
+function handleAutofillMenuKeydown(event) {
+  if (!AUTOFILL_MENU_KEYS.includes(event.key) || event.isComposing) {
+    return
+  }
+
+  const element = getComposedTarget(event)
+
+  if (!element || element !== lastFocusedField) {
+    return
+  }
+
+  const autofillIframeData = getIframeData(IFRAME_TYPES.autofill)
+
+  if (!autofillIframeData) {
+    if (event.key !== 'ArrowDown' || event.altKey || event.ctrlKey) {
+      return
+    }
+
+    const rect = element.getBoundingClientRect()
+
+    showAutofillPopup({
+      recordType: getRecordTypeByField(element),
+      element,
+      isOneTimeCode: OTP_FIELD_TYPES.includes(classifyField(element)),
+      isOpenedFromKeyboard: true,
+      positions: {
+        top: rect.top + rect.height + 5,
+        left: rect.left
+      }
+    })
+  } else if (autofillIframeData.element !== element) {
+    return
+  } else if (event.key === 'Escape') {
+    removeIframe(autofillIframeData)
+    element.focus()
+  } else if (event.key === 'Enter' && !isAutofillMenuNavigated) {
+    return
+  } else {
+    isAutofillMenuNavigated = true
+    sendKeyToIframe({ iframeData: autofillIframeData, event })
+  }
+
+  event.preventDefault()
+  event.stopPropagation()
+}
+
+function handleAutofillLogin({ username, password, field }) {
   if (!isAutoFillEnabled) {
     return
   }
 
-  const { element: usernameField } = getField(['username', 'email'])
-  const { element: passwordField } = getField(PASSWORD_MATCHERS)
+  const scope = getFieldScope(field)
+  const changePasswordFields = getChangePasswordFields(scope)
+
+  // On a change-password form the saved password is the current one, never a new one
+  const { usernameField, passwordField } = changePasswordFields
+    ? {
+        usernameField: changePasswordFields.usernameField,
+        passwordField: changePasswordFields.currentPasswordField
+      }
+    : getLoginFields(scope, field)
 
   if (usernameField) {
     usernameField.value = username
@@ -265,8 +535,78 @@ function handleAutofillLogin({ username, password }) {
   }
 }
 
-const handleAutoFillLoginFromPopup = ({ username, password, iframeData }) => {
-  handleAutofillLogin({ username, password })
+// Frames
+function reportFocusedField(event) {
+  const element = getComposedTarget(event)
+
+  if (!(element instanceof HTMLInputElement) || !isAcceptedField(element)) {
+    return
+  }
+
+  lastFocusedField = element
+
+  // Lets the background route toolbar autofill to the frame owning this field
+  runtime.sendMessage({ type: MESSAGE_TYPES.FIELD_FOCUSED }).catch((err) => {
+    logger.error('Error reporting focused field:', err)
+  })
+}
+
+const handleAutoFillLoginFromPopup = ({
+  username,
+  password,
+  recordId,
+  hasOtp,
+  autoSubmit,
+  keepPopupOpen,
+  iframeData
+}) => {
+  handleAutofillLogin({ username, password, field: iframeData.element })
+
+  if (hasOtp) {
+    setPendingOtp(recordId)
+  }
+
+  submitAfterAutofill(iframeData.element, autoSubmit)
+
+  // The popup stays to offer adding this site to a login found by search
+  if (!keepPopupOpen) {
+    removeIframe(iframeData)
+  }
+
+  const logoIframeData = getIframeData(IFRAME_TYPES.logo)
+
+  if (logoIframeData) {
+    removeIframe(logoIframeData)
+  }
+}
+
+/**
+ * Sends the filled login when the record or the global setting asks for it.
+ */
+async function submitAfterAutofill(field, isRecordAutoSubmit) {
+  if (!field || !(isRecordAutoSubmit || (await getAutoSubmitEnabled()))) {
+    return
+  }
+
+  setTimeout(() => {
+    if (field.isConnected) {
+      submitLoginForm(getFieldScope(field))
+    }
+  }, AUTO_SUBMIT_DELAY_MS)
+}
+
+// One-time codes
+
+function handleAutofillOtp({ code, field }) {
+  if (!isAutoFillEnabled) {
+    return
+  }
+
+  fillOneTimeCode(getFieldScope(field), code)
+}
+
+const handleAutoFillOtpFromPopup = ({ code, iframeData }) => {
+  handleAutofillOtp({ code, field: iframeData.element })
 
   removeIframe(iframeData)
 
@@ -277,7 +617,80 @@ const handleAutoFillLoginFromPopup = ({ username, password, iframeData }) => {
   }
 }
 
+async function setPendingOtp(recordId) {
+  if (!(await getOtpAutofillEnabled())) {
+    return
+  }
+
+  try {
+    const msg = await runtime.sendMessage({
+      type: MESSAGE_TYPES.SET_PENDING_OTP,
+      recordId
+    })
+    // The code field may be rendered later on this same page
+    pendingOtpExpiresAt = msg?.data?.expiresAt ?? 0
+  } catch (err) {
+    logger.error('Error setting pending one-time code:', err)
+  }
+}
+
+// Asked once per page, as the password may have been filled on the previous one
+function watchPendingOtp() {
+  runtime
+    .sendMessage({ type: MESSAGE_TYPES.GET_PENDING_OTP, keep: true })
+    .then((msg) => {
+      if (msg?.type !== 'pendingOtp' || !msg.data?.expiresAt) {
+        return
+      }
+
+      pendingOtpExpiresAt = msg.data.expiresAt
+      checkPendingOtp()
+    })
+    .catch((err) => {
+      logger.error('Error getting pending one-time code:', err)
+    })
+}
+
+function checkPendingOtp() {
+  if (Date.now() >= pendingOtpExpiresAt || !isAutoFillEnabled) {
+    return
+  }
+
+  const otpField = classifyFields()[FIELD_TYPES.ONE_TIME_CODE]
+
+  if (!otpField) {
+    return
+  }
+
+  pendingOtpExpiresAt = 0
+
+  runtime
+    .sendMessage({ type: MESSAGE_TYPES.GET_PENDING_OTP })
+    .then((msg) => {
+      if (msg?.type !== 'pendingOtp' || !msg.data?.recordId) {
+        return
+      }
+
+      const rect = otpField.getBoundingClientRect()
+
+      showAutofillPopup({
+        recordType: RECORD_TYPES.LOGIN,
+        element: otpField,
+        isOneTimeCode: true,
+        autofillRecordId: msg.data.recordId,
+        positions: {
+          top: rect.top + rect.height + 5,
+          left: rect.left
+        }
+      })
+    })
+    .catch((err) => {
+      logger.error('Error getting pending one-time code:', err)
+    })
+}
+
 function handleAutofillIdentity({
+  field,
   name,
   email,
   phoneNumber,
@@ -285,70 +698,107 @@ function handleAutofillIdentity({
   zip,
   city,
   region,
-  country
+  country,
+  passportNumber,
+  idCardNumber,
+  drivingLicenseNumber
 }) {
   if (!isAutoFillEnabled) {
     return
   }
-  const { element: nameField } = getField(['name', 'full name', 'first name'])
-  const { element: emailField } = getField(['email'])
-  const { element: phoneField } = getField(['phone', 'tel', 'mobile'])
-  const { element: addressField } = getField(['address'])
-  const { element: zipField } = getField(['zip', 'postal-code'])
-  const { element: cityField, type: cityFieldType } = getField(['city'])
-  const { element: regionField, type: regionFieldType } = getField([
-    'region',
-    'state'
-  ])
-  const { element: countryField, type: countryFieldType } = getField([
-    'country'
-  ])
+  const fields = classifyFields(getFieldScope(field))
 
-  if (nameField) {
-    nameField.value = name
-  }
+  fillIdentityNameFields(fields, name)
+  fillIdentityAddressFields(fields, address)
 
-  if (emailField) {
-    emailField.value = email
-  }
+  fillIdentityField(fields[FIELD_TYPES.EMAIL], email)
+  fillIdentityField(fields[FIELD_TYPES.TEL], phoneNumber)
+  fillIdentityField(fields[FIELD_TYPES.POSTAL_CODE], zip)
+  fillIdentityField(fields[FIELD_TYPES.CITY], city)
+  fillIdentityField(
+    fields[FIELD_TYPES.REGION],
+    region,
+    getRegionOptionCandidates
+  )
+  fillIdentityField(
+    fields[FIELD_TYPES.COUNTRY],
+    country,
+    getCountryOptionCandidates
+  )
+  fillIdentityField(fields[FIELD_TYPES.PASSPORT_NUMBER], passportNumber)
+  fillIdentityField(fields[FIELD_TYPES.ID_CARD_NUMBER], idCardNumber)
+  fillIdentityField(
+    fields[FIELD_TYPES.DRIVING_LICENSE_NUMBER],
+    drivingLicenseNumber
+  )
+}
 
-  if (phoneField) {
-    phoneField.value = phoneNumber
+/**
+ * Fills one identity value; selects get the option spelling the value, using
+ * `getOptionCandidates` to list its codes and translations.
+ */
+function fillIdentityField(field, value, getOptionCandidates) {
+  if (!field || !value) {
+    return
   }
 
-  if (addressField) {
-    addressField.value = address
+  field.value = isSelectField(field)
+    ? findSelectOptionValue(
+        field,
+        getOptionCandidates ? getOptionCandidates(value) : value
+      )
+    : value
+  triggerInputEvents(field, ['input', 'change', 'blur'])
+}
+
+// The full name goes into a single name field, or is split over given/middle/family fields
+function fillIdentityNameFields(fields, name) {
+  const givenNameField = fields[FIELD_TYPES.GIVEN_NAME]
+  const additionalNameField = fields[FIELD_TYPES.ADDITIONAL_NAME]
+  const familyNameField = fields[FIELD_TYPES.FAMILY_NAME]
+
+  fillIdentityField(fields[FIELD_TYPES.NAME], name)
+
+  if (!givenNameField && !familyNameField) {
+    return
   }
 
-  if (zipField) {
-    zipField.value = zip
+  // A lone first-name field would lose the rest of the name
+  if (!familyNameField) {
+    fillIdentityField(givenNameField, name)
+    return
   }
 
-  if (cityField) {
-    if (cityFieldType === 'select') {
-      cityField.value = findSelectOptionValue(cityField, city)
-      return
-    }
+  const { givenName, additionalName, familyName } = splitFullName(name)
 
-    cityField.value = city
+  if (additionalNameField) {
+    fillIdentityField(givenNameField, givenName)
+    fillIdentityField(additionalNameField, additionalName)
+  } else {
+    fillIdentityField(
+      givenNameField,
+      [givenName, additionalName].filter(Boolean).join(' ')
+    )
   }
 
-  if (regionField) {
-    if (regionFieldType === 'select') {
-      regionField.value = findSelectOptionValue(regionField, region)
-      return
-    }
+  fillIdentityField(familyNameField, familyName)
+}
 
-    regionField.value = region
-  }
+// A street address field takes the whole address unless a second line field exists
+function fillIdentityAddressFields(fields, address) {
+  const streetAddressField =
+    fields[FIELD_TYPES.ADDRESS_LINE1] || fields[FIELD_TYPES.STREET_ADDRESS]
+  const addressLine2Field = fields[FIELD_TYPES.ADDRESS_LINE2]
 
-  if (countryField) {
-    if (countryFieldType === 'select') {
-      countryField.value = findSelectOptionValue(countryField, country)
-      return
-    }
-    countryField.value = country
+  if (!addressLine2Field) {
+    fillIdentityField(streetAddressField, address)
+    return
   }
+
+  const { line1, line2 } = splitStreetAddress(address)
+
+  fillIdentityField(streetAddressField, line1)
+  fillIdentityField(addressLine2Field, line2)
 }
 
 const handleAutoFillIdentityFromPopup = ({
@@ -360,9 +810,13 @@ const handleAutoFillIdentityFromPopup = ({
   city,
   region,
   country,
+  passportNumber,
+  idCardNumber,
+  drivingLicenseNumber,
   iframeData
 }) => {
   handleAutofillIdentity({
+    field: iframeData.element,
     name,
     email,
     phoneNumber,
@@ -370,13 +824,17 @@ const handleAutoFillIdentityFromPopup = ({
     zip,
     city,
     region,
-    country
+    country,
+    passportNumber,
+    idCardNumber,
+    drivingLicenseNumber
   })
 
   removeIframe(iframeData)
 }
 
 function handleAutofillCreditCard({
+  field,
   cardNumber,
   cardholderName,
   expireDate,
@@ -386,69 +844,54 @@ function handleAutofillCreditCard({
     return
   }
 
-  const { element: numberField } = getField([
-    'cc-number',
-    'cardnumber',
-    'card number',
-    'card-number',
-    'cardno'
-  ])
-  const { element: nameField } = getField([
-    'cc-name',
-    'cardholder',
-    'card holder',
-    'name on card',
-    'ccname'
-  ])
-  const { element: securityCodeField } = getField([
-    'cc-csc',
-    'cvv',
-    'cvc',
-    'csc',
-    'security code',
-    'securitycode',
-    'card-code'
-  ])
-  const { element: expireField } = getField([
-    'cc-exp',
-    'expiration',
-    'expiry',
-    'exp-date',
-    'expdate'
-  ])
-  const { element: expireMonthField, type: expireMonthFieldType } = getField([
-    'cc-exp-month',
-    'exp-month',
-    'expmonth',
-    'expiry-month'
-  ])
-  const { element: expireYearField, type: expireYearFieldType } = getField([
-    'cc-exp-year',
-    'exp-year',
-    'expyear',
-    'expiry-year'
-  ])
-
-  if (numberField) {
+  const card = { cardNumber, cardholderName, expireDate, securityCode }
+
+  fillCreditCardFields(getFieldScope(field), card)
+
+  // Payment providers render each card field in a frame of their own
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.FILL_PAYMENT_FRAMES,
+      data: card
+    })
+    .catch((err) => {
+      logger.error('Failed to request payment frame autofill:', err)
+    })
+}
+
+function fillCreditCardFields(
+  scope,
+  { cardNumber, cardholderName, expireDate, securityCode }
+) {
+  const fields = classifyFields(scope)
+
+  const numberField = fields[FIELD_TYPES.CC_NUMBER]
+  const nameField = fields[FIELD_TYPES.CC_NAME]
+  const securityCodeField = fields[FIELD_TYPES.CC_CSC]
+  const expireField = fields[FIELD_TYPES.CC_EXP]
+  const expireMonthField = fields[FIELD_TYPES.CC_EXP_MONTH]
+  const expireYearField = fields[FIELD_TYPES.CC_EXP_YEAR]
+
+  if (numberField && cardNumber) {
     numberField.value = cardNumber
     triggerInputEvents(numberField, ['input', 'change', 'blur'])
   }
 
-  if (nameField) {
+  if (nameField && cardholderName) {
     nameField.value = cardholderName
     triggerInputEvents(nameField, ['input', 'change', 'blur'])
   }
 
-  if (securityCodeField) {
+  if (securityCodeField && securityCode) {
     securityCodeField.value = securityCode
     triggerInputEvents(securityCodeField, ['input', 'change', 'blur'])
   }
 
-  // Stored expiration is "MM YY"
-  const [month = '', year = ''] = (expireDate || '').trim().split(/\s+/)
+  // Stored expiration is "MM YY", the year may have been saved with four digits
+  const [month = '', year = ''] = (expireDate || '').trim().split(/\D+/)
 
   if (expireMonthField && month) {
-    if (expireMonthFieldType === 'select') {
+    if (isSelectField(expireMonthField)) {
       expireMonthField.value = findSelectOptionValue(expireMonthField, month)
     } else {
       expireMonthField.value = month
@@ -457,18 +900,20 @@ function handleAutofillCreditCard({
   }
 
   if (expireYearField && year) {
-    const fullYear = `20${year}`
-    if (expireYearFieldType === 'select') {
-      expireYearField.value = findSelectOptionValue(expireYearField, fullYear)
+    if (isSelectField(expireYearField)) {
+      expireYearField.value = findSelectOptionValue(
+        expireYearField,
+        `20${year.slice(-2)}`
+      )
     } else {
-      expireYearField.value = year
+      expireYearField.value = formatCardExpiryYear(expireYearField, year)
     }
     triggerInputEvents(expireYearField, ['input', 'change', 'blur'])
   }
 
   // Only fill a combined expiration field when there are no split inputs
   if (expireField && !expireMonthField && !expireYearField && month && year) {
-    expireField.value = `${month}/${year}`
+    expireField.value = formatCardExpiry(expireField, month, year)
     triggerInputEvents(expireField, ['input', 'change', 'blur'])
   }
 }
@@ -481,6 +926,7 @@ const handleAutoFillCreditCardFromPopup = ({
   iframeData
 }) => {
   handleAutofillCreditCard({
+    field: iframeData.element,
     cardNumber,
     cardholderName,
     expireDate,
@@ -497,11 +943,15 @@ const handleAutoFillCreditCardFromPopup = ({
 }
 
 function hideAutofillOnOutsideClick(event) {
-  const element = event.target
+  const element = getComposedTarget(event)
 
   const autofillIframeData = getIframeData(IFRAME_TYPES.autofill)
 
-  if (!autofillIframeData || element.isSameNode(autofillIframeData?.iframe)) {
+  if (
+    !autofillIframeData ||
+    !element ||
+    element.isSameNode(autofillIframeData?.iframe)
+  ) {
     return
   }
 
@@ -510,31 +960,78 @@ function hideAutofillOnOutsideClick(event) {
 
 // Login detection
 
-function onSubmit({ username, password }) {
-  if (!SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED) {
-    return
+const loginSubmissionDetector = createLoginSubmissionDetector({
+  getCredentials: getSubmittedCredentials,
+  onAttempt: reportLoginAttempt,
+  onSuccess: handleLoginSuccess
+})
+
+function getLoginData({ username, password, previousPassword }) {
+  const data = { url: window.location.href, username, password }
+
+  // Lets LoginDetect find the record holding the password being replaced
+  if (previousPassword) {
+    data.previousPassword = previousPassword
   }
 
-  if (!username && !password) {
+  return data
+}
+
+// Stashed in the background first, so the prompt survives a full page navigation
+function reportLoginAttempt(credentials) {
+  if (
+    !SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED ||
+    !isSavePromptAllowed(siteRule, credentials.username)
+  ) {
     return
   }
 
-  const data = { url: window.location.href, username, password }
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.LOGIN,
+      data: getLoginData(credentials)
+    })
+    .catch((err) => {
+      logger.error('Error reporting login:', err)
+    })
+}
 
-  runtime.sendMessage({
-    type: IFRAME_TYPES.login,
-    data: data
-  })
+function handleLoginSuccess(credentials) {
+  if (!SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED) {
+    return
+  }
 
-  if (username && password) {
-    showIframe(IFRAME_TYPES.login, {
-      data,
-      styles: {
-        top: '20px',
-        right: '20px'
-      }
+  // Consuming the stashed login keeps the next page from prompting again; it also
+  // carries the username of identifier-first logins that asked for it on an earlier step
+  runtime
+    .sendMessage({ type: MESSAGE_TYPES.GET_PENDING_LOGIN })
+    .then((msg) => {
+      showLoginPrompt(
+        msg?.data?.password ? msg.data : getLoginData(credentials)
+      )
     })
+    .catch((err) => {
+      logger.error('Error getting pending login:', err)
+      showLoginPrompt(getLoginData(credentials))
+    })
+}
+
+function showLoginPrompt(data) {
+  if (!data?.password || !(data.username || data.previousPassword)) {
+    return
+  }
+
+  if (!isSavePromptAllowed(siteRule, data.username)) {
+    return
   }
+
+  showIframe(IFRAME_TYPES.login, {
+    data,
+    styles: {
+      top: '20px',
+      right: '20px'
+    }
+  })
 }
 
 function initFormListener(form) {
@@ -543,18 +1040,40 @@ function initFormListener(form) {
       return
     }
 
-    const username = form.querySelector(
-      'input[type="text"], input[type="email"]'
-    )?.value
+    loginSubmissionDetector.attempt(form)
+  })
+}
+
+/**
+ * Reads the credentials a form is about to submit. For a change-password form the
+ * new password is the one to save and the current one identifies the record.
+ */
+function getSubmittedCredentials(scope) {
+  const changePasswordFields = getChangePasswordFields(scope)
+
+  if (changePasswordFields) {
+    return {
+      username: changePasswordFields.usernameField?.value,
+      password: changePasswordFields.newPasswordFields[0].value,
+      previousPassword: changePasswordFields.currentPasswordField.value
+    }
+  }
+
+  const { usernameField, passwordField } = getLoginFields(scope)
 
-    const password = form.querySelector('input[type="password"]')?.value
+  return {
+    username: usernameField?.value,
+    password: passwordField?.value
+  }
+}
 
-    onSubmit({ username, password })
-  })
+function checkSubmissions() {
+  loginSubmissionDetector.check()
+  checkoutSubmissionDetector.check()
 }
 
 function detectSubmitClick(event) {
-  const btn = event.target.closest(
+  const btn = getComposedTarget(event)?.closest(
     'button, input[type="button"], input[type="submit"]'
   )
 
@@ -562,67 +1081,210 @@ function detectSubmitClick(event) {
     return
   }
 
-  const label = (
-    btn.innerText ||
-    btn.getAttribute('aria-label') ||
-    ''
-  ).toLowerCase()
-
-  if (/(next|sign in|login|submit)/.test(label)) {
-    setTimeout(() => {
-      const { element: userNameField } = getField(['username', 'email'])
-      const { element: passwordField } = getField(PASSWORD_MATCHERS)
+  // Any button of a login counts: the detector only prompts once the login went through
+  loginSubmissionDetector.attempt(getFieldScope(btn))
+  detectCheckoutSubmission(getFieldScope(btn))
+}
 
-      const username = userNameField?.value
-      const password = passwordField?.value
+function detectSubmitKeydown(event) {
+  const element = getComposedTarget(event)
 
-      onSubmit({ username, password })
-    }, 10)
+  if (event.key !== 'Enter' || !(element instanceof HTMLInputElement)) {
+    return
   }
+
+  loginSubmissionDetector.attempt(getFieldScope(element))
+  detectCheckoutSubmission(getFieldScope(element))
 }
 
-const observer = new MutationObserver(async () => {
-  if (!(await isContentScriptEnabled())) {
+const listenedForms = new WeakSet()
+const observedShadowRoots = new WeakSet()
+
+let isRescanScheduled = false
+
+// Pages can mutate many times per frame, so the page is rescanned once per frame
+const observer = new MutationObserver(() => {
+  if (isRescanScheduled) {
     return
   }
 
-  findLoginForms().forEach(initFormListener)
+  isRescanScheduled = true
+  requestAnimationFrame(() => {
+    isRescanScheduled = false
+    rescanPage()
+  })
 })
 
 observer.observe(document, { childList: true, subtree: true })
 
-runtime
-  .sendMessage({
-    type: 'getPendingLogin'
-  })
-  .then(async (msg) => {
-    if (!(await isContentScriptEnabled())) {
+async function rescanPage() {
+  if (!(await isContentScriptEnabled())) {
+    return
+  }
+
+  // Mutations inside a shadow root are not reported to the document observer
+  getOpenShadowRoots().forEach((shadowRoot) => {
+    if (observedShadowRoots.has(shadowRoot)) {
       return
     }
 
-    if (
-      msg.type === 'pendingLogin' &&
-      msg.data?.username &&
-      msg.data?.password
-    ) {
-      showIframe(IFRAME_TYPES.login, {
-        data: msg.data,
-        styles: {
-          top: '20px',
-          right: '20px'
-        }
-      })
+    observedShadowRoots.add(shadowRoot)
+    observer.observe(shadowRoot, { childList: true, subtree: true })
+  })
+
+  findLoginForms().forEach((form) => {
+    if (listenedForms.has(form)) {
       return
     }
+
+    listenedForms.add(form)
+    initFormListener(form)
   })
-  .catch((err) => {
-    logger.error('Error getting pending login:', err)
+
+  checkPendingOtp()
+  checkSubmissions()
+}
+
+// Pending logins are shown by the top frame only, so subframes must not consume them
+if (window === window.top) {
+  checkPendingLogin()
+  checkPendingCheckout()
+}
+
+isContentScriptEnabled().then((isEnabled) => {
+  if (isEnabled) {
+    watchPendingOtp()
+  }
+})
+
+// The shim is injected first, so it may already be waiting for this
+postPasskeySupport()
+
+function checkPendingLogin() {
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.GET_PENDING_LOGIN
+    })
+    .then(async (msg) => {
+      if (!(await isContentScriptEnabled())) {
+        return
+      }
+
+      // A failed login reloads the same form with an error message
+      if (msg.type === 'pendingLogin' && !isLoginErrorShown()) {
+        showLoginPrompt(msg.data)
+      }
+    })
+    .catch((err) => {
+      logger.error('Error getting pending login:', err)
+    })
+}
+
+// Checkout detection
+
+// The prompt waits for the checkout to go through, like the login prompt
+const checkoutSubmissionDetector = createCheckoutSubmissionDetector({
+  onSuccess: checkPendingCheckout
+})
+
+// Stashed in the background like logins, since checkouts usually navigate away
+function detectCheckoutSubmission(scope) {
+  if (
+    !SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED ||
+    !(scope instanceof Node) ||
+    siteRule.neverSave
+  ) {
+    return
+  }
+
+  const { creditCard, identity } = getCheckoutData(scope)
+
+  if (!creditCard && !identity) {
+    return
+  }
+
+  const isTopFrame = window === window.top
+
+  // Pending checkouts are shown by the top frame only
+  if (isTopFrame) {
+    checkoutSubmissionDetector.attempt(getCheckoutFields(scope))
+  }
+
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.SET_PENDING_CHECKOUT,
+      data: {
+        creditCard,
+        identity,
+        url: isTopFrame ? window.location.href : undefined
+      }
+    })
+    .catch((err) => {
+      logger.error('Error reporting checkout:', err)
+    })
+}
+
+/**
+ * Whether the page still shows the checkout that was submitted: the same page
+ * was loaded again, or the form is back with an error such as a declined card.
+ * @param {string | null} url - Page of the submitted checkout
+ * @returns {boolean}
+ */
+function isCheckoutFormShown(url) {
+  const fields = getCheckoutFields(document).filter(isElementVisible)
+
+  if (!fields.length) {
+    return false
+  }
+
+  return url === window.location.href || isFormErrorShown(fields)
+}
+
+function checkPendingCheckout() {
+  if (!SAVE_CREDENTIALS_AFTER_LOGIN_ENABLED) {
+    return
+  }
+
+  runtime
+    .sendMessage({
+      type: MESSAGE_TYPES.GET_PENDING_CHECKOUT
+    })
+    .then(async (msg) => {
+      if (!(await isContentScriptEnabled())) {
+        return
+      }
+
+      if (
+        msg?.type === 'pendingCheckout' &&
+        msg.data &&
+        !isCheckoutFormShown(msg.data.url)
+      ) {
+        showCheckoutPrompt(msg.data)
+      }
+    })
+    .catch((err) => {
+      logger.error('Error getting pending checkout:', err)
+    })
+}
+
+function showCheckoutPrompt(data) {
+  if (getIframeData(IFRAME_TYPES.checkout)) {
+    return
+  }
+
+  showIframe(IFRAME_TYPES.checkout, {
+    data: { ...data, url: window.location.href },
+    styles: {
+      top: '20px',
+      right: '20px'
+    }
   })
+}
 
 // Display Pearpass logo
 
 function showLogoForField(field) {
-  if (!isAutoFillEnabled) {
+  if (!isAutoFillEnabled || siteRule.disableLogo) {
     return
   }
   const rect = field.getBoundingClientRect()
@@ -631,7 +1293,8 @@ function showLogoForField(field) {
     element: field,
     data: {
       url: window.location.href,
-      recordType: getRecordTypeByField(field)
+      recordType: getRecordTypeByField(field),
+      isOneTimeCode: OTP_FIELD_TYPES.includes(classifyField(field))
     },
     styles: {
       top: `${rect.top + (rect.height - LOGO_SIZE) / 2}px`,
@@ -646,22 +1309,25 @@ function showLogoForField(field) {
 }
 
 function hideLogoOnOutsideClick(event) {
-  const element = event.target
+  const element = getComposedTarget(event)
 
   const logoIframeData = getIframeData(IFRAME_TYPES.logo)
 
   if (
     !logoIframeData ||
+    !element ||
     element.isSameNode(logoIframeData?.element) ||
     element.isSameNode(logoIframeData?.iframe)
   ) {
     return
   }
 
+  const activeElement = getDeepActiveElement()
+
   if (
     logoIframeData.element &&
-    document.activeElement &&
-    logoIframeData.element.isSameNode(document.activeElement)
+    activeElement &&
+    logoIframeData.element.isSameNode(activeElement)
   ) {
     return
   }
@@ -670,15 +1336,20 @@ function hideLogoOnOutsideClick(event) {
 }
 
 function getRecordTypeByField(field) {
-  if (isUsernameField(field) || isPasswordField(field)) {
+  const fieldType = classifyField(field)
+
+  if (
+    LOGIN_FIELD_TYPES.includes(fieldType) ||
+    OTP_FIELD_TYPES.includes(fieldType)
+  ) {
     return 'login'
   }
 
-  if (isCreditCardField(field)) {
+  if (CREDIT_CARD_FIELD_TYPES.includes(fieldType)) {
     return RECORD_TYPES.CREDIT_CARD
   }
 
-  if (isIdentityField(field)) {
+  if (IDENTITY_FIELD_TYPES.includes(fieldType)) {
     return 'identity'
   }
 
@@ -686,16 +1357,15 @@ function getRecordTypeByField(field) {
 }
 
 function isAcceptedField(field) {
-  return (
-    isUsernameField(field) ||
-    isPasswordField(field) ||
-    isCreditCardField(field) ||
-    isIdentityField(field)
-  )
+  return !!getRecordTypeByField(field)
+}
+
+function isSelectField(field) {
+  return field.tagName === 'SELECT'
 }
 
 function toggleLogoOnFocus(event) {
-  const element = event.target
+  const element = getComposedTarget(event)
 
   const logoIframeData = getIframeData(IFRAME_TYPES.logo)
 
@@ -712,7 +1382,7 @@ function toggleLogoOnFocus(event) {
   }
 }
 
-document.querySelectorAll('input').forEach(async (input) => {
+querySelectorAllDeep('input').forEach(async (input) => {
   if (!(await isContentScriptEnabled())) {
     return
   }
@@ -782,12 +1452,68 @@ function sendDataToIframe({ iframeType, iframeData }) {
   )
 }
 
+function sendKeyToIframe({ iframeData, event }) {
+  const extensionOrigin = runtime.getURL('').slice(0, -1)
+
+  iframeData?.iframe?.contentWindow?.postMessage(
+    {
+      type: 'keydown',
+      data: {
+        url: window.location.href,
+        key: event.key,
+        shiftKey: event.shiftKey
+      }
+    },
+    extensionOrigin
+  )
+}
+
 function updateIframeStyles({ msg, iframeData }) {
   Object.entries(msg?.data.style).forEach(([key, value]) => {
     iframeData.iframe.style[key] = value
   })
 }
 
+/**
+ * Tells the injected shim whether PearPass answers passkey requests on this
+ * page. Where it does not, the shim hands them to the browser.
+ */
+async function postPasskeySupport() {
+  window.postMessage(
+    {
+      source: 'pearpass',
+      type: CONTENT_MESSAGE_TYPES.PASSKEY_SUPPORT,
+      isEnabled: await isContentScriptEnabled()
+    },
+    '*'
+  )
+}
+
+/**
+ * The page can post passkey requests without going through the injected shim,
+ * so the relying party is checked against this frame's own location here.
+ * @param {string | undefined} rpId
+ * @returns {boolean}
+ */
+const isPasskeyRequestAllowed = (rpId) =>
+  isValidRpId(rpId, window.location.hostname)
+
+/**
+ * @param {string} type - `SAVED_PASSKEY` or `GOT_PASSKEY`
+ * @param {string} requestId
+ */
+const rejectPasskeyRequest = (type, requestId) => {
+  window.postMessage(
+    {
+      type,
+      requestId,
+      credential: null,
+      error: WEBAUTHN_ERRORS.SECURITY
+    },
+    '*'
+  )
+}
+
 function handleWindowEvent(event) {
   const data = event.data
 
@@ -798,21 +1524,38 @@ function handleWindowEvent(event) {
   const type = data.type
 
   if (type === CONTENT_MESSAGE_TYPES.CREATE_PASSKEY) {
+    if (!isPasskeyRequestAllowed(data.publicKey?.rp?.id)) {
+      rejectPasskeyRequest(CONTENT_MESSAGE_TYPES.SAVED_PASSKEY, data.requestId)
+      return
+    }
+
     runtime.sendMessage({
       type: MESSAGE_TYPES.CREATE_PASSKEY,
       requestId: data.requestId,
       publicKey: data.publicKey,
-      requestOrigin: data.requestOrigin
+      requestOrigin: window.location.origin
     })
   }
 
   if (type === CONTENT_MESSAGE_TYPES.GET_PASSKEY) {
+    if (!isPasskeyRequestAllowed(data.publicKey?.rpId)) {
+      rejectPasskeyRequest(CONTENT_MESSAGE_TYPES.GOT_PASSKEY, data.requestId)
+      return
+    }
+
     runtime.sendMessage({
       type: MESSAGE_TYPES.GET_PASSKEY,
       requestId: data.requestId,
       publicKey: data.publicKey,
       mediation: data.mediation,
-      requestOrigin: data.requestOrigin
+      requestOrigin: window.location.origin
+    })
+  }
+
+  if (type === CONTENT_MESSAGE_TYPES.CANCEL_PASSKEY) {
+    runtime.sendMessage({
+      type: MESSAGE_TYPES.CANCEL_PASSKEY,
+      requestId: data.requestId
     })
   }
 }
@@ -857,6 +1600,8 @@ const handleIframeEvent = (event) => {
 
     showAutofillPopup({
       recordType: logoIframeData?.data?.recordType,
+      element: logoIframeData?.element,
+      isOneTimeCode: logoIframeData?.data?.isOneTimeCode,
       positions: {
         top: iframeRect.top + iframeRect.height + 5,
         left: iframeRect.left
@@ -866,19 +1611,45 @@ const handleIframeEvent = (event) => {
   }
 
   if (eventType === 'autofillLogin') {
-    const { username, password } = msg.data
+    const { username, password, recordId, hasOtp, autoSubmit, keepPopupOpen } =
+      msg.data
 
     handleAutoFillLoginFromPopup({
       username,
       password,
+      recordId,
+      hasOtp,
+      autoSubmit,
+      keepPopupOpen,
+      iframeData
+    })
+    return
+  }
+
+  if (eventType === 'autofillOtp') {
+    const { code } = msg.data
+
+    handleAutoFillOtpFromPopup({
+      code,
       iframeData
     })
     return
   }
 
   if (eventType === 'autofillIdentity') {
-    const { name, email, phoneNumber, address, zip, city, region, country } =
-      msg.data
+    const {
+      name,
+      email,
+      phoneNumber,
+      address,
+      zip,
+      city,
+      region,
+      country,
+      passportNumber,
+      idCardNumber,
+      drivingLicenseNumber
+    } = msg.data
 
     handleAutoFillIdentityFromPopup({
       name,
@@ -889,6 +1660,9 @@ const handleIframeEvent = (event) => {
       city,
       region,
       country,
+      passportNumber,
+      idCardNumber,
+      drivingLicenseNumber,
       iframeData
     })
     return
@@ -0,0 +1,65 @@
+import { SUBMISSION_WINDOW_MS } from './createLoginSubmissionDetector'
+import { isElementVisible } from './isElementVisible'
+import { isFormErrorShown } from './isFormErrorShown'
+
+/**
+ * Detects checkouts that went through, so that the save prompt does not show
+ * while the customer is still on the form, applied a coupon or had the card
+ * declined. Like a login, a checkout succeeded once its fields leave the page,
+ * or once the URL changes without an error next to the fields.
+ *
+ * @param {Object} options
+ * @param {() => void} options.onSuccess - Called once per successful checkout
+ * @param {() => number} [options.now=Date.now]
+ */
+export const createCheckoutSubmissionDetector = ({
+  onSuccess,
+  now = Date.now
+}) => {
+  /**
+   * @type {{ fields: Element[], url: string, attemptAt: number } | null}
+   */
+  let submission = null
+
+  /**
+   * Records a submission attempt.
+   * @param {Element[]} fields - Fields that identify the checkout form
+   */
+  const attempt = (fields) => {
+    if (!fields.length) {
+      return
+    }
+
+    submission = { fields, url: window.location.href, attemptAt: now() }
+  }
+
+  /**
+   * Checks whether the tracked checkout has completed. Call it after DOM
+   * mutations and navigations.
+   */
+  const check = () => {
+    if (!submission) {
+      return
+    }
+
+    if (now() - submission.attemptAt > SUBMISSION_WINDOW_MS) {
+      submission = null
+      return
+    }
+
+    const shownFields = submission.fields.filter(
+      (field) => field.isConnected && isElementVisible(field)
+    )
+    const isUrlChanged = window.location.href !== submission.url
+    const isFormGone = !shownFields.length
+
+    if (!isFormGone && !(isUrlChanged && !isFormErrorShown(shownFields))) {
+      return
+    }
+
+    submission = null
+    onSuccess()
+  }
+
+  return { attempt, check }
+}
@@ -0,0 +1,89 @@
+import { createCheckoutSubmissionDetector } from './createCheckoutSubmissionDetector'
+import { SUBMISSION_WINDOW_MS } from './createLoginSubmissionDetector'
+
+describe('createCheckoutSubmissionDetector', () => {
+  let currentTime
+  let onSuccess
+  let detector
+
+  const getFields = () => [document.getElementById('card-number')]
+
+  beforeEach(() => {
+    window.history.replaceState({}, '', '/checkout')
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input id="card-number" autocomplete="cc-number" value="4242424242424242" />
+        <button type="button">Pay</button>
+      </form>
+    `
+
+    currentTime = 1000
+    onSuccess = jest.fn()
+    detector = createCheckoutSubmissionDetector({
+      onSuccess,
+      now: () => currentTime
+    })
+  })
+
+  it('should succeed when the checkout form disappears', () => {
+    detector.attempt(getFields())
+
+    document.body.innerHTML = '<h1>Thank you for your order</h1>'
+    detector.check()
+
+    expect(onSuccess).toHaveBeenCalledTimes(1)
+  })
+
+  it('should succeed when the URL changes without an error', () => {
+    detector.attempt(getFields())
+
+    window.history.pushState({}, '', '/checkout/review')
+    detector.check()
+    detector.check()
+
+    expect(onSuccess).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not succeed while the form stays on the same page', () => {
+    detector.attempt(getFields())
+
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should not succeed when the card is declined', () => {
+    detector.attempt(getFields())
+
+    document
+      .getElementById('checkout')
+      .insertAdjacentHTML(
+        'afterbegin',
+        '<p role="alert">Your card was declined</p>'
+      )
+    window.history.pushState({}, '', '/checkout?error=declined')
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should ignore attempts without checkout fields', () => {
+    detector.attempt([])
+
+    document.body.innerHTML = ''
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should forget the checkout once the submission window has passed', () => {
+    detector.attempt(getFields())
+
+    currentTime += SUBMISSION_WINDOW_MS + 1
+    detector.check()
+    document.body.innerHTML = ''
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+})
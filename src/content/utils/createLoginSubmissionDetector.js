@@ -0,0 +1,159 @@
+import { getFieldScope } from './getFieldScope'
+import { isElementVisible } from './isElementVisible'
+import { isLoginErrorShown } from './isLoginErrorShown'
+import { isPasswordField } from './isPasswordField'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
+
+/** How long after a submission attempt a navigation still counts as its result */
+export const SUBMISSION_WINDOW_MS = 10000
+
+/** How long after typing a password a navigation counts without an explicit attempt */
+export const TYPING_WINDOW_MS = 3000
+
+/**
+ * @typedef {Object} LoginCredentials
+ * @property {string} [username]
+ * @property {string} [password]
+ * @property {string} [previousPassword]
+ */
+
+/**
+ * Detects logins that never fire a form `submit`, as done by single-page apps
+ * signing in through `fetch`. Typing a password arms the detector; Enter, a button
+ * click or a form submit counts as an attempt, and the login is considered
+ * successful once the URL changes or the password field leaves the page.
+ * A URL change while the login form is still shown with an error is a failure.
+ *
+ * @param {Object} options
+ * @param {(scope: Document | ShadowRoot | Element) => LoginCredentials} options.getCredentials - Reads the credentials currently typed in a scope
+ * @param {(credentials: LoginCredentials) => void} options.onAttempt - Called for every submission attempt, including username-only steps
+ * @param {(credentials: LoginCredentials) => void} options.onSuccess - Called once per successful login
+ * @param {() => number} [options.now=Date.now]
+ */
+export const createLoginSubmissionDetector = ({
+  getCredentials,
+  onAttempt,
+  onSuccess,
+  now = Date.now
+}) => {
+  /**
+   * @type {{
+   *  scope: Document | ShadowRoot | Element,
+   *  passwordField: HTMLInputElement | null,
+   *  credentials: LoginCredentials,
+   *  url: string,
+   *  lastInputAt: number,
+   *  attemptAt: number | null
+   * } | null}
+   */
+  let submission = null
+
+  const isTrackedScope = (scope) => submission?.scope === scope
+
+  const update = (scope, changes) => {
+    submission = {
+      url: isTrackedScope(scope) ? submission.url : window.location.href,
+      passwordField: isTrackedScope(scope) ? submission.passwordField : null,
+      attemptAt: isTrackedScope(scope) ? submission.attemptAt : null,
+      lastInputAt: now(),
+      ...changes,
+      scope
+    }
+  }
+
+  // A "show password" toggle turns the tracked field into a text input, so it counts as shown too
+  const isPasswordShown = ({ scope, passwordField }) => {
+    if (passwordField?.isConnected && isElementVisible(passwordField)) {
+      return true
+    }
+
+    return querySelectorAllDeep(
+      'input[type="password"]',
+      scope.isConnected === false ? document : scope
+    ).some(isElementVisible)
+  }
+
+  /**
+   * Records typing in a credential field.
+   * @param {Element | null} element
+   */
+  const observeInput = (element) => {
+    if (!(element instanceof HTMLInputElement)) {
+      return
+    }
+
+    const scope = submission?.scope.contains?.(element)
+      ? submission.scope
+      : getFieldScope(element)
+
+    if (!isTrackedScope(scope) && !isPasswordField(element)) {
+      return
+    }
+
+    const credentials = getCredentials(scope)
+
+    if (!credentials.password) {
+      return
+    }
+
+    update(scope, {
+      credentials,
+      ...(isPasswordField(element) && { passwordField: element })
+    })
+  }
+
+  /**
+   * Records a submission attempt for the login in `scope`.
+   * @param {Document | ShadowRoot | Element} scope
+   */
+  const attempt = (scope) => {
+    const typedCredentials = getCredentials(scope)
+    const credentials = typedCredentials.password
+      ? typedCredentials
+      : isTrackedScope(scope) && submission.credentials
+
+    if (!credentials?.password) {
+      // Identifier-first logins submit the username on a step of its own
+      if (typedCredentials.username) {
+        onAttempt(typedCredentials)
+      }
+      return
+    }
+
+    update(scope, { credentials, attemptAt: now() })
+    onAttempt(credentials)
+  }
+
+  /**
+   * Checks whether the tracked login has completed. Call it after DOM mutations
+   * and navigations.
+   */
+  const check = () => {
+    if (!submission) {
+      return
+    }
+
+    const elapsed = now() - (submission.attemptAt ?? submission.lastInputAt)
+    const maxElapsed = submission.attemptAt
+      ? SUBMISSION_WINDOW_MS
+      : TYPING_WINDOW_MS
+
+    if (elapsed > maxElapsed) {
+      submission = null
+      return
+    }
+
+    const isUrlChanged = window.location.href !== submission.url
+    const isFormGone = !isPasswordShown(submission)
+
+    if (!isFormGone && !(isUrlChanged && !isLoginErrorShown())) {
+      return
+    }
+
+    const { credentials } = submission
+    submission = null
+    onSuccess(credentials)
+  }
+
+  return { observeInput, attempt, check }
+}
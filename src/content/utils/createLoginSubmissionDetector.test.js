@@ -0,0 +1,158 @@
+import {
+  createLoginSubmissionDetector,
+  SUBMISSION_WINDOW_MS,
+  TYPING_WINDOW_MS
+} from './createLoginSubmissionDetector'
+
+describe('createLoginSubmissionDetector', () => {
+  let currentTime
+  let onAttempt
+  let onSuccess
+  let detector
+
+  const getCredentials = (scope) => ({
+    username: scope.querySelector('[name="username"]')?.value,
+    password: scope.querySelector('[type="password"]')?.value
+  })
+
+  const typePassword = (value = 'secret') => {
+    const password = document.getElementById('password')
+    password.value = value
+    detector.observeInput(password)
+  }
+
+  beforeEach(() => {
+    window.history.replaceState({}, '', '/login')
+    document.body.innerHTML = `
+      <div id="login">
+        <input name="username" value="alice" />
+        <input id="password" type="password" />
+        <button type="button">Continue</button>
+      </div>
+    `
+
+    currentTime = 1000
+    onAttempt = jest.fn()
+    onSuccess = jest.fn()
+    detector = createLoginSubmissionDetector({
+      getCredentials,
+      onAttempt,
+      onSuccess,
+      now: () => currentTime
+    })
+  })
+
+  it('should report an attempt with the typed credentials', () => {
+    typePassword()
+
+    detector.attempt(document.getElementById('login'))
+
+    expect(onAttempt).toHaveBeenCalledWith({
+      username: 'alice',
+      password: 'secret'
+    })
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should report a username-only step without arming the detector', () => {
+    detector.attempt(document.getElementById('login'))
+    document.body.innerHTML = ''
+    detector.check()
+
+    expect(onAttempt).toHaveBeenCalledWith({
+      username: 'alice',
+      password: ''
+    })
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should ignore attempts without credentials', () => {
+    document.querySelector('[name="username"]').value = ''
+
+    detector.attempt(document.getElementById('login'))
+
+    expect(onAttempt).not.toHaveBeenCalled()
+  })
+
+  it('should succeed when the login form disappears after an attempt', () => {
+    typePassword()
+    detector.attempt(document.getElementById('login'))
+
+    document.body.innerHTML = '<h1>Dashboard</h1>'
+    detector.check()
+
+    expect(onSuccess).toHaveBeenCalledWith({
+      username: 'alice',
+      password: 'secret'
+    })
+  })
+
+  it('should succeed when the URL changes right after typing', () => {
+    typePassword()
+
+    window.history.pushState({}, '', '/dashboard')
+    currentTime += TYPING_WINDOW_MS - 1
+    detector.check()
+
+    expect(onSuccess).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only report a success once', () => {
+    typePassword()
+    document.body.innerHTML = ''
+
+    detector.check()
+    detector.check()
+
+    expect(onSuccess).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not succeed while the form is shown with an error', () => {
+    typePassword()
+    detector.attempt(document.getElementById('login'))
+
+    document
+      .getElementById('login')
+      .insertAdjacentHTML(
+        'afterbegin',
+        '<p role="alert">Incorrect username or password</p>'
+      )
+    window.history.pushState({}, '', '/login?error=1')
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should not treat a revealed password as a removed field', () => {
+    typePassword()
+    detector.attempt(document.getElementById('login'))
+
+    document.getElementById('password').type = 'text'
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should forget the login once the submission window has passed', () => {
+    typePassword()
+    detector.attempt(document.getElementById('login'))
+
+    currentTime += SUBMISSION_WINDOW_MS + 1
+    detector.check()
+    document.body.innerHTML = ''
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+
+  it('should ignore typing outside credential fields', () => {
+    const username = document.querySelector('[name="username"]')
+    document.getElementById('password').value = 'secret'
+
+    detector.observeInput(username)
+    document.body.innerHTML = ''
+    detector.check()
+
+    expect(onSuccess).not.toHaveBeenCalled()
+  })
+})
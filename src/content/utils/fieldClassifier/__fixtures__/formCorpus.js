@@ -0,0 +1,294 @@
+/**
+ * Labelled snapshots of real-world forms, trimmed to the markup the classifier reads.
+ * `data-expected-field` holds the expected `FIELD_TYPES` value of a field; fillable
+ * fields without it must stay unclassified. `isLoginForm` labels the `<form>` itself.
+ */
+export const FORM_CORPUS = [
+  {
+    name: 'GitHub sign in',
+    isLoginForm: true,
+    html: `
+      <form action="/session" method="post">
+        <input type="hidden" name="authenticity_token" value="x" />
+        <label for="login_field">Username or email address</label>
+        <input type="text" name="login" id="login_field" autocapitalize="off" autocomplete="username" data-expected-field="username" />
+        <label for="password">Password</label>
+        <input type="password" name="password" id="password" autocomplete="current-password" data-expected-field="currentPassword" />
+        <input type="submit" name="commit" value="Sign in" />
+      </form>
+    `
+  },
+  {
+    name: 'Facebook log in with unconventional names',
+    isLoginForm: true,
+    html: `
+      <form id="login_form" action="/login/" method="post">
+        <input type="text" class="inputtext _55r1" name="email" id="email" placeholder="Email address or phone number" aria-label="Email address or phone number" data-expected-field="username" />
+        <input type="password" class="inputtext _55r1" name="pass" id="pass" placeholder="Password" aria-label="Password" data-expected-field="currentPassword" />
+        <button name="login" type="submit">Log in</button>
+      </form>
+    `
+  },
+  {
+    name: 'Login with a psswd field name',
+    isLoginForm: true,
+    html: `
+      <form>
+        <input type="text" name="uid" id="uid" data-expected-field="username" />
+        <input type="password" class="inputtext _55r1 _6luy _9npi" name="psswd" id="psswd" data-testid="royal-psswd" data-expected-field="currentPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Google identifier step',
+    isLoginForm: true,
+    html: `
+      <form method="post" novalidate>
+        <input type="email" class="whsOnd zHQkBf" autocomplete="username" spellcheck="false" aria-label="Email or phone" name="identifier" id="identifierId" data-expected-field="username" />
+        <input type="password" name="hiddenPassword" tabindex="-1" aria-hidden="true" />
+        <div><button type="button">Next</button></div>
+      </form>
+    `
+  },
+  {
+    name: 'Amazon sign in',
+    isLoginForm: true,
+    html: `
+      <form name="signIn" method="post" action="/ap/signin">
+        <label for="ap_email">Email or mobile phone number</label>
+        <input type="email" maxlength="128" id="ap_email" name="email" tabindex="1" data-expected-field="username" />
+        <label for="ap_password">Password</label>
+        <input type="password" maxlength="1024" id="ap_password" name="password" tabindex="2" data-expected-field="currentPassword" />
+        <input type="checkbox" name="rememberMe" value="true" />
+      </form>
+    `
+  },
+  {
+    name: 'Enterprise SSO with generated ids',
+    isLoginForm: true,
+    html: `
+      <form id="j_idt12" name="j_idt12">
+        <div class="field"><input id="j_idt12:j_idt15" name="j_idt12:j_idt15" type="text" data-expected-field="username" /></div>
+        <div class="field"><input id="j_idt12:j_idt17" name="j_idt12:j_idt17" type="password" data-expected-field="currentPassword" /></div>
+      </form>
+    `
+  },
+  {
+    name: 'Login form with a honeypot username',
+    isLoginForm: true,
+    html: `
+      <form>
+        <input type="text" name="username" style="display: none" />
+        <input type="email" name="user_email" id="user_email" aria-label="Email" data-expected-field="username" />
+        <input type="password" name="user_password" data-expected-field="currentPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Newsletter subscription',
+    isLoginForm: false,
+    html: `
+      <form class="newsletter" action="/subscribe">
+        <input type="email" name="EMAIL" placeholder="Your email address" data-expected-field="email" />
+        <button type="submit">Subscribe</button>
+      </form>
+    `
+  },
+  {
+    name: 'Site search',
+    isLoginForm: false,
+    html: `
+      <form role="search" action="/search">
+        <input type="search" name="q" aria-label="Search" />
+        <input type="text" name="query" placeholder="Search products" />
+      </form>
+    `
+  },
+  {
+    name: 'Sign-up with confirmation',
+    isLoginForm: true,
+    html: `
+      <form id="signup">
+        <label for="first">First name</label><input id="first" name="firstName" data-expected-field="given-name" />
+        <label for="last">Last name</label><input id="last" name="lastName" data-expected-field="family-name" />
+        <label for="signup-email">Email</label><input id="signup-email" type="email" name="email" data-expected-field="username" />
+        <label for="signup-password">Password</label><input id="signup-password" type="password" name="password" data-expected-field="newPassword" />
+        <label for="signup-confirm">Confirm password</label><input id="signup-confirm" type="password" name="password_confirmation" data-expected-field="newPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Change password',
+    isLoginForm: true,
+    html: `
+      <form id="change-password">
+        <input type="text" name="username" autocomplete="username" value="jane" style="display: none" />
+        <label for="old">Old password</label><input id="old" type="password" name="old_password" data-expected-field="currentPassword" />
+        <label for="new1">New password</label><input id="new1" type="password" name="new_password1" data-expected-field="newPassword" />
+        <label for="new2">New password confirmation</label><input id="new2" type="password" name="new_password2" data-expected-field="newPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Change password without labels',
+    isLoginForm: true,
+    html: `
+      <form>
+        <input type="password" name="p1" data-expected-field="currentPassword" />
+        <input type="password" name="p2" data-expected-field="newPassword" />
+        <input type="password" name="p3" data-expected-field="newPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Profile form where username must not be a name',
+    isLoginForm: true,
+    html: `
+      <form id="profile">
+        <label for="profile-username">Username</label><input id="profile-username" name="username" data-expected-field="username" />
+        <label for="profile-name">Full name</label><input id="profile-name" name="full_name" data-expected-field="name" />
+        <label for="profile-display">Display name</label><input id="profile-display" name="display_name" />
+        <label for="profile-company">Company name</label><input id="profile-company" name="company_name" />
+      </form>
+    `
+  },
+  {
+    name: 'Shopify shipping address',
+    isLoginForm: false,
+    html: `
+      <form id="shipping">
+        <input id="checkout_email" name="checkout[email]" type="email" autocomplete="shipping email" placeholder="Email" data-expected-field="email" />
+        <input id="first_name" name="checkout[shipping_address][first_name]" placeholder="First name" autocomplete="shipping given-name" data-expected-field="given-name" />
+        <input id="last_name" name="checkout[shipping_address][last_name]" placeholder="Last name" autocomplete="shipping family-name" data-expected-field="family-name" />
+        <input id="address1" name="checkout[shipping_address][address1]" placeholder="Address" autocomplete="shipping address-line1" data-expected-field="address-line1" />
+        <input id="address2" name="checkout[shipping_address][address2]" placeholder="Apartment, suite, etc. (optional)" autocomplete="shipping address-line2" data-expected-field="address-line2" />
+        <input id="city" name="checkout[shipping_address][city]" placeholder="City" autocomplete="shipping address-level2" data-expected-field="address-level2" />
+        <select id="country" name="checkout[shipping_address][country]" autocomplete="shipping country" data-expected-field="country"><option value="US">United States</option></select>
+        <select id="province" name="checkout[shipping_address][province]" autocomplete="shipping address-level1" data-expected-field="address-level1"><option value="CA">California</option></select>
+        <input id="zip" name="checkout[shipping_address][zip]" placeholder="ZIP code" autocomplete="shipping postal-code" data-expected-field="postal-code" />
+        <input id="phone" name="checkout[shipping_address][phone]" type="tel" placeholder="Phone" autocomplete="shipping tel" data-expected-field="tel" />
+      </form>
+    `
+  },
+  {
+    name: 'Address form without autocomplete',
+    isLoginForm: false,
+    html: `
+      <form id="address">
+        <label>Name <input name="name" data-expected-field="name" /></label>
+        <label>Street address <input name="street_address" data-expected-field="street-address" /></label>
+        <label>Town / City <input name="town" data-expected-field="address-level2" /></label>
+        <label>State <select name="state" data-expected-field="address-level1"><option>NY</option></select></label>
+        <label>Postcode <input name="postcode" data-expected-field="postal-code" /></label>
+        <label>Country <select name="country_id" data-expected-field="country"><option>US</option></select></label>
+        <label>Phone <input name="phone" data-expected-field="tel" /></label>
+        <label>Country calling code <input name="phone_country_code" /></label>
+      </form>
+    `
+  },
+  {
+    name: 'Stripe Elements style card form',
+    isLoginForm: false,
+    html: `
+      <form id="payment">
+        <input name="cardnumber" autocomplete="cc-number" inputmode="numeric" placeholder="1234 1234 1234 1234" aria-label="Credit or debit card number" data-expected-field="cc-number" />
+        <input name="exp-date" autocomplete="cc-exp" placeholder="MM / YY" aria-label="Credit or debit card expiration date" data-expected-field="cc-exp" />
+        <input name="cvc" autocomplete="cc-csc" placeholder="CVC" aria-label="Credit or debit card CVC/CVV" data-expected-field="cc-csc" />
+        <input name="billingName" placeholder="Name on card" data-expected-field="cc-name" />
+      </form>
+    `
+  },
+  {
+    name: 'Card form with split expiry selects',
+    isLoginForm: false,
+    html: `
+      <form id="card">
+        <label for="card-number">Card number</label><input id="card-number" name="card_number" data-expected-field="cc-number" />
+        <label for="card-holder">Cardholder name</label><input id="card-holder" name="card_holder" data-expected-field="cc-name" />
+        <label for="exp-month">Expiry month</label><select id="exp-month" name="expMonth" data-expected-field="cc-exp-month"><option>01</option></select>
+        <label for="exp-year">Expiry year</label><select id="exp-year" name="expYear" data-expected-field="cc-exp-year"><option>2030</option></select>
+        <label for="security">Security code</label><input id="security" name="securityCode" data-expected-field="cc-csc" />
+      </form>
+    `
+  },
+  {
+    name: 'Web component login labelled with aria-labelledby',
+    isLoginForm: true,
+    html: `
+      <form>
+        <span id="user-caption">Email</span>
+        <input aria-labelledby="user-caption" type="email" data-expected-field="username" />
+        <span id="pass-caption">Password</span>
+        <input aria-labelledby="pass-caption" type="password" data-expected-field="currentPassword" />
+      </form>
+    `
+  },
+  {
+    name: 'Contact form',
+    isLoginForm: false,
+    html: `
+      <form id="contact">
+        <input name="your-name" placeholder="Your name" data-expected-field="name" />
+        <input name="your-email" type="email" placeholder="Your email" data-expected-field="email" />
+        <input name="your-subject" placeholder="Subject" />
+        <textarea name="your-message"></textarea>
+      </form>
+    `
+  },
+  {
+    name: 'Two-factor code with autocomplete',
+    isLoginForm: false,
+    html: `
+      <form action="/sessions/two-factor" method="post">
+        <label for="app_totp">Authentication code</label>
+        <input type="text" name="app_otp" id="app_totp" inputmode="numeric" autocomplete="one-time-code" data-expected-field="one-time-code" />
+        <button type="submit">Verify</button>
+      </form>
+    `
+  },
+  {
+    name: 'Verification code without hints',
+    isLoginForm: false,
+    html: `
+      <form>
+        <input type="tel" name="verificationCode" placeholder="6-digit code" data-expected-field="one-time-code" />
+      </form>
+    `
+  },
+  {
+    name: 'Verification code split into digit boxes',
+    isLoginForm: false,
+    html: `
+      <form>
+        <div class="code-inputs">
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 1" data-expected-field="one-time-code" />
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 2" data-expected-field="one-time-code" />
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 3" data-expected-field="one-time-code" />
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 4" data-expected-field="one-time-code" />
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 5" data-expected-field="one-time-code" />
+          <input type="text" inputmode="numeric" maxlength="1" aria-label="Digit 6" data-expected-field="one-time-code" />
+        </div>
+      </form>
+    `
+  },
+  {
+    name: 'Travel booking with identity documents',
+    isLoginForm: false,
+    html: `
+      <form>
+        <label for="first">First name</label>
+        <input type="text" id="first" name="firstName" data-expected-field="given-name" />
+        <label for="last">Last name</label>
+        <input type="text" id="last" name="lastName" data-expected-field="family-name" />
+        <label for="passport">Passport number</label>
+        <input type="text" id="passport" name="passportNo" data-expected-field="passport-number" />
+        <label for="passport-expiry">Passport expiry date</label>
+        <input type="text" id="passport-expiry" name="passportExpiry" />
+        <label for="national-id">National ID card number</label>
+        <input type="text" id="national-id" name="nationalId" data-expected-field="id-card-number" />
+        <label for="dl">Driver's license number</label>
+        <input type="text" id="dl" name="driversLicense" data-expected-field="driving-license-number" />
+      </form>
+    `
+  }
+]
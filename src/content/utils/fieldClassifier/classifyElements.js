@@ -0,0 +1,223 @@
+import { FIELD_TYPES } from './fieldTypes'
+import { getFieldSignals } from './getFieldSignals'
+import { getBestScore, SIGNAL_WEIGHTS, scoreField } from './scoreField'
+import { querySelectorAllDeep } from '../querySelectorAllDeep'
+
+const NON_FILLABLE_INPUT_TYPES = [
+  'hidden',
+  'checkbox',
+  'radio',
+  'submit',
+  'button',
+  'reset',
+  'image',
+  'file',
+  'range',
+  'color',
+  'search'
+]
+
+const CONFIRM_PASSWORD_PATTERN = /confirm|repeat|retype|re ?enter|again|verify/
+const NEW_PASSWORD_PATTERN = /\bnew\b|create|choose/
+const CURRENT_PASSWORD_PATTERN = /current|\bold\b|existing/
+
+/** Confirmation fields are new passwords too, but never the primary one */
+const CONFIRM_PASSWORD_SCORE = 10
+
+/** Bonus for the text input sitting right before a password field */
+const USERNAME_POSITION_SCORE = 50
+
+/** A run of single-character inputs this long is a one-time code split into digit boxes */
+const SPLIT_CODE_MIN_LENGTH = 4
+const SPLIT_CODE_MAX_LENGTH = 8
+
+/**
+ * @typedef {Object} ClassifiedElement
+ * @property {HTMLInputElement | HTMLSelectElement} element
+ * @property {string | null} type - One of `FIELD_TYPES`, or null when nothing scored high enough
+ * @property {number} score
+ */
+
+/**
+ * @param {ReturnType<typeof getFieldSignals>} signals
+ * @returns {boolean}
+ */
+const isPasswordSignals = (signals) =>
+  signals.inputType === 'password' ||
+  signals.autocompleteTokens.includes('current-password') ||
+  signals.autocompleteTokens.includes('new-password')
+
+/**
+ * @param {ReturnType<typeof getFieldSignals>} signals
+ * @returns {{ type: string | null, score: number }}
+ */
+const getPasswordRole = (signals) => {
+  if (signals.autocompleteTokens.includes('current-password')) {
+    return {
+      type: FIELD_TYPES.CURRENT_PASSWORD,
+      score: SIGNAL_WEIGHTS.autocomplete
+    }
+  }
+
+  if (signals.autocompleteTokens.includes('new-password')) {
+    return {
+      type: FIELD_TYPES.NEW_PASSWORD,
+      score: SIGNAL_WEIGHTS.autocomplete
+    }
+  }
+
+  const text = `${signals.attributes} ${signals.label} ${signals.placeholder}`
+
+  if (CONFIRM_PASSWORD_PATTERN.test(text)) {
+    return { type: FIELD_TYPES.NEW_PASSWORD, score: CONFIRM_PASSWORD_SCORE }
+  }
+
+  if (NEW_PASSWORD_PATTERN.test(text)) {
+    return { type: FIELD_TYPES.NEW_PASSWORD, score: SIGNAL_WEIGHTS.attributes }
+  }
+
+  if (CURRENT_PASSWORD_PATTERN.test(text)) {
+    return {
+      type: FIELD_TYPES.CURRENT_PASSWORD,
+      score: SIGNAL_WEIGHTS.attributes
+    }
+  }
+
+  return { type: null, score: 0 }
+}
+
+/**
+ * Resolves password fields without an explicit role from their position in the form:
+ * a single field is a login, two are new + confirmation, three are current + new + confirmation.
+ *
+ * @param {ClassifiedElement[]} passwordEntries - Password fields of one form, in tree order
+ */
+const assignPasswordRolesByPosition = (passwordEntries) => {
+  const hasCurrent = passwordEntries.some(
+    (entry) => entry.type === FIELD_TYPES.CURRENT_PASSWORD
+  )
+  let needsCurrent = !hasCurrent && passwordEntries.length !== 2
+
+  passwordEntries.forEach((entry) => {
+    if (entry.type) {
+      return
+    }
+
+    entry.type = needsCurrent
+      ? FIELD_TYPES.CURRENT_PASSWORD
+      : FIELD_TYPES.NEW_PASSWORD
+    entry.score = SIGNAL_WEIGHTS.inputType
+    needsCurrent = false
+  })
+}
+
+/**
+ * Marks the text input that precedes each password field as the username.
+ * Prefers a field already scored as username, then email, then an unclassified one, then phone.
+ *
+ * @param {ClassifiedElement[]} entries
+ * @param {Set<ClassifiedElement>} passwordEntries
+ */
+const assignUsernamesByPosition = (entries, passwordEntries) => {
+  let candidates = []
+
+  entries.forEach((entry) => {
+    if (!passwordEntries.has(entry)) {
+      if (entry.isTextInput) {
+        candidates.push(entry)
+      }
+      return
+    }
+
+    const usernameEntry = [
+      FIELD_TYPES.USERNAME,
+      FIELD_TYPES.EMAIL,
+      null,
+      FIELD_TYPES.TEL
+    ]
+      .map((type) =>
+        candidates.findLast((candidate) => candidate.type === type)
+      )
+      .find(Boolean)
+
+    if (usernameEntry) {
+      usernameEntry.type = FIELD_TYPES.USERNAME
+      usernameEntry.score += USERNAME_POSITION_SCORE
+    }
+
+    candidates = []
+  })
+}
+
+/**
+ * Marks runs of adjacent single-character text inputs as one split one-time code.
+ *
+ * @param {ClassifiedElement[]} entries
+ */
+const assignSplitCodeFields = (entries) => {
+  let run = []
+
+  const flush = () => {
+    if (
+      run.length >= SPLIT_CODE_MIN_LENGTH &&
+      run.length <= SPLIT_CODE_MAX_LENGTH
+    ) {
+      run.forEach((entry) => {
+        entry.type = FIELD_TYPES.ONE_TIME_CODE
+        entry.score = SIGNAL_WEIGHTS.autocomplete
+      })
+    }
+    run = []
+  }
+
+  entries.forEach((entry) => {
+    if (entry.isTextInput && entry.maxLength === 1) {
+      run.push(entry)
+      return
+    }
+    flush()
+  })
+  flush()
+}
+
+/**
+ * Classifies every visible, fillable field inside `scope`.
+ *
+ * @param {Document | ShadowRoot | Element} [scope=document]
+ * @returns {ClassifiedElement[]} Entries in tree order
+ */
+export const classifyElements = (scope = document) => {
+  const entries = querySelectorAllDeep('input, select', scope)
+    .map((element) => ({ element, signals: getFieldSignals(element) }))
+    .filter(
+      ({ signals }) =>
+        signals.isVisible &&
+        !NON_FILLABLE_INPUT_TYPES.includes(signals.inputType)
+    )
+    .map(({ element, signals }) => ({
+      element,
+      isTextInput: signals.isTextInput,
+      maxLength: signals.maxLength,
+      isPassword: isPasswordSignals(signals),
+      ...(isPasswordSignals(signals)
+        ? getPasswordRole(signals)
+        : getBestScore(scoreField(signals)))
+    }))
+
+  const passwordEntries = entries.filter((entry) => entry.isPassword)
+
+  const passwordEntriesByForm = new Map()
+  passwordEntries.forEach((entry) => {
+    const form = entry.element.form || null
+    passwordEntriesByForm.set(form, [
+      ...(passwordEntriesByForm.get(form) || []),
+      entry
+    ])
+  })
+  passwordEntriesByForm.forEach(assignPasswordRolesByPosition)
+
+  assignSplitCodeFields(entries)
+  assignUsernamesByPosition(entries, new Set(passwordEntries))
+
+  return entries.map(({ element, type, score }) => ({ element, type, score }))
+}
@@ -0,0 +1,63 @@
+import { FORM_CORPUS } from './__fixtures__/formCorpus'
+import { classifyElements } from './classifyElements'
+import { FIELD_TYPES } from './fieldTypes'
+
+describe('classifyElements', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  describe.each(FORM_CORPUS)('$name', ({ html }) => {
+    it('should classify every field as labelled', () => {
+      document.body.innerHTML = html
+
+      const result = classifyElements(document.querySelector('form'))
+
+      const actual = result.map(({ element, type }) => [
+        element.outerHTML,
+        type
+      ])
+      const expected = result.map(({ element }) => [
+        element.outerHTML,
+        element.getAttribute('data-expected-field')
+      ])
+
+      expect(actual).toEqual(expected)
+    })
+  })
+
+  it('should skip hidden and non-fillable inputs', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="hidden" name="username" />
+        <input type="checkbox" name="remember" />
+        <input type="submit" value="Sign in" />
+      </form>
+    `
+
+    expect(classifyElements(document.querySelector('form'))).toEqual([])
+  })
+
+  it('should prefer explicit autocomplete over keywords', () => {
+    document.body.innerHTML =
+      '<input name="first_name" autocomplete="family-name" />'
+
+    const [entry] = classifyElements()
+
+    expect(entry.type).toBe(FIELD_TYPES.FAMILY_NAME)
+    expect(entry.score).toBe(100)
+  })
+
+  it('should classify fields inside open shadow roots', () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML =
+      '<input name="login" /><input type="password" name="password" />'
+
+    expect(classifyElements().map(({ type }) => type)).toEqual([
+      FIELD_TYPES.USERNAME,
+      FIELD_TYPES.CURRENT_PASSWORD
+    ])
+  })
+})
@@ -0,0 +1,45 @@
+import { classifyElements } from './classifyElements'
+import { getFieldScope } from '../getFieldScope'
+
+/**
+ * Builds the typed field map for a form or input group, keeping the highest
+ * scoring element per type (the first one in tree order on ties).
+ *
+ * @param {Document | ShadowRoot | Element} [scope=document]
+ * @returns {Partial<Record<string, HTMLInputElement | HTMLSelectElement>>} Elements keyed by `FIELD_TYPES`
+ */
+export const classifyFields = (scope = document) => {
+  const bestByType = {}
+
+  classifyElements(scope).forEach((entry) => {
+    if (!entry.type) {
+      return
+    }
+
+    if (!bestByType[entry.type] || entry.score > bestByType[entry.type].score) {
+      bestByType[entry.type] = entry
+    }
+  })
+
+  return Object.fromEntries(
+    Object.entries(bestByType).map(([type, entry]) => [type, entry.element])
+  )
+}
+
+/**
+ * Classifies a single field in the context of its form or input group.
+ *
+ * @param {Element | null | undefined} element
+ * @returns {string | null} One of `FIELD_TYPES`, or null for fields PearPass does not fill
+ */
+export const classifyField = (element) => {
+  if (!element) {
+    return null
+  }
+
+  const entry = classifyElements(getFieldScope(element)).find(
+    (classified) => classified.element === element
+  )
+
+  return entry?.type ?? null
+}
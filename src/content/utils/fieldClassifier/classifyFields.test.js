@@ -0,0 +1,88 @@
+import { classifyField, classifyFields } from './classifyFields'
+import { FIELD_TYPES } from './fieldTypes'
+
+describe('classifyFields', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return a typed field map', () => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input id="user" name="login" />
+        <input id="pass" type="password" />
+      </form>
+    `
+
+    expect(classifyFields(document.getElementById('login'))).toEqual({
+      [FIELD_TYPES.USERNAME]: document.getElementById('user'),
+      [FIELD_TYPES.CURRENT_PASSWORD]: document.getElementById('pass')
+    })
+  })
+
+  it('should keep the first new password when there is a confirmation', () => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <input id="email" type="email" />
+        <input id="password" type="password" />
+        <input id="confirm" type="password" />
+      </form>
+    `
+
+    const fields = classifyFields(document.getElementById('signup'))
+
+    expect(fields[FIELD_TYPES.NEW_PASSWORD].id).toBe('password')
+    expect(fields[FIELD_TYPES.USERNAME].id).toBe('email')
+  })
+
+  it('should prefer the username placed before the password', () => {
+    document.body.innerHTML = `
+      <div id="page">
+        <input id="account-search" name="account" />
+        <input id="email" type="email" />
+        <input id="password" type="password" />
+      </div>
+    `
+
+    const fields = classifyFields(document.getElementById('page'))
+
+    expect(fields[FIELD_TYPES.USERNAME].id).toBe('email')
+  })
+
+  it('should return an empty map when nothing is fillable', () => {
+    expect(classifyFields()).toEqual({})
+  })
+})
+
+describe('classifyField', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return null without an element', () => {
+    expect(classifyField(null)).toBeNull()
+  })
+
+  it('should classify a field within its form', () => {
+    document.body.innerHTML = `
+      <form id="newsletter"><input id="newsletter-email" type="email" /></form>
+      <form id="login">
+        <input id="login-email" type="email" />
+        <input type="password" />
+      </form>
+    `
+
+    expect(classifyField(document.getElementById('newsletter-email'))).toBe(
+      FIELD_TYPES.EMAIL
+    )
+    expect(classifyField(document.getElementById('login-email'))).toBe(
+      FIELD_TYPES.USERNAME
+    )
+  })
+
+  it('should return null for unknown fields', () => {
+    document.body.innerHTML = '<form><input name="coupon" /></form>'
+
+    expect(classifyField(document.querySelector('input'))).toBeNull()
+  })
+})
@@ -0,0 +1,231 @@
+import { FIELD_TYPES } from './fieldTypes'
+
+/**
+ * Scoring rules for every non-password field type.
+ * - `autocomplete`: tokens that decide the type on their own
+ * - `keywords`: matched against name/id, labels and placeholder (normalized text)
+ * - `exclude`: a signal that matches one of these never counts for the type
+ * - `inputTypes`: input types that earn a bonus; only types listing `select` may classify a select
+ */
+export const FIELD_RULES = {
+  [FIELD_TYPES.USERNAME]: {
+    autocomplete: ['username'],
+    keywords: [
+      /\buser ?(name|id)?\b/,
+      /\blog ?in\b/,
+      /\baccount\b/,
+      /\bidentifier\b/,
+      /\bnickname\b/,
+      /\bmember ?(name|id)\b/
+    ],
+    exclude: [/pass/, /search/, /first|last|given|family|full/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.EMAIL]: {
+    autocomplete: ['email'],
+    keywords: [/\be ?mail\b/, /\bemail/],
+    exclude: [/confirm|repeat|retype/],
+    inputTypes: ['email']
+  },
+  [FIELD_TYPES.TEL]: {
+    autocomplete: ['tel', 'tel-national', 'tel-local'],
+    keywords: [/\bphone\b/, /\btel\b/, /telephone/, /\bmobile\b/, /\bcell\b/],
+    exclude: [/code|ext/],
+    inputTypes: ['tel']
+  },
+  [FIELD_TYPES.NAME]: {
+    autocomplete: ['name'],
+    keywords: [/\bfull ?name\b/, /^name$/, /\byour name\b/, /\bcontact name\b/],
+    exclude: [
+      /user|log ?in|account|nick|display/,
+      /company|organi[sz]ation|business|file/,
+      /card|holder/,
+      /first|last|given|family|middle|sur/
+    ],
+    inputTypes: []
+  },
+  [FIELD_TYPES.GIVEN_NAME]: {
+    autocomplete: ['given-name'],
+    keywords: [
+      /first ?name/,
+      /given ?name/,
+      /\bf ?name\b/,
+      /forename/,
+      /vorname/
+    ],
+    exclude: [/user|card|holder/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.ADDITIONAL_NAME]: {
+    autocomplete: ['additional-name'],
+    keywords: [/middle ?name/, /\bm ?name\b/, /additional ?name/],
+    exclude: [/user/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.FAMILY_NAME]: {
+    autocomplete: ['family-name'],
+    keywords: [
+      /last ?name/,
+      /family ?name/,
+      /\bl ?name\b/,
+      /surname/,
+      /nachname/
+    ],
+    exclude: [/user|card|holder/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.STREET_ADDRESS]: {
+    autocomplete: ['street-address'],
+    keywords: [/street ?address/, /^address$/, /\baddress\b/],
+    exclude: [
+      /e ?mail|\bip\b|web|url/,
+      /line ?[12]|address ?[12]|\baddr ?[12]\b|apt|apartment|suite|unit/
+    ],
+    inputTypes: []
+  },
+  [FIELD_TYPES.ADDRESS_LINE1]: {
+    autocomplete: ['address-line1'],
+    keywords: [/address ?(line)? ?1\b/, /\baddr ?1\b/, /\bstreet\b/],
+    exclude: [/e ?mail/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.ADDRESS_LINE2]: {
+    autocomplete: ['address-line2'],
+    keywords: [
+      /address ?(line)? ?2\b/,
+      /\baddr ?2\b/,
+      /\bapt\b|apartment|suite|\bunit\b|building|floor/
+    ],
+    exclude: [/e ?mail/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.POSTAL_CODE]: {
+    autocomplete: ['postal-code'],
+    keywords: [/\bzip\b/, /zip ?code/, /postal/, /post ?code/, /\bplz\b/],
+    exclude: [],
+    inputTypes: []
+  },
+  [FIELD_TYPES.CITY]: {
+    autocomplete: ['address-level2'],
+    keywords: [/\bcity\b/, /\btown\b/, /locality/],
+    exclude: [],
+    inputTypes: ['select']
+  },
+  [FIELD_TYPES.REGION]: {
+    autocomplete: ['address-level1'],
+    keywords: [/\bstate\b/, /\bregion\b/, /province/, /\bcounty\b/],
+    exclude: [/country/],
+    inputTypes: ['select']
+  },
+  [FIELD_TYPES.COUNTRY]: {
+    autocomplete: ['country', 'country-name'],
+    keywords: [/country/],
+    exclude: [/code|phone|tel/],
+    inputTypes: ['select']
+  },
+  [FIELD_TYPES.PASSPORT_NUMBER]: {
+    autocomplete: [],
+    keywords: [/passport/],
+    exclude: [/date|issue|expir|valid|country|nationality|name/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.ID_CARD_NUMBER]: {
+    autocomplete: [],
+    keywords: [
+      /\b(national|identity|id) ?card\b/,
+      /\bnational ?id\b/,
+      /\bidentity ?(document|number)\b/
+    ],
+    exclude: [/date|issue|expir|valid|country|name|user/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.DRIVING_LICENSE_NUMBER]: {
+    autocomplete: [],
+    keywords: [
+      /driv(er|ers|ing) ?licen[cs]e/,
+      /\bdriver ?id\b/,
+      /\bdl ?(number|no|num)\b/
+    ],
+    exclude: [/date|issue|expir|valid|country|state|name/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.CC_NUMBER]: {
+    autocomplete: ['cc-number'],
+    keywords: [
+      /card ?(number|no|num)\b/,
+      /\bcardnumber\b/,
+      /\bcc ?(number|num|no)\b/,
+      /credit ?card/
+    ],
+    exclude: [/holder|name|cvv|cvc|csc|exp|security|verification/],
+    inputTypes: []
+  },
+  [FIELD_TYPES.CC_NAME]: {
+    autocomplete: ['cc-name'],
+    keywords: [
+      /card ?holder/,
+      /name on (the )?card/,
+      /\bcc ?name\b/,
+      /holder ?name/
+    ],
+    exclude: [],
+    inputTypes: []
+  },
+  [FIELD_TYPES.CC_EXP]: {
+    autocomplete: ['cc-exp'],
+    keywords: [
+      /expir/,
+      /\bexp\b/,
+      /exp ?date/,
+      /valid ?(thru|through|until)/,
+      /\bmm ?\/? ?yy(yy)?\b/
+    ],
+    exclude: [
+      /month|year|^mm$|^yy(yy)?$/,
+      /passport|licen[cs]e|identity|national/
+    ],
+    inputTypes: []
+  },
+  [FIELD_TYPES.CC_EXP_MONTH]: {
+    autocomplete: ['cc-exp-month'],
+    keywords: [
+      /(exp|expir|card).{0,12}\b(month|mm)\b/,
+      /\b(month|mm)\b.{0,12}exp/,
+      /\bexp ?m\b/
+    ],
+    exclude: [/year/],
+    inputTypes: ['select']
+  },
+  [FIELD_TYPES.CC_EXP_YEAR]: {
+    autocomplete: ['cc-exp-year'],
+    keywords: [
+      /(exp|expir|card).{0,12}\b(year|yy|yyyy)\b/,
+      /\b(year|yy|yyyy)\b.{0,12}exp/,
+      /\bexp ?y\b/
+    ],
+    exclude: [/month/],
+    inputTypes: ['select']
+  },
+  [FIELD_TYPES.CC_CSC]: {
+    autocomplete: ['cc-csc'],
+    keywords: [
+      /\b(cvv|cvc|csc|cvn|cid)\d?\b/,
+      /security ?code/,
+      /card ?(verification|code)/
+    ],
+    exclude: [],
+    inputTypes: []
+  },
+  [FIELD_TYPES.ONE_TIME_CODE]: {
+    autocomplete: ['one-time-code'],
+    keywords: [
+      /\b(otp|totp|mfa|2fa)\b/,
+      /one ?time ?(code|pass)/,
+      /two ?(factor|step)/,
+      /verification ?code/,
+      /auth(entication|enticator)? ?code/
+    ],
+    exclude: [/card|cvv|cvc|csc|zip|postal|phone|promo|coupon/],
+    inputTypes: []
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Field types produced by the classifier. Non-login types reuse the HTML
+ * `autocomplete` tokens so explicit page hints map onto them directly;
+ * identity document numbers have no token and use their own names.
+ */
+export const FIELD_TYPES = Object.freeze({
+  USERNAME: 'username',
+  CURRENT_PASSWORD: 'currentPassword',
+  NEW_PASSWORD: 'newPassword',
+  EMAIL: 'email',
+  TEL: 'tel',
+  NAME: 'name',
+  GIVEN_NAME: 'given-name',
+  ADDITIONAL_NAME: 'additional-name',
+  FAMILY_NAME: 'family-name',
+  STREET_ADDRESS: 'street-address',
+  ADDRESS_LINE1: 'address-line1',
+  ADDRESS_LINE2: 'address-line2',
+  POSTAL_CODE: 'postal-code',
+  CITY: 'address-level2',
+  REGION: 'address-level1',
+  COUNTRY: 'country',
+  PASSPORT_NUMBER: 'passport-number',
+  ID_CARD_NUMBER: 'id-card-number',
+  DRIVING_LICENSE_NUMBER: 'driving-license-number',
+  CC_NUMBER: 'cc-number',
+  CC_NAME: 'cc-name',
+  CC_EXP: 'cc-exp',
+  CC_EXP_MONTH: 'cc-exp-month',
+  CC_EXP_YEAR: 'cc-exp-year',
+  CC_CSC: 'cc-csc',
+  ONE_TIME_CODE: 'one-time-code'
+})
+
+export const LOGIN_FIELD_TYPES = [
+  FIELD_TYPES.USERNAME,
+  FIELD_TYPES.CURRENT_PASSWORD,
+  FIELD_TYPES.NEW_PASSWORD
+]
+
+export const OTP_FIELD_TYPES = [FIELD_TYPES.ONE_TIME_CODE]
+
+export const IDENTITY_FIELD_TYPES = [
+  FIELD_TYPES.EMAIL,
+  FIELD_TYPES.TEL,
+  FIELD_TYPES.NAME,
+  FIELD_TYPES.GIVEN_NAME,
+  FIELD_TYPES.ADDITIONAL_NAME,
+  FIELD_TYPES.FAMILY_NAME,
+  FIELD_TYPES.STREET_ADDRESS,
+  FIELD_TYPES.ADDRESS_LINE1,
+  FIELD_TYPES.ADDRESS_LINE2,
+  FIELD_TYPES.POSTAL_CODE,
+  FIELD_TYPES.CITY,
+  FIELD_TYPES.REGION,
+  FIELD_TYPES.COUNTRY,
+  FIELD_TYPES.PASSPORT_NUMBER,
+  FIELD_TYPES.ID_CARD_NUMBER,
+  FIELD_TYPES.DRIVING_LICENSE_NUMBER
+]
+
+export const CREDIT_CARD_FIELD_TYPES = [
+  FIELD_TYPES.CC_NUMBER,
+  FIELD_TYPES.CC_NAME,
+  FIELD_TYPES.CC_EXP,
+  FIELD_TYPES.CC_EXP_MONTH,
+  FIELD_TYPES.CC_EXP_YEAR,
+  FIELD_TYPES.CC_CSC
+]
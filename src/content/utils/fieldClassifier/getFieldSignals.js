@@ -0,0 +1,88 @@
+import { isElementVisible } from '../isElementVisible'
+
+const IGNORED_AUTOCOMPLETE_TOKENS = ['on', 'off', 'shipping', 'billing']
+
+const TEXT_INPUT_TYPES = ['text', 'email', 'tel', 'number', 'url', 'search']
+
+/**
+ * Lower-cases a raw attribute and splits camelCase and `_ - . [ ]` separators
+ * into spaces, so `billingFirst_name` reads as `billing first name`.
+ *
+ * @param {string | null | undefined} value
+ * @returns {string}
+ */
+export const normalizeSignalText = (value) =>
+  (value || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[_\-.[\]:]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+/**
+ * @param {HTMLInputElement | HTMLSelectElement} element
+ * @returns {string}
+ */
+const getLabelText = (element) => {
+  const root = element.getRootNode()
+  const texts = Array.from(element.labels || []).map(
+    (label) => label.textContent
+  )
+
+  const labelledBy = element.getAttribute('aria-labelledby')
+  if (labelledBy) {
+    labelledBy.split(/\s+/).forEach((id) => {
+      texts.push(root.getElementById?.(id)?.textContent)
+    })
+  }
+
+  texts.push(element.getAttribute('aria-label'), element.getAttribute('title'))
+
+  return normalizeSignalText(texts.filter(Boolean).join(' '))
+}
+
+/**
+ * Collects everything the classifier scores a field on.
+ *
+ * @param {HTMLInputElement | HTMLSelectElement} element
+ * @returns {{
+ *  tagName: string,
+ *  inputType: string,
+ *  isTextInput: boolean,
+ *  autocompleteTokens: string[],
+ *  attributes: string,
+ *  label: string,
+ *  placeholder: string,
+ *  maxLength: number,
+ *  isVisible: boolean
+ * }}
+ */
+export const getFieldSignals = (element) => {
+  const tagName = element.tagName.toLowerCase()
+  const inputType =
+    tagName === 'select' ? 'select' : (element.type || 'text').toLowerCase()
+
+  const autocompleteTokens = (element.getAttribute('autocomplete') || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(
+      (token) =>
+        token &&
+        !token.startsWith('section-') &&
+        !IGNORED_AUTOCOMPLETE_TOKENS.includes(token)
+    )
+
+  return {
+    tagName,
+    inputType,
+    isTextInput: TEXT_INPUT_TYPES.includes(inputType),
+    autocompleteTokens,
+    attributes: normalizeSignalText(
+      `${element.getAttribute('name') || ''} ${element.id || ''}`
+    ),
+    label: getLabelText(element),
+    placeholder: normalizeSignalText(element.getAttribute('placeholder')),
+    maxLength: element.maxLength ?? -1,
+    isVisible: inputType !== 'hidden' && isElementVisible(element)
+  }
+}
@@ -0,0 +1,90 @@
+import { getFieldSignals, normalizeSignalText } from './getFieldSignals'
+
+describe('normalizeSignalText', () => {
+  it('should split camelCase and separators', () => {
+    expect(normalizeSignalText('billingFirst_name')).toBe('billing first name')
+    expect(normalizeSignalText('user[login].email')).toBe('user login email')
+  })
+
+  it('should handle empty values', () => {
+    expect(normalizeSignalText(null)).toBe('')
+    expect(normalizeSignalText(undefined)).toBe('')
+  })
+})
+
+describe('getFieldSignals', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should collect attributes, placeholder and input type', () => {
+    document.body.innerHTML =
+      '<input id="loginEmail" name="user_email" type="email" placeholder="Your e-mail" />'
+
+    const signals = getFieldSignals(document.querySelector('input'))
+
+    expect(signals.inputType).toBe('email')
+    expect(signals.isTextInput).toBe(true)
+    expect(signals.attributes).toBe('user email login email')
+    expect(signals.placeholder).toBe('your e mail')
+  })
+
+  it('should drop section, billing and on/off autocomplete tokens', () => {
+    document.body.innerHTML =
+      '<input autocomplete="section-checkout billing cc-number" />'
+
+    expect(
+      getFieldSignals(document.querySelector('input')).autocompleteTokens
+    ).toEqual(['cc-number'])
+  })
+
+  it('should read labels, aria-label and aria-labelledby', () => {
+    document.body.innerHTML = `
+      <label for="field">Card</label>
+      <span id="hint">Number</span>
+      <input id="field" aria-labelledby="hint" aria-label="Long digits" />
+    `
+
+    expect(getFieldSignals(document.getElementById('field')).label).toBe(
+      'card number long digits'
+    )
+  })
+
+  it('should resolve aria-labelledby inside shadow roots', () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML =
+      '<span id="caption">Password</span><input aria-labelledby="caption" />'
+
+    expect(getFieldSignals(shadowRoot.querySelector('input')).label).toBe(
+      'password'
+    )
+  })
+
+  it('should report hidden fields as not visible', () => {
+    document.body.innerHTML = `
+      <input id="hidden-type" type="hidden" />
+      <input id="hidden-attr" hidden />
+      <input id="display-none" style="display: none" />
+      <input id="visible" />
+    `
+
+    const isVisible = (id) =>
+      getFieldSignals(document.getElementById(id)).isVisible
+
+    expect(isVisible('hidden-type')).toBe(false)
+    expect(isVisible('hidden-attr')).toBe(false)
+    expect(isVisible('display-none')).toBe(false)
+    expect(isVisible('visible')).toBe(true)
+  })
+
+  it('should describe selects', () => {
+    document.body.innerHTML = '<select name="country"></select>'
+
+    const signals = getFieldSignals(document.querySelector('select'))
+
+    expect(signals.inputType).toBe('select')
+    expect(signals.isTextInput).toBe(false)
+  })
+})
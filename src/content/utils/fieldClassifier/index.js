@@ -0,0 +1,3 @@
+export * from './classifyElements'
+export * from './classifyFields'
+export * from './fieldTypes'
@@ -0,0 +1,83 @@
+import { FIELD_RULES } from './fieldRules'
+
+export const SIGNAL_WEIGHTS = {
+  autocomplete: 100,
+  attributes: 40,
+  label: 35,
+  placeholder: 25,
+  inputType: 30
+}
+
+/** Minimum score for a field to be classified at all */
+export const MIN_FIELD_SCORE = 25
+
+/**
+ * @param {string} text
+ * @param {{ keywords: RegExp[], exclude: RegExp[] }} rule
+ * @returns {boolean}
+ */
+const matchesRule = (text, rule) =>
+  !!text &&
+  rule.keywords.some((keyword) => keyword.test(text)) &&
+  !rule.exclude.some((pattern) => pattern.test(text))
+
+/**
+ * Scores a non-password field against every rule in `FIELD_RULES`.
+ *
+ * @param {ReturnType<import('./getFieldSignals').getFieldSignals>} signals
+ * @returns {Record<string, number>} Score per field type, only for types scoring above zero
+ */
+export const scoreField = (signals) => {
+  const scores = {}
+
+  for (const [type, rule] of Object.entries(FIELD_RULES)) {
+    if (signals.inputType === 'select' && !rule.inputTypes.includes('select')) {
+      continue
+    }
+
+    // An explicit autocomplete hint wins over any heuristic
+    if (signals.autocompleteTokens.some((t) => rule.autocomplete.includes(t))) {
+      scores[type] = SIGNAL_WEIGHTS.autocomplete
+      continue
+    }
+
+    let score = 0
+
+    if (matchesRule(signals.attributes, rule)) {
+      score += SIGNAL_WEIGHTS.attributes
+    }
+
+    if (matchesRule(signals.label, rule)) {
+      score += SIGNAL_WEIGHTS.label
+    }
+
+    if (matchesRule(signals.placeholder, rule)) {
+      score += SIGNAL_WEIGHTS.placeholder
+    }
+
+    // `email` and `tel` inputs are meaningful on their own, a `select` only backs up other signals
+    if (
+      rule.inputTypes.includes(signals.inputType) &&
+      (signals.inputType !== 'select' || score > 0)
+    ) {
+      score += SIGNAL_WEIGHTS.inputType
+    }
+
+    if (score > 0) {
+      scores[type] = score
+    }
+  }
+
+  return scores
+}
+
+/**
+ * @param {Record<string, number>} scores
+ * @returns {{ type: string | null, score: number }}
+ */
+export const getBestScore = (scores) =>
+  Object.entries(scores).reduce(
+    (best, [type, score]) =>
+      score >= MIN_FIELD_SCORE && score > best.score ? { type, score } : best,
+    { type: null, score: 0 }
+  )
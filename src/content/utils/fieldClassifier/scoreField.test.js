@@ -0,0 +1,78 @@
+import { getBestScore, MIN_FIELD_SCORE, scoreField } from './scoreField'
+import { FIELD_TYPES } from './fieldTypes'
+
+const createSignals = (overrides = {}) => ({
+  tagName: 'input',
+  inputType: 'text',
+  isTextInput: true,
+  autocompleteTokens: [],
+  attributes: '',
+  label: '',
+  placeholder: '',
+  isVisible: true,
+  ...overrides
+})
+
+describe('scoreField', () => {
+  it('should give the full score to an autocomplete token', () => {
+    const scores = scoreField(createSignals({ autocompleteTokens: ['cc-csc'] }))
+
+    expect(scores[FIELD_TYPES.CC_CSC]).toBe(100)
+  })
+
+  it('should add up attribute, label and placeholder matches', () => {
+    const scores = scoreField(
+      createSignals({
+        attributes: 'postcode',
+        label: 'zip code',
+        placeholder: 'postal code'
+      })
+    )
+
+    expect(scores[FIELD_TYPES.POSTAL_CODE]).toBe(100)
+  })
+
+  it('should ignore signals matching an exclusion', () => {
+    const scores = scoreField(createSignals({ attributes: 'username' }))
+
+    expect(scores[FIELD_TYPES.NAME]).toBeUndefined()
+    expect(scores[FIELD_TYPES.USERNAME]).toBeGreaterThan(0)
+  })
+
+  it('should score email and tel inputs by type alone', () => {
+    expect(
+      scoreField(createSignals({ inputType: 'email' }))[FIELD_TYPES.EMAIL]
+    ).toBeGreaterThanOrEqual(MIN_FIELD_SCORE)
+    expect(
+      scoreField(createSignals({ inputType: 'tel' }))[FIELD_TYPES.TEL]
+    ).toBeGreaterThanOrEqual(MIN_FIELD_SCORE)
+  })
+
+  it('should only consider select-capable types for selects', () => {
+    const scores = scoreField(
+      createSignals({
+        inputType: 'select',
+        isTextInput: false,
+        attributes: 'first name'
+      })
+    )
+
+    expect(scores).toEqual({})
+  })
+})
+
+describe('getBestScore', () => {
+  it('should return the highest score above the threshold', () => {
+    expect(getBestScore({ email: 30, tel: 70 })).toEqual({
+      type: 'tel',
+      score: 70
+    })
+  })
+
+  it('should return no type when every score is below the threshold', () => {
+    expect(getBestScore({ email: MIN_FIELD_SCORE - 1 })).toEqual({
+      type: null,
+      score: 0
+    })
+  })
+})
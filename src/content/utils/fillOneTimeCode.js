@@ -0,0 +1,33 @@
+import { classifyElements, FIELD_TYPES } from './fieldClassifier'
+import { triggerInputEvents } from './triggerInputEvents'
+
+/**
+ * Fills a one-time code into the code field of `scope`. When the code is split
+ * into single-digit boxes, each box receives one character.
+ *
+ * @param {Document | ShadowRoot | Element} scope
+ * @param {string} code
+ * @returns {boolean} Whether a code field was found and filled
+ */
+export const fillOneTimeCode = (scope, code) => {
+  const fields = classifyElements(scope)
+    .filter((entry) => entry.type === FIELD_TYPES.ONE_TIME_CODE)
+    .map((entry) => entry.element)
+
+  if (!code || !fields.length) {
+    return false
+  }
+
+  if (fields.length === 1) {
+    fields[0].value = code
+    triggerInputEvents(fields[0], ['input', 'change', 'blur'])
+    return true
+  }
+
+  fields.forEach((field, index) => {
+    field.value = code[index] ?? ''
+    triggerInputEvents(field, ['input', 'change'])
+  })
+
+  return true
+}
@@ -0,0 +1,53 @@
+import { fillOneTimeCode } from './fillOneTimeCode'
+
+describe('fillOneTimeCode', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('fills the whole code into a single code field', () => {
+    document.body.innerHTML = `
+      <form>
+        <input id="code" autocomplete="one-time-code" />
+      </form>
+    `
+    const inputHandler = jest.fn()
+    document.getElementById('code').addEventListener('input', inputHandler)
+
+    expect(fillOneTimeCode(document, '123456')).toBe(true)
+    expect(document.getElementById('code').value).toBe('123456')
+    expect(inputHandler).toHaveBeenCalledTimes(1)
+  })
+
+  it('spreads the digits over split code boxes', () => {
+    document.body.innerHTML = `
+      <form>
+        ${[1, 2, 3, 4, 5, 6]
+          .map((i) => `<input id="digit-${i}" maxlength="1" />`)
+          .join('')}
+      </form>
+    `
+
+    expect(fillOneTimeCode(document.querySelector('form'), '987654')).toBe(true)
+    expect(
+      Array.from(document.querySelectorAll('input')).map((i) => i.value)
+    ).toEqual(['9', '8', '7', '6', '5', '4'])
+  })
+
+  it('returns false when the scope has no code field', () => {
+    document.body.innerHTML = `
+      <form>
+        <input name="email" type="email" />
+      </form>
+    `
+
+    expect(fillOneTimeCode(document, '123456')).toBe(false)
+    expect(document.querySelector('input').value).toBe('')
+  })
+
+  it('returns false without a code', () => {
+    document.body.innerHTML = `<input autocomplete="one-time-code" />`
+
+    expect(fillOneTimeCode(document, '')).toBe(false)
+  })
+})
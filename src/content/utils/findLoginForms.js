@@ -1,10 +1,8 @@
-import { isPasswordField } from './isPasswordField'
-import { isUsernameField } from './isUsernameField'
+import { classifyElements, LOGIN_FIELD_TYPES } from './fieldClassifier'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
 
 export function findLoginForms() {
-  return Array.from(document.forms).filter((form) =>
-    Array.from(form.elements).some(
-      (element) => isPasswordField(element) || isUsernameField(element)
-    )
+  return querySelectorAllDeep('form').filter((form) =>
+    classifyElements(form).some(({ type }) => LOGIN_FIELD_TYPES.includes(type))
   )
 }
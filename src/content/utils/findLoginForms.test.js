@@ -1,3 +1,4 @@
+import { FORM_CORPUS } from './fieldClassifier/__fixtures__/formCorpus'
 import { findLoginForms } from './findLoginForms'
 
 describe('findLoginForms', () => {
@@ -9,46 +10,34 @@ describe('findLoginForms', () => {
     expect(findLoginForms()).toEqual([])
   })
 
-  it('should return forms containing a password input', () => {
-    document.body.innerHTML = `
-            <form id="form1">
-                <input type="password" />
-            </form>
-            <form id="form2">
-                <input type="text" />
-            </form>
-        `
-    const result = findLoginForms()
-    expect(result.length).toBe(1)
-    expect(result[0].id).toBe('form1')
+  describe.each(FORM_CORPUS)('$name', ({ html, isLoginForm }) => {
+    it(`should ${isLoginForm ? '' : 'not '}be detected as a login form`, () => {
+      document.body.innerHTML = html
+
+      expect(findLoginForms()).toHaveLength(isLoginForm ? 1 : 0)
+    })
   })
 
-  it('should return forms containing an email or text input', () => {
-    document.body.innerHTML = `
-            <form id="form1">
-                <input type="email" />
-            </form>
-            <form id="form2">
-                <input type="text" />
-            </form>
-            <form id="form3">
-                <input type="password" />
-            </form>
-        `
-    const result = findLoginForms()
-    expect(result.length).toBe(2)
-    expect(result.map((form) => form.id)).toEqual(['form1', 'form3'])
+  it('should only return the login forms of a page with several forms', () => {
+    document.body.innerHTML = FORM_CORPUS.map(({ html }) => html).join('')
+
+    expect(findLoginForms()).toHaveLength(
+      FORM_CORPUS.filter(({ isLoginForm }) => isLoginForm).length
+    )
   })
 
-  it('should return an empty array if forms do not contain relevant inputs', () => {
-    document.body.innerHTML = `
-            <form id="form1">
-                <input type="checkbox" />
-            </form>
-            <form id="form2">
-                <input type="radio" />
+  it('should return login forms inside open shadow roots', () => {
+    document.body.innerHTML = '<login-widget id="host"></login-widget>'
+    const shadowRoot = document
+      .getElementById('host')
+      .attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = `
+            <form id="shadow-form">
+                <input type="password" />
             </form>
         `
-    expect(findLoginForms()).toEqual([])
+    const result = findLoginForms()
+    expect(result.length).toBe(1)
+    expect(result[0].id).toBe('shadow-form')
   })
 })
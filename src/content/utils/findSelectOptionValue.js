@@ -1,6 +1,10 @@
 /**
+ * Picks the option of a select that matches a value. Given a list of candidates
+ * (e.g. a country as name, alpha-2 and alpha-3 code), exact matches of earlier
+ * candidates win, and only candidates longer than a code are matched partially.
+ *
  * @param {HTMLSelectElement} selectEl
- * @param {string} valueToMatch
+ * @param {string | string[]} valueToMatch - Value, or candidate values in order of preference
  * @returns {string}
  */
 export const findSelectOptionValue = (selectEl, valueToMatch) => {
@@ -9,13 +13,26 @@ export const findSelectOptionValue = (selectEl, valueToMatch) => {
   }
 
   const options = Array.from(selectEl.options)
-  const target = valueToMatch.toLowerCase().trim()
+  const isCandidateList = Array.isArray(valueToMatch)
+  const targets = (isCandidateList ? valueToMatch : [valueToMatch])
+    .filter((value) => typeof value === 'string')
+    .map((value) => value.toLowerCase().trim())
+    .filter(Boolean)
+  const partialTargets = isCandidateList
+    ? targets.filter((target) => target.length > 3)
+    : targets
 
-  const match =
+  const findExactMatch = (target) =>
     options.find((opt) => opt.value.trim().toLowerCase() === target) ||
-    options.find((opt) => opt.textContent.trim().toLowerCase() === target) ||
+    options.find((opt) => opt.textContent.trim().toLowerCase() === target)
+
+  const findPartialMatch = (target) =>
     options.find((opt) => opt.value.toLowerCase().includes(target)) ||
     options.find((opt) => opt.textContent.toLowerCase().includes(target))
 
+  const match =
+    targets.map(findExactMatch).find(Boolean) ||
+    partialTargets.map(findPartialMatch).find(Boolean)
+
   return (match || options[0])?.value
 }
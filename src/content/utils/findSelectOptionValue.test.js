@@ -72,4 +72,39 @@ describe('findSelectOptionValue', () => {
     expect(findSelectOptionValue(sel, 'choose')).toBe('')
     expect(findSelectOptionValue(sel, 'notfound')).toBe('')
   })
+  describe('with a list of candidates', () => {
+    const countrySelect = () =>
+      makeSelect([
+        { value: '', text: 'Select a country' },
+        { value: 'RUS', text: 'Russia' },
+        { value: 'DEU', text: 'Deutschland' },
+        { value: 'USA', text: 'Vereinigte Staaten' }
+      ])
+
+    it('matches the first candidate that equals a value or text', () => {
+      expect(
+        findSelectOptionValue(countrySelect(), [
+          'Germany',
+          'DE',
+          'DEU',
+          'Deutschland'
+        ])
+      ).toBe('DEU')
+    })
+
+    it('does not match short codes inside longer values', () => {
+      expect(
+        findSelectOptionValue(countrySelect(), ['United States', 'us'])
+      ).toBe('')
+      expect(
+        findSelectOptionValue(countrySelect(), ['United States', 'US', 'USA'])
+      ).toBe('USA')
+    })
+
+    it('matches longer candidates partially', () => {
+      expect(findSelectOptionValue(countrySelect(), ['Staaten', 'US'])).toBe(
+        'USA'
+      )
+    })
+  })
 })
@@ -0,0 +1,153 @@
+/**
+ * @typedef {Object} CardExpiryFormat
+ * @property {string} separator - Text between month and year, e.g. "/", " / " or ""
+ * @property {2 | 4} yearDigits
+ */
+
+/** @type {CardExpiryFormat[]} */
+const EXPIRY_FORMATS = [
+  { separator: '/', yearDigits: 2 },
+  { separator: '/', yearDigits: 4 },
+  { separator: '', yearDigits: 4 },
+  { separator: '', yearDigits: 2 },
+  { separator: ' / ', yearDigits: 2 },
+  { separator: ' / ', yearDigits: 4 },
+  { separator: '-', yearDigits: 2 },
+  { separator: '-', yearDigits: 4 }
+]
+
+// Masks such as "MM/YY", "mm / yyyy" or "MMYY"
+const MASK_PATTERN = /mm(\s*[/\-.]?\s*)(y{4}|y{2})/i
+
+// Sample dates such as "12/25" or "01 / 2030"
+const EXAMPLE_PATTERN = /\b(?:0[1-9]|1[0-2])(\s*[/\-.]?\s*)(\d{4}|\d{2})\b/
+
+// Date used to probe which formats a pattern attribute accepts
+const SAMPLE_MONTH = '12'
+const SAMPLE_YEAR = '2030'
+
+/**
+ * @param {string} year - Two or four digit year
+ * @param {2 | 4} digits
+ * @returns {string}
+ */
+const formatYear = (year, digits) => {
+  const shortYear = year.slice(-2)
+
+  if (digits === 2) {
+    return shortYear
+  }
+
+  return year.length === 4 ? year : `20${shortYear}`
+}
+
+/**
+ * @param {CardExpiryFormat} format
+ * @param {string} month
+ * @param {string} year
+ * @returns {string}
+ */
+const applyFormat = ({ separator, yearDigits }, month, year) =>
+  `${month.padStart(2, '0')}${separator}${formatYear(year, yearDigits)}`
+
+/**
+ * @param {string | null} text
+ * @returns {CardExpiryFormat | null}
+ */
+const parseFormatHint = (text) => {
+  const match = text?.match(MASK_PATTERN) || text?.match(EXAMPLE_PATTERN)
+
+  if (!match) {
+    return null
+  }
+
+  return { separator: match[1], yearDigits: match[2].length }
+}
+
+/**
+ * @param {string | null} pattern
+ * @returns {CardExpiryFormat[] | null} The formats the pattern accepts, or null when it cannot tell
+ */
+const getPatternFormats = (pattern) => {
+  if (!pattern) {
+    return null
+  }
+
+  let regex
+  try {
+    regex = new RegExp(`^(?:${pattern})$`)
+  } catch {
+    return null
+  }
+
+  const formats = EXPIRY_FORMATS.filter((format) =>
+    regex.test(applyFormat(format, SAMPLE_MONTH, SAMPLE_YEAR))
+  )
+
+  return formats.length ? formats : null
+}
+
+/**
+ * Works out the expiry format a combined expiration field expects from its
+ * pattern, placeholder and maxlength. A pattern narrows the choice down, and a
+ * format whose length equals the maxlength beats one that merely fits.
+ *
+ * @param {HTMLInputElement} field
+ * @returns {CardExpiryFormat}
+ */
+export const getCardExpiryFormat = (field) => {
+  const maxLength = field.maxLength > 0 ? field.maxLength : Infinity
+
+  const hints = [
+    parseFormatHint(field.getAttribute('placeholder')),
+    parseFormatHint(field.getAttribute('aria-label'))
+  ].filter(Boolean)
+
+  const patternFormats = getPatternFormats(field.getAttribute('pattern'))
+  const isAllowed = (format) =>
+    !patternFormats ||
+    patternFormats.some(
+      (allowed) =>
+        allowed.separator === format.separator &&
+        allowed.yearDigits === format.yearDigits
+    )
+
+  const candidates = [...hints, ...EXPIRY_FORMATS].filter(isAllowed)
+  const getLength = (format) =>
+    applyFormat(format, SAMPLE_MONTH, SAMPLE_YEAR).length
+
+  return (
+    candidates.find((format) => getLength(format) === maxLength) ||
+    candidates.find((format) => getLength(format) <= maxLength) ||
+    EXPIRY_FORMATS[0]
+  )
+}
+
+/**
+ * Formats an expiry date for a combined expiration field.
+ *
+ * @param {HTMLInputElement} field
+ * @param {string} month - One or two digit month
+ * @param {string} year - Two or four digit year
+ * @returns {string}
+ */
+export const formatCardExpiry = (field, month, year) =>
+  applyFormat(getCardExpiryFormat(field), month, year)
+
+/**
+ * Formats the year for a separate expiration year input, which takes two
+ * digits unless its maxlength or placeholder asks for four.
+ *
+ * @param {HTMLInputElement} field
+ * @param {string} year - Two or four digit year
+ * @returns {string}
+ */
+export const formatCardExpiryYear = (field, year) => {
+  const placeholder = field.getAttribute('placeholder') || ''
+  const isFullYear =
+    field.maxLength === 4 ||
+    (field.maxLength !== 2 &&
+      (/y{4}/i.test(placeholder) || /^\s*\d{4}\s*$/.test(placeholder)))
+
+  return formatYear(year, isFullYear ? 4 : 2)
+}
@@ -0,0 +1,125 @@
+import {
+  formatCardExpiry,
+  formatCardExpiryYear,
+  getCardExpiryFormat
+} from './formatCardExpiry'
+
+const createInput = (attributes = {}) => {
+  const input = document.createElement('input')
+  Object.entries(attributes).forEach(([name, value]) =>
+    input.setAttribute(name, value)
+  )
+  return input
+}
+
+describe('getCardExpiryFormat', () => {
+  it('should default to MM/YY', () => {
+    expect(getCardExpiryFormat(createInput())).toEqual({
+      separator: '/',
+      yearDigits: 2
+    })
+  })
+
+  it('should read the mask from the placeholder', () => {
+    expect(
+      getCardExpiryFormat(createInput({ placeholder: 'MM / YY' }))
+    ).toEqual({ separator: ' / ', yearDigits: 2 })
+    expect(getCardExpiryFormat(createInput({ placeholder: 'mmyyyy' }))).toEqual(
+      { separator: '', yearDigits: 4 }
+    )
+  })
+
+  it('should read a sample date from the placeholder', () => {
+    expect(
+      getCardExpiryFormat(createInput({ placeholder: 'e.g. 04/2027' }))
+    ).toEqual({ separator: '/', yearDigits: 4 })
+  })
+
+  it('should pick the format that matches the maxlength', () => {
+    expect(getCardExpiryFormat(createInput({ maxlength: '4' }))).toEqual({
+      separator: '',
+      yearDigits: 2
+    })
+    expect(getCardExpiryFormat(createInput({ maxlength: '7' }))).toEqual({
+      separator: '/',
+      yearDigits: 4
+    })
+  })
+
+  it('should prefer the placeholder when it fits the maxlength', () => {
+    expect(
+      getCardExpiryFormat(
+        createInput({ placeholder: 'MM / YY', maxlength: '7' })
+      )
+    ).toEqual({ separator: ' / ', yearDigits: 2 })
+  })
+
+  it('should drop a placeholder format that does not fit the maxlength', () => {
+    expect(
+      getCardExpiryFormat(
+        createInput({ placeholder: 'MM / YY', maxlength: '5' })
+      )
+    ).toEqual({ separator: '/', yearDigits: 2 })
+  })
+
+  it('should only use formats the pattern accepts', () => {
+    expect(
+      getCardExpiryFormat(createInput({ pattern: '\\d{2}/\\d{4}' }))
+    ).toEqual({ separator: '/', yearDigits: 4 })
+    expect(
+      getCardExpiryFormat(
+        createInput({ pattern: '[0-9]{4}', placeholder: 'MM/YY' })
+      )
+    ).toEqual({ separator: '', yearDigits: 2 })
+  })
+
+  it('should ignore an invalid pattern', () => {
+    expect(getCardExpiryFormat(createInput({ pattern: '([' }))).toEqual({
+      separator: '/',
+      yearDigits: 2
+    })
+  })
+})
+
+describe('formatCardExpiry', () => {
+  it('should format the stored month and year for the field', () => {
+    expect(formatCardExpiry(createInput(), '04', '27')).toBe('04/27')
+    expect(
+      formatCardExpiry(createInput({ placeholder: 'MM/YYYY' }), '04', '27')
+    ).toBe('04/2027')
+    expect(
+      formatCardExpiry(createInput({ placeholder: 'MM / YY' }), '4', '2027')
+    ).toBe('04 / 27')
+    expect(formatCardExpiry(createInput({ maxlength: '4' }), '04', '27')).toBe(
+      '0427'
+    )
+  })
+})
+
+describe('formatCardExpiryYear', () => {
+  it('should use two digits by default', () => {
+    expect(formatCardExpiryYear(createInput(), '27')).toBe('27')
+    expect(formatCardExpiryYear(createInput(), '2027')).toBe('27')
+  })
+
+  it('should use four digits when the field asks for them', () => {
+    expect(formatCardExpiryYear(createInput({ maxlength: '4' }), '27')).toBe(
+      '2027'
+    )
+    expect(
+      formatCardExpiryYear(createInput({ placeholder: 'YYYY' }), '27')
+    ).toBe('2027')
+    expect(
+      formatCardExpiryYear(createInput({ placeholder: '2030' }), '27')
+    ).toBe('2027')
+  })
+
+  it('should let a two character maxlength win over the placeholder', () => {
+    expect(
+      formatCardExpiryYear(
+        createInput({ placeholder: 'YYYY', maxlength: '2' }),
+        '2027'
+      )
+    ).toBe('27')
+  })
+})
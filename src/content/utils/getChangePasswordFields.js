@@ -0,0 +1,41 @@
+import { classifyElements, FIELD_TYPES } from './fieldClassifier'
+
+/**
+ * Resolves the fields of a change-password form: a current password followed by
+ * one or more new password fields (the new password and its confirmation).
+ *
+ * @param {Document | ShadowRoot | Element} [scope=document]
+ * @returns {{
+ *  usernameField: HTMLInputElement | null,
+ *  currentPasswordField: HTMLInputElement,
+ *  newPasswordFields: HTMLInputElement[]
+ * } | null} Null when the scope is not a change-password form
+ */
+export const getChangePasswordFields = (scope = document) => {
+  const entries = classifyElements(scope)
+
+  const currentPasswordField = entries.find(
+    (entry) => entry.type === FIELD_TYPES.CURRENT_PASSWORD
+  )?.element
+
+  const newPasswordFields = entries
+    .filter((entry) => entry.type === FIELD_TYPES.NEW_PASSWORD)
+    .map((entry) => entry.element)
+
+  // A login and a sign-up form side by side without <form> wrappers is not a change
+  if (
+    !currentPasswordField ||
+    !newPasswordFields.length ||
+    newPasswordFields.some((field) => field.form !== currentPasswordField.form)
+  ) {
+    return null
+  }
+
+  return {
+    usernameField:
+      entries.find((entry) => entry.type === FIELD_TYPES.USERNAME)?.element ??
+      null,
+    currentPasswordField,
+    newPasswordFields
+  }
+}
@@ -0,0 +1,80 @@
+import { getChangePasswordFields } from './getChangePasswordFields'
+
+describe('getChangePasswordFields', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should resolve current, new and confirm password fields', () => {
+    document.body.innerHTML = `
+      <form id="change">
+        <input id="current" type="password" name="current_password" />
+        <input id="new" type="password" name="new_password" />
+        <input id="confirm" type="password" name="confirm_password" />
+      </form>
+    `
+
+    const fields = getChangePasswordFields(document.getElementById('change'))
+
+    expect(fields.currentPasswordField.id).toBe('current')
+    expect(fields.newPasswordFields.map((field) => field.id)).toEqual([
+      'new',
+      'confirm'
+    ])
+    expect(fields.usernameField).toBeNull()
+  })
+
+  it('should resolve unlabelled fields by position', () => {
+    document.body.innerHTML = `
+      <form id="change">
+        <input id="username" type="text" autocomplete="username" />
+        <input id="a" type="password" />
+        <input id="b" type="password" />
+        <input id="c" type="password" />
+      </form>
+    `
+
+    const fields = getChangePasswordFields(document.getElementById('change'))
+
+    expect(fields.usernameField.id).toBe('username')
+    expect(fields.currentPasswordField.id).toBe('a')
+    expect(fields.newPasswordFields.map((field) => field.id)).toEqual([
+      'b',
+      'c'
+    ])
+  })
+
+  it('should return null for a login form', () => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input type="email" />
+        <input type="password" />
+      </form>
+    `
+
+    expect(getChangePasswordFields(document.getElementById('login'))).toBeNull()
+  })
+
+  it('should return null for a sign-up form', () => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <input type="email" />
+        <input type="password" name="password" />
+        <input type="password" name="password_confirmation" />
+      </form>
+    `
+
+    expect(
+      getChangePasswordFields(document.getElementById('signup'))
+    ).toBeNull()
+  })
+
+  it('should not pair a login form with a separate sign-up form', () => {
+    document.body.innerHTML = `
+      <form><input type="password" autocomplete="current-password" /></form>
+      <form><input type="password" autocomplete="new-password" /></form>
+    `
+
+    expect(getChangePasswordFields(document)).toBeNull()
+  })
+})
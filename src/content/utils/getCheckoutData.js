@@ -0,0 +1,192 @@
+import { classifyFields, FIELD_TYPES } from './fieldClassifier'
+
+/**
+ * @typedef {Object} CheckoutCreditCard
+ * @property {string} number - Digits grouped by four, as the vault stores them
+ * @property {string} name
+ * @property {string} expireDate - "MM YY"
+ * @property {string} securityCode
+ */
+
+/**
+ * @typedef {Object} CheckoutIdentity
+ * @property {string} fullName
+ * @property {string} email
+ * @property {string} phoneNumber
+ * @property {string} address
+ * @property {string} zip
+ * @property {string} city
+ * @property {string} region
+ * @property {string} country
+ */
+
+/**
+ * Reads the card and the address typed into a checkout form, using the same
+ * field classification as autofill. A card needs a number that passes the Luhn
+ * check; an address needs a street plus a postal code or city.
+ *
+ * @param {Document | ShadowRoot | Element} scope
+ * @returns {{ creditCard: CheckoutCreditCard | null, identity: CheckoutIdentity | null }}
+ */
+export const getCheckoutData = (scope) => {
+  const fields = classifyFields(scope)
+
+  return {
+    creditCard: getCreditCard(fields),
+    identity: getIdentity(fields)
+  }
+}
+
+/**
+ * Returns the fields that identify a checkout form, whether filled or not: the
+ * card number and the street address.
+ *
+ * @param {Document | ShadowRoot | Element} scope
+ * @returns {Array<HTMLInputElement | HTMLSelectElement>}
+ */
+export const getCheckoutFields = (scope) => {
+  const fields = classifyFields(scope)
+
+  return [
+    FIELD_TYPES.CC_NUMBER,
+    FIELD_TYPES.STREET_ADDRESS,
+    FIELD_TYPES.ADDRESS_LINE1
+  ]
+    .map((type) => fields[type])
+    .filter(Boolean)
+}
+
+/**
+ * @param {HTMLInputElement | HTMLSelectElement | undefined} field
+ * @returns {string}
+ */
+const readValue = (field) => {
+  if (!field) {
+    return ''
+  }
+
+  // Selects often carry codes as values, the visible text is what a person reads
+  if (field.tagName === 'SELECT') {
+    const option = field.selectedOptions?.[0]
+    return option && option.value ? option.textContent.trim() : ''
+  }
+
+  return field.value.trim()
+}
+
+/**
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const isLuhnValid = (digits) => {
+  let sum = 0
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+
+    sum += digit
+  }
+
+  return sum % 10 === 0
+}
+
+/**
+ * @param {Partial<Record<string, HTMLInputElement | HTMLSelectElement>>} fields
+ * @returns {string} "MM YY", or an empty string when the date cannot be read
+ */
+const getExpireDate = (fields) => {
+  const monthField = fields[FIELD_TYPES.CC_EXP_MONTH]
+  const yearField = fields[FIELD_TYPES.CC_EXP_YEAR]
+
+  let month = monthField?.value.trim() ?? ''
+  let year = yearField?.value.trim() ?? ''
+
+  if (!monthField && !yearField) {
+    const combined = fields[FIELD_TYPES.CC_EXP]?.value.replace(/\s/g, '') ?? ''
+    const match = combined.match(/^(\d{1,2})\D?(\d{4}|\d{2})$/)
+
+    if (!match) {
+      return ''
+    }
+
+    ;[, month, year] = match
+  }
+
+  const monthNumber = Number(month)
+
+  if (!/^\d{1,2}$/.test(month) || monthNumber < 1 || monthNumber > 12) {
+    return ''
+  }
+
+  if (!/^(\d{2}|\d{4})$/.test(year)) {
+    return ''
+  }
+
+  return `${String(monthNumber).padStart(2, '0')} ${year.slice(-2)}`
+}
+
+/**
+ * @param {Partial<Record<string, HTMLInputElement | HTMLSelectElement>>} fields
+ * @returns {CheckoutCreditCard | null}
+ */
+const getCreditCard = (fields) => {
+  const digits = readValue(fields[FIELD_TYPES.CC_NUMBER]).replace(/[\s-]/g, '')
+
+  if (!/^\d{12,19}$/.test(digits) || !isLuhnValid(digits)) {
+    return null
+  }
+
+  return {
+    number: digits.match(/.{1,4}/g).join(' '),
+    name: readValue(fields[FIELD_TYPES.CC_NAME]),
+    expireDate: getExpireDate(fields),
+    securityCode: readValue(fields[FIELD_TYPES.CC_CSC]).replace(/\D/g, '')
+  }
+}
+
+/**
+ * @param {Partial<Record<string, HTMLInputElement | HTMLSelectElement>>} fields
+ * @returns {CheckoutIdentity | null}
+ */
+const getIdentity = (fields) => {
+  const address =
+    readValue(fields[FIELD_TYPES.STREET_ADDRESS]) ||
+    [
+      readValue(fields[FIELD_TYPES.ADDRESS_LINE1]),
+      readValue(fields[FIELD_TYPES.ADDRESS_LINE2])
+    ]
+      .filter(Boolean)
+      .join(', ')
+  const zip = readValue(fields[FIELD_TYPES.POSTAL_CODE])
+  const city = readValue(fields[FIELD_TYPES.CITY])
+
+  if (!address || !(zip || city)) {
+    return null
+  }
+
+  const fullName =
+    readValue(fields[FIELD_TYPES.NAME]) ||
+    [
+      readValue(fields[FIELD_TYPES.GIVEN_NAME]),
+      readValue(fields[FIELD_TYPES.ADDITIONAL_NAME]),
+      readValue(fields[FIELD_TYPES.FAMILY_NAME])
+    ]
+      .filter(Boolean)
+      .join(' ')
+
+  return {
+    fullName,
+    email: readValue(fields[FIELD_TYPES.EMAIL]),
+    phoneNumber: readValue(fields[FIELD_TYPES.TEL]),
+    address,
+    zip,
+    city,
+    region: readValue(fields[FIELD_TYPES.REGION]),
+    country: readValue(fields[FIELD_TYPES.COUNTRY])
+  }
+}
@@ -0,0 +1,98 @@
+import { getCheckoutData } from './getCheckoutData'
+
+const getForm = () => document.getElementById('checkout')
+
+describe('getCheckoutData', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should read a card with a combined expiry field', () => {
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input autocomplete="cc-name" value="Ada Lovelace" />
+        <input autocomplete="cc-number" value="4242-4242-4242-4242" />
+        <input autocomplete="cc-exp" value="4 / 2027" />
+        <input autocomplete="cc-csc" value="123" />
+      </form>
+    `
+
+    expect(getCheckoutData(getForm()).creditCard).toEqual({
+      number: '4242 4242 4242 4242',
+      name: 'Ada Lovelace',
+      expireDate: '04 27',
+      securityCode: '123'
+    })
+  })
+
+  it('should read split expiry fields', () => {
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input autocomplete="cc-number" value="4242424242424242" />
+        <select autocomplete="cc-exp-month">
+          <option value="">Month</option>
+          <option value="11" selected>November</option>
+        </select>
+        <select autocomplete="cc-exp-year">
+          <option value="">Year</option>
+          <option value="2029" selected>2029</option>
+        </select>
+      </form>
+    `
+
+    expect(getCheckoutData(getForm()).creditCard.expireDate).toBe('11 29')
+  })
+
+  it('should ignore card numbers failing the Luhn check', () => {
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input autocomplete="cc-number" value="4242424242424241" />
+      </form>
+    `
+
+    expect(getCheckoutData(getForm()).creditCard).toBeNull()
+  })
+
+  it('should read a shipping address', () => {
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input autocomplete="given-name" value="Grace" />
+        <input autocomplete="family-name" value="Hopper" />
+        <input autocomplete="email" value="grace@example.com" />
+        <input autocomplete="address-line1" value="1 Navy Way" />
+        <input autocomplete="address-line2" value="Apt 2" />
+        <input autocomplete="postal-code" value="10001" />
+        <input autocomplete="address-level2" value="New York" />
+        <select autocomplete="country">
+          <option value="">Choose</option>
+          <option value="US" selected>United States</option>
+        </select>
+      </form>
+    `
+
+    expect(getCheckoutData(getForm()).identity).toEqual({
+      fullName: 'Grace Hopper',
+      email: 'grace@example.com',
+      phoneNumber: '',
+      address: '1 Navy Way, Apt 2',
+      zip: '10001',
+      city: 'New York',
+      region: '',
+      country: 'United States'
+    })
+  })
+
+  it('should skip an address without a postal code or city', () => {
+    document.body.innerHTML = `
+      <form id="checkout">
+        <input autocomplete="street-address" value="1 Navy Way" />
+        <input autocomplete="email" value="grace@example.com" />
+      </form>
+    `
+
+    expect(getCheckoutData(getForm())).toEqual({
+      creditCard: null,
+      identity: null
+    })
+  })
+})
@@ -0,0 +1,14 @@
+/**
+ * Returns the element that actually received the event.
+ * Composed events coming out of an open shadow root are retargeted to the host,
+ * so the first element of the composed path is used instead of `event.target`.
+ *
+ * @param {Event} event
+ * @returns {Element | null}
+ */
+export const getComposedTarget = (event) => {
+  const path = event.composedPath?.() || []
+  const element = path.find((node) => node instanceof Element)
+
+  return element || (event.target instanceof Element ? event.target : null)
+}
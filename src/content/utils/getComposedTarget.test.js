@@ -0,0 +1,49 @@
+import { getComposedTarget } from './getComposedTarget'
+
+describe('getComposedTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return the event target for light DOM elements', () => {
+    const input = document.createElement('input')
+    document.body.appendChild(input)
+
+    let target
+    document.addEventListener('click', (event) => {
+      target = getComposedTarget(event)
+    })
+    input.dispatchEvent(new Event('click', { bubbles: true, composed: true }))
+
+    expect(target).toBe(input)
+  })
+
+  it('should return the inner element of an open shadow root', () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<input id="inner" />'
+    const inner = shadowRoot.getElementById('inner')
+
+    let retargeted
+    let composedTarget
+    document.addEventListener('focusin', (event) => {
+      retargeted = event.target
+      composedTarget = getComposedTarget(event)
+    })
+    inner.dispatchEvent(new Event('focusin', { bubbles: true, composed: true }))
+
+    expect(retargeted).toBe(host)
+    expect(composedTarget).toBe(inner)
+  })
+
+  it('should fall back to event.target when composedPath is unavailable', () => {
+    const input = document.createElement('input')
+
+    expect(getComposedTarget({ target: input })).toBe(input)
+  })
+
+  it('should return null when there is no element target', () => {
+    expect(getComposedTarget({ target: window })).toBeNull()
+  })
+})
@@ -0,0 +1,83 @@
+import { normalizePlaceName } from './normalizePlaceName'
+import {
+  COUNTRY_ALIASES,
+  COUNTRY_ALPHA3_BY_ALPHA2
+} from '../constants/countries'
+
+const COUNTRY_CODES = Object.keys(COUNTRY_ALPHA3_BY_ALPHA2)
+
+// Country lists are written in the page language, or the user's when the page has none
+const getRegionDisplayNames = () =>
+  [
+    ...new Set(
+      [document.documentElement.lang, ...(navigator.languages || []), 'en']
+        .filter(Boolean)
+        .filter((locale) => {
+          try {
+            return Intl.DisplayNames.supportedLocalesOf(locale).length > 0
+          } catch {
+            return false
+          }
+        })
+    )
+  ].map((locale) => new Intl.DisplayNames([locale], { type: 'region' }))
+
+const getCountryNames = (code, displayNames) =>
+  displayNames.map((names) => names.of(code))
+
+const resolveCountryCode = (value, displayNames) => {
+  const upperValue = value.trim().toUpperCase()
+
+  if (COUNTRY_ALPHA3_BY_ALPHA2[upperValue]) {
+    return upperValue
+  }
+
+  const alpha2ByAlpha3 = COUNTRY_CODES.find(
+    (code) => COUNTRY_ALPHA3_BY_ALPHA2[code] === upperValue
+  )
+
+  if (alpha2ByAlpha3) {
+    return alpha2ByAlpha3
+  }
+
+  const name = normalizePlaceName(value)
+
+  return (
+    COUNTRY_CODES.find((code) =>
+      [...getCountryNames(code, displayNames), ...(COUNTRY_ALIASES[code] || [])]
+        .map(normalizePlaceName)
+        .includes(name)
+    ) || null
+  )
+}
+
+/**
+ * Lists the ways a country select may spell a stored country: the stored value,
+ * its ISO 3166-1 alpha-2 and alpha-3 codes, and its name in the page and user
+ * languages. Unknown countries only yield the stored value.
+ *
+ * @param {string | undefined} country - Country name or code as stored in the identity
+ * @returns {string[]} Candidates for `findSelectOptionValue`, most specific first
+ */
+export const getCountryOptionCandidates = (country) => {
+  if (!country?.trim()) {
+    return []
+  }
+
+  const displayNames = getRegionDisplayNames()
+  const code = resolveCountryCode(country, displayNames)
+
+  if (!code) {
+    return [country]
+  }
+
+  return [
+    ...new Set([
+      country,
+      code,
+      COUNTRY_ALPHA3_BY_ALPHA2[code],
+      ...getCountryNames(code, displayNames),
+      ...(COUNTRY_ALIASES[code] || [])
+    ])
+  ]
+}
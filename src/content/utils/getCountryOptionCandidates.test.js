@@ -0,0 +1,48 @@
+import { getCountryOptionCandidates } from './getCountryOptionCandidates'
+
+describe('getCountryOptionCandidates', () => {
+  const originalLang = document.documentElement.lang
+
+  afterEach(() => {
+    document.documentElement.lang = originalLang
+  })
+
+  it('should list codes and the English name of a country name', () => {
+    const candidates = getCountryOptionCandidates('Germany')
+
+    expect(candidates.slice(0, 3)).toEqual(['Germany', 'DE', 'DEU'])
+  })
+
+  it('should resolve alpha-2 and alpha-3 codes', () => {
+    expect(getCountryOptionCandidates('de')).toEqual(
+      expect.arrayContaining(['DE', 'DEU', 'Germany'])
+    )
+    expect(getCountryOptionCandidates('USA')).toEqual(
+      expect.arrayContaining(['US', 'United States'])
+    )
+  })
+
+  it('should resolve common aliases', () => {
+    expect(getCountryOptionCandidates('UK')).toEqual(
+      expect.arrayContaining(['GB', 'GBR', 'United Kingdom'])
+    )
+  })
+
+  it('should add the country name in the page language', () => {
+    document.documentElement.lang = 'de'
+
+    expect(getCountryOptionCandidates('Germany')).toContain('Deutschland')
+    expect(getCountryOptionCandidates('Vereinigte Staaten')).toEqual(
+      expect.arrayContaining(['US', 'USA'])
+    )
+  })
+
+  it('should return only the stored value for unknown countries', () => {
+    expect(getCountryOptionCandidates('Atlantis')).toEqual(['Atlantis'])
+  })
+
+  it('should return no candidates for an empty value', () => {
+    expect(getCountryOptionCandidates('')).toEqual([])
+    expect(getCountryOptionCandidates(undefined)).toEqual([])
+  })
+})
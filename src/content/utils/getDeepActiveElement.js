@@ -0,0 +1,15 @@
+/**
+ * Returns the focused element, descending into open shadow roots.
+ *
+ * @param {Document | ShadowRoot} [root=document]
+ * @returns {Element | null}
+ */
+export const getDeepActiveElement = (root = document) => {
+  let activeElement = root.activeElement
+
+  while (activeElement?.shadowRoot?.activeElement) {
+    activeElement = activeElement.shadowRoot.activeElement
+  }
+
+  return activeElement
+}
@@ -0,0 +1,27 @@
+import { getDeepActiveElement } from './getDeepActiveElement'
+
+describe('getDeepActiveElement', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return the focused light DOM element', () => {
+    const input = document.createElement('input')
+    document.body.appendChild(input)
+    input.focus()
+
+    expect(getDeepActiveElement()).toBe(input)
+  })
+
+  it('should return the focused element inside an open shadow root', () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<input id="inner" />'
+    const inner = shadowRoot.getElementById('inner')
+    inner.focus()
+
+    expect(document.activeElement).toBe(host)
+    expect(getDeepActiveElement()).toBe(inner)
+  })
+})
@@ -0,0 +1,35 @@
+const FILLABLE_FIELDS_SELECTOR =
+  'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), select'
+
+/**
+ * Finds the container that groups a field with its related fields: the owning form,
+ * or, for form-less pages, the closest ancestor holding more than one fillable field.
+ * Falls back to the field's root node (document or shadow root), or to the document
+ * when the field has been removed from the page.
+ *
+ * @param {Element | null | undefined} element
+ * @returns {Document | ShadowRoot | Element}
+ */
+export const getFieldScope = (element) => {
+  if (!element?.isConnected) {
+    return document
+  }
+
+  const form = element.form || element.closest('form')
+
+  if (form) {
+    return form
+  }
+
+  let node = element.parentElement
+
+  while (node && node !== document.body && node !== document.documentElement) {
+    if (node.querySelectorAll(FILLABLE_FIELDS_SELECTOR).length > 1) {
+      return node
+    }
+
+    node = node.parentElement
+  }
+
+  return element.getRootNode()
+}
@@ -0,0 +1,71 @@
+import { getFieldScope } from './getFieldScope'
+
+describe('getFieldScope', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return the document when there is no element', () => {
+    expect(getFieldScope(null)).toBe(document)
+  })
+
+  it('should return the document for a detached element', () => {
+    const form = document.createElement('form')
+    const input = document.createElement('input')
+    form.appendChild(input)
+
+    expect(getFieldScope(input)).toBe(document)
+  })
+
+  it('should return the form owning the field', () => {
+    document.body.innerHTML = `
+      <form id="newsletter"><input id="newsletter-email" /></form>
+      <form id="login"><input id="username" /><input type="password" /></form>
+    `
+
+    expect(getFieldScope(document.getElementById('username')).id).toBe('login')
+  })
+
+  it('should return the form referenced by the form attribute', () => {
+    document.body.innerHTML = `
+      <form id="login"></form>
+      <input id="username" form="login" />
+    `
+
+    expect(getFieldScope(document.getElementById('username')).id).toBe('login')
+  })
+
+  it('should return the nearest input group for form-less fields', () => {
+    document.body.innerHTML = `
+      <div id="page">
+        <div id="newsletter"><input id="newsletter-email" /><button>Go</button></div>
+        <div id="login">
+          <div><input id="username" /></div>
+          <div><input id="password" type="password" /></div>
+        </div>
+      </div>
+    `
+
+    expect(getFieldScope(document.getElementById('username')).id).toBe('login')
+  })
+
+  it('should ignore hidden inputs when looking for a group', () => {
+    document.body.innerHTML = `
+      <div id="outer">
+        <div id="inner"><input type="hidden" /><input id="email" /></div>
+        <input id="other" />
+      </div>
+    `
+
+    expect(getFieldScope(document.getElementById('email')).id).toBe('outer')
+  })
+
+  it('should fall back to the shadow root of a lone field', () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    const shadowRoot = host.attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = '<input id="inner" />'
+
+    expect(getFieldScope(shadowRoot.getElementById('inner'))).toBe(shadowRoot)
+  })
+})
@@ -0,0 +1,30 @@
+import { classifyFields, FIELD_TYPES } from './fieldClassifier'
+import { isPasswordField } from './isPasswordField'
+
+/**
+ * Resolves the username and password fields of a login within a scope.
+ * The classifier already prefers the username placed right before the password,
+ * so newsletter or search boxes in the same scope are skipped.
+ *
+ * @param {Document | ShadowRoot | Element} [scope=document]
+ * @param {Element | null} [focusedElement] - Field the user interacted with, preferred when it is a password field
+ * @returns {{ usernameField: HTMLInputElement | null, passwordField: HTMLInputElement | null }}
+ */
+export const getLoginFields = (scope = document, focusedElement = null) => {
+  const fields = classifyFields(scope)
+
+  const isFocusedPassword =
+    !!focusedElement &&
+    scope.contains(focusedElement) &&
+    isPasswordField(focusedElement)
+
+  return {
+    usernameField:
+      fields[FIELD_TYPES.USERNAME] || fields[FIELD_TYPES.EMAIL] || null,
+    passwordField: isFocusedPassword
+      ? focusedElement
+      : fields[FIELD_TYPES.CURRENT_PASSWORD] ||
+        fields[FIELD_TYPES.NEW_PASSWORD] ||
+        null
+  }
+}
@@ -0,0 +1,82 @@
+import { getLoginFields } from './getLoginFields'
+
+describe('getLoginFields', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should pick the input right before the password field as username', () => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input id="search" type="text" name="q" />
+        <input id="username" type="text" name="login" />
+        <input id="password" type="password" />
+      </form>
+    `
+
+    const { usernameField, passwordField } = getLoginFields(
+      document.getElementById('login')
+    )
+
+    expect(usernameField.id).toBe('username')
+    expect(passwordField.id).toBe('password')
+  })
+
+  it('should only look inside the given scope', () => {
+    document.body.innerHTML = `
+      <form id="newsletter"><input id="newsletter-email" type="email" /></form>
+      <form id="login">
+        <input id="email" type="email" />
+        <input id="password" type="password" />
+      </form>
+    `
+
+    const { usernameField } = getLoginFields(document.getElementById('login'))
+
+    expect(usernameField.id).toBe('email')
+  })
+
+  it('should prefer the focused password field', () => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <input id="email" type="email" />
+        <input id="password" type="password" />
+        <input id="confirm" type="password" />
+      </form>
+    `
+    const confirm = document.getElementById('confirm')
+
+    const { passwordField } = getLoginFields(
+      document.getElementById('signup'),
+      confirm
+    )
+
+    expect(passwordField).toBe(confirm)
+  })
+
+  it('should return the username field of a username-only step', () => {
+    document.body.innerHTML = `
+      <form id="step1"><input id="identifier" type="email" /></form>
+    `
+
+    const { usernameField, passwordField } = getLoginFields(
+      document.getElementById('step1')
+    )
+
+    expect(usernameField.id).toBe('identifier')
+    expect(passwordField).toBeNull()
+  })
+
+  it('should fall back to keyword matching when nothing precedes the password', () => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input id="password" type="password" />
+        <input id="user" name="username" />
+      </form>
+    `
+
+    const { usernameField } = getLoginFields(document.getElementById('login'))
+
+    expect(usernameField.id).toBe('user')
+  })
+})
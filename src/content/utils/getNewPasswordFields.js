@@ -0,0 +1,22 @@
+import { classifyElements, FIELD_TYPES } from './fieldClassifier'
+import { getFieldScope } from './getFieldScope'
+
+/**
+ * Returns the fields a new password goes into when `element` receives one:
+ * the new password field together with its confirmation fields in the same form.
+ * Any other field is returned on its own.
+ *
+ * @param {HTMLInputElement} element
+ * @returns {HTMLInputElement[]}
+ */
+export const getNewPasswordFields = (element) => {
+  const newPasswordFields = classifyElements(getFieldScope(element))
+    .filter(
+      (entry) =>
+        entry.type === FIELD_TYPES.NEW_PASSWORD &&
+        entry.element.form === element.form
+    )
+    .map((entry) => entry.element)
+
+  return newPasswordFields.includes(element) ? newPasswordFields : [element]
+}
@@ -0,0 +1,68 @@
+import { getNewPasswordFields } from './getNewPasswordFields'
+
+describe('getNewPasswordFields', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  const ids = (fields) => fields.map((field) => field.id)
+
+  it('should include the confirmation field of a sign-up form', () => {
+    document.body.innerHTML = `
+      <form>
+        <input id="email" type="email" />
+        <input id="password" type="password" name="password" />
+        <input id="repeat" type="password" name="repeat_password" />
+      </form>
+    `
+
+    expect(
+      ids(getNewPasswordFields(document.getElementById('password')))
+    ).toEqual(['password', 'repeat'])
+    expect(
+      ids(getNewPasswordFields(document.getElementById('repeat')))
+    ).toEqual(['password', 'repeat'])
+  })
+
+  it('should leave out the current password of a change-password form', () => {
+    document.body.innerHTML = `
+      <form>
+        <input id="current" type="password" autocomplete="current-password" />
+        <input id="new" type="password" autocomplete="new-password" />
+        <input id="confirm" type="password" autocomplete="new-password" />
+      </form>
+    `
+
+    expect(ids(getNewPasswordFields(document.getElementById('new')))).toEqual([
+      'new',
+      'confirm'
+    ])
+    expect(
+      ids(getNewPasswordFields(document.getElementById('current')))
+    ).toEqual(['current'])
+  })
+
+  it('should not touch password fields of another form', () => {
+    document.body.innerHTML = `
+      <form><input id="first" type="password" autocomplete="new-password" /></form>
+      <form><input id="second" type="password" autocomplete="new-password" /></form>
+    `
+
+    expect(ids(getNewPasswordFields(document.getElementById('first')))).toEqual(
+      ['first']
+    )
+  })
+
+  it('should return a single login password on its own', () => {
+    document.body.innerHTML = `
+      <form>
+        <input id="username" type="text" />
+        <input id="password" type="password" />
+      </form>
+    `
+
+    expect(
+      ids(getNewPasswordFields(document.getElementById('password')))
+    ).toEqual(['password'])
+  })
+})
@@ -0,0 +1,34 @@
+import { normalizePlaceName } from './normalizePlaceName'
+import { US_STATE_NAMES_BY_CODE } from '../constants/usStates'
+
+/**
+ * Lists the ways a region select may spell a stored state or region. US states
+ * are offered as name, USPS abbreviation and ISO 3166-2 code; other regions
+ * only yield the stored value.
+ *
+ * @param {string | undefined} region - Region name or code as stored in the identity
+ * @returns {string[]} Candidates for `findSelectOptionValue`, most specific first
+ */
+export const getRegionOptionCandidates = (region) => {
+  if (!region?.trim()) {
+    return []
+  }
+
+  const upperValue = region.trim().toUpperCase().replace(/^US-/, '')
+  const name = normalizePlaceName(region)
+
+  const code = US_STATE_NAMES_BY_CODE[upperValue]
+    ? upperValue
+    : Object.keys(US_STATE_NAMES_BY_CODE).find(
+        (stateCode) =>
+          normalizePlaceName(US_STATE_NAMES_BY_CODE[stateCode]) === name
+      )
+
+  if (!code) {
+    return [region]
+  }
+
+  return [
+    ...new Set([region, code, US_STATE_NAMES_BY_CODE[code], `US-${code}`])
+  ]
+}
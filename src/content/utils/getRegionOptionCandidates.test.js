@@ -0,0 +1,29 @@
+import { getRegionOptionCandidates } from './getRegionOptionCandidates'
+
+describe('getRegionOptionCandidates', () => {
+  it('should add the abbreviation of a US state name', () => {
+    expect(getRegionOptionCandidates('California')).toEqual([
+      'California',
+      'CA',
+      'US-CA'
+    ])
+  })
+
+  it('should add the name of a US state abbreviation', () => {
+    expect(getRegionOptionCandidates('ny')).toEqual([
+      'ny',
+      'NY',
+      'New York',
+      'US-NY'
+    ])
+    expect(getRegionOptionCandidates('US-TX')).toEqual(['US-TX', 'TX', 'Texas'])
+  })
+
+  it('should return only the stored value for other regions', () => {
+    expect(getRegionOptionCandidates('Bavaria')).toEqual(['Bavaria'])
+  })
+
+  it('should return no candidates for an empty value', () => {
+    expect(getRegionOptionCandidates(' ')).toEqual([])
+  })
+})
@@ -0,0 +1,28 @@
+/**
+ * Resolves the origin of the top-level page the current frame is shown in.
+ *
+ * @param {Window} [currentWindow=window]
+ * @returns {string | null}
+ */
+export const getTopOrigin = (currentWindow = window) => {
+  if (currentWindow === currentWindow.top) {
+    return currentWindow.location.origin
+  }
+
+  const { ancestorOrigins } = currentWindow.location
+
+  if (ancestorOrigins) {
+    return ancestorOrigins.length
+      ? ancestorOrigins[ancestorOrigins.length - 1]
+      : null
+  }
+
+  // Firefox has no ancestorOrigins. The referrer is not used instead, as the
+  // embedding page controls it
+  try {
+    return currentWindow.top.location.origin
+  } catch {
+    // Reading the location of a cross-origin top frame throws
+    return null
+  }
+}
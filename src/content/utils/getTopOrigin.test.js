@@ -0,0 +1,44 @@
+import { getTopOrigin } from './getTopOrigin'
+
+const createFrameWindow = ({ ancestorOrigins, topOrigin, referrer = '' }) => ({
+  location: { origin: 'https://js.stripe.com', ancestorOrigins },
+  document: { referrer },
+  top: {
+    get location() {
+      if (!topOrigin) {
+        throw new DOMException('Blocked a frame', 'SecurityError')
+      }
+      return { origin: topOrigin }
+    }
+  }
+})
+
+describe('getTopOrigin', () => {
+  it('should return the own origin in the top frame', () => {
+    expect(getTopOrigin()).toBe(window.location.origin)
+  })
+
+  it('should return the top-most ancestor origin', () => {
+    expect(
+      getTopOrigin(
+        createFrameWindow({
+          ancestorOrigins: ['https://embed.example', 'https://shop.example']
+        })
+      )
+    ).toBe('https://shop.example')
+  })
+
+  it('should read the top location when it is same-origin', () => {
+    expect(
+      getTopOrigin(createFrameWindow({ topOrigin: 'https://js.stripe.com' }))
+    ).toBe('https://js.stripe.com')
+  })
+
+  it('should not trust the referrer without ancestorOrigins', () => {
+    expect(
+      getTopOrigin(
+        createFrameWindow({ referrer: 'https://shop.example/checkout' })
+      )
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,24 @@
+import { isElementVisible } from './isElementVisible'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
+
+const CAPTCHA_SELECTOR = [
+  '.g-recaptcha',
+  '.h-captcha',
+  '.cf-turnstile',
+  'iframe[src*="recaptcha" i]',
+  'iframe[src*="hcaptcha" i]',
+  'iframe[src*="challenges.cloudflare.com" i]',
+  'iframe[src*="arkoselabs" i]',
+  'input[name*="captcha" i]:not([type="hidden"])',
+  'input[id*="captcha" i]:not([type="hidden"])'
+].join(', ')
+
+/**
+ * Whether a visible CAPTCHA challenge is part of the scope, which a person has to solve
+ * before the form can be sent.
+ *
+ * @param {Document | ShadowRoot | Element} [scope=document]
+ * @returns {boolean}
+ */
+export const isCaptchaPresent = (scope = document) =>
+  querySelectorAllDeep(CAPTCHA_SELECTOR, scope).some(isElementVisible)
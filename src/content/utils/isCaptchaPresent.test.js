@@ -0,0 +1,49 @@
+import { isCaptchaPresent } from './isCaptchaPresent'
+
+describe('isCaptchaPresent', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should detect a reCAPTCHA widget', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="password" />
+        <div class="g-recaptcha" data-sitekey="key"></div>
+      </form>
+    `
+
+    expect(isCaptchaPresent(document.querySelector('form'))).toBe(true)
+  })
+
+  it('should detect a challenge iframe', () => {
+    document.body.innerHTML =
+      '<iframe src="https://challenges.cloudflare.com/turnstile/v0"></iframe>'
+
+    expect(isCaptchaPresent()).toBe(true)
+  })
+
+  it('should detect a text CAPTCHA input', () => {
+    document.body.innerHTML = '<input type="text" name="captcha_answer" />'
+
+    expect(isCaptchaPresent()).toBe(true)
+  })
+
+  it('should ignore hidden CAPTCHA tokens and hidden widgets', () => {
+    document.body.innerHTML = `
+      <input type="hidden" name="g-recaptcha-response" />
+      <div class="h-captcha" style="display: none"></div>
+    `
+
+    expect(isCaptchaPresent()).toBe(false)
+  })
+
+  it('should look only inside the given scope', () => {
+    document.body.innerHTML = `
+      <form id="login"><input type="password" /></form>
+      <form id="signup"><div class="g-recaptcha"></div></form>
+    `
+
+    expect(isCaptchaPresent(document.getElementById('login'))).toBe(false)
+  })
+})
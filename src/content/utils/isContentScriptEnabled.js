@@ -1,9 +1,11 @@
 import { getAllowHttpFromStorage } from '../../shared/utils/allowHttpStorage'
+import { getSiteRule } from '../../shared/utils/siteRules'
 
 /**
  * Checks if the content script should be enabled for the current page.
- * The content script is enabled if the page uses a secure protocol (HTTPS)
- * or if the "Allow non-secure websites" setting is enabled in storage.
+ * The content script is enabled if the page uses a secure protocol (HTTPS),
+ * if the "Allow non-secure websites" setting is enabled in storage, or if the
+ * site rule for the current origin allows HTTP.
  *
  * Note: Content scripts cannot run on `chrome://`, `about:`, `file://`, etc. (per browser policy restrictions),
  * so no special protocol checks needed—these pages never execute this function.
@@ -11,8 +13,15 @@ import { getAllowHttpFromStorage } from '../../shared/utils/allowHttpStorage'
  * @returns {Promise<boolean>} A promise that resolves to true if the content script is enabled, false otherwise.
  */
 export const isContentScriptEnabled = async () => {
-  const isSecure = window.location.protocol === 'https:'
-  const isAllowHttpEnabled = await getAllowHttpFromStorage()
+  if (window.location.protocol === 'https:') {
+    return true
+  }
 
-  return isSecure || isAllowHttpEnabled
+  if (await getAllowHttpFromStorage()) {
+    return true
+  }
+
+  const siteRule = await getSiteRule(window.location.origin)
+
+  return siteRule.allowHttp
 }
@@ -1,16 +1,25 @@
 import { isContentScriptEnabled } from './isContentScriptEnabled'
 import { getAllowHttpFromStorage } from '../../shared/utils/allowHttpStorage'
+import { getSiteRule } from '../../shared/utils/siteRules'
 
 jest.mock('../../shared/utils/allowHttpStorage', () => ({
   getAllowHttpFromStorage: jest.fn()
 }))
 
+jest.mock('../../shared/utils/siteRules', () => ({
+  getSiteRule: jest.fn()
+}))
+
 describe('isContentScriptEnabled', () => {
   const originalLocation = window.location
 
   beforeAll(() => {
     delete window.location
-    window.location = { protocol: '' }
+    window.location = { protocol: '', origin: 'http://192.168.1.1' }
+  })
+
+  beforeEach(() => {
+    getSiteRule.mockResolvedValue({ allowHttp: false })
   })
 
   afterAll(() => {
@@ -42,4 +51,14 @@ describe('isContentScriptEnabled', () => {
     const result = await isContentScriptEnabled()
     expect(result).toBe(false)
   })
+
+  it('should return true when protocol is http: and the site rule allows http', async () => {
+    window.location.protocol = 'http:'
+    getAllowHttpFromStorage.mockResolvedValue(false)
+    getSiteRule.mockResolvedValue({ allowHttp: true })
+
+    const result = await isContentScriptEnabled()
+    expect(result).toBe(true)
+    expect(getSiteRule).toHaveBeenCalledWith('http://192.168.1.1')
+  })
 })
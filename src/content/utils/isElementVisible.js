@@ -0,0 +1,18 @@
+/**
+ * Whether an element is rendered and not hidden from the user.
+ *
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export const isElementVisible = (element) => {
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+    return false
+  }
+
+  if (typeof element.checkVisibility === 'function') {
+    return element.checkVisibility({ visibilityProperty: true })
+  }
+
+  const style = window.getComputedStyle(element)
+  return style.display !== 'none' && style.visibility !== 'hidden'
+}
@@ -0,0 +1,31 @@
+import { isElementVisible } from './isElementVisible'
+
+describe('isElementVisible', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should report hidden elements as not visible', () => {
+    document.body.innerHTML = `
+      <div id="hidden-attr" hidden></div>
+      <div id="aria-hidden" aria-hidden="true"></div>
+      <div id="display-none" style="display: none"></div>
+      <div id="visibility-hidden" style="visibility: hidden"></div>
+    `
+
+    ;[
+      'hidden-attr',
+      'aria-hidden',
+      'display-none',
+      'visibility-hidden'
+    ].forEach((id) => {
+      expect(isElementVisible(document.getElementById(id))).toBe(false)
+    })
+  })
+
+  it('should report rendered elements as visible', () => {
+    document.body.innerHTML = '<p id="visible">Hello</p>'
+
+    expect(isElementVisible(document.getElementById('visible'))).toBe(true)
+  })
+})
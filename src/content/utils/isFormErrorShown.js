@@ -0,0 +1,40 @@
+import { isElementVisible } from './isElementVisible'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
+
+const ERROR_SELECTOR = [
+  '[role="alert"]',
+  '[aria-live="assertive"]',
+  '[class*="error" i]',
+  '[id*="error" i]',
+  '[class*="invalid" i]',
+  '.alert-danger'
+].join(', ')
+
+/**
+ * Whether a form visibly failed: one of its fields is still shown together with
+ * an error message or a field the page marked as invalid.
+ *
+ * @param {Element[]} fields - Fields that identify the form
+ * @param {Document | ShadowRoot | Element} [root=document]
+ * @returns {boolean}
+ */
+export const isFormErrorShown = (fields, root = document) => {
+  if (!fields.some(isElementVisible)) {
+    return false
+  }
+
+  if (
+    querySelectorAllDeep('input[aria-invalid="true"]', root).some(
+      isElementVisible
+    )
+  ) {
+    return true
+  }
+
+  return querySelectorAllDeep(ERROR_SELECTOR, root).some(
+    (element) =>
+      !(element instanceof HTMLInputElement) &&
+      isElementVisible(element) &&
+      !!element.textContent.trim()
+  )
+}
@@ -0,0 +1,32 @@
+import { isFormErrorShown } from './isFormErrorShown'
+
+describe('isFormErrorShown', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should detect an error message next to the form fields', () => {
+    document.body.innerHTML = `
+      <form>
+        <div class="payment-error">Your card was declined.</div>
+        <input id="card-number" autocomplete="cc-number" />
+      </form>
+    `
+
+    expect(isFormErrorShown([document.getElementById('card-number')])).toBe(
+      true
+    )
+  })
+
+  it('should not report an error without a shown field', () => {
+    document.body.innerHTML = `
+      <div role="alert">Order placed</div>
+      <input id="card-number" autocomplete="cc-number" hidden />
+    `
+
+    expect(isFormErrorShown([document.getElementById('card-number')])).toBe(
+      false
+    )
+    expect(isFormErrorShown([])).toBe(false)
+  })
+})
@@ -0,0 +1,42 @@
+import { doesRecordMatchUrl } from '../../shared/utils/doesWebsiteMatchUrl'
+
+/**
+ * Checks whether the current frame may receive the data of a record.
+ * The top frame and same-origin subframes behave like the page itself, while
+ * cross-origin subframes are only filled when their URL matches one of the record websites,
+ * each with the match mode saved for it.
+ *
+ * @param {Object} [recordData] - Website fields of the record data
+ * @param {string[]} [recordData.websites]
+ * @param {Array<{ website: string, mode: string }>} [recordData.websiteMatchModes]
+ * @param {string[]} [recordData.websitePatterns]
+ * @param {Window} [currentWindow=window]
+ * @returns {boolean}
+ */
+export const isFrameAllowedToAutofill = (
+  recordData = {},
+  currentWindow = window
+) => {
+  if (currentWindow === currentWindow.top) {
+    return true
+  }
+
+  if (isSameOriginWithTop(currentWindow)) {
+    return true
+  }
+
+  return doesRecordMatchUrl({ data: recordData }, currentWindow.location.href)
+}
+
+/**
+ * @param {Window} currentWindow
+ * @returns {boolean}
+ */
+const isSameOriginWithTop = (currentWindow) => {
+  try {
+    return currentWindow.top.location.origin === currentWindow.location.origin
+  } catch {
+    // Reading the location of a cross-origin top frame throws
+    return false
+  }
+}
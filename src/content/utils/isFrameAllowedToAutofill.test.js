@@ -0,0 +1,128 @@
+import { isFrameAllowedToAutofill } from './isFrameAllowedToAutofill'
+import { WEBSITE_MATCH_MODES } from '../../shared/constants/websiteMatch'
+
+const createFrameWindow = ({ href, topOrigin }) => {
+  const frameWindow = {
+    location: { href, origin: new URL(href).origin }
+  }
+
+  frameWindow.top = {
+    get location() {
+      if (!topOrigin) {
+        throw new DOMException('Blocked a frame', 'SecurityError')
+      }
+      return { origin: topOrigin }
+    }
+  }
+
+  return frameWindow
+}
+
+describe('isFrameAllowedToAutofill', () => {
+  it('should allow the top frame regardless of websites', () => {
+    expect(isFrameAllowedToAutofill({ websites: [] })).toBe(true)
+  })
+
+  it('should allow same-origin subframes', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://example.com/embedded/login',
+      topOrigin: 'https://example.com'
+    })
+
+    expect(isFrameAllowedToAutofill({ websites: [] }, frameWindow)).toBe(true)
+  })
+
+  it('should allow cross-origin subframes matching a record website', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://login.bank.com/widget'
+    })
+
+    expect(
+      isFrameAllowedToAutofill({ websites: ['https://bank.com'] }, frameWindow)
+    ).toBe(true)
+  })
+
+  it('should reject cross-origin subframes not matching any record website', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://evil.com/frame'
+    })
+
+    expect(
+      isFrameAllowedToAutofill({ websites: ['https://bank.com'] }, frameWindow)
+    ).toBe(false)
+  })
+
+  it('should reject cross-origin subframes when the record has no websites', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://login.bank.com/widget'
+    })
+
+    expect(isFrameAllowedToAutofill(undefined, frameWindow)).toBe(false)
+    expect(
+      isFrameAllowedToAutofill({ websites: ['', null] }, frameWindow)
+    ).toBe(false)
+  })
+
+  it('should apply the match mode saved for the website', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://login.bank.com/widget'
+    })
+
+    expect(
+      isFrameAllowedToAutofill(
+        {
+          websites: ['https://bank.com'],
+          websiteMatchModes: [
+            { website: 'https://bank.com', mode: WEBSITE_MATCH_MODES.HOST }
+          ]
+        },
+        frameWindow
+      )
+    ).toBe(false)
+    expect(
+      isFrameAllowedToAutofill(
+        {
+          websites: ['https://login.bank.com'],
+          websiteMatchModes: [
+            {
+              website: 'https://login.bank.com',
+              mode: WEBSITE_MATCH_MODES.HOST
+            }
+          ]
+        },
+        frameWindow
+      )
+    ).toBe(true)
+  })
+
+  it('should reject cross-origin subframes whose website is never matched', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://login.bank.com/widget'
+    })
+
+    expect(
+      isFrameAllowedToAutofill(
+        {
+          websites: ['https://bank.com'],
+          websiteMatchModes: [
+            { website: 'https://bank.com', mode: WEBSITE_MATCH_MODES.NEVER }
+          ]
+        },
+        frameWindow
+      )
+    ).toBe(false)
+  })
+
+  it('should allow cross-origin subframes matching a website pattern', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://auth.bank-cdn.net/widget'
+    })
+
+    expect(
+      isFrameAllowedToAutofill(
+        { websites: [], websitePatterns: ['^https://auth\\.bank-cdn\\.net/'] },
+        frameWindow
+      )
+    ).toBe(true)
+  })
+})
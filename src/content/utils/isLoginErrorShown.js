@@ -0,0 +1,12 @@
+import { isFormErrorShown } from './isFormErrorShown'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
+
+/**
+ * Whether a login visibly failed: a password field is still shown together with
+ * an error message or a field the page marked as invalid.
+ *
+ * @param {Document | ShadowRoot | Element} [root=document]
+ * @returns {boolean}
+ */
+export const isLoginErrorShown = (root = document) =>
+  isFormErrorShown(querySelectorAllDeep('input[type="password"]', root), root)
@@ -0,0 +1,53 @@
+import { isLoginErrorShown } from './isLoginErrorShown'
+
+describe('isLoginErrorShown', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should detect an error message next to the login form', () => {
+    document.body.innerHTML = `
+      <form>
+        <div class="flash-error">Incorrect username or password.</div>
+        <input type="text" name="login" />
+        <input type="password" name="password" />
+      </form>
+    `
+
+    expect(isLoginErrorShown()).toBe(true)
+  })
+
+  it('should detect an alert region', () => {
+    document.body.innerHTML = `
+      <div role="alert">Wrong password. Try again.</div>
+      <input type="password" />
+    `
+
+    expect(isLoginErrorShown()).toBe(true)
+  })
+
+  it('should detect a password field marked as invalid', () => {
+    document.body.innerHTML = '<input type="password" aria-invalid="true" />'
+
+    expect(isLoginErrorShown()).toBe(true)
+  })
+
+  it('should ignore empty or hidden error containers', () => {
+    document.body.innerHTML = `
+      <div class="error-message"></div>
+      <div class="error-message" style="display: none">Incorrect password</div>
+      <input type="password" />
+    `
+
+    expect(isLoginErrorShown()).toBe(false)
+  })
+
+  it('should not report an error once the password field is gone', () => {
+    document.body.innerHTML = `
+      <div role="alert">Welcome back!</div>
+      <input type="text" />
+    `
+
+    expect(isLoginErrorShown()).toBe(false)
+  })
+})
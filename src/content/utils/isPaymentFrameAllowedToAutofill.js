@@ -0,0 +1,31 @@
+import { getTopOrigin } from './getTopOrigin'
+import { PAYMENT_PROVIDER_FRAME_HOSTS } from '../constants/paymentProviders'
+
+/**
+ * Checks whether the current frame is a payment provider's hosted card field
+ * embedded in the page the user chose to fill. These frames never match the
+ * websites of a record, so they are gated on the top-level origin instead.
+ *
+ * @param {string | undefined} approvedTopOrigin - Origin of the tab the user filled
+ * @param {Window} [currentWindow=window]
+ * @returns {boolean}
+ */
+export const isPaymentFrameAllowedToAutofill = (
+  approvedTopOrigin,
+  currentWindow = window
+) => {
+  if (!approvedTopOrigin || currentWindow === currentWindow.top) {
+    return false
+  }
+
+  const { protocol, hostname } = currentWindow.location
+
+  if (
+    protocol !== 'https:' ||
+    !PAYMENT_PROVIDER_FRAME_HOSTS.some((host) => host.test(hostname))
+  ) {
+    return false
+  }
+
+  return getTopOrigin(currentWindow) === approvedTopOrigin
+}
@@ -0,0 +1,95 @@
+import { isPaymentFrameAllowedToAutofill } from './isPaymentFrameAllowedToAutofill'
+
+const createFrameWindow = ({ href, ancestorOrigins, referrer = '' }) => {
+  const url = new URL(href)
+  const frameWindow = {
+    location: {
+      href,
+      protocol: url.protocol,
+      hostname: url.hostname,
+      ancestorOrigins
+    },
+    document: { referrer },
+    top: {}
+  }
+
+  return frameWindow
+}
+
+describe('isPaymentFrameAllowedToAutofill', () => {
+  it('should allow a provider frame inside the approved page', () => {
+    const frames = [
+      'https://js.stripe.com/v3/elements-inner-card.html',
+      'https://checkoutshopper-live.adyen.com/checkoutshopper/securedfields/',
+      'https://assets.braintreegateway.com/web/3.97.0/html/hosted-fields-frame.min.html'
+    ]
+
+    frames.forEach((href) => {
+      const frameWindow = createFrameWindow({
+        href,
+        ancestorOrigins: ['https://shop.example.com']
+      })
+
+      expect(
+        isPaymentFrameAllowedToAutofill('https://shop.example.com', frameWindow)
+      ).toBe(true)
+    })
+  })
+
+  it('should compare against the top-most ancestor', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://js.stripe.com/v3/elements-inner-card.html',
+      ancestorOrigins: ['https://evil.example', 'https://shop.example.com']
+    })
+
+    expect(
+      isPaymentFrameAllowedToAutofill('https://shop.example.com', frameWindow)
+    ).toBe(true)
+    expect(
+      isPaymentFrameAllowedToAutofill('https://evil.example', frameWindow)
+    ).toBe(false)
+  })
+
+  it('should block a provider frame inside another page', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://js.stripe.com/v3/elements-inner-card.html',
+      ancestorOrigins: ['https://evil.example']
+    })
+
+    expect(
+      isPaymentFrameAllowedToAutofill('https://shop.example.com', frameWindow)
+    ).toBe(false)
+  })
+
+  it('should block frames that are not hosted by a payment provider', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://stripe.com.evil.example/card',
+      ancestorOrigins: ['https://shop.example.com']
+    })
+
+    expect(
+      isPaymentFrameAllowedToAutofill('https://shop.example.com', frameWindow)
+    ).toBe(false)
+  })
+
+  it('should block without an approved origin or in the top frame', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://js.stripe.com/v3/elements-inner-card.html',
+      ancestorOrigins: ['https://shop.example.com']
+    })
+
+    expect(isPaymentFrameAllowedToAutofill(undefined, frameWindow)).toBe(false)
+    expect(isPaymentFrameAllowedToAutofill('http://localhost')).toBe(false)
+  })
+
+  it('should not trust the referrer without ancestorOrigins', () => {
+    const frameWindow = createFrameWindow({
+      href: 'https://js.stripe.com/v3/elements-inner-card.html',
+      referrer: 'https://shop.example.com/checkout'
+    })
+
+    expect(
+      isPaymentFrameAllowedToAutofill('https://shop.example.com', frameWindow)
+    ).toBe(false)
+  })
+})
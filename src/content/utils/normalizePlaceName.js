@@ -0,0 +1,14 @@
+/**
+ * Reduces a country or region name to a form that compares across spelling
+ * variants: lower case, without accents, punctuation or extra spaces.
+ *
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+export const normalizePlaceName = (value) =>
+  (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
@@ -0,0 +1,18 @@
+import { normalizePlaceName } from './normalizePlaceName'
+
+describe('normalizePlaceName', () => {
+  it('should ignore case, accents and punctuation', () => {
+    expect(normalizePlaceName('Côte d’Ivoire')).toBe('cote d ivoire')
+    expect(normalizePlaceName("  Cote d'Ivoire ")).toBe('cote d ivoire')
+    expect(normalizePlaceName('U.S. Virgin Islands')).toBe('u s virgin islands')
+  })
+
+  it('should keep letters of non-Latin scripts', () => {
+    expect(normalizePlaceName('Deutschland')).toBe('deutschland')
+    expect(normalizePlaceName('Россия')).toBe('россия')
+  })
+
+  it('should return an empty string for a missing value', () => {
+    expect(normalizePlaceName(undefined)).toBe('')
+  })
+})
@@ -0,0 +1,45 @@
+/**
+ * Collects every open shadow root below `root`, including nested ones.
+ * Closed shadow roots are not reachable from the content script and are skipped.
+ *
+ * @param {Document | ShadowRoot | Element} [root=document]
+ * @returns {ShadowRoot[]}
+ */
+export const getOpenShadowRoots = (root = document) => {
+  const shadowRoots = []
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      shadowRoots.push(
+        element.shadowRoot,
+        ...getOpenShadowRoots(element.shadowRoot)
+      )
+    }
+  }
+
+  return shadowRoots
+}
+
+/**
+ * Same as `querySelectorAll`, but also looks inside open shadow roots.
+ * Results are returned in tree order, with shadow content placed right after its host.
+ *
+ * @param {string} selector
+ * @param {Document | ShadowRoot | Element} [root=document]
+ * @returns {Element[]}
+ */
+export const querySelectorAllDeep = (selector, root = document) => {
+  const results = []
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.matches(selector)) {
+      results.push(element)
+    }
+
+    if (element.shadowRoot) {
+      results.push(...querySelectorAllDeep(selector, element.shadowRoot))
+    }
+  }
+
+  return results
+}
@@ -0,0 +1,92 @@
+import {
+  getOpenShadowRoots,
+  querySelectorAllDeep
+} from './querySelectorAllDeep'
+
+const attachShadowHtml = (host, html, mode = 'open') => {
+  const shadowRoot = host.attachShadow({ mode })
+  shadowRoot.innerHTML = html
+  return shadowRoot
+}
+
+describe('querySelectorAllDeep', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return light DOM matches', () => {
+    document.body.innerHTML = '<input id="a" /><select id="b"></select>'
+
+    const result = querySelectorAllDeep('input, select')
+
+    expect(result.map((el) => el.id)).toEqual(['a', 'b'])
+  })
+
+  it('should find elements inside open shadow roots', () => {
+    document.body.innerHTML = '<div id="host"></div>'
+    attachShadowHtml(
+      document.getElementById('host'),
+      '<input id="inner" type="password" />'
+    )
+
+    const result = querySelectorAllDeep('input')
+
+    expect(result).toHaveLength(1)
+    expect(result[0].id).toBe('inner')
+  })
+
+  it('should walk nested shadow roots in tree order', () => {
+    document.body.innerHTML =
+      '<input id="first" /><div id="host"></div><input id="last" />'
+    const outer = attachShadowHtml(
+      document.getElementById('host'),
+      '<input id="outer" /><span id="nested-host"></span>'
+    )
+    attachShadowHtml(
+      outer.getElementById('nested-host'),
+      '<input id="nested" />'
+    )
+
+    const result = querySelectorAllDeep('input')
+
+    expect(result.map((el) => el.id)).toEqual([
+      'first',
+      'outer',
+      'nested',
+      'last'
+    ])
+  })
+
+  it('should skip closed shadow roots', () => {
+    document.body.innerHTML = '<div id="host"></div>'
+    attachShadowHtml(document.getElementById('host'), '<input />', 'closed')
+
+    expect(querySelectorAllDeep('input')).toEqual([])
+  })
+})
+
+describe('getOpenShadowRoots', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should return an empty array when there are no shadow roots', () => {
+    document.body.innerHTML = '<form><input /></form>'
+
+    expect(getOpenShadowRoots()).toEqual([])
+  })
+
+  it('should return nested open shadow roots', () => {
+    document.body.innerHTML = '<div id="host"></div>'
+    const outer = attachShadowHtml(
+      document.getElementById('host'),
+      '<span id="nested-host"></span>'
+    )
+    const nested = attachShadowHtml(
+      outer.getElementById('nested-host'),
+      '<input />'
+    )
+
+    expect(getOpenShadowRoots()).toEqual([outer, nested])
+  })
+})
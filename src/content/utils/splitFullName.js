@@ -0,0 +1,33 @@
+/**
+ * Splits a full name into the parts name forms ask for. "Family, Given Middle"
+ * is understood as well; a single word is taken as the given name.
+ *
+ * @param {string | undefined} fullName
+ * @returns {{ givenName: string, additionalName: string, familyName: string }}
+ */
+export const splitFullName = (fullName) => {
+  const trimmed = (fullName || '').trim().replace(/\s+/g, ' ')
+
+  if (trimmed.includes(',')) {
+    const [familyName, rest = ''] = trimmed.split(/\s*,\s*/)
+    const [givenName = '', ...additionalNames] = rest.split(' ').filter(Boolean)
+
+    return {
+      givenName,
+      additionalName: additionalNames.join(' '),
+      familyName
+    }
+  }
+
+  const parts = trimmed.split(' ').filter(Boolean)
+
+  if (parts.length < 2) {
+    return { givenName: parts[0] || '', additionalName: '', familyName: '' }
+  }
+
+  return {
+    givenName: parts[0],
+    additionalName: parts.slice(1, -1).join(' '),
+    familyName: parts[parts.length - 1]
+  }
+}
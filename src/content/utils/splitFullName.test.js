@@ -0,0 +1,43 @@
+import { splitFullName } from './splitFullName'
+
+describe('splitFullName', () => {
+  it('should split given and family name', () => {
+    expect(splitFullName('Ada Lovelace')).toEqual({
+      givenName: 'Ada',
+      additionalName: '',
+      familyName: 'Lovelace'
+    })
+  })
+
+  it('should keep every middle name as the additional name', () => {
+    expect(splitFullName('  John  Ronald Reuel Tolkien ')).toEqual({
+      givenName: 'John',
+      additionalName: 'Ronald Reuel',
+      familyName: 'Tolkien'
+    })
+  })
+
+  it('should read the "Family, Given Middle" order', () => {
+    expect(splitFullName('Hopper, Grace Brewster')).toEqual({
+      givenName: 'Grace',
+      additionalName: 'Brewster',
+      familyName: 'Hopper'
+    })
+  })
+
+  it('should treat a single word as the given name', () => {
+    expect(splitFullName('Cher')).toEqual({
+      givenName: 'Cher',
+      additionalName: '',
+      familyName: ''
+    })
+  })
+
+  it('should return empty parts for a missing name', () => {
+    expect(splitFullName(undefined)).toEqual({
+      givenName: '',
+      additionalName: '',
+      familyName: ''
+    })
+  })
+})
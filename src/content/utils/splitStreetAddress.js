@@ -0,0 +1,36 @@
+// Apartment, suite, floor and similar details that belong on the second address line
+const SECONDARY_UNIT_PATTERN =
+  /^(apt|apartment|suite|ste|unit|flat|floor|fl|room|rm|building|bldg|dept|#)\b|^#|^c\/o\b|^(po|p\.o\.) box\b/i
+
+/**
+ * Splits a stored street address into the two lines address forms ask for.
+ * A multi-line address keeps its first line; otherwise the trailing
+ * comma-separated apartment or suite part becomes the second line.
+ *
+ * @param {string | undefined} address
+ * @returns {{ line1: string, line2: string }}
+ */
+export const splitStreetAddress = (address) => {
+  const lines = (address || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+
+  if (lines.length > 1) {
+    return { line1: lines[0], line2: lines.slice(1).join(', ') }
+  }
+
+  const parts = (lines[0] || '').split(/\s*,\s*/).filter(Boolean)
+  const unitIndex = parts.findIndex(
+    (part, index) => index > 0 && SECONDARY_UNIT_PATTERN.test(part)
+  )
+
+  if (unitIndex === -1) {
+    return { line1: parts.join(', '), line2: '' }
+  }
+
+  return {
+    line1: parts.slice(0, unitIndex).join(', '),
+    line2: parts.slice(unitIndex).join(', ')
+  }
+}
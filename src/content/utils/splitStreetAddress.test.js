@@ -0,0 +1,43 @@
+import { splitStreetAddress } from './splitStreetAddress'
+
+describe('splitStreetAddress', () => {
+  it('should keep a simple street address on the first line', () => {
+    expect(splitStreetAddress('221B Baker Street')).toEqual({
+      line1: '221B Baker Street',
+      line2: ''
+    })
+  })
+
+  it('should move the apartment part to the second line', () => {
+    expect(splitStreetAddress('123 Main St, Apt 4B')).toEqual({
+      line1: '123 Main St',
+      line2: 'Apt 4B'
+    })
+    expect(splitStreetAddress('1 Infinite Loop, Suite 200, Floor 3')).toEqual({
+      line1: '1 Infinite Loop',
+      line2: 'Suite 200, Floor 3'
+    })
+    expect(splitStreetAddress('500 Elm Ave, #12')).toEqual({
+      line1: '500 Elm Ave',
+      line2: '#12'
+    })
+  })
+
+  it('should keep comma-separated parts that are not a unit on the first line', () => {
+    expect(splitStreetAddress('Hauptstraße 5, Hinterhaus')).toEqual({
+      line1: 'Hauptstraße 5, Hinterhaus',
+      line2: ''
+    })
+  })
+
+  it('should split a multi-line address on line breaks', () => {
+    expect(splitStreetAddress('10 Downing St\nFlat 2\nWestminster')).toEqual({
+      line1: '10 Downing St',
+      line2: 'Flat 2, Westminster'
+    })
+  })
+
+  it('should return empty lines for a missing address', () => {
+    expect(splitStreetAddress(undefined)).toEqual({ line1: '', line2: '' })
+  })
+})
@@ -0,0 +1,89 @@
+import { OTP_FIELD_TYPES, classifyElements } from './fieldClassifier'
+import { isCaptchaPresent } from './isCaptchaPresent'
+import { isElementVisible } from './isElementVisible'
+import { querySelectorAllDeep } from './querySelectorAllDeep'
+
+const BUTTON_SELECTOR =
+  'button, input[type="submit"], input[type="image"], [role="button"]'
+
+const SUBMIT_LABEL_PATTERN =
+  /log\s*-?\s*in|sign\s*-?\s*in|continue|next|submit/i
+
+const isSubmitButton = (element) =>
+  element.matches('input[type="submit"], input[type="image"]') ||
+  (element.tagName === 'BUTTON' &&
+    (element.getAttribute('type') ?? 'submit').toLowerCase() === 'submit' &&
+    !!element.form)
+
+const getButtonLabel = (element) =>
+  [
+    element.textContent,
+    element.value,
+    element.getAttribute('aria-label'),
+    element.getAttribute('title')
+  ]
+    .filter(Boolean)
+    .join(' ')
+
+/**
+ * Finds the control that sends the scope: its submit button, or for form-less
+ * logins the button labelled like a sign in. Controls inside the scope that
+ * belong to another form through their `form` attribute are left alone.
+ *
+ * @param {Element} scope
+ * @returns {HTMLElement | null}
+ */
+const getSubmitControl = (scope) => {
+  const buttons = querySelectorAllDeep(BUTTON_SELECTOR, scope).filter(
+    (element) =>
+      (!element.form || element.form === scope) &&
+      !element.disabled &&
+      isElementVisible(element)
+  )
+
+  return (
+    buttons.find(isSubmitButton) ||
+    buttons.find((element) =>
+      SUBMIT_LABEL_PATTERN.test(getButtonLabel(element))
+    ) ||
+    null
+  )
+}
+
+/**
+ * Sends a login form PearPass just filled, the way a click on its sign in button would.
+ * Nothing is sent while the scope still needs the user: a CAPTCHA to solve or a
+ * one-time code to enter. A field without a form or field group of its own falls
+ * back to the whole document or shadow root, where any button of the page could
+ * match, so nothing is sent then either.
+ *
+ * @param {Document | ShadowRoot | Element} scope - Form or input group of the filled fields
+ * @returns {boolean} Whether the form was submitted
+ */
+export const submitLoginForm = (scope) => {
+  if (!(scope instanceof Element) || isCaptchaPresent(scope)) {
+    return false
+  }
+
+  const hasOneTimeCodeField = classifyElements(scope).some((entry) =>
+    OTP_FIELD_TYPES.includes(entry.type)
+  )
+
+  if (hasOneTimeCodeField) {
+    return false
+  }
+
+  const submitControl = getSubmitControl(scope)
+
+  if (submitControl) {
+    submitControl.click()
+    return true
+  }
+
+  if (scope instanceof HTMLFormElement) {
+    scope.requestSubmit()
+    return true
+  }
+
+  return false
+}
@@ -0,0 +1,136 @@
+import { submitLoginForm } from './submitLoginForm'
+
+describe('submitLoginForm', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('should click the submit button of the form', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="email" name="email" />
+        <input type="password" name="password" />
+        <button type="button">Show password</button>
+        <button>Sign in</button>
+      </form>
+    `
+    const form = document.querySelector('form')
+    const onSubmit = jest.fn((event) => event.preventDefault())
+    form.addEventListener('submit', onSubmit)
+
+    expect(submitLoginForm(form)).toBe(true)
+    expect(onSubmit).toHaveBeenCalledTimes(1)
+  })
+
+  it('should click a sign in button of a form-less login', () => {
+    document.body.innerHTML = `
+      <div id="login">
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+        <div role="button">Forgot password?</div>
+        <div role="button">Log in</div>
+      </div>
+    `
+    const onClick = jest.fn()
+    document
+      .querySelectorAll('[role="button"]')[1]
+      .addEventListener('click', onClick)
+
+    expect(submitLoginForm(document.getElementById('login'))).toBe(true)
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
+
+  it('should submit a form without a visible button', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+      </form>
+    `
+    const form = document.querySelector('form')
+    const onSubmit = jest.fn((event) => event.preventDefault())
+    form.addEventListener('submit', onSubmit)
+
+    expect(submitLoginForm(form)).toBe(true)
+    expect(onSubmit).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not submit when a CAPTCHA is shown', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+        <div class="g-recaptcha"></div>
+        <button type="submit">Sign in</button>
+      </form>
+    `
+    const form = document.querySelector('form')
+    const onSubmit = jest.fn((event) => event.preventDefault())
+    form.addEventListener('submit', onSubmit)
+
+    expect(submitLoginForm(form)).toBe(false)
+    expect(onSubmit).not.toHaveBeenCalled()
+  })
+
+  it('should not submit when a one-time code is asked for', () => {
+    document.body.innerHTML = `
+      <form>
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+        <input type="text" autocomplete="one-time-code" name="otp" />
+        <button type="submit">Sign in</button>
+      </form>
+    `
+    const form = document.querySelector('form')
+    const onSubmit = jest.fn((event) => event.preventDefault())
+    form.addEventListener('submit', onSubmit)
+
+    expect(submitLoginForm(form)).toBe(false)
+    expect(onSubmit).not.toHaveBeenCalled()
+  })
+
+  it('should return false when there is nothing to submit', () => {
+    document.body.innerHTML = `
+      <div id="login">
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+      </div>
+    `
+
+    expect(submitLoginForm(document.getElementById('login'))).toBe(false)
+  })
+
+  it('should not submit a field without a form or field group', () => {
+    document.body.innerHTML = `
+      <input type="password" name="password" />
+      <form id="newsletter">
+        <input type="email" name="email" />
+        <button>Submit</button>
+      </form>
+      <div role="button">Continue</div>
+    `
+    const onClick = jest.fn()
+    document.querySelectorAll('button, [role="button"]').forEach((button) => {
+      button.addEventListener('click', onClick)
+    })
+
+    expect(submitLoginForm(document)).toBe(false)
+    expect(onClick).not.toHaveBeenCalled()
+  })
+
+  it('should not click a button that belongs to another form', () => {
+    document.body.innerHTML = `
+      <div id="login">
+        <input type="text" name="username" />
+        <input type="password" name="password" />
+        <button form="search">Submit</button>
+      </div>
+      <form id="search"></form>
+    `
+    const onSubmit = jest.fn((event) => event.preventDefault())
+    document.getElementById('search').addEventListener('submit', onSubmit)
+
+    expect(submitLoginForm(document.getElementById('login'))).toBe(false)
+    expect(onSubmit).not.toHaveBeenCalled()
+  })
+})
@@ -1,15 +1,11 @@
 import { useEffect } from 'react'
 
-import {
-  setPearpassVaultClient,
-  useUserData
-} from '@tetherto/pearpass-lib-vault'
+import { useUserData } from '@tetherto/pearpass-lib-vault'
 
 import { Routes } from './Routes'
+import { createClient } from '../../shared/client'
 import { useRouter } from '../../shared/context/RouterContext'
-import { initCurrentDeviceName } from '../../shared/utils/initCurrentDeviceName'
 import { logger } from '../../shared/utils/logger'
-import { PearpassVaultClient } from '../../vaultClient'
 import { closeIframe } from '../iframeApi/closeIframe'
 import { doesPayloadUrlMatchOrigin } from '../utils/messageValidation'
 
@@ -47,6 +43,10 @@ export const App = () => {
         navigate('loginDetect', { state: combinedData })
       }
 
+      if (msg?.type === 'checkout') {
+        navigate('checkoutDetect', { state: combinedData })
+      }
+
       if (msg?.type === 'logo') {
         navigate('logo', { state: combinedData })
       }
@@ -78,14 +78,8 @@ export const App = () => {
 
   useEffect(() => {
     const fetchUser = async () => {
-      // const client = new PearpassVaultClient({
-      //   debugMode: MODE === 'development' && !isProduction
-      // })
-      const client = new PearpassVaultClient({
-        debugMode: false
-      })
-      setPearpassVaultClient(client)
-      await initCurrentDeviceName()
+      // Shared so views can call vault commands directly
+      await createClient()
 
       const res = await refetchUserData()
 
@@ -6,6 +6,7 @@ import {
   onAutofillEnabledChanged
 } from '../../shared/utils/autofillSetting'
 import { Autofill } from '../views/Autofill'
+import { CheckoutDetect } from '../views/CheckoutDetect'
 import { LoginDetect } from '../views/LoginDetect'
 import { Logo } from '../views/Logo'
 import { PasswordGenerator } from '../views/PasswordGenerator'
@@ -29,6 +30,8 @@ export const Routes = () => {
       return <Logo />
     case 'loginDetect':
       return <LoginDetect />
+    case 'checkoutDetect':
+      return <CheckoutDetect />
     case 'autofill':
       if (!isAutofillEnabled) return null
       return <Autofill />
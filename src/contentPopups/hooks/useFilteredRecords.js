@@ -3,9 +3,40 @@ import { useMemo } from 'react'
 import { useRecords } from '@tetherto/pearpass-lib-vault'
 
 import { useRouter } from '../../shared/context/RouterContext'
+import { useEquivalentDomainGroups } from '../../shared/hooks/useEquivalentDomainGroups'
+import {
+  doesRecordMatchUrl,
+  getRecordEquivalentDomain
+} from '../../shared/utils/doesWebsiteMatchUrl'
+import { getEquivalentDomains } from '../../shared/utils/equivalentDomains'
 
-export const useFilteredRecords = () => {
+/**
+ * @param {Object} record
+ * @param {string} query - Lowercased search text
+ * @returns {boolean}
+ */
+const matchesSearchQuery = (record, query) =>
+  [
+    record?.data?.title,
+    record?.data?.username,
+    ...(record?.data?.websites || [])
+  ]
+    .filter(Boolean)
+    .some((value) => value.toLowerCase().includes(query))
+
+/**
+ * Records of the popup's type that fit the current page. Logins saved on a
+ * domain equivalent to the page's come after the exact matches, and
+ * `equivalentDomains` maps each of them to the domain it was found on. With a
+ * search query, `otherRecords` holds the remaining logins of the vault whose
+ * title, username or websites contain it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.searchQuery='']
+ */
+export const useFilteredRecords = ({ searchQuery = '' } = {}) => {
   const { state: routerState } = useRouter()
+  const { customGroups } = useEquivalentDomainGroups()
 
   const {
     data: recordsData,
@@ -19,47 +50,57 @@ export const useFilteredRecords = () => {
     }
   })
 
-  const filteredRecords = useMemo(() => {
-    if (routerState.recordType === 'login' && routerState?.url) {
-      try {
-        const currentUrl = new URL(routerState.url)
-        const currentOrigin = currentUrl.origin
+  const { filteredRecords, equivalentDomains } = useMemo(() => {
+    if (routerState.recordType !== 'login' || !routerState?.url) {
+      return { filteredRecords: recordsData, equivalentDomains: new Map() }
+    }
 
-        return recordsData?.filter((record) =>
-          record?.data?.websites?.some((website) => {
-            if (!website) return false
+    const pageEquivalentDomains = getEquivalentDomains(
+      routerState.url,
+      customGroups
+    )
+    const exactRecords = []
+    const equivalentRecords = new Map()
 
-            try {
-              const recordUrl = new URL(website)
-              // Exact match (origin + path)
-              if (recordUrl.href === currentUrl.href) {
-                return true
-              }
+    recordsData?.forEach((record) => {
+      if (doesRecordMatchUrl(record, routerState.url)) {
+        exactRecords.push(record)
+        return
+      }
 
-              // Match base domain (origin only)
-              if (recordUrl.origin === currentOrigin) {
-                return true
-              }
+      const domain = getRecordEquivalentDomain(record, pageEquivalentDomains)
 
-              //match subdomain variations
-              const recordHost = recordUrl.hostname.replace(/^www\./, '')
-              const currentHost = currentUrl.hostname.replace(/^www\./, '')
-              return recordHost === currentHost
-            } catch {
-              return false
-            }
-          })
-        )
-      } catch {
-        return []
+      if (domain) {
+        equivalentRecords.set(record, domain)
       }
+    })
+
+    return {
+      filteredRecords: recordsData && [
+        ...exactRecords,
+        ...equivalentRecords.keys()
+      ],
+      equivalentDomains: equivalentRecords
+    }
+  }, [recordsData, customGroups, routerState?.url, routerState?.recordType])
+
+  const otherRecords = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase()
+
+    if (routerState.recordType !== 'login' || !query) {
+      return []
     }
 
-    return recordsData
-  }, [recordsData, routerState?.url, routerState?.recordType])
+    return (recordsData || []).filter(
+      (record) =>
+        !filteredRecords?.includes(record) && matchesSearchQuery(record, query)
+    )
+  }, [recordsData, filteredRecords, searchQuery, routerState?.recordType])
 
   return {
     filteredRecords,
+    equivalentDomains,
+    otherRecords,
     isInitialized,
     isLoading
   }
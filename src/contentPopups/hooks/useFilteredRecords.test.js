@@ -12,6 +12,12 @@ jest.mock('../../shared/context/RouterContext', () => ({
   useRouter: jest.fn()
 }))
 
+jest.mock('../../shared/hooks/useEquivalentDomainGroups', () => ({
+  useEquivalentDomainGroups: () => ({
+    customGroups: [['example.com', 'example.de']]
+  })
+}))
+
 describe('useFilteredRecords', () => {
   it('should return filtered records based on router state', () => {
     const mockRouterState = {
@@ -79,6 +85,41 @@ describe('useFilteredRecords', () => {
     expect(result.current.isLoading).toBe(false)
   })
 
+  it('should apply the match mode of each website', () => {
+    const mockRecordsData = [
+      {
+        data: { websites: ['https://accounts.example.com'] }
+      },
+      {
+        data: {
+          websites: ['https://accounts.example.com'],
+          websiteMatchModes: [
+            { website: 'https://accounts.example.com', mode: 'host' }
+          ]
+        }
+      },
+      {
+        data: {
+          websites: ['https://example.com'],
+          websiteMatchModes: [{ website: 'https://example.com', mode: 'never' }]
+        }
+      }
+    ]
+
+    useRouter.mockReturnValue({
+      state: { recordType: 'login', url: 'https://www.example.com/login' }
+    })
+    useRecords.mockReturnValue({
+      data: mockRecordsData,
+      isInitialized: true,
+      isLoading: false
+    })
+
+    const { result } = renderHook(() => useFilteredRecords())
+
+    expect(result.current.filteredRecords).toEqual([mockRecordsData[0]])
+  })
+
   it('should handle loading state correctly', () => {
     useRouter.mockReturnValue({ state: { recordType: 'login', url: null } })
     useRecords.mockReturnValue({
@@ -93,4 +134,89 @@ describe('useFilteredRecords', () => {
     expect(result.current.isInitialized).toBe(false)
     expect(result.current.isLoading).toBe(true)
   })
+
+  it('should search the other logins by title, username and website', () => {
+    const mockRecordsData = [
+      {
+        data: { title: 'Example', websites: ['https://example.com'] }
+      },
+      {
+        data: {
+          title: 'Old shop',
+          username: 'ada',
+          websites: ['https://shop.example.org']
+        }
+      },
+      {
+        data: { title: 'Bank', username: 'ada@bank.com', websites: [] }
+      },
+      {
+        data: { title: 'Forum', username: 'grace', websites: [] }
+      }
+    ]
+
+    useRouter.mockReturnValue({
+      state: { recordType: 'login', url: 'https://example.com/login' }
+    })
+    useRecords.mockReturnValue({
+      data: mockRecordsData,
+      isInitialized: true,
+      isLoading: false
+    })
+
+    const { result, rerender } = renderHook(
+      ({ searchQuery }) => useFilteredRecords({ searchQuery }),
+      { initialProps: { searchQuery: '' } }
+    )
+
+    expect(result.current.otherRecords).toEqual([])
+
+    rerender({ searchQuery: ' ADA ' })
+    expect(result.current.otherRecords).toEqual([
+      mockRecordsData[1],
+      mockRecordsData[2]
+    ])
+
+    rerender({ searchQuery: 'example' })
+    expect(result.current.otherRecords).toEqual([mockRecordsData[1]])
+  })
+
+  it('should add logins saved on equivalent domains after exact matches', () => {
+    const mockRecordsData = [
+      {
+        data: { websites: ['https://www.example.de'] }
+      },
+      {
+        data: {
+          websites: ['https://www.example.de'],
+          websiteMatchModes: [
+            { website: 'https://www.example.de', mode: 'host' }
+          ]
+        }
+      },
+      {
+        data: { websites: ['https://login.example.com'] }
+      }
+    ]
+
+    useRouter.mockReturnValue({
+      state: { recordType: 'login', url: 'https://example.com/login' }
+    })
+    useRecords.mockReturnValue({
+      data: mockRecordsData,
+      isInitialized: true,
+      isLoading: false
+    })
+
+    const { result } = renderHook(() => useFilteredRecords())
+
+    expect(result.current.filteredRecords).toEqual([
+      mockRecordsData[2],
+      mockRecordsData[0]
+    ])
+    expect(result.current.equivalentDomains.get(mockRecordsData[0])).toBe(
+      'example.de'
+    )
+    expect(result.current.equivalentDomains.has(mockRecordsData[2])).toBe(false)
+  })
 })
@@ -0,0 +1,40 @@
+import { RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
+
+/**
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+const normalize = (value) =>
+  (value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+
+/**
+ * Finds the vault record a card or address entered at checkout belongs to.
+ * Cards match on their number; addresses on street and postal code.
+ *
+ * @param {Array<Object>} records
+ * @param {string} recordType - `RECORD_TYPES.CREDIT_CARD` or `RECORD_TYPES.IDENTITY`
+ * @param {Object} data - Record data read from the checkout form
+ * @returns {Object | undefined}
+ */
+export const findExistingCheckoutRecord = (records, recordType, data) => {
+  const sameTypeRecords = (records || []).filter(
+    (record) => record.type === recordType
+  )
+
+  if (recordType === RECORD_TYPES.CREDIT_CARD) {
+    const digits = data.number.replace(/\D/g, '')
+
+    return sameTypeRecords.find(
+      (record) => record.data?.number?.replace(/\D/g, '') === digits
+    )
+  }
+
+  return sameTypeRecords.find(
+    (record) =>
+      normalize(record.data?.address) === normalize(data.address) &&
+      normalize(record.data?.zip) === normalize(data.zip)
+  )
+}
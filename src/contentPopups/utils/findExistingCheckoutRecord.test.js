@@ -0,0 +1,66 @@
+import { findExistingCheckoutRecord } from './findExistingCheckoutRecord'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  RECORD_TYPES: {
+    LOGIN: 'login',
+    IDENTITY: 'identity',
+    CREDIT_CARD: 'creditCard'
+  }
+}))
+
+describe('findExistingCheckoutRecord', () => {
+  const records = [
+    {
+      id: 'visa',
+      type: 'creditCard',
+      data: { title: 'Visa', number: '4242 4242 4242 4242' }
+    },
+    {
+      id: 'home',
+      type: 'identity',
+      data: { title: 'Home', address: '1 Navy Way, Apt 2', zip: '10001' }
+    },
+    {
+      id: 'login',
+      type: 'login',
+      data: { title: 'Shop', username: 'ada' }
+    }
+  ]
+
+  it('should match a card by its number', () => {
+    expect(
+      findExistingCheckoutRecord(records, 'creditCard', {
+        number: '4242424242424242'
+      })?.id
+    ).toBe('visa')
+    expect(
+      findExistingCheckoutRecord(records, 'creditCard', {
+        number: '5555 5555 5555 4444'
+      })
+    ).toBeUndefined()
+  })
+
+  it('should match an address by street and postal code', () => {
+    expect(
+      findExistingCheckoutRecord(records, 'identity', {
+        address: '1 navy way apt 2',
+        zip: '10001'
+      })?.id
+    ).toBe('home')
+    expect(
+      findExistingCheckoutRecord(records, 'identity', {
+        address: '1 Navy Way, Apt 2',
+        zip: '10002'
+      })
+    ).toBeUndefined()
+  })
+
+  it('should handle missing records', () => {
+    expect(
+      findExistingCheckoutRecord(undefined, 'identity', {
+        address: '1 Navy Way',
+        zip: ''
+      })
+    ).toBeUndefined()
+  })
+})
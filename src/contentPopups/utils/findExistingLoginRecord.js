@@ -0,0 +1,38 @@
+import { RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
+
+import { doesRecordMatchUrl } from '../../shared/utils/doesWebsiteMatchUrl'
+
+/**
+ * Finds the login record a detected submission belongs to.
+ * After a password change the record is the one of this site still holding the
+ * replaced password; otherwise it is matched by title or website plus username.
+ * Websites are compared with their own match modes.
+ *
+ * @param {Array<Object>} records
+ * @param {Object} submission
+ * @param {string} submission.url
+ * @param {string} submission.title - Title suggested for the site
+ * @param {string} [submission.username]
+ * @param {string} [submission.previousPassword]
+ * @returns {Object | undefined}
+ */
+export const findExistingLoginRecord = (
+  records,
+  { url, title, username, previousPassword }
+) => {
+  const siteRecords = (records || []).filter(
+    (record) =>
+      record.type === RECORD_TYPES.LOGIN &&
+      (record.data?.title === title || doesRecordMatchUrl(record, url))
+  )
+
+  if (previousPassword) {
+    return siteRecords.find(
+      (record) =>
+        record.data?.password === previousPassword &&
+        (!username || record.data?.username === username)
+    )
+  }
+
+  return siteRecords.find((record) => record.data?.username === username)
+}
@@ -0,0 +1,106 @@
+import { findExistingLoginRecord } from './findExistingLoginRecord'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  RECORD_TYPES: { LOGIN: 'login', IDENTITY: 'identity' }
+}))
+
+describe('findExistingLoginRecord', () => {
+  const records = [
+    {
+      id: 'other-site',
+      type: 'login',
+      data: {
+        title: 'Other',
+        username: 'alice',
+        password: 'old-secret',
+        websites: ['https://other.com']
+      }
+    },
+    {
+      id: 'work',
+      type: 'login',
+      data: {
+        title: 'Example',
+        username: 'alice@work.com',
+        password: 'work-secret',
+        websites: ['https://example.com']
+      }
+    },
+    {
+      id: 'personal',
+      type: 'login',
+      data: {
+        title: 'Example personal',
+        username: 'alice',
+        password: 'old-secret',
+        websites: ['https://example.com']
+      }
+    }
+  ]
+
+  it('should match the site record holding the replaced password', () => {
+    const record = findExistingLoginRecord(records, {
+      url: 'https://accounts.example.com/settings/password',
+      title: 'Example',
+      previousPassword: 'old-secret'
+    })
+
+    expect(record.id).toBe('personal')
+  })
+
+  it('should require the username to match when it is known', () => {
+    const record = findExistingLoginRecord(records, {
+      url: 'https://example.com/password',
+      title: 'Example',
+      username: 'bob',
+      previousPassword: 'old-secret'
+    })
+
+    expect(record).toBeUndefined()
+  })
+
+  it('should match by title and username without a previous password', () => {
+    const record = findExistingLoginRecord(records, {
+      url: 'https://example.com/login',
+      title: 'Example',
+      username: 'alice@work.com'
+    })
+
+    expect(record.id).toBe('work')
+  })
+
+  it('should skip websites whose match mode rules out the page', () => {
+    const record = findExistingLoginRecord(
+      [
+        {
+          id: 'admin',
+          type: 'login',
+          data: {
+            title: 'Admin',
+            username: 'alice',
+            websites: ['https://admin.example.com'],
+            websiteMatchModes: [
+              { website: 'https://admin.example.com', mode: 'host' }
+            ]
+          }
+        }
+      ],
+      {
+        url: 'https://shop.example.com/login',
+        title: 'Shop',
+        username: 'alice'
+      }
+    )
+
+    expect(record).toBeUndefined()
+  })
+
+  it('should ignore records of other types', () => {
+    const record = findExistingLoginRecord(
+      [{ id: 'identity', type: 'identity', data: { title: 'Example' } }],
+      { url: 'https://example.com', title: 'Example', username: undefined }
+    )
+
+    expect(record).toBeUndefined()
+  })
+})
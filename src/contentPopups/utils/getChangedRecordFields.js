@@ -0,0 +1,14 @@
+/**
+ * Picks the fields of `data` that would add to or change an existing record.
+ * Empty values never overwrite what the record already holds.
+ *
+ * @param {Object} record
+ * @param {Record<string, string>} data
+ * @returns {Record<string, string>}
+ */
+export const getChangedRecordFields = (record, data) =>
+  Object.fromEntries(
+    Object.entries(data).filter(
+      ([key, value]) => !!value && value !== record?.data?.[key]
+    )
+  )
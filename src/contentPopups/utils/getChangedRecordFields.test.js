@@ -0,0 +1,22 @@
+import { getChangedRecordFields } from './getChangedRecordFields'
+
+describe('getChangedRecordFields', () => {
+  it('should keep new and changed values only', () => {
+    const record = { data: { name: 'Ada', expireDate: '01 26', city: '' } }
+
+    expect(
+      getChangedRecordFields(record, {
+        name: 'Ada',
+        expireDate: '04 28',
+        city: 'London',
+        zip: ''
+      })
+    ).toEqual({ expireDate: '04 28', city: 'London' })
+  })
+
+  it('should return an empty object when nothing changed', () => {
+    expect(
+      getChangedRecordFields({ data: { name: 'Ada' } }, { name: 'Ada' })
+    ).toEqual({})
+  })
+})
@@ -0,0 +1,27 @@
+/**
+ * Moves the highlighted option of a list for a navigation key, wrapping around
+ * at both ends. Tab moves forward and Shift+Tab backward, like the arrows.
+ *
+ * @param {number | null} activeIndex - Highlighted option, or null for none
+ * @param {number} count - Number of options
+ * @param {{ key: string, shiftKey?: boolean }} keyEvent
+ * @returns {number | null}
+ */
+export const getNextActiveIndex = (activeIndex, count, { key, shiftKey }) => {
+  if (!count) {
+    return null
+  }
+
+  const isBackward = key === 'ArrowUp' || (key === 'Tab' && shiftKey)
+  const isForward = key === 'ArrowDown' || (key === 'Tab' && !shiftKey)
+
+  if (isForward) {
+    return activeIndex === null ? 0 : (activeIndex + 1) % count
+  }
+
+  if (isBackward) {
+    return activeIndex === null ? count - 1 : (activeIndex - 1 + count) % count
+  }
+
+  return activeIndex
+}
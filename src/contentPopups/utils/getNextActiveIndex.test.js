@@ -0,0 +1,26 @@
+import { getNextActiveIndex } from './getNextActiveIndex'
+
+describe('getNextActiveIndex', () => {
+  it('should start at the first or last option', () => {
+    expect(getNextActiveIndex(null, 3, { key: 'ArrowDown' })).toBe(0)
+    expect(getNextActiveIndex(null, 3, { key: 'ArrowUp' })).toBe(2)
+  })
+
+  it('should wrap around at both ends', () => {
+    expect(getNextActiveIndex(2, 3, { key: 'ArrowDown' })).toBe(0)
+    expect(getNextActiveIndex(0, 3, { key: 'ArrowUp' })).toBe(2)
+  })
+
+  it('should cycle with Tab and Shift+Tab', () => {
+    expect(getNextActiveIndex(1, 3, { key: 'Tab' })).toBe(2)
+    expect(getNextActiveIndex(1, 3, { key: 'Tab', shiftKey: true })).toBe(0)
+  })
+
+  it('should keep the option for other keys', () => {
+    expect(getNextActiveIndex(1, 3, { key: 'Enter' })).toBe(1)
+  })
+
+  it('should return null for an empty list', () => {
+    expect(getNextActiveIndex(0, 0, { key: 'ArrowDown' })).toBeNull()
+  })
+})
@@ -0,0 +1,27 @@
+import { getClient } from '../../shared/client'
+import { logger } from '../../shared/utils/logger'
+
+/**
+ * Generates the current one-time code of a login record. Falls back to the
+ * code cached on the record when the vault cannot be reached.
+ *
+ * @param {Object} record - Login record carrying `otpPublic`
+ * @returns {Promise<string | null>}
+ */
+export const getOtpCode = async (record) => {
+  if (!record?.otpPublic) {
+    return null
+  }
+
+  try {
+    const [otp] = (await getClient().generateOtpCodesByIds([record.id])) || []
+
+    if (otp?.currentCode) {
+      return otp.currentCode
+    }
+  } catch (error) {
+    logger.error('Failed to generate one-time code:', error)
+  }
+
+  return record.otpPublic.currentCode ?? null
+}
@@ -0,0 +1,48 @@
+import { getOtpCode } from './getOtpCode'
+import { getClient } from '../../shared/client'
+
+jest.mock('../../shared/client', () => ({
+  getClient: jest.fn()
+}))
+
+jest.mock('../../shared/utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+describe('getOtpCode', () => {
+  const record = {
+    id: 'record-1',
+    otpPublic: { currentCode: '111111', timeRemaining: 3 }
+  }
+
+  let generateOtpCodesByIds
+
+  beforeEach(() => {
+    generateOtpCodesByIds = jest.fn()
+    getClient.mockReturnValue({ generateOtpCodesByIds })
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('returns a freshly generated code', async () => {
+    generateOtpCodesByIds.mockResolvedValue([
+      { recordId: 'record-1', currentCode: '222222', timeRemaining: 30 }
+    ])
+
+    await expect(getOtpCode(record)).resolves.toBe('222222')
+    expect(generateOtpCodesByIds).toHaveBeenCalledWith(['record-1'])
+  })
+
+  it('falls back to the cached code when generation fails', async () => {
+    generateOtpCodesByIds.mockRejectedValue(new Error('offline'))
+
+    await expect(getOtpCode(record)).resolves.toBe('111111')
+  })
+
+  it('returns null for records without OTP', async () => {
+    await expect(getOtpCode({ id: 'record-2' })).resolves.toBeNull()
+    expect(generateOtpCodesByIds).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,39 @@
+/**
+ * Applies a detected login to the record it belongs to and keeps the rest of
+ * the record. A replaced password is kept in `data.passwordHistory`, newest
+ * first, rather than in a note or custom field, which are shown in the clear.
+ *
+ * @param {Object} record - Existing login record
+ * @param {Object} login
+ * @param {string} login.title
+ * @param {string} [login.username]
+ * @param {string} login.password
+ * @param {string} [login.url] - Page the login was submitted on
+ * @param {number} [replacedAt=Date.now()]
+ * @returns {Object}
+ */
+export const getUpdatedLoginRecord = (
+  record,
+  { title, username, password, url },
+  replacedAt = Date.now()
+) => {
+  const previousPassword = record.data?.password
+  const passwordHistory = record.data?.passwordHistory ?? []
+
+  return {
+    ...record,
+    data: {
+      ...record.data,
+      title,
+      username: record.data?.username || username,
+      password,
+      websites: record.data?.websites?.length
+        ? record.data.websites
+        : [url].filter(Boolean),
+      passwordHistory:
+        previousPassword && previousPassword !== password
+          ? [{ password: previousPassword, replacedAt }, ...passwordHistory]
+          : passwordHistory
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import { getUpdatedLoginRecord } from './getUpdatedLoginRecord'
+
+describe('getUpdatedLoginRecord', () => {
+  const record = {
+    id: 'record-1',
+    folder: 'Work',
+    data: {
+      title: 'Example',
+      username: 'alice',
+      password: 'old-secret',
+      note: 'Shared with the team',
+      websites: ['https://example.com']
+    }
+  }
+
+  it('should keep the replaced password in the history', () => {
+    const updated = getUpdatedLoginRecord(
+      record,
+      { title: 'Example', username: 'alice', password: 'new-secret' },
+      1700000000000
+    )
+
+    expect(updated.data.password).toBe('new-secret')
+    expect(updated.data.passwordHistory).toEqual([
+      { password: 'old-secret', replacedAt: 1700000000000 }
+    ])
+    expect(updated.data.note).toBe('Shared with the team')
+    expect(updated.data.customFields).toBeUndefined()
+  })
+
+  it('should add to an existing history, newest first', () => {
+    const updated = getUpdatedLoginRecord(
+      {
+        ...record,
+        data: {
+          ...record.data,
+          passwordHistory: [{ password: 'oldest', replacedAt: 1 }]
+        }
+      },
+      { title: 'Example', password: 'new-secret' },
+      2
+    )
+
+    expect(updated.data.passwordHistory).toEqual([
+      { password: 'old-secret', replacedAt: 2 },
+      { password: 'oldest', replacedAt: 1 }
+    ])
+  })
+
+  it('should not add to the history when the password is unchanged', () => {
+    const updated = getUpdatedLoginRecord(record, {
+      title: 'Example',
+      password: 'old-secret'
+    })
+
+    expect(updated.data.passwordHistory).toEqual([])
+  })
+
+  it('should keep the rest of the record', () => {
+    const updated = getUpdatedLoginRecord(record, {
+      title: 'Example login',
+      username: 'bob',
+      password: 'new-secret',
+      url: 'https://login.example.com'
+    })
+
+    expect(updated.id).toBe('record-1')
+    expect(updated.folder).toBe('Work')
+    expect(updated.data.title).toBe('Example login')
+    expect(updated.data.username).toBe('alice')
+    expect(updated.data.websites).toEqual(['https://example.com'])
+  })
+
+  it('should add the page when the record has no website', () => {
+    const updated = getUpdatedLoginRecord(
+      { data: { password: 'old-secret' } },
+      { title: 'Example', password: 'new-secret', url: 'https://example.com' }
+    )
+
+    expect(updated.data.websites).toEqual(['https://example.com'])
+  })
+})
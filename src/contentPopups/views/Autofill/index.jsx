@@ -1,30 +1,57 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 
 import { CreditCard } from '@tetherto/pearpass-lib-ui-kit/icons'
-import { RECORD_TYPES, useVault } from '@tetherto/pearpass-lib-vault'
-
+import {
+  RECORD_TYPES,
+  useRecords,
+  useVault
+} from '@tetherto/pearpass-lib-vault'
+
+import { ButtonLittle } from '../../../shared/components/ButtonLittle'
+import { InputField } from '../../../shared/components/InputField'
 import { PopupCard } from '../../../shared/components/PopupCard'
 import { RecordItem } from '../../../shared/components/RecordItem'
 import { useRouter } from '../../../shared/context/RouterContext'
+import { useSavePasskeyAssertion } from '../../../shared/hooks/useSavePasskeyAssertion'
 import { UserIcon } from '../../../shared/icons/UserIcon'
 import { UserKeyIcon } from '../../../shared/icons/UserKeyIcon'
 import { MESSAGE_TYPES } from '../../../shared/services/messageBridge'
+import { isPasskeyRecordAllowed } from '../../../shared/utils/isPasskeyRecordAllowed'
 import { logger } from '../../../shared/utils/logger'
+import { maskCardNumber } from '../../../shared/utils/maskCardNumber'
 import { useFilteredRecords } from '../../hooks/useFilteredRecords'
 import { setIframeStyles } from '../../iframeApi/setIframeStyles'
+import { getNextActiveIndex } from '../../utils/getNextActiveIndex'
+import { getOtpCode } from '../../utils/getOtpCode'
+import { doesPayloadUrlMatchOrigin } from '../../utils/messageValidation'
+
+const getOptionId = (record) => `autofill-option-${record.id}`
 
 export const Autofill = () => {
   const popupRef = useRef(null)
   const authTimeoutRef = useRef(null)
+  const hasAutofilledOtpRef = useRef(false)
   const { state: routerState } = useRouter()
 
   const { refetch: refetchVault } = useVault()
 
-  const { filteredRecords } = useFilteredRecords()
+  const [searchQuery, setSearchQuery] = useState('')
+  // Login filled from outside the page's matches, offered to be linked to the site
+  const [recordToLink, setRecordToLink] = useState(null)
+
+  const { filteredRecords, equivalentDomains, otherRecords } =
+    useFilteredRecords({ searchQuery })
+
+  const { updateRecords, isLoading: isUpdateLoading } = useRecords({
+    onCompleted: () => closePopup()
+  })
+  const { savePasskeyAssertion } = useSavePasskeyAssertion()
 
   const [passkeyRequest, setPasskeyRequest] = useState(null)
   const [currentTabId, setCurrentTabId] = useState(null)
   const [isAuthenticating, setIsAuthenticating] = useState(false)
+  // Highlighted option; moved by keys the page relays, since focus stays in the page field
+  const [activeIndex, setActiveIndex] = useState(null)
 
   useEffect(() => {
     chrome.runtime.sendMessage(
@@ -53,34 +80,105 @@ export const Autofill = () => {
     }
   }, [])
 
+  const isOneTimeCode = !!routerState?.isOneTimeCode
+
   const passkeyRecords = useMemo(() => {
-    if (!passkeyRequest || !filteredRecords) return []
+    if (isOneTimeCode || !passkeyRequest || !filteredRecords) return []
 
     return filteredRecords.filter((record) => {
       if (record.type !== RECORD_TYPES.LOGIN || !record.data?.credential)
         return false
 
-      const origin = passkeyRequest.requestOrigin
-      if (
-        origin &&
-        record.data?.websites?.some(
-          (site) => site.includes(origin) || origin.includes(site)
-        )
-      ) {
-        return true
-      }
-      return false
+      return isPasskeyRecordAllowed(
+        record,
+        passkeyRequest.publicKey,
+        passkeyRequest.requestOrigin
+      )
     })
-  }, [filteredRecords, passkeyRequest])
+  }, [filteredRecords, passkeyRequest, isOneTimeCode])
 
   const regularLogins = useMemo(
     () =>
-      (filteredRecords || []).filter(
-        (r) => !(r.type === RECORD_TYPES.LOGIN && r.data?.credential)
+      (filteredRecords || []).filter((r) =>
+        isOneTimeCode
+          ? !!r.otpPublic
+          : !(r.type === RECORD_TYPES.LOGIN && r.data?.credential)
       ),
-    [filteredRecords]
+    [filteredRecords, isOneTimeCode]
+  )
+
+  const options = useMemo(
+    () => [...passkeyRecords, ...regularLogins, ...otherRecords],
+    [passkeyRecords, regularLogins, otherRecords]
   )
 
+  const isSearchShown =
+    routerState?.recordType === RECORD_TYPES.LOGIN && !isOneTimeCode
+
+  const activeRecord = activeIndex === null ? null : options[activeIndex]
+
+  // Opened with Down-arrow: start on the first option
+  useEffect(() => {
+    if (routerState?.isOpenedFromKeyboard && activeIndex === null) {
+      setActiveIndex(options.length ? 0 : null)
+    }
+  }, [routerState?.isOpenedFromKeyboard, options.length])
+
+  useEffect(() => {
+    if (activeIndex !== null && activeIndex >= options.length) {
+      setActiveIndex(options.length ? 0 : null)
+    }
+  }, [options.length])
+
+  useEffect(() => {
+    if (!activeRecord) return
+
+    document
+      .getElementById(getOptionId(activeRecord))
+      ?.scrollIntoView?.({ block: 'nearest' })
+  }, [activeRecord])
+
+  const handleNavigationKey = ({ key, shiftKey }) => {
+    if (isAuthenticating || recordToLink) return
+
+    if (key === 'Enter') {
+      if (activeRecord) handleAutoFill(activeRecord)
+      return
+    }
+
+    setActiveIndex(
+      getNextActiveIndex(activeIndex, options.length, { key, shiftKey })
+    )
+  }
+
+  useEffect(() => {
+    function onMessage(e) {
+      const msg = e.data
+
+      if (msg?.type !== 'keydown' || !doesPayloadUrlMatchOrigin(msg, e.origin))
+        return
+
+      handleNavigationKey(msg.data)
+    }
+
+    window.addEventListener('message', onMessage)
+
+    return () => window.removeEventListener('message', onMessage)
+  }, [options, activeIndex, activeRecord, isAuthenticating, recordToLink])
+
+  // Keys typed in the search box, where focus is inside the popup
+  const handleSearchKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      closePopup()
+      return
+    }
+
+    if (!['ArrowDown', 'ArrowUp', 'Enter'].includes(event.key)) return
+
+    event.preventDefault()
+    handleNavigationKey(event)
+  }
+
   useEffect(() => {
     if (!popupRef.current) return
 
@@ -101,10 +199,48 @@ export const Autofill = () => {
     routerState?.iframeId,
     routerState?.iframeType,
     passkeyRecords.length,
-    regularLogins.length
+    regularLogins.length,
+    otherRecords.length,
+    !!recordToLink
   ])
 
+  const closePopup = () => {
+    window.parent.postMessage(
+      {
+        type: 'close',
+        data: {
+          iframeId: routerState?.iframeId,
+          iframeType: routerState?.iframeType
+        }
+      },
+      '*'
+    )
+  }
+
+  const getCurrentOrigin = () => {
+    try {
+      return new URL(routerState?.url).origin
+    } catch {
+      return null
+    }
+  }
+
+  const handleLinkRecord = () => {
+    updateRecords([
+      {
+        ...recordToLink,
+        data: {
+          ...recordToLink.data,
+          websites: [...(recordToLink.data?.websites || []), getCurrentOrigin()]
+        }
+      }
+    ])
+  }
+
   const handleAutofillLogin = (record) => {
+    // A login found by search stays open to offer linking it to this site
+    const isOtherRecord = otherRecords.includes(record) && !!getCurrentOrigin()
+
     const targetOrigin = document.referrer
       ? new URL(document.referrer).origin
       : '*'
@@ -116,13 +252,60 @@ export const Autofill = () => {
           iframeId: routerState?.iframeId,
           iframeType: routerState?.iframeType,
           username: record?.data?.username,
-          password: record?.data?.password
+          password: record?.data?.password,
+          recordId: record?.id,
+          hasOtp: !!record?.otpPublic,
+          autoSubmit: !isOtherRecord && !!record?.data?.autoSubmit,
+          keepPopupOpen: isOtherRecord
         }
       },
       targetOrigin
     )
+
+    if (isOtherRecord) {
+      setRecordToLink(record)
+    }
   }
 
+  const handleAutofillOtp = async (record) => {
+    const code = await getOtpCode(record)
+
+    if (!code) {
+      return
+    }
+
+    window.parent.postMessage(
+      {
+        type: 'autofillOtp',
+        data: {
+          iframeId: routerState?.iframeId,
+          iframeType: routerState?.iframeType,
+          code
+        }
+      },
+      '*'
+    )
+  }
+
+  // Opened by the page after a password fill: fill the code of that login straight away
+  useEffect(() => {
+    if (
+      !isOneTimeCode ||
+      !routerState?.autofillRecordId ||
+      hasAutofilledOtpRef.current
+    )
+      return
+
+    const record = regularLogins.find(
+      (r) => r.id === routerState.autofillRecordId
+    )
+
+    if (record) {
+      hasAutofilledOtpRef.current = true
+      handleAutofillOtp(record)
+    }
+  }, [isOneTimeCode, routerState?.autofillRecordId, regularLogins])
+
   const handleAutofillIdentity = (record) => {
     window.parent.postMessage(
       {
@@ -137,7 +320,10 @@ export const Autofill = () => {
           zip: record?.data?.zip,
           city: record?.data?.city,
           region: record?.data?.region,
-          country: record?.data?.country
+          country: record?.data?.country,
+          passportNumber: record?.data?.passportNumber,
+          idCardNumber: record?.data?.idCardNumber,
+          drivingLicenseNumber: record?.data?.drivingLicenseNumber
         }
       },
       '*'
@@ -172,29 +358,38 @@ export const Autofill = () => {
         credential: record.data.credential,
         tabId: currentTabId
       },
-      () => {
+      (response) => {
         if (chrome.runtime.lastError) {
           logger.error('Failed to authenticate:', chrome.runtime.lastError)
           setIsAuthenticating(false)
           return
         }
 
-        const elapsed = Date.now() - startTime
-        const delay = Math.max(0, MIN_LOADING_TIME - elapsed)
-
-        // Store timeout ID for cleanup
-        authTimeoutRef.current = setTimeout(() => {
-          window.parent.postMessage(
-            {
-              type: 'close',
-              data: {
-                iframeId: routerState?.iframeId,
-                iframeType: routerState?.iframeType
-              }
-            },
-            '*'
-          )
-        }, delay)
+        // Closing the popup would drop the pending vault write
+        const saveAssertion = response?.success
+          ? savePasskeyAssertion(record, response).catch((error) => {
+              logger.error('Failed to save passkey assertion:', error)
+            })
+          : Promise.resolve()
+
+        void saveAssertion.then(() => {
+          const elapsed = Date.now() - startTime
+          const delay = Math.max(0, MIN_LOADING_TIME - elapsed)
+
+          // Store timeout ID for cleanup
+          authTimeoutRef.current = setTimeout(() => {
+            window.parent.postMessage(
+              {
+                type: 'close',
+                data: {
+                  iframeId: routerState?.iframeId,
+                  iframeType: routerState?.iframeType
+                }
+              },
+              '*'
+            )
+          }, delay)
+        })
       }
     )
   }
@@ -208,6 +403,11 @@ export const Autofill = () => {
       return
     }
 
+    if (isOneTimeCode) {
+      handleAutofillOtp(record)
+      return
+    }
+
     if (routerState.recordType === RECORD_TYPES.IDENTITY) {
       handleAutofillIdentity(record)
     } else if (routerState.recordType === RECORD_TYPES.CREDIT_CARD) {
@@ -219,8 +419,7 @@ export const Autofill = () => {
 
   const getRecordSubtitle = (record) => {
     if (record.type === RECORD_TYPES.CREDIT_CARD) {
-      const digits = (record?.data?.number || '').replace(/\D/g, '')
-      return digits ? `•••• ${digits.slice(-4)}` : ''
+      return maskCardNumber(record?.data?.number)
     }
 
     return record.data?.username
@@ -228,15 +427,27 @@ export const Autofill = () => {
 
   const isCreditCard = routerState.recordType === RECORD_TYPES.CREDIT_CARD
 
+  const getRegularRecordsLabel = () => {
+    if (isCreditCard) return 'Card'
+    if (isOneTimeCode) return 'Verification code'
+    return 'Password'
+  }
+
   const renderRecordList = (records) =>
     records.map((record) => {
       const websiteDomain = record?.data?.websites?.[0]
+      const isActive = record === activeRecord
+      const equivalentDomain = equivalentDomains.get(record)
 
       return (
         <div
           key={record.id}
-          className="bg-grey500-mode1 cursor-pointer rounded-[10px] p-2 hover:bg-[rgba(134,170,172,0.2)]"
+          id={getOptionId(record)}
+          role="option"
+          aria-selected={isActive}
+          className={`cursor-pointer rounded-[10px] p-2 hover:bg-[rgba(134,170,172,0.2)] ${isActive ? 'bg-[rgba(134,170,172,0.2)]' : 'bg-grey500-mode1'}`}
           onClick={() => handleAutoFill(record)}
+          onMouseEnter={() => setActiveIndex(options.indexOf(record))}
         >
           <RecordItem
             websiteDomain={websiteDomain}
@@ -244,68 +455,130 @@ export const Autofill = () => {
             isFavorite={record.isFavorite}
             type={record.type}
             folder={getRecordSubtitle(record)}
+            tag={equivalentDomain && `Saved for ${equivalentDomain}`}
           />
         </div>
       )
     })
 
-  return (
-    <PopupCard
-      className="flex max-h-[195px] min-h-[140px] w-[280px] flex-col p-2"
-      ref={popupRef}
-    >
-      {isAuthenticating ? (
+  const renderRecordGroup = ({ label, icon, records }) => (
+    <div className="flex flex-col" role="group" aria-label={label}>
+      {records.length > 0 && (
+        <>
+          <div
+            className="text-white-mode1 mb-[5px] flex items-center gap-2 text-sm"
+            aria-hidden="true"
+          >
+            {icon}
+            <span>{label}</span>
+          </div>
+          {renderRecordList(records)}
+        </>
+      )}
+    </div>
+  )
+
+  const renderLinkOffer = () => {
+    const host = new URL(getCurrentOrigin()).host
+
+    return (
+      <div className="flex flex-1 flex-col justify-center gap-3">
+        <span className="text-white-mode1 text-sm">
+          Add {host} to the websites of {recordToLink.data?.title}?
+        </span>
+        <div className="flex justify-end gap-2">
+          <ButtonLittle variant="secondary" onClick={closePopup}>
+            Not now
+          </ButtonLittle>
+          <ButtonLittle onClick={handleLinkRecord} disabled={isUpdateLoading}>
+            Add website
+          </ButtonLittle>
+        </div>
+      </div>
+    )
+  }
+
+  const hasRecords = options.length > 0
+
+  const renderRecords = () => (
+    <div className="flex flex-col gap-2 overflow-x-hidden overflow-y-auto">
+      {isSearchShown && (
+        <div onKeyDown={handleSearchKeyDown}>
+          <InputField
+            placeholder="Search vault"
+            variant="outline"
+            value={searchQuery}
+            onChange={setSearchQuery}
+          />
+        </div>
+      )}
+
+      {!hasRecords ? (
+        <div className="flex">
+          <span className="text-white-mode1 text-sm">No records found</span>
+        </div>
+      ) : (
+        <>
+          <span className="text-white-mode1 text-sm">
+            Make the access with...
+          </span>
+
+          <div
+            className="flex flex-col gap-2"
+            role="listbox"
+            aria-label="Make the access with..."
+            aria-activedescendant={
+              activeRecord ? getOptionId(activeRecord) : undefined
+            }
+          >
+            {renderRecordGroup({
+              label: 'Passkey',
+              icon: <UserKeyIcon size="24" />,
+              records: passkeyRecords
+            })}
+
+            {renderRecordGroup({
+              label: getRegularRecordsLabel(),
+              icon: isCreditCard ? (
+                <CreditCard width={24} height={24} />
+              ) : (
+                <UserIcon size="24" />
+              ),
+              records: regularLogins
+            })}
+
+            {renderRecordGroup({
+              label: 'Other vault items',
+              icon: <UserIcon size="24" />,
+              records: otherRecords
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  )
+
+  const renderContent = () => {
+    if (isAuthenticating) {
+      return (
         <div className="flex flex-1 flex-col items-center justify-center gap-3">
           <div className="border-primary400-mode1 h-8 w-8 animate-spin rounded-full border-4 border-t-transparent"></div>
           <span className="text-white-mode1 text-sm font-medium">
             Authenticating...
           </span>
         </div>
-      ) : (
-        <div className="flex flex-col gap-2 overflow-x-hidden overflow-y-auto">
-          {passkeyRecords.length === 0 && regularLogins.length === 0 ? (
-            <div className="flex">
-              <span className="text-white-mode1 text-sm">No records found</span>
-            </div>
-          ) : (
-            <>
-              <span className="text-white-mode1 text-sm">
-                Make the access with...
-              </span>
-
-              <div className="flex flex-col gap-2">
-                <div className="flex flex-col">
-                  {passkeyRecords.length > 0 && (
-                    <>
-                      <div className="text-white-mode1 mb-[5px] flex items-center gap-2 text-sm">
-                        <UserKeyIcon size="24" />
-                        <span>Passkey</span>
-                      </div>
-                      {renderRecordList(passkeyRecords)}
-                    </>
-                  )}
-                </div>
-
-                <div className="flex flex-col">
-                  {regularLogins.length > 0 && (
-                    <>
-                      <div className="text-white-mode1 mb-[5px] flex items-center gap-2 text-sm">
-                        {isCreditCard ? (
-                          <CreditCard width={24} height={24} />
-                        ) : (
-                          <UserIcon size="24" />
-                        )}
-                        <span>{isCreditCard ? 'Card' : 'Password'}</span>
-                      </div>
-                      {renderRecordList(regularLogins)}
-                    </>
-                  )}
-                </div>
-              </div>
-            </>
-          )}
-        </div>
-      )}
+      )
+    }
+
+    return recordToLink ? renderLinkOffer() : renderRecords()
+  }
+
+  return (
+    <PopupCard
+      className="flex max-h-[240px] min-h-[140px] w-[280px] flex-col p-2"
+      ref={popupRef}
+    >
+      {renderContent()}
     </PopupCard>
   )
 }
@@ -0,0 +1,242 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+
+import { t } from '@lingui/core/macro'
+import {
+  RECORD_TYPES,
+  useCreateRecord,
+  useRecords,
+  useVault
+} from '@tetherto/pearpass-lib-vault'
+
+import { FormGroup } from '../../../shared/components/FormGroup'
+import { InputField } from '../../../shared/components/InputField'
+import { PopupCard } from '../../../shared/components/PopupCard'
+import { SwitchWithLabel } from '../../../shared/components/SwitchWithLabel'
+import { useRouter } from '../../../shared/context/RouterContext'
+import { extractNameFromDomain } from '../../../shared/utils/extractNameFromDomain'
+import { maskCardNumber } from '../../../shared/utils/maskCardNumber'
+import { CardButtons } from '../../containers/CardButtons'
+import { closeIframe } from '../../iframeApi/closeIframe'
+import { setIframeStyles } from '../../iframeApi/setIframeStyles'
+import { findExistingCheckoutRecord } from '../../utils/findExistingCheckoutRecord'
+import { getChangedRecordFields } from '../../utils/getChangedRecordFields'
+
+/**
+ * Offers to save the card and the address submitted at checkout, one after the
+ * other. Data already stored in a matching record is not offered again.
+ */
+export const CheckoutDetect = () => {
+  const { state: routerState } = useRouter()
+
+  const popupRef = useRef(null)
+
+  const closePopup = () =>
+    closeIframe({
+      iframeId: routerState?.iframeId,
+      iframeType: routerState?.iframeType
+    })
+
+  const steps = useMemo(
+    () =>
+      [
+        routerState?.creditCard && {
+          recordType: RECORD_TYPES.CREDIT_CARD,
+          data: routerState.creditCard
+        },
+        routerState?.identity && {
+          recordType: RECORD_TYPES.IDENTITY,
+          data: routerState.identity
+        }
+      ].filter(Boolean),
+    [routerState]
+  )
+
+  const [stepIndex, setStepIndex] = useState(0)
+  const [title, setTitle] = useState('')
+  const [isSecurityCodeSaved, setIsSecurityCodeSaved] = useState(false)
+
+  const step = steps[stepIndex]
+  const isCreditCard = step?.recordType === RECORD_TYPES.CREDIT_CARD
+
+  // Moving past the last step closes the popup
+  const goToNextStep = () => setStepIndex((index) => index + 1)
+
+  const { createRecord, isLoading: isCreateLoading } = useCreateRecord({
+    onCompleted: goToNextStep
+  })
+
+  const { refetch: refetchVault } = useVault()
+
+  const {
+    updateRecords,
+    data: recordsData,
+    isLoading: isUpdateLoading
+  } = useRecords({
+    onCompleted: goToNextStep
+  })
+
+  const existingRecord = useMemo(
+    () =>
+      step &&
+      findExistingCheckoutRecord(recordsData, step.recordType, step.data),
+    [recordsData, step]
+  )
+
+  // The security code is only kept when asked for
+  const recordData = useMemo(() => {
+    if (!step) {
+      return {}
+    }
+
+    if (!isCreditCard) {
+      return step.data
+    }
+
+    const { securityCode, ...card } = step.data
+    return isSecurityCodeSaved ? { ...card, securityCode } : card
+  }, [step, isCreditCard, isSecurityCodeSaved])
+
+  const changedFields = useMemo(
+    () => getChangedRecordFields(existingRecord, recordData),
+    [existingRecord, recordData]
+  )
+
+  const hasChanges = Object.keys(changedFields).length > 0
+
+  const getDefaultTitle = () => {
+    if (isCreditCard) {
+      return t`Card ending in ${step.data.number.replace(/\D/g, '').slice(-4)}`
+    }
+
+    return step.data.fullName || extractNameFromDomain(routerState?.url)
+  }
+
+  useEffect(() => {
+    if (!step) {
+      closePopup()
+      return
+    }
+
+    setTitle(existingRecord?.data?.title || getDefaultTitle())
+    setIsSecurityCodeSaved(false)
+  }, [stepIndex, existingRecord?.id])
+
+  // A card or address that is already saved as is needs no prompt
+  useEffect(() => {
+    if (step && existingRecord && !hasChanges) {
+      goToNextStep()
+    }
+  }, [existingRecord?.id, stepIndex])
+
+  useEffect(() => {
+    setIframeStyles({
+      iframeId: routerState?.iframeId,
+      iframeType: routerState?.iframeType,
+      style: {
+        width: `${popupRef.current?.offsetWidth}px`,
+        height: `${popupRef.current?.offsetHeight}px`,
+        borderRadius: '12px'
+      }
+    })
+
+    refetchVault()
+  }, [stepIndex, !!existingRecord, isSecurityCodeSaved])
+
+  const handleConfirm = () => {
+    if (existingRecord) {
+      updateRecords([
+        {
+          ...existingRecord,
+          data: {
+            ...existingRecord.data,
+            ...changedFields,
+            title: title || existingRecord.data.title
+          }
+        }
+      ])
+      return
+    }
+
+    createRecord({
+      type: step.recordType,
+      data: {
+        ...recordData,
+        title: title || getDefaultTitle()
+      }
+    })
+  }
+
+  if (!step) {
+    return null
+  }
+
+  const previewLines = isCreditCard
+    ? [
+        maskCardNumber(step.data.number),
+        step.data.name,
+        step.data.expireDate && t`Expires ${step.data.expireDate}`
+      ]
+    : [
+        step.data.fullName,
+        step.data.address,
+        [step.data.zip, step.data.city].filter(Boolean).join(' '),
+        [step.data.region, step.data.country].filter(Boolean).join(', '),
+        step.data.email,
+        step.data.phoneNumber
+      ]
+
+  const getQuestion = () => {
+    if (existingRecord) {
+      return isCreditCard
+        ? t`Update the saved card ${existingRecord.data.title}?`
+        : t`Update the saved address ${existingRecord.data.title}?`
+    }
+
+    return isCreditCard ? t`Save this card?` : t`Save this address?`
+  }
+
+  const isLoading = isCreateLoading || isUpdateLoading
+
+  return (
+    <PopupCard
+      className="flex w-[460px] flex-col gap-4 overflow-auto"
+      ref={popupRef}
+    >
+      <span className="text-white-mode1 text-sm">{getQuestion()}</span>
+
+      <FormGroup>
+        <InputField
+          label={t`Title`}
+          placeholder={t`Insert title`}
+          variant="outline"
+          value={title}
+          onChange={setTitle}
+        />
+      </FormGroup>
+
+      <div className="text-white-mode1 flex flex-col gap-1 text-sm">
+        {previewLines.filter(Boolean).map((line, index) => (
+          <span key={index}>{line}</span>
+        ))}
+      </div>
+
+      {isCreditCard && !!step.data.securityCode && (
+        <SwitchWithLabel
+          isOn={isSecurityCodeSaved}
+          onChange={setIsSecurityCodeSaved}
+          label={t`Save security code`}
+          description={t`Most sites ask for it on every purchase`}
+        />
+      )}
+
+      <CardButtons
+        confirmLabel={existingRecord ? t`Update` : t`Save`}
+        cancelLabel={t`Not now`}
+        onConfirm={handleConfirm}
+        onCancel={goToNextStep}
+        isConfirmDisabled={isLoading || (!!existingRecord && !hasChanges)}
+        isCancelDisabled={isLoading}
+      />
+    </PopupCard>
+  )
+}
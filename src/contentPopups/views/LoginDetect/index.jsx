@@ -10,6 +10,7 @@ import {
   useVault
 } from '@tetherto/pearpass-lib-vault'
 
+import { ButtonLittle } from '../../../shared/components/ButtonLittle'
 import { FormGroup } from '../../../shared/components/FormGroup'
 import { InputField } from '../../../shared/components/InputField'
 import { InputFieldPassword } from '../../../shared/components/InputFieldPassword'
@@ -18,9 +19,17 @@ import { useRouter } from '../../../shared/context/RouterContext'
 import { KeyIcon } from '../../../shared/icons/KeyIcon'
 import { UserIcon } from '../../../shared/icons/UserIcon'
 import { extractNameFromDomain } from '../../../shared/utils/extractNameFromDomain'
+import { logger } from '../../../shared/utils/logger'
+import {
+  getSiteRule,
+  normalizeSiteOrigin,
+  updateSiteRule
+} from '../../../shared/utils/siteRules'
 import { CardButtons } from '../../containers/CardButtons'
 import { closeIframe } from '../../iframeApi/closeIframe'
 import { setIframeStyles } from '../../iframeApi/setIframeStyles'
+import { findExistingLoginRecord } from '../../utils/findExistingLoginRecord'
+import { getUpdatedLoginRecord } from '../../utils/getUpdatedLoginRecord'
 
 export const LoginDetect = () => {
   const { state: routerState } = useRouter()
@@ -29,6 +38,16 @@ export const LoginDetect = () => {
 
   const recordTitle = extractNameFromDomain(routerState?.url)
 
+  const isPasswordChange = !!routerState?.previousPassword
+
+  const siteOrigin = normalizeSiteOrigin(routerState?.url)
+
+  const closePopup = () =>
+    closeIframe({
+      iframeId: routerState?.iframeId,
+      iframeType: routerState?.iframeType
+    })
+
   const schema = Validator.object({
     title: Validator.string().required(t`Title is required`),
     username: Validator.string(),
@@ -41,11 +60,7 @@ export const LoginDetect = () => {
   })
 
   const { createRecord, isLoading: isCreateLoading } = useCreateRecord({
-    onCompleted: () =>
-      closeIframe({
-        iframeId: routerState?.iframeId,
-        iframeType: routerState?.iframeType
-      })
+    onCompleted: closePopup
   })
 
   const { refetch: refetchVault } = useVault()
@@ -55,20 +70,17 @@ export const LoginDetect = () => {
     data: recordsData,
     isLoading: isUpdateLoading
   } = useRecords({
-    onCompleted: () =>
-      closeIframe({
-        iframeId: routerState?.iframeId,
-        iframeType: routerState?.iframeType
-      })
+    onCompleted: closePopup
   })
 
   const existingRecord = useMemo(
     () =>
-      recordsData?.find(
-        (record) =>
-          record.data.title === recordTitle &&
-          record.data.username === routerState?.username
-      ),
+      findExistingLoginRecord(recordsData, {
+        url: routerState?.url,
+        title: recordTitle,
+        username: routerState?.username,
+        previousPassword: routerState?.previousPassword
+      }),
     [recordsData, recordTitle]
   )
 
@@ -93,12 +105,48 @@ export const LoginDetect = () => {
     }
 
     if (existingRecord) {
-      updateRecords([{ ...existingRecord, ...newRecord }])
+      updateRecords([
+        getUpdatedLoginRecord(existingRecord, {
+          ...values,
+          url: routerState?.url
+        })
+      ])
     } else {
       createRecord(newRecord)
     }
   }
 
+  // Stops every save prompt on this site
+  const handleNeverForSite = async () => {
+    try {
+      await updateSiteRule(siteOrigin, { neverSave: true })
+    } catch (err) {
+      logger.error('Error saving site rule:', err)
+    }
+
+    closePopup()
+  }
+
+  // Stops save prompts for this username only
+  const handleDontAskAgain = async () => {
+    try {
+      const { ignoredUsernames } = await getSiteRule(siteOrigin)
+
+      await updateSiteRule(siteOrigin, {
+        ignoredUsernames: [...ignoredUsernames, routerState.username]
+      })
+    } catch (err) {
+      logger.error('Error saving site rule:', err)
+    }
+
+    closePopup()
+  }
+
+  const getConfirmLabel = () => {
+    if (!existingRecord) return t`Save`
+    return isPasswordChange ? t`Update` : t`Edit`
+  }
+
   useEffect(() => {
     setIframeStyles({
       iframeId: routerState?.iframeId,
@@ -118,6 +166,12 @@ export const LoginDetect = () => {
       className="flex w-[460px] flex-col gap-4 overflow-auto"
       ref={popupRef}
     >
+      {isPasswordChange && existingRecord && (
+        <span className="text-white-mode1 text-sm">
+          {t`Update the saved password for ${existingRecord.data.title}?`}
+        </span>
+      )}
+
       <FormGroup>
         <InputField
           label={t`Title`}
@@ -148,16 +202,25 @@ export const LoginDetect = () => {
         />
       </FormGroup>
 
+      {siteOrigin && (
+        <div className="flex gap-2">
+          <ButtonLittle variant="secondary" onClick={handleNeverForSite}>
+            {t`Never for this site`}
+          </ButtonLittle>
+
+          {!!routerState?.username && (
+            <ButtonLittle variant="secondary" onClick={handleDontAskAgain}>
+              {t`Don't ask again`}
+            </ButtonLittle>
+          )}
+        </div>
+      )}
+
       <CardButtons
-        confirmLabel={!!existingRecord ? t`Edit` : t`Save`}
+        confirmLabel={getConfirmLabel()}
         cancelLabel={t`Not now`}
         onConfirm={handleSubmit(onSubmit)}
-        onCancel={() =>
-          closeIframe({
-            iframeId: routerState?.iframeId,
-            iframeType: routerState?.iframeType
-          })
-        }
+        onCancel={closePopup}
         isConfirmDisabled={isCreateLoading || isUpdateLoading}
         isCancelDisabled={isCreateLoading || isUpdateLoading}
       />
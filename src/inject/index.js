@@ -1,9 +1,23 @@
 import { generateUniqueId } from '@tetherto/pear-apps-utils-generate-unique-id'
 
 import { CONTENT_MESSAGE_TYPES } from '../shared/constants/nativeMessaging'
+import {
+  WEBAUTHN_CLIENT_CAPABILITIES,
+  WEBAUTHN_ERRORS
+} from '../shared/constants/passkey'
 import { arrayBufferToBase64Url } from '../shared/utils/arrayBufferToBase64Url'
 import { base64UrlToArrayBuffer } from '../shared/utils/base64UrlToArrayBuffer'
+import { getWebAuthnTimeout } from '../shared/utils/getWebAuthnTimeout'
+import { isValidRpId } from '../shared/utils/isValidRpId'
 import { logger } from '../shared/utils/logger'
+import {
+  deserializeExtensionResults,
+  parseCreationOptionsFromJSON,
+  parseRequestOptionsFromJSON,
+  publicKeyCredentialToJSON,
+  serializeCredentialDescriptors,
+  serializeExtensions
+} from '../shared/utils/webAuthnJson'
 ;(() => {
   const { credentials: nativeCreds } = navigator
   const nativeCreate = nativeCreds.create.bind(nativeCreds)
@@ -18,21 +32,128 @@ import { logger } from '../shared/utils/logger'
     }
   }
 
-  const awaitMessage = (filterFn) =>
-    new Promise((resolve) => {
+  const notAllowedError = () =>
+    new DOMException(
+      'The operation either timed out or was not allowed.',
+      WEBAUTHN_ERRORS.NOT_ALLOWED
+    )
+
+  // The content script runs the same check, as the page can bypass this shim
+  const securityError = () =>
+    new DOMException(
+      'The relying party ID is not a registrable domain suffix of, nor equal to the current domain.',
+      WEBAUTHN_ERRORS.SECURITY
+    )
+
+  // Whether PearPass answers passkey requests on this page, which only the
+  // content script can tell. It is asked here and also tells on load, as
+  // either script may run first.
+  const isPearPassEnabled = new Promise((resolve) => {
+    const handleSupport = (event) => {
+      if (event.source !== window) return
+
+      const { data } = event
+      if (
+        data?.source !== 'pearpass' ||
+        data.type !== CONTENT_MESSAGE_TYPES.PASSKEY_SUPPORT
+      ) {
+        return
+      }
+
+      window.removeEventListener('message', handleSupport)
+      resolve(data.isEnabled === true)
+    }
+
+    window.addEventListener('message', handleSupport)
+    window.postMessage(
+      { source: 'pearpass', type: CONTENT_MESSAGE_TYPES.GET_PASSKEY_SUPPORT },
+      '*'
+    )
+  })
+
+  const abortError = (signal) =>
+    signal.reason ??
+    new DOMException('The operation was aborted.', WEBAUTHN_ERRORS.ABORT)
+
+  /**
+   * Check the request before it reaches the extension, rejecting the way the
+   * browser would for an aborted signal or a relying party of another site.
+   *
+   * @param {string | undefined} rpId Relying party ID of the request
+   * @param {AbortSignal} [signal] `options.signal`
+   * @throws {DOMException}
+   */
+  const assertRequestAllowed = (rpId, signal) => {
+    if (signal?.aborted) {
+      throw abortError(signal)
+    }
+
+    if (!isValidRpId(rpId, window.location.hostname)) {
+      throw securityError()
+    }
+  }
+
+  /**
+   * Wait for the extension to answer a passkey request.
+   * Rejects with `NotAllowedError` once the timeout passes and with the abort
+   * reason when the signal aborts; either way the extension is told to close
+   * the request's window.
+   *
+   * @param {string} requestId Request identifier
+   * @param {(data: Object) => boolean} filterFn Matches the answer
+   * @param {{ signal?: AbortSignal, timeout: number | null }} options
+   * @returns {Promise<Object>} The answer message
+   */
+  const awaitMessage = (requestId, filterFn, { signal, timeout }) =>
+    new Promise((resolve, reject) => {
+      let timeoutId
+
+      const cleanup = () => {
+        window.removeEventListener('message', handler)
+        signal?.removeEventListener('abort', handleAbort)
+        clearTimeout(timeoutId)
+      }
+
+      const cancel = (error) => {
+        cleanup()
+        window.postMessage(
+          {
+            source: 'pearpass',
+            type: CONTENT_MESSAGE_TYPES.CANCEL_PASSKEY,
+            requestId
+          },
+          '*'
+        )
+        reject(error)
+      }
+
       const handler = (event) => {
         if (event.source !== window) return
 
         const { data } = event
         if (filterFn(data)) {
-          window.removeEventListener('message', handler)
+          cleanup()
           resolve(data)
         }
       }
+
+      const handleAbort = () => cancel(abortError(signal))
+
       window.addEventListener('message', handler)
+      signal?.addEventListener('abort', handleAbort)
+
+      if (timeout) {
+        timeoutId = setTimeout(() => cancel(notAllowedError()), timeout)
+      }
     })
 
   const createCred = async (options) => {
+    if (!(await isPearPassEnabled)) {
+      return await nativeCreate(options)
+    }
+
+    assertRequestAllowed(options.publicKey.rp?.id, options.signal)
+
     const requestId = generateRequestId()
     const publicKey = {
       ...options.publicKey,
@@ -40,7 +161,11 @@ import { logger } from '../shared/utils/logger'
       user: {
         ...options.publicKey.user,
         id: arrayBufferToBase64Url(options.publicKey.user.id)
-      }
+      },
+      excludeCredentials: serializeCredentialDescriptors(
+        options.publicKey.excludeCredentials
+      ),
+      extensions: serializeExtensions(options.publicKey.extensions)
     }
 
     window.postMessage(
@@ -56,29 +181,51 @@ import { logger } from '../shared/utils/logger'
     )
 
     const responsePromise = awaitMessage(
+      requestId,
       (data) =>
         (data?.type === CONTENT_MESSAGE_TYPES.SAVED_PASSKEY ||
           data?.type === CONTENT_MESSAGE_TYPES.CREATE_THIRD_PARTY_KEY) &&
-        data?.requestId === requestId
+        data?.requestId === requestId,
+      {
+        signal: options.signal,
+        timeout: getWebAuthnTimeout(options.publicKey)
+      }
     )
 
-    const { credential, type } = await responsePromise
+    const { credential, type, error } = await responsePromise
 
     if (type === CONTENT_MESSAGE_TYPES.CREATE_THIRD_PARTY_KEY) {
       return await nativeCreate(options)
+    } else if (error === WEBAUTHN_ERRORS.SECURITY) {
+      throw securityError()
+    } else if (error === WEBAUTHN_ERRORS.INVALID_STATE) {
+      throw new DOMException(
+        'The authenticator already contains one of the excluded credentials.',
+        WEBAUTHN_ERRORS.INVALID_STATE
+      )
     } else if (!credential) {
       logger.error('Could not create pass key')
-      return null
+      throw notAllowedError()
     } else {
       return createPublicKeyCredentialFromJson(credential)
     }
   }
 
   const getCred = async function get(options) {
+    if (!(await isPearPassEnabled)) {
+      return await nativeGet(options)
+    }
+
+    assertRequestAllowed(options.publicKey.rpId, options.signal)
+
     const requestId = generateRequestId()
     const publicKey = {
       ...options.publicKey,
-      challenge: arrayBufferToBase64Url(options.publicKey.challenge)
+      challenge: arrayBufferToBase64Url(options.publicKey.challenge),
+      allowCredentials: serializeCredentialDescriptors(
+        options.publicKey.allowCredentials
+      ),
+      extensions: serializeExtensions(options.publicKey.extensions)
     }
 
     window.postMessage(
@@ -95,19 +242,26 @@ import { logger } from '../shared/utils/logger'
     )
 
     const responsePromise = awaitMessage(
+      requestId,
       (data) =>
         (data?.type === CONTENT_MESSAGE_TYPES.GOT_PASSKEY ||
           data?.type === CONTENT_MESSAGE_TYPES.GET_THIRD_PARTY_KEY) &&
-        data?.requestId === requestId
+        data?.requestId === requestId,
+      {
+        signal: options.signal,
+        timeout: getWebAuthnTimeout(options.publicKey, options.mediation)
+      }
     )
 
-    const { credential = null, type } = await responsePromise
+    const { credential = null, type, error } = await responsePromise
 
     if (type === CONTENT_MESSAGE_TYPES.GET_THIRD_PARTY_KEY) {
       return await nativeGet(options)
+    } else if (error === WEBAUTHN_ERRORS.SECURITY) {
+      throw securityError()
     } else if (!credential) {
       logger.error('Could not get pass key')
-      return null
+      throw notAllowedError()
     } else {
       return createPublicKeyCredentialFromJson(credential)
     }
@@ -130,6 +284,8 @@ import { logger } from '../shared/utils/logger'
    * @param {string[]} [credentialJson.response.transports] Array of authenticator transports.
    * @param {Object} [credentialJson.clientExtensionResults]
    * @param {Object} [credentialJson.clientExtensionResults.credProps] Credential properties extension result.
+   * @param {Object} [credentialJson.clientExtensionResults.prf] PRF extension result, with Base64URL outputs.
+   * @param {Object} [credentialJson.clientExtensionResults.largeBlob] Large blob extension result, with a Base64URL blob.
    * @returns {PublicKeyCredential} A fully-formed `PublicKeyCredential` with decoded fields and native prototypes.
    */
   const createPublicKeyCredentialFromJson = (credentialJson) => {
@@ -171,17 +327,11 @@ import { logger } from '../shared/utils/logger'
           return credentialJson.response.transports
         }
       },
-      toJSON: () => ({
-        id: credentialJson.id,
-        rawId: credentialJson.rawId,
-        type: credentialJson.type,
-        response: credentialJson.response,
-        authenticatorAttachment: credentialJson.authenticatorAttachment,
-        clientExtensionResults: credentialJson.clientExtensionResults
-      }),
-      getClientExtensionResults: () => ({
-        credProps: credentialJson.clientExtensionResults?.credProps
-      })
+      toJSON() {
+        return publicKeyCredentialToJSON(this)
+      },
+      getClientExtensionResults: () =>
+        deserializeExtensionResults(credentialJson.clientExtensionResults)
     }
 
     // Manually set prototypes to make custom PublicKeyCredential indistinguishable from the native class.
@@ -213,4 +363,84 @@ import { logger } from '../shared/utils/logger'
       get: getCred
     }
   })
+
+  if (!window.PublicKeyCredential) return
+
+  const definePublicKeyCredentialMethod = (target, name, value) =>
+    Object.defineProperty(target, name, {
+      configurable: true,
+      enumerable: true,
+      writable: true,
+      value
+    })
+
+  const nativeIsUserVerifyingPlatformAuthenticatorAvailable =
+    PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable?.bind(
+      PublicKeyCredential
+    )
+  const nativeIsConditionalMediationAvailable =
+    PublicKeyCredential.isConditionalMediationAvailable?.bind(
+      PublicKeyCredential
+    )
+  const nativeGetClientCapabilities =
+    PublicKeyCredential.getClientCapabilities?.bind(PublicKeyCredential)
+
+  // Feature detection must describe PearPass where it answers `create` and `get` above,
+  // and the browser everywhere else.
+  definePublicKeyCredentialMethod(
+    PublicKeyCredential,
+    'isUserVerifyingPlatformAuthenticatorAvailable',
+    async () =>
+      (await isPearPassEnabled) ||
+      !!(await nativeIsUserVerifyingPlatformAuthenticatorAvailable?.())
+  )
+  definePublicKeyCredentialMethod(
+    PublicKeyCredential,
+    'isConditionalMediationAvailable',
+    async () =>
+      (await isPearPassEnabled) ||
+      !!(await nativeIsConditionalMediationAvailable?.())
+  )
+  definePublicKeyCredentialMethod(
+    PublicKeyCredential,
+    'getClientCapabilities',
+    async () => {
+      if (!(await isPearPassEnabled)) {
+        return (await nativeGetClientCapabilities?.()) ?? {}
+      }
+
+      const nativeCapabilities = await nativeGetClientCapabilities?.().catch(
+        () => ({})
+      )
+
+      return { ...nativeCapabilities, ...WEBAUTHN_CLIENT_CAPABILITIES }
+    }
+  )
+
+  // The JSON helpers take and return plain data, so they only need filling in where the browser lacks them.
+  if (!PublicKeyCredential.parseCreationOptionsFromJSON) {
+    definePublicKeyCredentialMethod(
+      PublicKeyCredential,
+      'parseCreationOptionsFromJSON',
+      parseCreationOptionsFromJSON
+    )
+  }
+
+  if (!PublicKeyCredential.parseRequestOptionsFromJSON) {
+    definePublicKeyCredentialMethod(
+      PublicKeyCredential,
+      'parseRequestOptionsFromJSON',
+      parseRequestOptionsFromJSON
+    )
+  }
+
+  if (!PublicKeyCredential.prototype.toJSON) {
+    definePublicKeyCredentialMethod(
+      PublicKeyCredential.prototype,
+      'toJSON',
+      function toJSON() {
+        return publicKeyCredentialToJSON(this)
+      }
+    )
+  }
 })()
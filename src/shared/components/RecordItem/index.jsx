@@ -12,6 +12,7 @@ import { RECORD_COLOR_BY_TYPE } from '../../../shared/constants/recordColorByTyp
  *    folder?: string
  *    type?: 'note' | 'creditCard' | 'custom' | 'identity' | 'login'
  *    title?: string
+ *    tag?: string
  *    isSelected?: boolean,
  *    onClick?: () => void
  * }} props
@@ -22,6 +23,7 @@ export const RecordItem = ({
   isFavorite,
   type,
   folder,
+  tag,
   isSelected = false,
   onClick
 }) => (
@@ -41,6 +43,12 @@ export const RecordItem = ({
       <span className="truncate">{title}</span>
 
       <p className="text-grey100-mode1 truncate text-[12px]">{folder}</p>
+
+      {tag && (
+        <span className="font-inter text-primary400-mode1 truncate text-[10px] font-medium">
+          {tag}
+        </span>
+      )}
     </div>
   </div>
 )
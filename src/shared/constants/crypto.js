@@ -5,7 +5,9 @@ export const CRYPTO_ALGORITHMS = Object.freeze({
   SHA_256: 'SHA-256',
   PBKDF2: 'PBKDF2',
   AES_GCM: 'AES-GCM',
-  ECDSA: 'ECDSA'
+  ECDSA: 'ECDSA',
+  HMAC: 'HMAC',
+  RSASSA_PKCS1_V1_5: 'RSASSA-PKCS1-v1_5'
 })
 
 /**
@@ -14,3 +16,12 @@ export const CRYPTO_ALGORITHMS = Object.freeze({
 export const ELLIPTIC_CURVES = Object.freeze({
   P_256: 'P-256'
 })
+
+/**
+ * COSE algorithm identifiers supported for passkeys
+ */
+export const COSE_ALGORITHMS = Object.freeze({
+  ES256: -7,
+  EDDSA: -8,
+  RS256: -257
+})
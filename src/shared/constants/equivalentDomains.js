@@ -0,0 +1,21 @@
+/**
+ * Registrable domains that sign in to the same account. A login saved on one
+ * domain of a group is also suggested on the others.
+ */
+export const EQUIVALENT_DOMAIN_GROUPS = [
+  ['google.com', 'youtube.com', 'gmail.com', 'google.co.uk', 'google.de'],
+  ['apple.com', 'icloud.com', 'me.com'],
+  ['microsoft.com', 'live.com', 'outlook.com', 'office.com', 'xbox.com'],
+  ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.ca'],
+  ['ebay.com', 'ebay.co.uk', 'ebay.de', 'ebay.fr', 'ebay.com.au'],
+  ['facebook.com', 'messenger.com'],
+  ['twitter.com', 'x.com'],
+  ['paypal.com', 'paypal.me'],
+  ['atlassian.com', 'atlassian.net', 'bitbucket.org', 'trello.com'],
+  ['playstation.com', 'sonyentertainmentnetwork.com'],
+  ['steampowered.com', 'steamcommunity.com'],
+  ['yahoo.com', 'flickr.com'],
+  ['skype.com', 'live.com'],
+  ['wellsfargo.com', 'wf.com'],
+  ['bankofamerica.com', 'bofa.com']
+]
@@ -187,8 +187,12 @@ export const CONTENT_MESSAGE_TYPES = {
   GOT_PASSKEY: 'gotPasskey',
   GET_THIRD_PARTY_KEY: 'getThirdPartyKey',
   AUTOFILL_FROM_ACTION: 'autofillFromAction',
+  AUTOFILL_PAYMENT_FRAMES: 'autofillPaymentFrames',
   CREATE_PASSKEY: 'createPasskey',
-  GET_PASSKEY: 'getPasskey'
+  GET_PASSKEY: 'getPasskey',
+  CANCEL_PASSKEY: 'cancelPasskey',
+  GET_PASSKEY_SUPPORT: 'getPasskeySupport',
+  PASSKEY_SUPPORT: 'passkeySupport'
 }
 
 /**
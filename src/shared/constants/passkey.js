@@ -3,3 +3,42 @@ export const PASSKEY_PAGES = [
   'createPasskey',
   'passkeyLoginCreate'
 ]
+
+/**
+ * `DOMException` names the WebAuthn shim rejects with, as the spec defines them
+ */
+export const WEBAUTHN_ERRORS = {
+  ABORT: 'AbortError',
+  INVALID_STATE: 'InvalidStateError',
+  NOT_ALLOWED: 'NotAllowedError',
+  SECURITY: 'SecurityError'
+}
+
+/**
+ * Limits of `publicKey.timeout` in milliseconds, and the value used when a
+ * request sets none
+ */
+export const WEBAUTHN_TIMEOUTS = {
+  DEFAULT: 300000,
+  MIN: 10000,
+  MAX: 600000
+}
+
+/**
+ * What the shim reports from `PublicKeyCredential.getClientCapabilities()`,
+ * on top of the browser's own answer
+ */
+export const WEBAUTHN_CLIENT_CAPABILITIES = {
+  conditionalCreate: false,
+  conditionalGet: true,
+  hybridTransport: false,
+  passkeyPlatformAuthenticator: true,
+  relatedOrigins: false,
+  signalAllAcceptedCredentials: false,
+  signalCurrentUserDetails: false,
+  signalUnknownCredential: false,
+  userVerifyingPlatformAuthenticator: true,
+  'extension:credProps': true,
+  'extension:largeBlob': true,
+  'extension:prf': true
+}
@@ -9,7 +9,11 @@ export const LOCAL_STORAGE_KEYS = {
 export const CHROME_STORAGE_KEYS = {
   AUTOFILL_ENABLED: 'autofill-enabled',
   ALLOW_HTTP_ENABLED: 'allow-http-enabled',
-  LOCALE: 'locale'
+  OTP_AUTOFILL_ENABLED: 'otp-autofill-enabled',
+  SITE_RULES: 'site-rules',
+  AUTO_SUBMIT_ENABLED: 'auto-submit-enabled',
+  LOCALE: 'locale',
+  EQUIVALENT_DOMAINS: 'equivalent-domains'
 }
 
 export const PASSKEY_VERIFICATION_OPTIONS = {
@@ -0,0 +1,13 @@
+/**
+ * How a website saved on a login record is compared with the page URL.
+ */
+export const WEBSITE_MATCH_MODES = {
+  BASE_DOMAIN: 'baseDomain',
+  HOST: 'host',
+  STARTS_WITH: 'startsWith',
+  EXACT: 'exact',
+  REGEX: 'regex',
+  NEVER: 'never'
+}
+
+export const DEFAULT_WEBSITE_MATCH_MODE = WEBSITE_MATCH_MODES.BASE_DOMAIN
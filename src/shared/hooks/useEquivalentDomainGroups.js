@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react'
+
+import {
+  addCustomEquivalentDomainGroup,
+  getCustomEquivalentDomainGroups,
+  removeCustomEquivalentDomainGroup,
+  subscribeToCustomEquivalentDomainGroups
+} from '../utils/equivalentDomains'
+
+/**
+ * Hook that manages the equivalent domain groups added by the user.
+ * It keeps the groups in sync with Chrome storage and exposes the writers.
+ *
+ * @returns {{
+ *  customGroups: string[][],
+ *  addGroup: (group: string[]) => Promise<void>,
+ *  removeGroup: (index: number) => Promise<void>
+ * }}
+ */
+export const useEquivalentDomainGroups = () => {
+  const [customGroups, setCustomGroups] = useState([])
+
+  useEffect(() => {
+    let alive = true
+
+    getCustomEquivalentDomainGroups().then((groups) => {
+      if (alive) setCustomGroups(groups)
+    })
+
+    const unsubscribe = subscribeToCustomEquivalentDomainGroups(setCustomGroups)
+
+    return () => {
+      alive = false
+      unsubscribe()
+    }
+  }, [])
+
+  const addGroup = useCallback(
+    (group) => addCustomEquivalentDomainGroup(group),
+    []
+  )
+
+  const removeGroup = useCallback(
+    (index) => removeCustomEquivalentDomainGroup(index),
+    []
+  )
+
+  return { customGroups, addGroup, removeGroup }
+}
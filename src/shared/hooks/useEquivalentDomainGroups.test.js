@@ -0,0 +1,85 @@
+import { renderHook, act } from '@testing-library/react'
+
+import { useEquivalentDomainGroups } from './useEquivalentDomainGroups'
+import {
+  addCustomEquivalentDomainGroup,
+  getCustomEquivalentDomainGroups,
+  removeCustomEquivalentDomainGroup,
+  subscribeToCustomEquivalentDomainGroups
+} from '../utils/equivalentDomains'
+
+jest.mock('../utils/equivalentDomains', () => ({
+  addCustomEquivalentDomainGroup: jest.fn(),
+  getCustomEquivalentDomainGroups: jest.fn(),
+  removeCustomEquivalentDomainGroup: jest.fn(),
+  subscribeToCustomEquivalentDomainGroups: jest.fn()
+}))
+
+describe('useEquivalentDomainGroups', () => {
+  let storageCallback
+  const unsubscribeMock = jest.fn()
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    getCustomEquivalentDomainGroups.mockResolvedValue([
+      ['example.com', 'example.org']
+    ])
+    subscribeToCustomEquivalentDomainGroups.mockImplementation((cb) => {
+      storageCallback = cb
+      return unsubscribeMock
+    })
+  })
+
+  it('should initialize with the groups from storage', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useEquivalentDomainGroups()).result
+    })
+
+    expect(result.current.customGroups).toEqual([
+      ['example.com', 'example.org']
+    ])
+  })
+
+  it('should follow storage changes', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useEquivalentDomainGroups()).result
+    })
+
+    act(() => {
+      storageCallback([])
+    })
+
+    expect(result.current.customGroups).toEqual([])
+  })
+
+  it('should delegate writes to storage', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useEquivalentDomainGroups()).result
+    })
+
+    await act(async () => {
+      await result.current.addGroup(['example.net', 'example.io'])
+      await result.current.removeGroup(0)
+    })
+
+    expect(addCustomEquivalentDomainGroup).toHaveBeenCalledWith([
+      'example.net',
+      'example.io'
+    ])
+    expect(removeCustomEquivalentDomainGroup).toHaveBeenCalledWith(0)
+  })
+
+  it('should unsubscribe on unmount', async () => {
+    let unmount
+    await act(async () => {
+      unmount = renderHook(() => useEquivalentDomainGroups()).unmount
+    })
+
+    unmount()
+
+    expect(unsubscribeMock).toHaveBeenCalled()
+  })
+})
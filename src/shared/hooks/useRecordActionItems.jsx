@@ -8,6 +8,7 @@ import { useModal } from '../../shared/context/ModalContext'
 import { useRouter } from '../../shared/context/RouterContext'
 import { DeleteRecordsModalContent } from '../containers/DeleteRecordsModalContent'
 import { MoveFolderModalContent } from '../containers/MoveFolderModalContent'
+import { MESSAGE_TYPES } from '../services/messageBridge'
 
 /**
  * @param {{
@@ -116,10 +117,16 @@ export const useRecordActionItems = ({
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0]?.id) return
 
-      chrome.tabs.sendMessage(tabs[0].id, {
-        type: 'autofillFromAction',
+      // The background forwards the fill to the frame that owns the focused field
+      chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.AUTOFILL_ACTIVE_TAB,
+        tabId: tabs[0].id,
+        tabUrl: tabs[0].url,
         recordType,
-        data
+        data,
+        websites: record?.data?.websites || [],
+        websiteMatchModes: record?.data?.websiteMatchModes || [],
+        websitePatterns: record?.data?.websitePatterns || []
       })
     })
   }
@@ -154,7 +161,10 @@ export const useRecordActionItems = ({
             zip: record?.data?.zip || '',
             city: record?.data?.city || '',
             region: record?.data?.region || '',
-            country: record?.data?.country || ''
+            country: record?.data?.country || '',
+            passportNumber: record?.data?.passportNumber || '',
+            idCardNumber: record?.data?.idCardNumber || '',
+            drivingLicenseNumber: record?.data?.drivingLicenseNumber || ''
           }
         })
 
@@ -0,0 +1,44 @@
+import { useCallback } from 'react'
+
+import { useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { withSignCount } from '../utils/passkeySignCount'
+
+/**
+ * Hook that stores what an assertion changed on the login record's passkey:
+ * the signature counter, so the next assertion from any synced device
+ * continues from it, and the blob written through the largeBlob extension.
+ *
+ * @returns {{
+ *  savePasskeyAssertion: (
+ *    record: Object,
+ *    assertion: { signCount?: number, largeBlob?: string }
+ *  ) => Promise<void>
+ * }}
+ */
+export const useSavePasskeyAssertion = () => {
+  const { updateRecords } = useRecords()
+
+  const savePasskeyAssertion = useCallback(
+    async (record, { signCount, largeBlob } = {}) => {
+      const hasSignCount = Number.isInteger(signCount)
+
+      if (!record?.data?.credential || (!hasSignCount && !largeBlob)) return
+
+      let credential = record.data.credential
+
+      if (hasSignCount) {
+        credential = withSignCount(credential, signCount)
+      }
+
+      if (largeBlob) {
+        credential = { ...credential, _largeBlob: largeBlob }
+      }
+
+      await updateRecords([{ ...record, data: { ...record.data, credential } }])
+    },
+    [updateRecords]
+  )
+
+  return { savePasskeyAssertion }
+}
@@ -0,0 +1,79 @@
+import { renderHook, act } from '@testing-library/react'
+import { useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { useSavePasskeyAssertion } from './useSavePasskeyAssertion'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useRecords: jest.fn()
+}))
+
+describe('useSavePasskeyAssertion', () => {
+  const updateRecords = jest.fn()
+  const record = {
+    id: 'record-1',
+    type: 'login',
+    data: {
+      title: 'Example',
+      credential: { id: 'credential-1', signCount: 3 }
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    useRecords.mockReturnValue({ updateRecords })
+  })
+
+  it('should store the counter on the record credential', async () => {
+    const { result } = renderHook(() => useSavePasskeyAssertion())
+
+    await act(async () => {
+      await result.current.savePasskeyAssertion(record, { signCount: 7 })
+    })
+
+    expect(updateRecords).toHaveBeenCalledWith([
+      {
+        ...record,
+        data: {
+          ...record.data,
+          credential: { id: 'credential-1', signCount: 7 }
+        }
+      }
+    ])
+  })
+
+  it('should store a written large blob on the record credential', async () => {
+    const { result } = renderHook(() => useSavePasskeyAssertion())
+
+    await act(async () => {
+      await result.current.savePasskeyAssertion(record, {
+        signCount: 7,
+        largeBlob: 'YmxvYg'
+      })
+    })
+
+    expect(updateRecords).toHaveBeenCalledWith([
+      {
+        ...record,
+        data: {
+          ...record.data,
+          credential: {
+            id: 'credential-1',
+            signCount: 7,
+            _largeBlob: 'YmxvYg'
+          }
+        }
+      }
+    ])
+  })
+
+  it('should skip records without a passkey or without changes', async () => {
+    const { result } = renderHook(() => useSavePasskeyAssertion())
+
+    await act(async () => {
+      await result.current.savePasskeyAssertion({ data: {} }, { signCount: 7 })
+      await result.current.savePasskeyAssertion(record, {})
+    })
+
+    expect(updateRecords).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react'
+
+import {
+  getSiteRules,
+  removeSiteRule,
+  subscribeToSiteRules,
+  updateSiteRule
+} from '../utils/siteRules'
+
+/**
+ * Hook that manages the per-site rules.
+ * It keeps the rules in sync with Chrome storage and exposes the writers.
+ *
+ * @returns {{
+ *  siteRules: Record<string, Object>,
+ *  updateSiteRule: (origin: string, changes: Object) => Promise<void>,
+ *  removeSiteRule: (origin: string) => Promise<void>
+ * }}
+ */
+export const useSiteRules = () => {
+  const [siteRules, setSiteRules] = useState({})
+
+  useEffect(() => {
+    let alive = true
+
+    getSiteRules().then((rules) => {
+      if (alive) setSiteRules(rules)
+    })
+
+    const unsubscribe = subscribeToSiteRules(setSiteRules)
+
+    return () => {
+      alive = false
+      unsubscribe()
+    }
+  }, [])
+
+  const update = useCallback(
+    (origin, changes) => updateSiteRule(origin, changes),
+    []
+  )
+
+  const remove = useCallback((origin) => removeSiteRule(origin), [])
+
+  return { siteRules, updateSiteRule: update, removeSiteRule: remove }
+}
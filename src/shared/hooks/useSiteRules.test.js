@@ -0,0 +1,88 @@
+import { renderHook, act } from '@testing-library/react'
+
+import { useSiteRules } from './useSiteRules'
+import {
+  getSiteRules,
+  removeSiteRule,
+  subscribeToSiteRules,
+  updateSiteRule
+} from '../utils/siteRules'
+
+jest.mock('../utils/siteRules', () => ({
+  getSiteRules: jest.fn(),
+  removeSiteRule: jest.fn(),
+  subscribeToSiteRules: jest.fn(),
+  updateSiteRule: jest.fn()
+}))
+
+describe('useSiteRules', () => {
+  let storageCallback
+  const unsubscribeMock = jest.fn()
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    getSiteRules.mockResolvedValue({
+      'https://example.com': { neverSave: true }
+    })
+    subscribeToSiteRules.mockImplementation((cb) => {
+      storageCallback = cb
+      return unsubscribeMock
+    })
+  })
+
+  it('should initialize with the rules from storage', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useSiteRules()).result
+    })
+
+    expect(result.current.siteRules).toEqual({
+      'https://example.com': { neverSave: true }
+    })
+  })
+
+  it('should follow storage changes', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useSiteRules()).result
+    })
+
+    act(() => {
+      storageCallback({ 'http://192.168.1.1': { allowHttp: true } })
+    })
+
+    expect(result.current.siteRules).toEqual({
+      'http://192.168.1.1': { allowHttp: true }
+    })
+  })
+
+  it('should pass updates and removals to storage', async () => {
+    let result
+    await act(async () => {
+      result = renderHook(() => useSiteRules()).result
+    })
+
+    await act(async () => {
+      await result.current.updateSiteRule('https://example.com', {
+        disableLogo: true
+      })
+      await result.current.removeSiteRule('https://other.com')
+    })
+
+    expect(updateSiteRule).toHaveBeenCalledWith('https://example.com', {
+      disableLogo: true
+    })
+    expect(removeSiteRule).toHaveBeenCalledWith('https://other.com')
+  })
+
+  it('should unsubscribe on unmount', async () => {
+    let unmount
+    await act(async () => {
+      unmount = renderHook(() => useSiteRules()).unmount
+    })
+
+    unmount()
+
+    expect(unsubscribeMock).toHaveBeenCalled()
+  })
+})
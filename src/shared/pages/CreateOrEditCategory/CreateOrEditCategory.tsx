@@ -6,6 +6,7 @@ import { CONTENT_MESSAGE_TYPES } from '../../constants/nativeMessaging'
 import { useRouter } from '../../context/RouterContext'
 import { useIsPasskeyPopup } from '../../hooks/useIsPasskeyPopup'
 import { sanitizeCredentialForPage } from '../../utils/sanitizeCredentialForPage'
+import { sendPasskeyResponse } from '../../utils/sendPasskeyResponse'
 
 type RouterParams = {
   recordId?: string
@@ -78,15 +79,16 @@ export const CreateOrEditCategory = () => {
 
   const handleSaved = (savedRecordId?: string) => {
     if (isPasskeyPopup && state?.tabId) {
-      chrome.tabs.sendMessage(parseInt(state.tabId), {
+      sendPasskeyResponse(state.tabId, {
         type: CONTENT_MESSAGE_TYPES.SAVED_PASSKEY,
         requestId: state.requestId,
         recordId: savedRecordId ?? null,
         credential: passkeyCredential
           ? sanitizeCredentialForPage(passkeyCredential)
           : null
+      }).finally(() => {
+        window.close()
       })
-      window.close()
       return
     }
     if (savedRecordId) {
@@ -22,11 +22,20 @@ export const MESSAGE_TYPES = Object.freeze({
   GET_PENDING_LOGIN: 'getPendingLogin',
   CREATE_PASSKEY: 'createPasskey',
   GET_PASSKEY: 'getPasskey',
+  CANCEL_PASSKEY: 'cancelPasskey',
+  PASSKEY_RESPONSE: 'passkeyResponse',
   SELECTED_PASSKEY: 'selectedPasskey',
   READY_FOR_PASSKEY_PAYLOAD: 'readyForPasskeyPayload',
   GET_ASSERTION_CREDENTIAL: 'getAssertionCredential',
   GET_CONDITIONAL_PASSKEY_REQUEST: 'getConditionalPasskeyRequest',
   AUTHENTICATE_WITH_PASSKEY: 'authenticateWithPasskey',
+  FIELD_FOCUSED: 'fieldFocused',
+  AUTOFILL_ACTIVE_TAB: 'autofillActiveTab',
+  SET_PENDING_OTP: 'setPendingOtp',
+  GET_PENDING_OTP: 'getPendingOtp',
+  FILL_PAYMENT_FRAMES: 'fillPaymentFrames',
+  SET_PENDING_CHECKOUT: 'setPendingCheckout',
+  GET_PENDING_CHECKOUT: 'getPendingCheckout',
   GET_PLATFORM_INFO: 'GET_PLATFORM_INFO',
   GET_AUTO_LOCK_SETTINGS: 'GET_AUTO_LOCK_SETTINGS',
   SET_AUTO_LOCK_ENABLED: 'SET_AUTO_LOCK_ENABLED',
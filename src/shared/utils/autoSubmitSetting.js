@@ -0,0 +1,25 @@
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+/**
+ * Gets whether login forms are submitted right after PearPass fills them
+ * @returns {Promise<boolean>} Promise that resolves to true if enabled, false otherwise. Defaults to false if storage is unavailable.
+ */
+export const getAutoSubmitEnabled = async () => {
+  if (!chrome?.storage?.local?.get) return false
+  const res = await chrome.storage.local.get(
+    CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED
+  )
+  return res?.[CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED] === true
+}
+
+/**
+ * Sets whether login forms are submitted right after PearPass fills them
+ * @param {boolean} isEnabled - Whether login forms should be submitted after a fill
+ * @returns {Promise<void>} Promise that resolves when the value is set
+ */
+export const setAutoSubmitEnabled = async (isEnabled) => {
+  if (!chrome?.storage?.local?.set) return
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED]: isEnabled
+  })
+}
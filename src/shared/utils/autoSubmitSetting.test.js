@@ -0,0 +1,65 @@
+import { getAutoSubmitEnabled, setAutoSubmitEnabled } from './autoSubmitSetting'
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+describe('autoSubmitSetting', () => {
+  let mockChromeStorage
+
+  beforeEach(() => {
+    mockChromeStorage = {
+      local: {
+        get: jest.fn(),
+        set: jest.fn()
+      }
+    }
+
+    global.chrome = {
+      storage: mockChromeStorage
+    }
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    delete global.chrome
+  })
+
+  describe('getAutoSubmitEnabled', () => {
+    it('should return false when chrome storage is not available', async () => {
+      global.chrome = undefined
+
+      expect(await getAutoSubmitEnabled()).toBe(false)
+    })
+
+    it('should return false when the setting is not set', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({})
+
+      expect(await getAutoSubmitEnabled()).toBe(false)
+      expect(mockChromeStorage.local.get).toHaveBeenCalledWith(
+        CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED
+      )
+    })
+
+    it('should return true when the setting is explicitly true', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED]: true
+      })
+
+      expect(await getAutoSubmitEnabled()).toBe(true)
+    })
+  })
+
+  describe('setAutoSubmitEnabled', () => {
+    it('should store the setting', async () => {
+      await setAutoSubmitEnabled(true)
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.AUTO_SUBMIT_ENABLED]: true
+      })
+    })
+
+    it('should do nothing when chrome storage is not available', async () => {
+      global.chrome = undefined
+
+      await expect(setAutoSubmitEnabled(true)).resolves.toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,151 @@
+import { getBaseDomain } from './getBaseDomain'
+import { normalizeUrl } from './normalizeUrl'
+import {
+  DEFAULT_WEBSITE_MATCH_MODE,
+  WEBSITE_MATCH_MODES
+} from '../constants/websiteMatch'
+
+/**
+ * @param {string} value
+ * @returns {string | null} The host with a non-standard port, e.g. "example.com:8080"
+ */
+const getHost = (value) => {
+  const normalized = normalizeUrl(value)
+
+  if (!normalized) {
+    return null
+  }
+
+  return new URL(normalized).host
+}
+
+/**
+ * Compares a page URL with a website saved on a login record.
+ *
+ * - `baseDomain`: same registrable domain, so any subdomain matches
+ * - `host`: same hostname and port
+ * - `startsWith`: the page address begins with the website
+ * - `exact`: same address, ignoring the query string and fragment
+ * - `regex`: the website is a case-insensitive regular expression tested
+ *   against the full page URL
+ * - `never`: the website is kept for reference only
+ *
+ * @param {string} url - Page URL
+ * @param {string} website - Website as saved on the record
+ * @param {string} [mode] - One of WEBSITE_MATCH_MODES
+ * @returns {boolean}
+ */
+export const doesWebsiteMatchUrl = (
+  url,
+  website,
+  mode = DEFAULT_WEBSITE_MATCH_MODE
+) => {
+  if (!url || !website) {
+    return false
+  }
+
+  switch (mode) {
+    case WEBSITE_MATCH_MODES.NEVER:
+      return false
+
+    case WEBSITE_MATCH_MODES.REGEX:
+      try {
+        return new RegExp(website, 'i').test(url)
+      } catch {
+        return false
+      }
+
+    case WEBSITE_MATCH_MODES.EXACT: {
+      const normalizedUrl = normalizeUrl(url)
+      return !!normalizedUrl && normalizedUrl === normalizeUrl(website)
+    }
+
+    case WEBSITE_MATCH_MODES.STARTS_WITH: {
+      const normalizedUrl = normalizeUrl(url)
+      const normalizedWebsite = normalizeUrl(website)
+      return (
+        !!normalizedUrl &&
+        !!normalizedWebsite &&
+        normalizedUrl.startsWith(normalizedWebsite)
+      )
+    }
+
+    case WEBSITE_MATCH_MODES.HOST: {
+      const host = getHost(url)
+      return !!host && host === getHost(website)
+    }
+
+    default: {
+      const baseDomain = getBaseDomain(url)
+      return !!baseDomain && baseDomain === getBaseDomain(website)
+    }
+  }
+}
+
+/**
+ * Match modes are kept in `data.websiteMatchModes`, a list aligned with
+ * `data.websites` whose entries repeat the website they belong to. A website
+ * listed twice can then have two modes, and an entry left behind after the
+ * websites were edited elsewhere falls back to the default.
+ *
+ * @param {Object} [record] - Login record
+ * @param {number} index - Position of the website in `data.websites`
+ * @returns {string} The match mode set for the website, or the default one
+ */
+export const getWebsiteMatchMode = (record, index) => {
+  const entry = record?.data?.websiteMatchModes?.[index]
+
+  return entry?.mode && entry.website === record.data.websites?.[index]
+    ? entry.mode
+    : DEFAULT_WEBSITE_MATCH_MODE
+}
+
+/**
+ * Checks whether any website of a login record matches the page URL, each with
+ * its own match mode. The regular expressions of `data.websitePatterns` are
+ * tested as well.
+ *
+ * @param {Object} record - Login record
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export const doesRecordMatchUrl = (record, url) =>
+  !!record?.data?.websites?.some((website, index) =>
+    doesWebsiteMatchUrl(url, website, getWebsiteMatchMode(record, index))
+  ) ||
+  !!record?.data?.websitePatterns?.some((pattern) =>
+    doesWebsiteMatchUrl(url, pattern, WEBSITE_MATCH_MODES.REGEX)
+  )
+
+/**
+ * Finds the website of a login record that matches one of the domains
+ * equivalent to the page. Only websites compared by base domain take part;
+ * the other modes are meant to stay exact.
+ *
+ * @param {Object} record - Login record
+ * @param {string[]} equivalentDomains - Registrable domains, see getEquivalentDomains
+ * @returns {string | null} The matching domain, or null
+ */
+export const getRecordEquivalentDomain = (record, equivalentDomains) => {
+  if (!equivalentDomains?.length) {
+    return null
+  }
+
+  const websites = record?.data?.websites || []
+
+  for (const [index, website] of websites.entries()) {
+    if (
+      getWebsiteMatchMode(record, index) !== WEBSITE_MATCH_MODES.BASE_DOMAIN
+    ) {
+      continue
+    }
+
+    const baseDomain = getBaseDomain(website)
+
+    if (baseDomain && equivalentDomains.includes(baseDomain)) {
+      return baseDomain
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,202 @@
+import {
+  doesRecordMatchUrl,
+  doesWebsiteMatchUrl,
+  getRecordEquivalentDomain,
+  getWebsiteMatchMode
+} from './doesWebsiteMatchUrl'
+import { WEBSITE_MATCH_MODES } from '../constants/websiteMatch'
+
+describe('doesWebsiteMatchUrl', () => {
+  const url = 'https://login.example.com/account/signin?next=%2F'
+
+  test('should match any subdomain of the base domain by default', () => {
+    expect(doesWebsiteMatchUrl(url, 'https://example.com')).toBe(true)
+    expect(doesWebsiteMatchUrl(url, 'https://www.example.com')).toBe(true)
+    expect(doesWebsiteMatchUrl(url, 'https://example.org')).toBe(false)
+    expect(doesWebsiteMatchUrl(url, 'https://notexample.com')).toBe(false)
+  })
+
+  test('should compare registrable domains from the public suffix list', () => {
+    expect(
+      doesWebsiteMatchUrl('https://login.example.co.uk', 'example.co.uk')
+    ).toBe(true)
+    expect(
+      doesWebsiteMatchUrl('https://other.co.uk', 'https://example.co.uk')
+    ).toBe(false)
+    expect(
+      doesWebsiteMatchUrl('https://user1.github.io', 'https://user2.github.io')
+    ).toBe(false)
+  })
+
+  test('should match the exact host and port', () => {
+    const { HOST } = WEBSITE_MATCH_MODES
+
+    expect(doesWebsiteMatchUrl(url, 'login.example.com', HOST)).toBe(true)
+    expect(doesWebsiteMatchUrl(url, 'https://example.com', HOST)).toBe(false)
+    expect(
+      doesWebsiteMatchUrl(
+        'http://localhost:3000',
+        'http://localhost:8080',
+        HOST
+      )
+    ).toBe(false)
+  })
+
+  test('should match addresses starting with the website', () => {
+    const { STARTS_WITH } = WEBSITE_MATCH_MODES
+
+    expect(
+      doesWebsiteMatchUrl(url, 'https://login.example.com/account', STARTS_WITH)
+    ).toBe(true)
+    expect(
+      doesWebsiteMatchUrl(url, 'https://login.example.com/admin', STARTS_WITH)
+    ).toBe(false)
+  })
+
+  test('should match the exact address ignoring the query string', () => {
+    const { EXACT } = WEBSITE_MATCH_MODES
+
+    expect(
+      doesWebsiteMatchUrl(
+        url,
+        'https://login.example.com/account/signin',
+        EXACT
+      )
+    ).toBe(true)
+    expect(
+      doesWebsiteMatchUrl(url, 'https://login.example.com/account', EXACT)
+    ).toBe(false)
+  })
+
+  test('should test the full URL against a regular expression', () => {
+    const { REGEX } = WEBSITE_MATCH_MODES
+
+    expect(
+      doesWebsiteMatchUrl(url, '^https://[a-z]+\\.example\\.com/', REGEX)
+    ).toBe(true)
+    expect(doesWebsiteMatchUrl(url, 'next=%2Fadmin', REGEX)).toBe(false)
+    expect(doesWebsiteMatchUrl(url, '([', REGEX)).toBe(false)
+  })
+
+  test('should never match when matching is turned off', () => {
+    expect(
+      doesWebsiteMatchUrl(url, 'https://example.com', WEBSITE_MATCH_MODES.NEVER)
+    ).toBe(false)
+  })
+
+  test('should not match without a URL or website', () => {
+    expect(doesWebsiteMatchUrl('', 'https://example.com')).toBe(false)
+    expect(doesWebsiteMatchUrl(url, '')).toBe(false)
+  })
+})
+
+describe('doesRecordMatchUrl', () => {
+  const record = {
+    data: {
+      websites: ['https://example.com', 'https://accounts.example.org'],
+      websiteMatchModes: [
+        { website: 'https://example.com', mode: WEBSITE_MATCH_MODES.NEVER }
+      ]
+    }
+  }
+
+  test('should use the match mode of each website', () => {
+    expect(doesRecordMatchUrl(record, 'https://example.com/login')).toBe(false)
+    expect(doesRecordMatchUrl(record, 'https://www.example.org/login')).toBe(
+      true
+    )
+  })
+
+  test('should keep the modes of a website listed twice apart', () => {
+    const twiceListed = {
+      data: {
+        websites: ['https://example.com', 'https://example.com'],
+        websiteMatchModes: [
+          { website: 'https://example.com', mode: WEBSITE_MATCH_MODES.NEVER },
+          { website: 'https://example.com', mode: WEBSITE_MATCH_MODES.HOST }
+        ]
+      }
+    }
+
+    expect(doesRecordMatchUrl(twiceListed, 'https://example.com/login')).toBe(
+      true
+    )
+    expect(doesRecordMatchUrl(twiceListed, 'https://login.example.com')).toBe(
+      false
+    )
+  })
+
+  test('should test the website patterns', () => {
+    const withPattern = {
+      data: {
+        websites: [],
+        websitePatterns: ['^https://[a-z]+\\.example\\.net/']
+      }
+    }
+
+    expect(doesRecordMatchUrl(withPattern, 'https://shop.example.net/')).toBe(
+      true
+    )
+    expect(doesRecordMatchUrl(withPattern, 'https://example.net/')).toBe(false)
+  })
+
+  test('should not match records without websites', () => {
+    expect(doesRecordMatchUrl({ data: {} }, 'https://example.com')).toBe(false)
+  })
+})
+
+describe('getWebsiteMatchMode', () => {
+  test('should default websites without a mode to the base domain', () => {
+    const record = {
+      data: {
+        websites: ['https://example.com', 'https://accounts.example.org'],
+        websiteMatchModes: [
+          { website: 'https://example.com', mode: WEBSITE_MATCH_MODES.NEVER }
+        ]
+      }
+    }
+
+    expect(getWebsiteMatchMode(record, 0)).toBe(WEBSITE_MATCH_MODES.NEVER)
+    expect(getWebsiteMatchMode(record, 1)).toBe(WEBSITE_MATCH_MODES.BASE_DOMAIN)
+  })
+
+  test('should ignore a mode saved for another website', () => {
+    const record = {
+      data: {
+        websites: ['https://accounts.example.org'],
+        websiteMatchModes: [
+          { website: 'https://example.com', mode: WEBSITE_MATCH_MODES.NEVER }
+        ]
+      }
+    }
+
+    expect(getWebsiteMatchMode(record, 0)).toBe(WEBSITE_MATCH_MODES.BASE_DOMAIN)
+  })
+})
+
+describe('getRecordEquivalentDomain', () => {
+  test('should return the domain of the first equivalent website', () => {
+    const record = {
+      data: { websites: ['https://other.com', 'https://www.youtube.com'] }
+    }
+
+    expect(getRecordEquivalentDomain(record, ['youtube.com'])).toBe(
+      'youtube.com'
+    )
+    expect(getRecordEquivalentDomain(record, ['gmail.com'])).toBeNull()
+    expect(getRecordEquivalentDomain(record, [])).toBeNull()
+  })
+
+  test('should skip websites with a stricter match mode', () => {
+    const record = {
+      data: {
+        websites: ['https://www.youtube.com'],
+        websiteMatchModes: [
+          { website: 'https://www.youtube.com', mode: WEBSITE_MATCH_MODES.HOST }
+        ]
+      }
+    }
+
+    expect(getRecordEquivalentDomain(record, ['youtube.com'])).toBeNull()
+  })
+})
@@ -0,0 +1,106 @@
+import { getBaseDomain } from './getBaseDomain'
+import { EQUIVALENT_DOMAIN_GROUPS } from '../constants/equivalentDomains'
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+/**
+ * Reduces a comma or whitespace separated list of websites to a group of
+ * distinct registrable domains.
+ * @param {string} value - e.g. `example.com, https://login.example.co.uk`
+ * @returns {string[]|null} The domains, or null when fewer than two remain
+ */
+export const parseEquivalentDomainGroup = (value) => {
+  const domains = (value || '')
+    .split(/[\s,]+/)
+    .map((item) => getBaseDomain(item))
+    .filter((domain) => !!domain && domain.includes('.'))
+
+  const group = Array.from(new Set(domains))
+
+  return group.length > 1 ? group : null
+}
+
+/**
+ * Returns the registrable domains that share a group with the domain of a URL,
+ * from the bundled groups and the user's own.
+ * @param {string} url - Page URL
+ * @param {string[][]} [customGroups] - Groups added in settings
+ * @returns {string[]} Equivalent domains, without the URL's own domain
+ */
+export const getEquivalentDomains = (url, customGroups = []) => {
+  const baseDomain = getBaseDomain(url)
+
+  if (!baseDomain) {
+    return []
+  }
+
+  const domains = new Set(
+    [...EQUIVALENT_DOMAIN_GROUPS, ...customGroups]
+      .filter((group) => group.includes(baseDomain))
+      .flat()
+  )
+
+  domains.delete(baseDomain)
+
+  return Array.from(domains)
+}
+
+/**
+ * Gets the equivalent domain groups added by the user
+ * @returns {Promise<string[][]>} Promise that resolves to the groups. Defaults to an empty array if storage is unavailable.
+ */
+export const getCustomEquivalentDomainGroups = async () => {
+  if (!chrome?.storage?.local?.get) return []
+  const res = await chrome.storage.local.get(
+    CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS
+  )
+  return res?.[CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS] ?? []
+}
+
+/**
+ * Stores a new equivalent domain group
+ * @param {string[]} group - Registrable domains
+ * @returns {Promise<void>} Promise that resolves when the group is stored
+ */
+export const addCustomEquivalentDomainGroup = async (group) => {
+  if (!chrome?.storage?.local?.set || !group?.length) return
+  const groups = await getCustomEquivalentDomainGroups()
+
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [...groups, group]
+  })
+}
+
+/**
+ * Removes an equivalent domain group
+ * @param {number} index - Position of the group in the stored list
+ * @returns {Promise<void>} Promise that resolves when the group is removed
+ */
+export const removeCustomEquivalentDomainGroup = async (index) => {
+  if (!chrome?.storage?.local?.set) return
+  const groups = await getCustomEquivalentDomainGroups()
+
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: groups.filter(
+      (_group, groupIndex) => groupIndex !== index
+    )
+  })
+}
+
+/**
+ * Subscribes to changes in the stored equivalent domain groups
+ * @param {function(string[][]): void} cb - Callback that receives all groups added by the user
+ * @returns {function(): void} Unsubscribe function to remove the listener
+ */
+export const subscribeToCustomEquivalentDomainGroups = (cb) => {
+  if (!chrome?.storage?.onChanged?.addListener) return () => {}
+  const handler = (changes, area) => {
+    if (area !== 'local') return
+    if (CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS in changes) {
+      cb(changes[CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]?.newValue ?? [])
+    }
+  }
+  chrome.storage.onChanged.addListener(handler)
+  return () => {
+    chrome.storage.onChanged.removeListener(handler)
+  }
+}
@@ -0,0 +1,154 @@
+import {
+  addCustomEquivalentDomainGroup,
+  getCustomEquivalentDomainGroups,
+  getEquivalentDomains,
+  parseEquivalentDomainGroup,
+  removeCustomEquivalentDomainGroup,
+  subscribeToCustomEquivalentDomainGroups
+} from './equivalentDomains'
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+describe('equivalentDomains', () => {
+  let mockChromeStorage
+
+  beforeEach(() => {
+    mockChromeStorage = {
+      local: {
+        get: jest.fn().mockResolvedValue({}),
+        set: jest.fn()
+      },
+      onChanged: {
+        addListener: jest.fn(),
+        removeListener: jest.fn()
+      }
+    }
+
+    global.chrome = {
+      storage: mockChromeStorage
+    }
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    delete global.chrome
+  })
+
+  describe('parseEquivalentDomainGroup', () => {
+    it('should reduce websites to distinct registrable domains', () => {
+      expect(
+        parseEquivalentDomainGroup(
+          'https://login.example.co.uk/path, example.com\nwww.example.com'
+        )
+      ).toEqual(['example.co.uk', 'example.com'])
+    })
+
+    it('should return null when fewer than two domains remain', () => {
+      expect(parseEquivalentDomainGroup('example.com')).toBeNull()
+      expect(parseEquivalentDomainGroup('localhost, example.com')).toBeNull()
+      expect(parseEquivalentDomainGroup('')).toBeNull()
+      expect(parseEquivalentDomainGroup(undefined)).toBeNull()
+    })
+  })
+
+  describe('getEquivalentDomains', () => {
+    it('should return the other domains of the bundled groups', () => {
+      const domains = getEquivalentDomains('https://accounts.google.com')
+
+      expect(domains).toContain('youtube.com')
+      expect(domains).not.toContain('google.com')
+    })
+
+    it('should include the groups added by the user', () => {
+      expect(
+        getEquivalentDomains('https://shop.example.de', [
+          ['example.com', 'example.de'],
+          ['other.com', 'other.de']
+        ])
+      ).toEqual(['example.com'])
+    })
+
+    it('should return an empty list for unknown or invalid URLs', () => {
+      expect(getEquivalentDomains('https://example.com')).toEqual([])
+      expect(getEquivalentDomains(undefined)).toEqual([])
+    })
+  })
+
+  describe('getCustomEquivalentDomainGroups', () => {
+    it('should return the stored groups', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [['a.com', 'b.com']]
+      })
+
+      await expect(getCustomEquivalentDomainGroups()).resolves.toEqual([
+        ['a.com', 'b.com']
+      ])
+    })
+
+    it('should default to an empty list', async () => {
+      await expect(getCustomEquivalentDomainGroups()).resolves.toEqual([])
+    })
+  })
+
+  describe('addCustomEquivalentDomainGroup', () => {
+    it('should append the group', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [['a.com', 'b.com']]
+      })
+
+      await addCustomEquivalentDomainGroup(['c.com', 'd.com'])
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [
+          ['a.com', 'b.com'],
+          ['c.com', 'd.com']
+        ]
+      })
+    })
+
+    it('should ignore empty groups', async () => {
+      await addCustomEquivalentDomainGroup([])
+
+      expect(mockChromeStorage.local.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('removeCustomEquivalentDomainGroup', () => {
+    it('should drop the group at the index', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [
+          ['a.com', 'b.com'],
+          ['c.com', 'd.com']
+        ]
+      })
+
+      await removeCustomEquivalentDomainGroup(0)
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: [['c.com', 'd.com']]
+      })
+    })
+  })
+
+  describe('subscribeToCustomEquivalentDomainGroups', () => {
+    it('should call back with the new groups on local changes', () => {
+      const cb = jest.fn()
+      const unsubscribe = subscribeToCustomEquivalentDomainGroups(cb)
+      const handler = mockChromeStorage.onChanged.addListener.mock.calls[0][0]
+
+      handler({ other: { newValue: true } }, 'local')
+      handler(
+        { [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: { newValue: [] } },
+        'sync'
+      )
+      handler({ [CHROME_STORAGE_KEYS.EQUIVALENT_DOMAINS]: {} }, 'local')
+
+      expect(cb).toHaveBeenCalledTimes(1)
+      expect(cb).toHaveBeenCalledWith([])
+
+      unsubscribe()
+      expect(mockChromeStorage.onChanged.removeListener).toHaveBeenCalledWith(
+        handler
+      )
+    })
+  })
+})
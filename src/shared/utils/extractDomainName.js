@@ -1,22 +1,14 @@
+import { getBaseDomain } from './getBaseDomain'
+
 /**
  * @param {string | undefined} url - The website URL.
- * @returns {string|null} The main domain name, or null if invalid.
+ * @returns {string|null} The first label of the registrable domain, e.g.
+ * "google" for "https://mail.google.co.uk", or null if invalid.
  */
 export function extractDomainName(url) {
-  if (!url) return null
-
-  // Remove protocol (http, https, etc.) and any path/query/fragment
-  let domainMatch = url
-    .toLowerCase()
-    .replace(/^https?:\/\//, '')
-    .replace(/^www\./, '')
-    .split(/[/?#]/)[0]
+  const baseDomain = getBaseDomain(url)
 
-  // Remove port number if present
-  domainMatch = domainMatch.split(':')[0]
+  if (!baseDomain || !baseDomain.includes('.')) return null
 
-  const parts = domainMatch.split('.')
-  if (parts.length < 2) return null
-  // For domains like google.co.uk, take the second-to-last part
-  return parts.length > 2 ? parts[parts.length - 2] : parts[0]
+  return baseDomain.split('.')[0]
 }
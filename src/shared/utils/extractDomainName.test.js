@@ -18,7 +18,15 @@ describe('extractDomainName', () => {
   })
 
   it('extracts domain from URL without www', () => {
-    expect(extractDomainName('https://subdomain.github.io')).toBe('github')
+    expect(extractDomainName('https://subdomain.example.io')).toBe('example')
+  })
+
+  it('extracts domain below multi-label public suffixes', () => {
+    expect(extractDomainName('https://login.example.co.uk')).toBe('example')
+  })
+
+  it('treats sites below private suffixes as separate domains', () => {
+    expect(extractDomainName('https://user1.github.io')).toBe('user1')
   })
 
   it('extracts domain from URL with path and query', () => {
@@ -0,0 +1,35 @@
+import { getRequestRpId } from './isPasskeyRecordAllowed'
+import { isPasskeyRecordForRpId } from './isPasskeyRecordForRpId'
+
+/**
+ * Finds the login record holding one of the credentials a registration
+ * request excludes, i.e. a passkey the account already has in the vault.
+ *
+ * @param {Object[]} records - Login records
+ * @param {Object} publicKey - Creation options with Base64URL credential IDs
+ * @param {string} [requestOrigin] - Origin of the page, used when the request has no rp.id
+ * @returns {Object | null} The record, or null
+ */
+export const findExcludedPasskeyRecord = (
+  records,
+  publicKey,
+  requestOrigin
+) => {
+  const excludedIds = (publicKey?.excludeCredentials || [])
+    .map((descriptor) => descriptor?.id)
+    .filter(Boolean)
+
+  if (!excludedIds.length) {
+    return null
+  }
+
+  const rpId = getRequestRpId(publicKey, requestOrigin)
+
+  return (
+    (records || []).find(
+      (record) =>
+        excludedIds.includes(record?.data?.credential?.id) &&
+        isPasskeyRecordForRpId(record, rpId)
+    ) ?? null
+  )
+}
@@ -0,0 +1,54 @@
+import { findExcludedPasskeyRecord } from './findExcludedPasskeyRecord'
+
+describe('findExcludedPasskeyRecord', () => {
+  const records = [
+    {
+      id: 'no-passkey',
+      data: { websites: ['https://example.com'] }
+    },
+    {
+      id: 'other-site',
+      data: { credential: { id: 'cred-1', rpId: 'other.com' } }
+    },
+    {
+      id: 'match',
+      data: { credential: { id: 'cred-1', rpId: 'example.com' } }
+    }
+  ]
+
+  test('should find the record holding an excluded credential for the relying party', () => {
+    const publicKey = {
+      rp: { id: 'example.com' },
+      excludeCredentials: [
+        { type: 'public-key', id: 'cred-0' },
+        { type: 'public-key', id: 'cred-1' }
+      ]
+    }
+
+    expect(findExcludedPasskeyRecord(records, publicKey)?.id).toBe('match')
+  })
+
+  test('should default the relying party ID to the host of the page', () => {
+    const publicKey = {
+      rp: {},
+      excludeCredentials: [{ type: 'public-key', id: 'cred-1' }]
+    }
+
+    expect(
+      findExcludedPasskeyRecord(records, publicKey, 'https://other.com')?.id
+    ).toBe('other-site')
+  })
+
+  test('should return null when nothing is excluded or matches', () => {
+    expect(
+      findExcludedPasskeyRecord(records, { rp: { id: 'example.com' } })
+    ).toBeNull()
+    expect(
+      findExcludedPasskeyRecord(records, {
+        rp: { id: 'example.com' },
+        excludeCredentials: [{ type: 'public-key', id: 'cred-2' }]
+      })
+    ).toBeNull()
+    expect(findExcludedPasskeyRecord(undefined, undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,45 @@
+import { getDomain, getPublicSuffix as getListedPublicSuffix } from 'tldts'
+
+import { getHostname } from './getHostname'
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/
+
+// Rules from the private section, such as github.io or herokuapp.com, make
+// every subdomain below them a separate site
+const PUBLIC_SUFFIX_OPTIONS = { allowPrivateDomains: true }
+
+/**
+ * Returns the public suffix of a hostname following the Public Suffix List
+ * (https://publicsuffix.org/list/), ICANN and private sections alike, with its
+ * wildcard and exception rules. The last label is the suffix when no rule
+ * matches.
+ *
+ * @param {string} hostname - Lowercased hostname
+ * @returns {string}
+ */
+export const getPublicSuffix = (hostname) =>
+  getListedPublicSuffix(hostname, PUBLIC_SUFFIX_OPTIONS) ??
+  hostname.split('.').pop()
+
+/**
+ * Returns the registrable domain (eTLD+1) of a URL's hostname, e.g.
+ * "example.co.uk" for "https://login.example.co.uk" or "user.github.io" for
+ * "https://user.github.io/project". IP addresses, single-label hosts and
+ * hosts that are a public suffix themselves are returned as they are.
+ *
+ * @param {string | undefined | null} value - URL or hostname
+ * @returns {string | null}
+ */
+export const getBaseDomain = (value) => {
+  const hostname = getHostname(value)
+
+  if (!hostname) {
+    return null
+  }
+
+  if (IPV4_PATTERN.test(hostname) || hostname.startsWith('[')) {
+    return hostname
+  }
+
+  return getDomain(hostname, PUBLIC_SUFFIX_OPTIONS) ?? hostname
+}
@@ -0,0 +1,68 @@
+import { getBaseDomain } from './getBaseDomain'
+
+describe('getBaseDomain', () => {
+  test('should drop subdomains', () => {
+    expect(getBaseDomain('https://login.example.com/path')).toBe('example.com')
+    expect(getBaseDomain('www.example.com')).toBe('example.com')
+    expect(getBaseDomain('example.com')).toBe('example.com')
+  })
+
+  test('should keep the second level of short country suffixes', () => {
+    expect(getBaseDomain('https://shop.example.co.uk')).toBe('example.co.uk')
+    expect(getBaseDomain('https://www.example.com.au')).toBe('example.com.au')
+  })
+
+  test('should resolve the registrable domain from the public suffix list', () => {
+    expect(getBaseDomain('https://a.b.example.ac.jp')).toBe('example.ac.jp')
+    expect(getBaseDomain('https://www.example.com.br')).toBe('example.com.br')
+    expect(getBaseDomain('https://login.example.io')).toBe('example.io')
+  })
+
+  test('should treat sites below private suffixes as separate domains', () => {
+    expect(getBaseDomain('https://user1.github.io/project')).toBe(
+      'user1.github.io'
+    )
+    expect(getBaseDomain('https://api.my-app.herokuapp.com')).toBe(
+      'my-app.herokuapp.com'
+    )
+  })
+
+  test('should keep tenants of hosting providers apart', () => {
+    expect(getBaseDomain('https://u1.pythonanywhere.com')).toBe(
+      'u1.pythonanywhere.com'
+    )
+    expect(getBaseDomain('https://foo.bar.pp.ua')).toBe('bar.pp.ua')
+  })
+
+  test('should apply wildcard rules', () => {
+    expect(getBaseDomain('https://shop.example.com.bd')).toBe('example.com.bd')
+    expect(getBaseDomain('https://x.y.compute.amazonaws.com')).toBe(
+      'x.y.compute.amazonaws.com'
+    )
+    expect(getBaseDomain('https://a.b.kobe.jp')).toBe('a.b.kobe.jp')
+  })
+
+  test('should apply exception rules', () => {
+    expect(getBaseDomain('https://www.ck')).toBe('www.ck')
+    expect(getBaseDomain('https://login.city.kobe.jp')).toBe('city.kobe.jp')
+  })
+
+  test('should resolve domains below city suffixes', () => {
+    expect(getBaseDomain('https://x.y.tokyo.jp')).toBe('y.tokyo.jp')
+  })
+
+  test('should return public suffixes as they are', () => {
+    expect(getBaseDomain('https://co.uk')).toBe('co.uk')
+    expect(getBaseDomain('https://github.io')).toBe('github.io')
+  })
+
+  test('should return IP addresses and single-label hosts as they are', () => {
+    expect(getBaseDomain('http://192.168.1.10:8080')).toBe('192.168.1.10')
+    expect(getBaseDomain('http://localhost:3000')).toBe('localhost')
+  })
+
+  test('should return null for invalid values', () => {
+    expect(getBaseDomain('')).toBeNull()
+    expect(getBaseDomain(undefined)).toBeNull()
+  })
+})
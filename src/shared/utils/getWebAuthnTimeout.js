@@ -0,0 +1,27 @@
+import { WEBAUTHN_TIMEOUTS } from '../constants/passkey'
+
+/**
+ * Returns how long a WebAuthn request may wait for the user, keeping the
+ * site's `publicKey.timeout` within sensible limits. Conditional requests
+ * stay open until the user picks a passkey or the page aborts them.
+ *
+ * @param {Object} publicKey - Request options
+ * @param {string} [mediation] - `mediation` of the request
+ * @returns {number | null} Milliseconds, or null for no timeout
+ */
+export const getWebAuthnTimeout = (publicKey, mediation) => {
+  if (mediation === 'conditional') {
+    return null
+  }
+
+  const timeout = publicKey?.timeout
+
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    return WEBAUTHN_TIMEOUTS.DEFAULT
+  }
+
+  return Math.min(
+    Math.max(timeout, WEBAUTHN_TIMEOUTS.MIN),
+    WEBAUTHN_TIMEOUTS.MAX
+  )
+}
@@ -0,0 +1,27 @@
+import { getWebAuthnTimeout } from './getWebAuthnTimeout'
+import { WEBAUTHN_TIMEOUTS } from '../constants/passkey'
+
+describe('getWebAuthnTimeout', () => {
+  test('should use the timeout of the request', () => {
+    expect(getWebAuthnTimeout({ timeout: 60000 })).toBe(60000)
+  })
+
+  test('should fall back to the default without a valid timeout', () => {
+    expect(getWebAuthnTimeout({})).toBe(WEBAUTHN_TIMEOUTS.DEFAULT)
+    expect(getWebAuthnTimeout({ timeout: 0 })).toBe(WEBAUTHN_TIMEOUTS.DEFAULT)
+    expect(getWebAuthnTimeout({ timeout: 'soon' })).toBe(
+      WEBAUTHN_TIMEOUTS.DEFAULT
+    )
+  })
+
+  test('should keep the timeout within the limits', () => {
+    expect(getWebAuthnTimeout({ timeout: 1 })).toBe(WEBAUTHN_TIMEOUTS.MIN)
+    expect(getWebAuthnTimeout({ timeout: 86400000 })).toBe(
+      WEBAUTHN_TIMEOUTS.MAX
+    )
+  })
+
+  test('should not time out conditional requests', () => {
+    expect(getWebAuthnTimeout({ timeout: 60000 }, 'conditional')).toBeNull()
+  })
+})
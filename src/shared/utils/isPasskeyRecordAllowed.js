@@ -0,0 +1,40 @@
+import { getHostname } from './getHostname'
+import { isPasskeyRecordForRpId } from './isPasskeyRecordForRpId'
+
+/**
+ * @param {Object} publicKey - Request options
+ * @param {string} [requestOrigin] - Origin of the page
+ * @returns {string | null} The relying party ID, which defaults to the host of the page
+ */
+export const getRequestRpId = (publicKey, requestOrigin) =>
+  publicKey?.rpId || publicKey?.rp?.id || getHostname(requestOrigin)
+
+/**
+ * Checks a credential against the `allowCredentials` list of an assertion
+ * request. An empty or missing list allows any credential.
+ *
+ * @param {Object} credential - Saved credential
+ * @param {Object} publicKey - Request options with Base64URL credential IDs
+ * @returns {boolean}
+ */
+export const isCredentialInAllowList = (credential, publicKey) => {
+  const allowedIds = (publicKey?.allowCredentials || [])
+    .map((descriptor) => descriptor?.id)
+    .filter(Boolean)
+
+  return !allowedIds.length || allowedIds.includes(credential?.id)
+}
+
+/**
+ * Checks whether the passkey of a login record may answer an assertion
+ * request: it must belong to the request's relying party and be in its
+ * `allowCredentials` list.
+ *
+ * @param {Object} record - Login record
+ * @param {Object} publicKey - Request options with Base64URL credential IDs
+ * @param {string} [requestOrigin] - Origin of the page
+ * @returns {boolean}
+ */
+export const isPasskeyRecordAllowed = (record, publicKey, requestOrigin) =>
+  isPasskeyRecordForRpId(record, getRequestRpId(publicKey, requestOrigin)) &&
+  isCredentialInAllowList(record?.data?.credential, publicKey)
@@ -0,0 +1,46 @@
+import {
+  getRequestRpId,
+  isCredentialInAllowList,
+  isPasskeyRecordAllowed
+} from './isPasskeyRecordAllowed'
+
+describe('isPasskeyRecordAllowed', () => {
+  const record = {
+    data: { credential: { id: 'cred-1', rpId: 'example.com' } }
+  }
+
+  test('should default the relying party ID to the host of the page', () => {
+    expect(getRequestRpId({ rpId: 'example.com' })).toBe('example.com')
+    expect(getRequestRpId({}, 'https://login.example.com')).toBe(
+      'login.example.com'
+    )
+  })
+
+  test('should allow any credential when the allow list is empty', () => {
+    expect(isCredentialInAllowList({ id: 'cred-1' }, {})).toBe(true)
+    expect(
+      isCredentialInAllowList({ id: 'cred-1' }, { allowCredentials: [] })
+    ).toBe(true)
+  })
+
+  test('should only allow listed credentials', () => {
+    const publicKey = {
+      allowCredentials: [{ type: 'public-key', id: 'cred-2' }]
+    }
+
+    expect(isCredentialInAllowList({ id: 'cred-1' }, publicKey)).toBe(false)
+    expect(isCredentialInAllowList({ id: 'cred-2' }, publicKey)).toBe(true)
+  })
+
+  test('should require the relying party and the allow list to match', () => {
+    expect(isPasskeyRecordAllowed(record, { rpId: 'example.com' })).toBe(true)
+    expect(isPasskeyRecordAllowed(record, { rpId: 'other.com' })).toBe(false)
+    expect(
+      isPasskeyRecordAllowed(record, {
+        rpId: 'example.com',
+        allowCredentials: [{ type: 'public-key', id: 'cred-2' }]
+      })
+    ).toBe(false)
+    expect(isPasskeyRecordAllowed(record, {}, 'https://example.com')).toBe(true)
+  })
+})
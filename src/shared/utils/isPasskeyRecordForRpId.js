@@ -0,0 +1,24 @@
+import { doesRecordMatchUrl } from './doesWebsiteMatchUrl'
+
+/**
+ * Checks whether the passkey stored on a login record belongs to a relying
+ * party. Passkeys saved before the relying party ID was kept on the
+ * credential are matched through the record websites instead.
+ *
+ * @param {Object} record - Login record
+ * @param {string | undefined} rpId - Relying party ID of the request
+ * @returns {boolean}
+ */
+export const isPasskeyRecordForRpId = (record, rpId) => {
+  const credential = record?.data?.credential
+
+  if (!credential || !rpId) {
+    return false
+  }
+
+  if (credential.rpId) {
+    return credential.rpId.toLowerCase() === rpId.toLowerCase()
+  }
+
+  return doesRecordMatchUrl(record, rpId)
+}
@@ -0,0 +1,40 @@
+import { isPasskeyRecordForRpId } from './isPasskeyRecordForRpId'
+
+describe('isPasskeyRecordForRpId', () => {
+  test('should compare the relying party ID stored on the credential', () => {
+    const record = {
+      data: {
+        websites: ['https://example.com'],
+        credential: { id: 'abc', rpId: 'login.example.com' }
+      }
+    }
+
+    expect(isPasskeyRecordForRpId(record, 'login.example.com')).toBe(true)
+    expect(isPasskeyRecordForRpId(record, 'LOGIN.example.com')).toBe(true)
+    expect(isPasskeyRecordForRpId(record, 'example.com')).toBe(false)
+  })
+
+  test('should fall back to the record websites for older credentials', () => {
+    const record = {
+      data: {
+        websites: ['https://www.example.com'],
+        credential: { id: 'abc' }
+      }
+    }
+
+    expect(isPasskeyRecordForRpId(record, 'example.com')).toBe(true)
+    expect(isPasskeyRecordForRpId(record, 'example.org')).toBe(false)
+  })
+
+  test('should return false without a credential or relying party ID', () => {
+    expect(
+      isPasskeyRecordForRpId(
+        { data: { websites: ['example.com'] } },
+        'example.com'
+      )
+    ).toBe(false)
+    expect(
+      isPasskeyRecordForRpId({ data: { credential: { rpId: 'a.com' } } }, '')
+    ).toBe(false)
+  })
+})
@@ -1,7 +1,10 @@
+import { getPublicSuffix } from './getBaseDomain'
 import { getHostname } from './getHostname'
 
 /**
  * Checks if two domains are the same or have a valid subdomain relationship.
+ * A public suffix such as "co.uk" or "github.io" is never treated as a parent
+ * domain, so sites registered below it do not match each other.
  * @param {string} a - First domain (potential subdomain)
  * @param {string} b - Second domain (potential parent domain)
  * @returns {boolean} True if domains are the same or 'a' is a subdomain of 'b'
@@ -12,5 +15,9 @@ export const isSameOrSubdomain = (a, b) => {
 
   if (!normalizedA || !normalizedB) return false
 
-  return normalizedA === normalizedB || normalizedA.endsWith(`.${normalizedB}`)
+  if (normalizedA === normalizedB) return true
+
+  if (getPublicSuffix(normalizedB) === normalizedB) return false
+
+  return normalizedA.endsWith(`.${normalizedB}`)
 }
@@ -70,4 +70,14 @@ describe('isSameOrSubdomain', () => {
   test('should handle single-character subdomains', () => {
     expect(isSameOrSubdomain('a.example.com', 'example.com')).toBe(true)
   })
+
+  test('should not treat public suffixes as parent domains', () => {
+    expect(isSameOrSubdomain('user1.github.io', 'github.io')).toBe(false)
+    expect(isSameOrSubdomain('example.co.uk', 'co.uk')).toBe(false)
+    expect(isSameOrSubdomain('github.io', 'github.io')).toBe(true)
+  })
+
+  test('should match subdomains below multi-label public suffixes', () => {
+    expect(isSameOrSubdomain('login.example.co.uk', 'example.co.uk')).toBe(true)
+  })
 })
@@ -0,0 +1,12 @@
+import { isSameOrSubdomain } from './isSameOrSubdomain'
+
+/**
+ * Checks that a relying party ID may be used from a page: it must be the
+ * page's host or one of its parent domains, but not a public suffix.
+ *
+ * @param {string | undefined} rpId - `rp.id` or `rpId` of the request
+ * @param {string} hostname - Host of the requesting page
+ * @returns {boolean} True when the request sets no ID or a valid one
+ */
+export const isValidRpId = (rpId, hostname) =>
+  !rpId || isSameOrSubdomain(hostname, rpId)
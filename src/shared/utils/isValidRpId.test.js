@@ -0,0 +1,22 @@
+import { isValidRpId } from './isValidRpId'
+
+describe('isValidRpId', () => {
+  test('should accept requests without an ID', () => {
+    expect(isValidRpId(undefined, 'example.com')).toBe(true)
+  })
+
+  test('should accept the host and its parent domains', () => {
+    expect(isValidRpId('example.com', 'example.com')).toBe(true)
+    expect(isValidRpId('example.com', 'login.example.com')).toBe(true)
+  })
+
+  test('should reject other sites', () => {
+    expect(isValidRpId('example.org', 'example.com')).toBe(false)
+    expect(isValidRpId('login.example.com', 'example.com')).toBe(false)
+  })
+
+  test('should reject public suffixes', () => {
+    expect(isValidRpId('co.uk', 'example.co.uk')).toBe(false)
+    expect(isValidRpId('github.io', 'user.github.io')).toBe(false)
+  })
+})
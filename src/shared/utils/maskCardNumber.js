@@ -0,0 +1,11 @@
+/**
+ * Hides all but the last four digits of a card number.
+ *
+ * @param {string} number
+ * @returns {string}
+ */
+export const maskCardNumber = (number) => {
+  const digits = (number || '').replace(/\D/g, '')
+
+  return digits ? `•••• ${digits.slice(-4)}` : ''
+}
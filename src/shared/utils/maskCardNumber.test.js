@@ -0,0 +1,12 @@
+import { maskCardNumber } from './maskCardNumber'
+
+describe('maskCardNumber', () => {
+  it('should keep only the last four digits', () => {
+    expect(maskCardNumber('4242 4242 4242 1234')).toBe('•••• 1234')
+  })
+
+  it('should return an empty string without digits', () => {
+    expect(maskCardNumber('')).toBe('')
+    expect(maskCardNumber(undefined)).toBe('')
+  })
+})
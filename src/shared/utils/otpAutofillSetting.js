@@ -0,0 +1,25 @@
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+/**
+ * Gets whether one-time codes are filled automatically after a password fill
+ * @returns {Promise<boolean>} Promise that resolves to true if enabled, false otherwise. Defaults to false if storage is unavailable.
+ */
+export const getOtpAutofillEnabled = async () => {
+  if (!chrome?.storage?.local?.get) return false
+  const res = await chrome.storage.local.get(
+    CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED
+  )
+  return res?.[CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED] === true
+}
+
+/**
+ * Sets whether one-time codes are filled automatically after a password fill
+ * @param {boolean} isEnabled - Whether automatic one-time code fill should be enabled
+ * @returns {Promise<void>} Promise that resolves when the value is set
+ */
+export const setOtpAutofillEnabled = async (isEnabled) => {
+  if (!chrome?.storage?.local?.set) return
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED]: isEnabled
+  })
+}
@@ -0,0 +1,68 @@
+import {
+  getOtpAutofillEnabled,
+  setOtpAutofillEnabled
+} from './otpAutofillSetting'
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+describe('otpAutofillSetting', () => {
+  let mockChromeStorage
+
+  beforeEach(() => {
+    mockChromeStorage = {
+      local: {
+        get: jest.fn(),
+        set: jest.fn()
+      }
+    }
+
+    global.chrome = {
+      storage: mockChromeStorage
+    }
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    delete global.chrome
+  })
+
+  describe('getOtpAutofillEnabled', () => {
+    it('should return false when chrome storage is not available', async () => {
+      global.chrome = undefined
+
+      expect(await getOtpAutofillEnabled()).toBe(false)
+    })
+
+    it('should return false when the setting is not set', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({})
+
+      expect(await getOtpAutofillEnabled()).toBe(false)
+      expect(mockChromeStorage.local.get).toHaveBeenCalledWith(
+        CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED
+      )
+    })
+
+    it('should return true when the setting is explicitly true', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED]: true
+      })
+
+      expect(await getOtpAutofillEnabled()).toBe(true)
+    })
+  })
+
+  describe('setOtpAutofillEnabled', () => {
+    it('should store the setting', async () => {
+      await setOtpAutofillEnabled(true)
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.OTP_AUTOFILL_ENABLED]: true
+      })
+    })
+
+    it('should do nothing when chrome storage is not available', async () => {
+      global.chrome = undefined
+
+      await expect(setOtpAutofillEnabled(true)).resolves.toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,35 @@
+const MAX_SIGN_COUNT = 0xffffffff
+
+/**
+ * Returns the signature counter for the next assertion of a passkey.
+ * The same vault can sign on several devices before they sync, so the counter
+ * never falls below the current Unix time in seconds: each device moves past
+ * what the others may have used, and the relying party keeps seeing it grow.
+ *
+ * @param {Object} credential - Saved credential
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Unsigned 32-bit counter
+ */
+export const getNextSignCount = (credential, now = Date.now()) => {
+  const storedCount = Number.isInteger(credential?.signCount)
+    ? credential.signCount
+    : 0
+
+  return Math.min(
+    Math.max(storedCount + 1, Math.floor(now / 1000)),
+    MAX_SIGN_COUNT
+  )
+}
+
+/**
+ * Stores a counter on a credential without ever moving it backwards, so a
+ * credential synced from another device keeps the higher of both values.
+ *
+ * @param {Object} credential - Saved credential
+ * @param {number} signCount - Counter used by the last assertion
+ * @returns {Object} The credential with its counter
+ */
+export const withSignCount = (credential, signCount) => ({
+  ...credential,
+  signCount: Math.max(credential?.signCount ?? 0, signCount)
+})
@@ -0,0 +1,33 @@
+import { getNextSignCount, withSignCount } from './passkeySignCount'
+
+describe('passkeySignCount', () => {
+  describe('getNextSignCount', () => {
+    test('should never fall below the current time in seconds', () => {
+      expect(getNextSignCount({}, 1_700_000_000_500)).toBe(1_700_000_000)
+      expect(getNextSignCount(undefined, 1_700_000_000_500)).toBe(1_700_000_000)
+    })
+
+    test('should increment a counter that is ahead of the clock', () => {
+      expect(
+        getNextSignCount({ signCount: 1_700_000_005 }, 1_700_000_000_000)
+      ).toBe(1_700_000_006)
+    })
+
+    test('should stay within 32 bits', () => {
+      expect(getNextSignCount({ signCount: 0xffffffff }, 0)).toBe(0xffffffff)
+    })
+  })
+
+  describe('withSignCount', () => {
+    test('should store the counter on the credential', () => {
+      expect(withSignCount({ id: 'a' }, 5)).toEqual({ id: 'a', signCount: 5 })
+    })
+
+    test('should keep the higher counter', () => {
+      expect(withSignCount({ id: 'a', signCount: 9 }, 5)).toEqual({
+        id: 'a',
+        signCount: 9
+      })
+    })
+  })
+})
@@ -3,10 +3,18 @@
  * @param {Object|null|undefined} credential - The credential object to sanitize
  * @param {string} [credential._privateKeyBuffer] - Private key buffer (will be removed)
  * @param {string} [credential._userId] - User ID (will be removed)
+ * @param {string} [credential._prfSeed] - Secret of the prf extension (will be removed)
+ * @param {string} [credential._largeBlob] - Blob of the largeBlob extension (will be removed)
  * @returns {Object|null|undefined} Sanitized credential safe for page context, or null/undefined if input was null/undefined
  */
 export const sanitizeCredentialForPage = (credential) => {
   if (!credential) return credential
-  const { _privateKeyBuffer, _userId, ...safeCredential } = credential
+  const {
+    _privateKeyBuffer,
+    _userId,
+    _prfSeed,
+    _largeBlob,
+    ...safeCredential
+  } = credential
   return safeCredential
 }
@@ -173,4 +173,18 @@ describe('sanitizeCredentialForPage', () => {
     })
     expect(result.rawId).toBe(arrayBuffer)
   })
+
+  test('should remove the extension secrets', () => {
+    const credential = {
+      id: 'cred-123',
+      clientExtensionResults: { prf: { enabled: true } },
+      _prfSeed: 'SENSITIVE_SEED',
+      _largeBlob: 'SENSITIVE_BLOB'
+    }
+
+    expect(sanitizeCredentialForPage(credential)).toEqual({
+      id: 'cred-123',
+      clientExtensionResults: { prf: { enabled: true } }
+    })
+  })
 })
@@ -0,0 +1,17 @@
+import { MESSAGE_TYPES } from '../services/messageBridge'
+
+/**
+ * Answers a page's passkey request from its popup. The answer goes through
+ * the background, which stops tracking the request's window before passing it
+ * on to the tab, so closing the window afterwards does not answer twice.
+ *
+ * @param {string | number} tabId - Tab of the requesting page
+ * @param {Record<string, unknown>} response - Message for the content script, with its type and requestId
+ * @returns {Promise<unknown>}
+ */
+export const sendPasskeyResponse = (tabId, response) =>
+  chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.PASSKEY_RESPONSE,
+    tabId: Number(tabId),
+    response
+  })
@@ -0,0 +1,132 @@
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+/**
+ * Per-origin overrides. Every flag is off by default, so a site without a
+ * stored rule behaves exactly like the global settings say.
+ */
+export const DEFAULT_SITE_RULE = {
+  disableLogo: false,
+  disableAutofill: false,
+  disablePasswordSuggestion: false,
+  disableStrengthPill: false,
+  neverSave: false,
+  allowHttp: false,
+  ignoredUsernames: []
+}
+
+/**
+ * Reduces a URL or a bare host to the origin rules are keyed by.
+ * A value without a scheme is treated as HTTPS.
+ * @param {string} value - URL, origin or host, e.g. `http://192.168.1.1/admin` or `example.com`
+ * @returns {string|null} The origin, or null when the value is not a web address
+ */
+export const normalizeSiteOrigin = (value) => {
+  const trimmed = value?.trim()
+
+  if (!trimmed) {
+    return null
+  }
+
+  const hasScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed)
+
+  try {
+    const url = new URL(hasScheme ? trimmed : `https://${trimmed}`)
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return null
+    }
+
+    return url.origin
+  } catch {
+    return null
+  }
+}
+
+const isDefaultSiteRule = (rule) =>
+  Object.entries(DEFAULT_SITE_RULE).every(([key, defaultValue]) =>
+    Array.isArray(defaultValue)
+      ? !rule[key]?.length
+      : (rule[key] ?? defaultValue) === defaultValue
+  )
+
+/**
+ * Gets all stored site rules
+ * @returns {Promise<Record<string, Object>>} Promise that resolves to the rules keyed by origin. Defaults to an empty object if storage is unavailable.
+ */
+export const getSiteRules = async () => {
+  if (!chrome?.storage?.local?.get) return {}
+  const res = await chrome.storage.local.get(CHROME_STORAGE_KEYS.SITE_RULES)
+  return res?.[CHROME_STORAGE_KEYS.SITE_RULES] ?? {}
+}
+
+/**
+ * Gets the rule for one origin, filled in with defaults
+ * @param {string} origin - Origin of the site
+ * @returns {Promise<Object>} Promise that resolves to the site rule
+ */
+export const getSiteRule = async (origin) => {
+  const rules = await getSiteRules()
+  return { ...DEFAULT_SITE_RULE, ...rules[origin] }
+}
+
+/**
+ * Merges changes into the rule for one origin. A rule that ends up with only
+ * default values is dropped, so the list in settings stays meaningful.
+ * @param {string} origin - Origin of the site
+ * @param {Object} changes - Rule flags to set
+ * @returns {Promise<void>} Promise that resolves when the rule is stored
+ */
+export const updateSiteRule = async (origin, changes) => {
+  if (!chrome?.storage?.local?.set || !origin) return
+  const rules = await getSiteRules()
+  const rule = { ...DEFAULT_SITE_RULE, ...rules[origin], ...changes }
+  const { [origin]: _previous, ...otherRules } = rules
+
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.SITE_RULES]: isDefaultSiteRule(rule)
+      ? otherRules
+      : { ...otherRules, [origin]: rule }
+  })
+}
+
+/**
+ * Removes the rule for one origin
+ * @param {string} origin - Origin of the site
+ * @returns {Promise<void>} Promise that resolves when the rule is removed
+ */
+export const removeSiteRule = async (origin) => {
+  if (!chrome?.storage?.local?.set) return
+  const { [origin]: _removed, ...otherRules } = await getSiteRules()
+
+  await chrome.storage.local.set({
+    [CHROME_STORAGE_KEYS.SITE_RULES]: otherRules
+  })
+}
+
+/**
+ * Subscribes to changes in the stored site rules
+ * @param {function(Record<string, Object>): void} cb - Callback that receives all rules keyed by origin
+ * @returns {function(): void} Unsubscribe function to remove the listener
+ */
+export const subscribeToSiteRules = (cb) => {
+  if (!chrome?.storage?.onChanged?.addListener) return () => {}
+  const handler = (changes, area) => {
+    if (area !== 'local') return
+    if (CHROME_STORAGE_KEYS.SITE_RULES in changes) {
+      cb(changes[CHROME_STORAGE_KEYS.SITE_RULES]?.newValue ?? {})
+    }
+  }
+  chrome.storage.onChanged.addListener(handler)
+  return () => {
+    chrome.storage.onChanged.removeListener(handler)
+  }
+}
+
+/**
+ * Checks whether a save prompt may be shown for a username under a site rule
+ * @param {Object} rule - Site rule
+ * @param {string} [username] - Username of the login about to be offered
+ * @returns {boolean} True when the prompt may be shown
+ */
+export const isSavePromptAllowed = (rule, username) =>
+  !rule.neverSave && !(username && rule.ignoredUsernames?.includes(username))
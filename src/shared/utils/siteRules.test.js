@@ -0,0 +1,195 @@
+import {
+  DEFAULT_SITE_RULE,
+  getSiteRule,
+  getSiteRules,
+  isSavePromptAllowed,
+  normalizeSiteOrigin,
+  removeSiteRule,
+  subscribeToSiteRules,
+  updateSiteRule
+} from './siteRules'
+import { CHROME_STORAGE_KEYS } from '../constants/storage'
+
+describe('siteRules', () => {
+  let mockChromeStorage
+
+  beforeEach(() => {
+    mockChromeStorage = {
+      local: {
+        get: jest.fn().mockResolvedValue({}),
+        set: jest.fn()
+      },
+      onChanged: {
+        addListener: jest.fn(),
+        removeListener: jest.fn()
+      }
+    }
+
+    global.chrome = {
+      storage: mockChromeStorage
+    }
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    delete global.chrome
+  })
+
+  describe('normalizeSiteOrigin', () => {
+    it('should reduce a URL to its origin', () => {
+      expect(normalizeSiteOrigin('http://192.168.1.1/admin?x=1')).toBe(
+        'http://192.168.1.1'
+      )
+      expect(normalizeSiteOrigin(' https://Example.com:8443/login ')).toBe(
+        'https://example.com:8443'
+      )
+    })
+
+    it('should treat a bare host as https', () => {
+      expect(normalizeSiteOrigin('example.com')).toBe('https://example.com')
+    })
+
+    it('should return null for empty or non-web values', () => {
+      expect(normalizeSiteOrigin('')).toBeNull()
+      expect(normalizeSiteOrigin(undefined)).toBeNull()
+      expect(normalizeSiteOrigin('ftp://example.com')).toBeNull()
+      expect(normalizeSiteOrigin('http://')).toBeNull()
+    })
+  })
+
+  describe('getSiteRules', () => {
+    it('should return an empty object when chrome storage is not available', async () => {
+      global.chrome = undefined
+
+      expect(await getSiteRules()).toEqual({})
+    })
+
+    it('should return the stored rules', async () => {
+      const rules = { 'https://example.com': { neverSave: true } }
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: rules
+      })
+
+      expect(await getSiteRules()).toEqual(rules)
+      expect(mockChromeStorage.local.get).toHaveBeenCalledWith(
+        CHROME_STORAGE_KEYS.SITE_RULES
+      )
+    })
+  })
+
+  describe('getSiteRule', () => {
+    it('should fill a stored rule with defaults', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'https://example.com': { disableLogo: true }
+        }
+      })
+
+      expect(await getSiteRule('https://example.com')).toEqual({
+        ...DEFAULT_SITE_RULE,
+        disableLogo: true
+      })
+    })
+
+    it('should return the defaults for an unknown origin', async () => {
+      expect(await getSiteRule('https://other.com')).toEqual(DEFAULT_SITE_RULE)
+    })
+  })
+
+  describe('updateSiteRule', () => {
+    it('should merge changes into the existing rule', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'http://192.168.1.1': { allowHttp: true }
+        }
+      })
+
+      await updateSiteRule('http://192.168.1.1', { disableLogo: true })
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'http://192.168.1.1': {
+            ...DEFAULT_SITE_RULE,
+            allowHttp: true,
+            disableLogo: true
+          }
+        }
+      })
+    })
+
+    it('should drop a rule that only has default values left', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'https://example.com': { neverSave: true },
+          'https://other.com': { disableLogo: true }
+        }
+      })
+
+      await updateSiteRule('https://example.com', { neverSave: false })
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'https://other.com': { disableLogo: true }
+        }
+      })
+    })
+  })
+
+  describe('removeSiteRule', () => {
+    it('should remove only the given origin', async () => {
+      mockChromeStorage.local.get.mockResolvedValue({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'https://example.com': { neverSave: true },
+          'https://other.com': { disableLogo: true }
+        }
+      })
+
+      await removeSiteRule('https://example.com')
+
+      expect(mockChromeStorage.local.set).toHaveBeenCalledWith({
+        [CHROME_STORAGE_KEYS.SITE_RULES]: {
+          'https://other.com': { disableLogo: true }
+        }
+      })
+    })
+  })
+
+  describe('subscribeToSiteRules', () => {
+    it('should call back with the new rules on local changes', () => {
+      const cb = jest.fn()
+      const unsubscribe = subscribeToSiteRules(cb)
+      const handler = mockChromeStorage.onChanged.addListener.mock.calls[0][0]
+
+      handler({ other: { newValue: true } }, 'local')
+      handler(
+        { [CHROME_STORAGE_KEYS.SITE_RULES]: { newValue: { a: {} } } },
+        'sync'
+      )
+      handler({ [CHROME_STORAGE_KEYS.SITE_RULES]: {} }, 'local')
+
+      expect(cb).toHaveBeenCalledTimes(1)
+      expect(cb).toHaveBeenCalledWith({})
+
+      unsubscribe()
+      expect(mockChromeStorage.onChanged.removeListener).toHaveBeenCalledWith(
+        handler
+      )
+    })
+  })
+
+  describe('isSavePromptAllowed', () => {
+    it('should block every prompt when saving is turned off for the site', () => {
+      expect(
+        isSavePromptAllowed({ ...DEFAULT_SITE_RULE, neverSave: true }, 'joe')
+      ).toBe(false)
+    })
+
+    it('should block prompts only for ignored usernames', () => {
+      const rule = { ...DEFAULT_SITE_RULE, ignoredUsernames: ['joe'] }
+
+      expect(isSavePromptAllowed(rule, 'joe')).toBe(false)
+      expect(isSavePromptAllowed(rule, 'ann')).toBe(true)
+      expect(isSavePromptAllowed(rule, '')).toBe(true)
+    })
+  })
+})
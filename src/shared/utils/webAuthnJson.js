@@ -0,0 +1,220 @@
+import { arrayBufferToBase64Url } from './arrayBufferToBase64Url'
+import { base64UrlToArrayBuffer } from './base64UrlToArrayBuffer'
+
+/**
+ * Apply `transform` to the `first` and `second` values of a PRF input or output.
+ *
+ * @param {Object} [values]
+ * @param {(value: *) => *} transform
+ * @returns {Object | undefined}
+ */
+const mapPrfValues = (values, transform) =>
+  values && {
+    first: transform(values.first),
+    second: values.second ? transform(values.second) : undefined
+  }
+
+/**
+ * Apply `transform` to the binary inputs of the `prf` and `largeBlob` extensions.
+ *
+ * @param {Object} [extensions]
+ * @param {(value: *) => *} transform
+ * @returns {Object | undefined}
+ */
+const mapExtensionInputs = (extensions, transform) => {
+  if (!extensions) return extensions
+
+  const { prf, largeBlob } = extensions
+
+  return {
+    ...extensions,
+    prf: prf && {
+      ...prf,
+      eval: mapPrfValues(prf.eval, transform),
+      evalByCredential:
+        prf.evalByCredential &&
+        Object.fromEntries(
+          Object.entries(prf.evalByCredential).map(([id, values]) => [
+            id,
+            mapPrfValues(values, transform)
+          ])
+        )
+    },
+    largeBlob: largeBlob && {
+      ...largeBlob,
+      write: largeBlob.write ? transform(largeBlob.write) : undefined
+    }
+  }
+}
+
+/**
+ * Apply `transform` to the binary outputs of the `prf` and `largeBlob` extensions.
+ *
+ * @param {Object} [results]
+ * @param {(value: *) => *} transform
+ * @returns {Object}
+ */
+const mapExtensionResults = (results = {}, transform) => {
+  const { prf, largeBlob, ...otherResults } = results
+  const mapped = { ...otherResults }
+
+  if (prf) {
+    mapped.prf = { ...prf }
+
+    if (prf.results) {
+      mapped.prf.results = { first: transform(prf.results.first) }
+
+      if (prf.results.second) {
+        mapped.prf.results.second = transform(prf.results.second)
+      }
+    }
+  }
+
+  if (largeBlob) {
+    mapped.largeBlob = { ...largeBlob }
+
+    if (largeBlob.blob) {
+      mapped.largeBlob.blob = transform(largeBlob.blob)
+    }
+  }
+
+  return mapped
+}
+
+/**
+ * Encode the binary IDs of credential descriptors so they survive `postMessage` and JSON.
+ *
+ * @param {PublicKeyCredentialDescriptor[]} [descriptors]
+ * @returns {Object[] | undefined} Descriptors with Base64URL IDs
+ */
+export const serializeCredentialDescriptors = (descriptors) =>
+  descriptors?.map((descriptor) => ({
+    ...descriptor,
+    id: arrayBufferToBase64Url(descriptor.id)
+  }))
+
+/**
+ * Decode the Base64URL IDs of credential descriptors.
+ *
+ * @param {Object[]} [descriptors] Descriptors with Base64URL IDs
+ * @returns {PublicKeyCredentialDescriptor[] | undefined}
+ */
+export const deserializeCredentialDescriptors = (descriptors) =>
+  descriptors?.map((descriptor) => ({
+    ...descriptor,
+    id: base64UrlToArrayBuffer(descriptor.id)
+  }))
+
+/**
+ * Encode the binary inputs of the `prf` and `largeBlob` extensions so they survive `postMessage` and JSON.
+ *
+ * @param {AuthenticationExtensionsClientInputs} [extensions]
+ * @returns {Object | undefined} Extension inputs with Base64URL buffers
+ */
+export const serializeExtensions = (extensions) =>
+  mapExtensionInputs(extensions, arrayBufferToBase64Url)
+
+/**
+ * Decode the Base64URL buffers of the `prf` and `largeBlob` extension inputs.
+ *
+ * @param {Object} [extensions] Extension inputs in their JSON form
+ * @returns {AuthenticationExtensionsClientInputs | undefined}
+ */
+export const deserializeExtensions = (extensions) =>
+  mapExtensionInputs(extensions, base64UrlToArrayBuffer)
+
+/**
+ * Encode the binary outputs of the `prf` and `largeBlob` extension results.
+ *
+ * @param {AuthenticationExtensionsClientOutputs} [results]
+ * @returns {Object} Client extension results in their JSON form
+ */
+export const serializeExtensionResults = (results) =>
+  mapExtensionResults(results, arrayBufferToBase64Url)
+
+/**
+ * Decode the Base64URL buffers of the `prf` and `largeBlob` extension results.
+ *
+ * @param {Object} [results] Client extension results in their JSON form
+ * @returns {AuthenticationExtensionsClientOutputs}
+ */
+export const deserializeExtensionResults = (results) =>
+  mapExtensionResults(results, base64UrlToArrayBuffer)
+
+/**
+ * Same as `PublicKeyCredential.parseCreationOptionsFromJSON()`: decode the
+ * Base64URL fields of JSON creation options.
+ *
+ * @param {Object} options `PublicKeyCredentialCreationOptionsJSON`
+ * @returns {PublicKeyCredentialCreationOptions}
+ */
+export const parseCreationOptionsFromJSON = (options) => ({
+  ...options,
+  challenge: base64UrlToArrayBuffer(options.challenge),
+  user: {
+    ...options.user,
+    id: base64UrlToArrayBuffer(options.user.id)
+  },
+  excludeCredentials: deserializeCredentialDescriptors(
+    options.excludeCredentials
+  ),
+  extensions: deserializeExtensions(options.extensions)
+})
+
+/**
+ * Same as `PublicKeyCredential.parseRequestOptionsFromJSON()`: decode the
+ * Base64URL fields of JSON request options.
+ *
+ * @param {Object} options `PublicKeyCredentialRequestOptionsJSON`
+ * @returns {PublicKeyCredentialRequestOptions}
+ */
+export const parseRequestOptionsFromJSON = (options) => ({
+  ...options,
+  challenge: base64UrlToArrayBuffer(options.challenge),
+  allowCredentials: deserializeCredentialDescriptors(options.allowCredentials),
+  extensions: deserializeExtensions(options.extensions)
+})
+
+/**
+ * Same as `PublicKeyCredential.prototype.toJSON()`. Works on native
+ * credentials and on the ones built by the injected shim alike.
+ *
+ * @param {PublicKeyCredential} credential
+ * @returns {Object} `RegistrationResponseJSON` or `AuthenticationResponseJSON`
+ */
+export const publicKeyCredentialToJSON = (credential) => {
+  const { response } = credential
+
+  const responseJson = response.signature
+    ? {
+        clientDataJSON: arrayBufferToBase64Url(response.clientDataJSON),
+        authenticatorData: arrayBufferToBase64Url(response.authenticatorData),
+        signature: arrayBufferToBase64Url(response.signature),
+        userHandle: response.userHandle
+          ? arrayBufferToBase64Url(response.userHandle)
+          : undefined
+      }
+    : {
+        clientDataJSON: arrayBufferToBase64Url(response.clientDataJSON),
+        authenticatorData: arrayBufferToBase64Url(
+          response.getAuthenticatorData()
+        ),
+        transports: response.getTransports(),
+        publicKey: response.getPublicKey()
+          ? arrayBufferToBase64Url(response.getPublicKey())
+          : undefined,
+        publicKeyAlgorithm: response.getPublicKeyAlgorithm(),
+        attestationObject: arrayBufferToBase64Url(response.attestationObject)
+      }
+
+  return {
+    id: credential.id,
+    rawId: arrayBufferToBase64Url(credential.rawId),
+    type: credential.type,
+    response: responseJson,
+    authenticatorAttachment: credential.authenticatorAttachment ?? undefined,
+    clientExtensionResults: serializeExtensionResults(
+      credential.getClientExtensionResults()
+    )
+  }
+}
@@ -0,0 +1,188 @@
+import {
+  deserializeExtensionResults,
+  deserializeExtensions,
+  parseCreationOptionsFromJSON,
+  parseRequestOptionsFromJSON,
+  publicKeyCredentialToJSON,
+  serializeCredentialDescriptors,
+  serializeExtensionResults,
+  serializeExtensions
+} from './webAuthnJson'
+
+const bytes = (...values) => new Uint8Array(values).buffer
+
+describe('webAuthnJson', () => {
+  describe('credential descriptors', () => {
+    test('should encode descriptor IDs', () => {
+      expect(
+        serializeCredentialDescriptors([
+          { type: 'public-key', id: bytes(1, 2, 3), transports: ['internal'] }
+        ])
+      ).toEqual([{ type: 'public-key', id: 'AQID', transports: ['internal'] }])
+    })
+
+    test('should keep missing descriptors missing', () => {
+      expect(serializeCredentialDescriptors(undefined)).toBeUndefined()
+    })
+  })
+
+  describe('extensions', () => {
+    test('should round-trip prf and largeBlob inputs', () => {
+      const extensions = {
+        credProps: true,
+        prf: {
+          eval: { first: bytes(1), second: bytes(2) },
+          evalByCredential: { AQID: { first: bytes(3) } }
+        },
+        largeBlob: { write: bytes(4) }
+      }
+
+      const serialized = serializeExtensions(extensions)
+
+      expect(serialized).toEqual({
+        credProps: true,
+        prf: {
+          eval: { first: 'AQ', second: 'Ag' },
+          evalByCredential: { AQID: { first: 'Aw', second: undefined } }
+        },
+        largeBlob: { write: 'BA' }
+      })
+      expect(
+        new Uint8Array(deserializeExtensions(serialized).prf.eval.second)
+      ).toEqual(new Uint8Array([2]))
+    })
+
+    test('should round-trip prf and largeBlob results', () => {
+      const results = {
+        credProps: { rk: true },
+        prf: { enabled: true, results: { first: bytes(5) } },
+        largeBlob: { blob: bytes(6) }
+      }
+
+      const serialized = serializeExtensionResults(results)
+
+      expect(serialized).toEqual({
+        credProps: { rk: true },
+        prf: { enabled: true, results: { first: 'BQ' } },
+        largeBlob: { blob: 'Bg' }
+      })
+      expect(
+        new Uint8Array(deserializeExtensionResults(serialized).largeBlob.blob)
+      ).toEqual(new Uint8Array([6]))
+    })
+  })
+
+  describe('parseCreationOptionsFromJSON', () => {
+    test('should decode the binary fields', () => {
+      const options = parseCreationOptionsFromJSON({
+        rp: { id: 'example.com', name: 'Example' },
+        user: { id: 'AQID', name: 'user', displayName: 'User' },
+        challenge: 'BAUG',
+        pubKeyCredParams: [{ type: 'public-key', alg: -7 }],
+        excludeCredentials: [{ type: 'public-key', id: 'Bwg' }],
+        extensions: { prf: { eval: { first: 'CQ' } } }
+      })
+
+      expect(options.rp).toEqual({ id: 'example.com', name: 'Example' })
+      expect(new Uint8Array(options.user.id)).toEqual(new Uint8Array([1, 2, 3]))
+      expect(new Uint8Array(options.challenge)).toEqual(
+        new Uint8Array([4, 5, 6])
+      )
+      expect(new Uint8Array(options.excludeCredentials[0].id)).toEqual(
+        new Uint8Array([7, 8])
+      )
+      expect(new Uint8Array(options.extensions.prf.eval.first)).toEqual(
+        new Uint8Array([9])
+      )
+    })
+  })
+
+  describe('parseRequestOptionsFromJSON', () => {
+    test('should decode the binary fields', () => {
+      const options = parseRequestOptionsFromJSON({
+        rpId: 'example.com',
+        challenge: 'BAUG',
+        allowCredentials: [{ type: 'public-key', id: 'Bwg' }],
+        userVerification: 'required'
+      })
+
+      expect(options.rpId).toBe('example.com')
+      expect(options.userVerification).toBe('required')
+      expect(new Uint8Array(options.challenge)).toEqual(
+        new Uint8Array([4, 5, 6])
+      )
+      expect(new Uint8Array(options.allowCredentials[0].id)).toEqual(
+        new Uint8Array([7, 8])
+      )
+      expect(options.extensions).toBeUndefined()
+    })
+  })
+
+  describe('publicKeyCredentialToJSON', () => {
+    test('should serialize a registration', () => {
+      const credential = {
+        id: 'AQID',
+        rawId: bytes(1, 2, 3),
+        type: 'public-key',
+        authenticatorAttachment: 'platform',
+        response: {
+          clientDataJSON: bytes(4),
+          attestationObject: bytes(5),
+          signature: null,
+          getAuthenticatorData: () => bytes(6),
+          getPublicKey: () => bytes(7),
+          getPublicKeyAlgorithm: () => -7,
+          getTransports: () => ['internal']
+        },
+        getClientExtensionResults: () => ({ credProps: { rk: true } })
+      }
+
+      expect(publicKeyCredentialToJSON(credential)).toEqual({
+        id: 'AQID',
+        rawId: 'AQID',
+        type: 'public-key',
+        authenticatorAttachment: 'platform',
+        response: {
+          clientDataJSON: 'BA',
+          attestationObject: 'BQ',
+          authenticatorData: 'Bg',
+          publicKey: 'Bw',
+          publicKeyAlgorithm: -7,
+          transports: ['internal']
+        },
+        clientExtensionResults: { credProps: { rk: true } }
+      })
+    })
+
+    test('should serialize an assertion', () => {
+      const credential = {
+        id: 'AQID',
+        rawId: bytes(1, 2, 3),
+        type: 'public-key',
+        authenticatorAttachment: null,
+        response: {
+          clientDataJSON: bytes(4),
+          authenticatorData: bytes(6),
+          signature: bytes(8),
+          userHandle: null
+        },
+        getClientExtensionResults: () => ({
+          prf: { results: { first: bytes(9) } }
+        })
+      }
+
+      const json = publicKeyCredentialToJSON(credential)
+
+      expect(json.response).toEqual({
+        clientDataJSON: 'BA',
+        authenticatorData: 'Bg',
+        signature: 'CA',
+        userHandle: undefined
+      })
+      expect(json.authenticatorAttachment).toBeUndefined()
+      expect(json.clientExtensionResults).toEqual({
+        prf: { results: { first: 'CQ' } }
+      })
+    })
+  })
+})